@@ -1,3 +1,4 @@
+const os = require('os');
 const dotenv = require('dotenv');
 dotenv.config();
 
@@ -33,10 +34,112 @@ module.exports = {
     connectTimeout: 4000,
     reconnectPeriod: 1000
   },
+  deviceApi: {
+    maxPayloadSize: process.env.DEVICE_API_MAX_PAYLOAD || '1mb',
+    rpc: {
+      // How long a long-poll waits for a request, devices may ask for less with ?timeout=
+      longPollTimeoutMs: process.env.DEVICE_API_LONG_POLL_MS || 30000,
+      maxLongPollTimeoutMs: process.env.DEVICE_API_MAX_LONG_POLL_MS || 120000,
+      // Devices that long-polled this recently receive commands over HTTP
+      pollWindowMs: process.env.DEVICE_API_POLL_WINDOW_MS || 60000
+    }
+  },
+  coap: {
+    enabled: process.env.COAP_ENABLED !== 'false',
+    port: process.env.COAP_PORT || 5683,
+    // Largest number of open observations (attributes and RPC) per device
+    maxObservations: process.env.COAP_MAX_OBSERVATIONS || 4
+  },
   telemetry: {
     retention: {
-      days: process.env.TELEMETRY_RETENTION_DAYS || 30
+      enabled: process.env.TELEMETRY_RETENTION_ENABLED !== 'false',
+      days: process.env.TELEMETRY_RETENTION_DAYS || 30,
+      checkIntervalMs: process.env.TELEMETRY_RETENTION_CHECK_MS || 6 * 60 * 60 * 1000
+    },
+    batchSize: process.env.TELEMETRY_BATCH_SIZE || 1000,
+    ingestion: {
+      maxLatencyMs: process.env.TELEMETRY_MAX_LATENCY_MS || 1000,
+      maxBufferSize: process.env.TELEMETRY_MAX_BUFFER_SIZE || 10000,
+      maxRetries: process.env.TELEMETRY_MAX_RETRIES || 3,
+      deviceCacheTtlMs: process.env.TELEMETRY_DEVICE_CACHE_TTL_MS || 60000,
+      deviceCacheMaxSize: process.env.TELEMETRY_DEVICE_CACHE_MAX_SIZE || 10000
+    },
+    rollups: {
+      enabled: process.env.TELEMETRY_ROLLUPS_ENABLED !== 'false',
+      flushIntervalMs: process.env.TELEMETRY_ROLLUP_FLUSH_MS || 10000
     },
-    batchSize: process.env.TELEMETRY_BATCH_SIZE || 1000
+    calculatedFields: {
+      // Devices whose last input values are kept in memory, least recently used ones are evicted
+      maxDevices: process.env.CALCULATED_FIELD_MAX_DEVICES || 10000
+    },
+    query: {
+      maxSeries: process.env.TELEMETRY_QUERY_MAX_SERIES || 500,
+      maxBuckets: process.env.TELEMETRY_QUERY_MAX_BUCKETS || 5000
+    },
+    import: {
+      uploadDir: process.env.TELEMETRY_IMPORT_DIR || os.tmpdir(),
+      maxUploadBytes: process.env.TELEMETRY_IMPORT_MAX_BYTES || 500 * 1024 * 1024,
+      maxRowErrors: process.env.TELEMETRY_IMPORT_MAX_ROW_ERRORS || 1000
+    },
+    forecast: {
+      lookbackBuckets: process.env.TELEMETRY_FORECAST_LOOKBACK_BUCKETS || 500,
+      maxHorizonBuckets: process.env.TELEMETRY_FORECAST_MAX_HORIZON_BUCKETS || 1000,
+      minPoints: process.env.TELEMETRY_FORECAST_MIN_POINTS || 10
+    }
+  },
+  analysis: {
+    ewmaAlpha: process.env.ANALYSIS_EWMA_ALPHA || 0.1,
+    zScoreThreshold: process.env.ANALYSIS_Z_SCORE_THRESHOLD || 3,
+    warmupPoints: process.env.ANALYSIS_WARMUP_POINTS || 20,
+    stuckMinPoints: process.env.ANALYSIS_STUCK_MIN_POINTS || 10,
+    flatlineWindow: process.env.ANALYSIS_FLATLINE_WINDOW || 30,
+    flatlineRatio: process.env.ANALYSIS_FLATLINE_RATIO || 0.01,
+    gapFactor: process.env.ANALYSIS_GAP_FACTOR || 5,
+    levelShiftWindow: process.env.ANALYSIS_LEVEL_SHIFT_WINDOW || 20,
+    levelShiftThreshold: process.env.ANALYSIS_LEVEL_SHIFT_THRESHOLD || 3,
+    maxPointsPerKey: process.env.ANALYSIS_MAX_POINTS_PER_KEY || 200000,
+    maxAnomaliesPerKey: process.env.ANALYSIS_MAX_ANOMALIES_PER_KEY || 100
+  },
+  plc: {
+    enabled: process.env.PLC_POLLING_ENABLED !== 'false',
+    pollIntervalMs: process.env.PLC_POLL_INTERVAL_MS || 5000,
+    timeoutMs: process.env.PLC_TIMEOUT_MS || 3000,
+    // Registers with a deadband are still reported after this long without a change
+    maxSilenceMs: process.env.PLC_MAX_SILENCE_MS || 600000,
+    // How often suspended devices are looked up to pause or resume their polling
+    statusSyncMs: process.env.PLC_STATUS_SYNC_MS || 30000,
+    gateway: {
+      unitTimeoutMs: process.env.PLC_GATEWAY_UNIT_TIMEOUT_MS || 1000,
+      interFrameDelayMs: process.env.PLC_GATEWAY_INTER_FRAME_DELAY_MS || 20
+    },
+    reconnect: {
+      initialDelayMs: process.env.PLC_RECONNECT_INITIAL_MS || 1000,
+      maxDelayMs: process.env.PLC_RECONNECT_MAX_MS || 60000,
+      factor: process.env.PLC_RECONNECT_FACTOR || 2
+    }
+  },
+  opcua: {
+    enabled: process.env.OPCUA_ENABLED !== 'false',
+    applicationName: process.env.OPCUA_APPLICATION_NAME || 'IoT Platform',
+    requestTimeoutMs: process.env.OPCUA_REQUEST_TIMEOUT_MS || 10000,
+    publishingIntervalMs: process.env.OPCUA_PUBLISHING_INTERVAL_MS || 1000,
+    samplingIntervalMs: process.env.OPCUA_SAMPLING_INTERVAL_MS || 1000,
+    queueSize: process.env.OPCUA_QUEUE_SIZE || 10,
+    // Upper bound on the references returned by one browse request
+    browseMaxReferences: process.env.OPCUA_BROWSE_MAX_REFERENCES || 1000,
+    reconnect: {
+      initialDelayMs: process.env.OPCUA_RECONNECT_INITIAL_MS || 1000,
+      maxDelayMs: process.env.OPCUA_RECONNECT_MAX_MS || 60000,
+      factor: process.env.OPCUA_RECONNECT_FACTOR || 2
+    }
+  },
+  socket: {
+    namespace: process.env.SOCKET_NAMESPACE || '/telemetry'
+  },
+  rulesEngine: {
+    cacheTtlMs: process.env.RULE_CHAIN_CACHE_TTL_MS || 60000,
+    scriptTimeoutMs: process.env.RULE_SCRIPT_TIMEOUT_MS || 100,
+    sandboxCacheMaxSize: process.env.RULE_SANDBOX_CACHE_MAX_SIZE || 100,
+    maxNodeExecutions: process.env.RULE_MAX_NODE_EXECUTIONS || 100
   }
 };
\ No newline at end of file
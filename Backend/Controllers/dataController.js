@@ -1,10 +1,11 @@
-const Device = require('../Model/device');
-const DataPoint = require('../Models/datapoint');
+const Device = require('../Models/device');
+const Telemetry = require('../Models/telementary');
 const { asyncHandler } = require('../middleware/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
-const plcService = require('../services/plcService');
-const dataExtractionService = require('../services/dataExtractionService');
-const analysisService = require('../services/analysisService');
+const plcService = require('../Services/plcService');
+const dataExtractionService = require('../Services/dataExtractionService');
+const analysisService = require('../Services/analysisService');
+const registerMapService = require('../Services/registerMapService');
 
 // @desc    Get latest data for a device
 // @route   GET /api/data/:deviceId/latest
@@ -54,23 +55,32 @@ exports.getHistoricalData = asyncHandler(async (req, res, next) => {
   // Extract query parameters
   const { startDate, endDate, register, limit = 1000 } = req.query;
 
-  // Build query
-  const query = { device: req.params.deviceId };
-  
-  if (startDate && endDate) {
-    query.timestamp = {
-      $gte: new Date(startDate),
-      $lte: new Date(endDate)
-    };
-  }
+  // Registers are stored as telemetry under their key
+  let registers = await registerMapService.getRegisters(device);
   
   if (register) {
-    query.registerName = register;
+    registers = registers.filter(entry => entry.name === register);
+    if (registers.length === 0) {
+      return next(new ErrorResponse(`Register ${register} is not defined for device ${req.params.deviceId}`, 404));
+    }
   }
 
-  const data = await DataPoint.find(query)
-    .sort({ timestamp: -1 })
-    .limit(parseInt(limit, 10));
+  const limitNum = parseInt(limit, 10);
+  const series = await Promise.all(registers.map(async entry => {
+    const points = await Telemetry.getHistorical(
+      device._id,
+      entry.key || entry.name,
+      startDate && endDate ? startDate : undefined,
+      startDate && endDate ? endDate : undefined,
+      limitNum
+    );
+    return points.map(point => ({ ...point, registerName: entry.name, units: entry.units }));
+  }));
+
+  const data = series
+    .flat()
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(0, limitNum);
 
   res.status(200).json({
     success: true,
@@ -95,12 +105,19 @@ exports.getAnalysis = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`User ${req.user.id} is not authorized to access this device analysis`, 403));
   }
 
-  // Get time period from query parameters
-  const { period = '24h' } = req.query;
+  // Get time period, keys and alarm option from query parameters
+  const { period = '24h', keys, raiseAlarms } = req.query;
+
+  if (!analysisService.isValidPeriod(period)) {
+    return next(new ErrorResponse(`Invalid period ${period}, use a number followed by m, h, d or w`, 400));
+  }
 
   try {
     // Analyze the data
-    const analysisResult = await analysisService.analyzeDeviceData(device, period);
+    const analysisResult = await analysisService.analyzeDeviceData(device, period, {
+      keys: keys ? keys.split(',').map(key => key.trim()).filter(Boolean) : undefined,
+      raiseAlarms: raiseAlarms === 'true'
+    });
     
     res.status(200).json({
       success: true,
@@ -128,8 +145,8 @@ exports.refreshData = asyncHandler(async (req, res, next) => {
   }
 
   try {
-    // Force a data refresh
-    const data = await dataExtractionService.extractAndSaveData(device);
+    // Force a data refresh, storing every register regardless of its deadband
+    const data = await dataExtractionService.extractAndSaveData(device, { force: true });
     
     res.status(200).json({
       success: true,
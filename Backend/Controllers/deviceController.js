@@ -1,7 +1,11 @@
-const Device = require('../models/device');
+const Device = require('../Models/device');
+const Gateway = require('../Models/gateway');
+const RuleChain = require('../Models/ruleChain');
 const { asyncHandler } = require('../middleware/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
-const plcService = require('../services/plcService');
+const plcService = require('../Services/plcService');
+const opcuaService = require('../Services/opcuaService');
+const TelemetryService = require('../Services/telementryServices');
 
 // @desc    Get all devices for current user
 // @route   GET /api/devices
@@ -84,14 +88,79 @@ exports.updateDevice = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`User ${req.user.id} is not authorized to update this device`, 403));
   }
 
-  device = await Device.findByIdAndUpdate(req.params.id, req.body, {
+  // Connection settings decide where the platform connects and which credentials it sends.
+  // Paths can also arrive dotted or inside update operators like $set.
+  const updatedPaths = Object.entries(req.body).flatMap(([key, value]) =>
+    (key.startsWith('$') && value && typeof value === 'object' ? Object.keys(value) : [key]));
+  const connectionPaths = updatedPaths.filter(path => /^(ipAddress|port|gatewayId|modbusConfig|opcuaConfig)(\.|$)/.test(path));
+  if (connectionPaths.length > 0 && !['admin', 'tenant_admin'].includes(req.user.role)) {
+    return next(new ErrorResponse(`User ${req.user.id} is not authorized to change connection settings`, 403));
+  }
+
+  // The rule chain runs on every message of the device, so only managers pick it, within the device's tenant
+  if (updatedPaths.includes('ruleChainId')) {
+    if (!['admin', 'tenant_admin'].includes(req.user.role)) {
+      return next(new ErrorResponse(`User ${req.user.id} is not authorized to change the rule chain`, 403));
+    }
+
+    const { ruleChainId } = { ...req.body, ...req.body.$set };
+    if (ruleChainId) {
+      const ruleChain = await RuleChain.findById(ruleChainId).select('tenantId').lean();
+      if (!ruleChain) {
+        return next(new ErrorResponse(`Rule chain not found with id of ${ruleChainId}`, 400));
+      }
+      if (String(ruleChain.tenantId || '') !== String(device.tenantId || '')) {
+        return next(new ErrorResponse(`Rule chain ${ruleChainId} belongs to another tenant`, 403));
+      }
+    }
+  }
+
+  // The stored OPC UA password never follows the device to another server. A whole opcuaConfig
+  // replaces the stored one, so only a dotted endpoint change, top-level or in $set, has to unset it.
+  const update = { ...req.body };
+  const updatedValues = { ...req.body, ...req.body.$set };
+  const endpointUrl = updatedValues['opcuaConfig.endpointUrl'];
+  if (endpointUrl !== undefined && updatedValues['opcuaConfig.password'] === undefined &&
+      endpointUrl !== (device.opcuaConfig && device.opcuaConfig.endpointUrl)) {
+    update.$unset = { ...update.$unset, 'opcuaConfig.password': 1 };
+  }
+
+  // A gateway is shared by the devices behind it, so it must be the tenant's own and the unit ID free.
+  // The loaded device takes the new values only to be checked, the update below writes them.
+  if (updatedPaths.some(path => /^(gatewayId|modbusConfig)(\.|$)/.test(path))) {
+    for (const [path, value] of Object.entries(updatedValues)) {
+      if (!path.startsWith('$')) device.set(path, value);
+    }
+
+    try {
+      await plcService.checkGatewayAssignment(device);
+    } catch (error) {
+      const status = { INVALID_GATEWAY: 400, GATEWAY_FORBIDDEN: 403, UNIT_ID_IN_USE: 409 }[error.code];
+      if (!status) throw error;
+      return next(new ErrorResponse(error.message, status));
+    }
+  }
+
+  device = await Device.findByIdAndUpdate(req.params.id, update, {
     new: true,
     runValidators: true
   });
 
-  // Restart PLC connection if IP, port or configuration changed
-  if (req.body.ipAddress || req.body.port || req.body.modbusConfig) {
+  // Ingestion picks up the new settings and the suspension with its next message
+  TelemetryService.invalidateDevice(req.params.id);
+
+  // Restart PLC connection if IP, port, gateway or configuration changed
+  if (req.body.ipAddress || req.body.port || req.body.gatewayId !== undefined || req.body.modbusConfig) {
     await plcService.restartConnection(device);
+  } else if (req.body.status === 'suspended') {
+    plcService.pauseDevice(device._id);
+  } else if (req.body.status) {
+    plcService.resumeDevice(device._id);
+  }
+
+  // Resubscribe if the OPC UA configuration or the suspension changed
+  if (req.body.opcuaConfig || req.body.status) {
+    await opcuaService.restartConnection(device);
   }
 
   res.status(200).json({
@@ -116,10 +185,12 @@ exports.deleteDevice = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`User ${req.user.id} is not authorized to delete this device`, 403));
   }
 
-  // Close the PLC connection before deleting
+  // Close the PLC and OPC UA connections before deleting
   await plcService.closeConnection(device._id);
+  await opcuaService.closeConnection(device._id);
 
   await device.remove();
+  TelemetryService.invalidateDevice(device._id);
 
   res.status(200).json({
     success: true,
@@ -143,9 +214,17 @@ exports.testConnection = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`User ${req.user.id} is not authorized to test this device`, 403));
   }
 
+  // Devices behind a gateway are reached through the gateway address and framing
+  const gateway = device.gatewayId ? await Gateway.findById(device.gatewayId) : null;
+  if (device.gatewayId && !gateway) {
+    return next(new ErrorResponse(`Gateway not found with id of ${device.gatewayId}`, 404));
+  }
+
   const connectionResult = await plcService.testConnection({
-    ipAddress: device.ipAddress,
-    port: device.port,
+    ipAddress: gateway ? gateway.ipAddress : device.ipAddress,
+    port: gateway ? gateway.port : device.port,
+    framing: gateway ? gateway.framing : device.modbusConfig.framing,
+    timeout: device.modbusConfig.timeout || (gateway && gateway.unitTimeout),
     unitId: device.modbusConfig.unitId
   });
 
@@ -48,8 +48,16 @@ exports.authenticateUser = async (req, res, next) => {
  */
 exports.authenticateDevice = async (req, res, next) => {
   try {
-    // Get token from header
-    const token = req.header('X-Device-Token');
+    // Get token from header, or from the URL of the HTTP device API.
+    // When both are given they must agree, the request acts on one device only.
+    const headerToken = req.header('X-Device-Token');
+    const urlToken = req.params && req.params.token;
+    
+    if (headerToken && urlToken && headerToken !== urlToken) {
+      return res.status(400).json({ message: 'Device token in the URL and in the X-Device-Token header differ' });
+    }
+    
+    const token = headerToken || urlToken;
     
     if (!token) {
       return res.status(401).json({ message: 'No device token provided' });
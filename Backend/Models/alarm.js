@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+const SEVERITIES = ['critical', 'major', 'minor', 'warning', 'indeterminate'];
+const STATUSES = ['active_unack', 'active_ack', 'cleared_unack', 'cleared_ack'];
+const ACTIVE_STATUSES = ['active_unack', 'active_ack'];
+
+const AlarmSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  originatorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true
+  },
+  originatorName: {
+    type: String
+  },
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    default: null
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  severity: {
+    type: String,
+    enum: SEVERITIES,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'active_unack'
+  },
+  propagate: {
+    type: Boolean,
+    default: false
+  },
+  // Entities (customer, tenant) the alarm is propagated to
+  propagatedTo: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: []
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  startTs: {
+    type: Date,
+    default: Date.now
+  },
+  endTs: {
+    type: Date,
+    default: Date.now
+  },
+  ackTs: {
+    type: Date
+  },
+  ackBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  clearTs: {
+    type: Date
+  },
+  clearedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index used for de-duplication by originator and type
+AlarmSchema.index({ originatorId: 1, type: 1, status: 1 });
+// At most one active alarm per originator and type, whatever the number of concurrent writers
+AlarmSchema.index(
+  { originatorId: 1, type: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ACTIVE_STATUSES } } }
+);
+AlarmSchema.index({ tenantId: 1, customerId: 1, startTs: -1 });
+AlarmSchema.index({ propagatedTo: 1, startTs: -1 });
+
+// Update timestamp on document update
+AlarmSchema.pre('findOneAndUpdate', function() {
+  this.set({ updatedAt: Date.now() });
+});
+
+AlarmSchema.virtual('cleared').get(function() {
+  return this.status.startsWith('cleared');
+});
+
+AlarmSchema.virtual('acknowledged').get(function() {
+  return this.status.endsWith('_ack');
+});
+
+// Static method to find the active alarm of a type for an originator
+AlarmSchema.statics.findActive = function(originatorId, type) {
+  return this.findOne({
+    originatorId,
+    type,
+    status: { $in: ACTIVE_STATUSES }
+  });
+};
+
+AlarmSchema.statics.SEVERITIES = SEVERITIES;
+AlarmSchema.statics.STATUSES = STATUSES;
+AlarmSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+module.exports = mongoose.model('Alarm', AlarmSchema);
\ No newline at end of file
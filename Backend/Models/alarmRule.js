@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const OPERATORS = ['>', '>=', '<', '<=', '==', '!='];
+
+const ConditionSchema = new mongoose.Schema({
+  operator: {
+    type: String,
+    enum: OPERATORS,
+    required: true
+  },
+  threshold: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const CreateConditionSchema = new mongoose.Schema({
+  severity: {
+    type: String,
+    enum: ['critical', 'major', 'minor', 'warning', 'indeterminate'],
+    required: true
+  },
+  operator: {
+    type: String,
+    enum: OPERATORS,
+    required: true
+  },
+  threshold: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const AlarmRuleSchema = new mongoose.Schema({
+  alarmType: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    default: null
+  },
+  deviceType: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Evaluated from the most to the least severe, the first match wins
+  createConditions: {
+    type: [CreateConditionSchema],
+    validate: [conditions => conditions.length > 0, 'At least one create condition is required']
+  },
+  // When omitted, the alarm clears as soon as no create condition matches
+  clearCondition: {
+    type: ConditionSchema,
+    default: null
+  },
+  propagate: {
+    type: Boolean,
+    default: false
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AlarmRuleSchema.index({ tenantId: 1, deviceType: 1, key: 1 });
+
+// Update timestamp on document update
+AlarmRuleSchema.pre('findOneAndUpdate', function() {
+  this.set({ updatedAt: Date.now() });
+});
+
+AlarmRuleSchema.statics.OPERATORS = OPERATORS;
+
+module.exports = mongoose.model('AlarmRule', AlarmRuleSchema);
\ No newline at end of file
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// A telemetry key computed on ingestion from other keys of the same device
+const CalculatedFieldSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    default: null
+  },
+  deviceType: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  inputs: {
+    type: [String],
+    required: true,
+    validate: {
+      validator: inputs => inputs.length > 0,
+      message: 'At least one input key is required'
+    }
+  },
+  // Expression in a safe subset of JavaScript (see utils/expression), e.g. `voltage * current` or `delta('energy') / dt('energy')`
+  expression: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+CalculatedFieldSchema.index({ tenantId: 1, deviceType: 1, key: 1 }, { unique: true });
+
+// A field cannot feed itself
+CalculatedFieldSchema.pre('validate', function(next) {
+  if (this.inputs && this.inputs.includes(this.key)) {
+    this.invalidate('inputs', 'A calculated field cannot use its own key as an input');
+  }
+  next();
+});
+
+// Update timestamp on document update
+CalculatedFieldSchema.pre('findOneAndUpdate', function() {
+  this.set({ updatedAt: Date.now() });
+});
+
+module.exports = mongoose.model('CalculatedField', CalculatedFieldSchema);
\ No newline at end of file
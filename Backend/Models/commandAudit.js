@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// success: written and verified, mismatch: written but the read-back differs,
+// failed: the device or connection failed, rejected: invalid command, nothing was written
+const STATUSES = ['success', 'mismatch', 'failed', 'rejected'];
+const TRANSPORTS = ['modbus', 'opcua'];
+
+// Audit trail of commands written directly to industrial devices
+const CommandAuditSchema = new mongoose.Schema({
+  deviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true
+  },
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  transport: {
+    type: String,
+    enum: TRANSPORTS,
+    required: true
+  },
+  command: {
+    type: String,
+    required: true
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  register: {
+    type: String
+  },
+  address: {
+    type: Number
+  },
+  // Node written by OPC UA commands
+  nodeId: {
+    type: String
+  },
+  functionCode: {
+    type: Number
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Raw words or coil states sent to the device
+  written: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined
+  },
+  readBack: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    required: true
+  },
+  error: {
+    type: String
+  },
+  durationMs: {
+    type: Number
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+CommandAuditSchema.index({ deviceId: 1, createdAt: -1 });
+CommandAuditSchema.index({ tenantId: 1, createdAt: -1 });
+
+CommandAuditSchema.statics.STATUSES = STATUSES;
+CommandAuditSchema.statics.TRANSPORTS = TRANSPORTS;
+
+module.exports = mongoose.model('CommandAudit', CommandAuditSchema);
\ No newline at end of file
@@ -32,6 +32,171 @@ const DeviceSchema = new mongoose.Schema({
     ref: 'Tenant',
     default: null
   },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  ruleChainId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RuleChain',
+    default: null
+  },
+  deviceProfileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeviceProfile',
+    default: null
+  },
+  // Modbus connection, set for devices polled by the PLC service: either an address of their own
+  // or a gateway shared with other devices
+  gatewayId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Gateway',
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  port: {
+    type: Number,
+    default: 502
+  },
+  modbusConfig: {
+    unitId: {
+      type: Number,
+      default: 1,
+      min: 0,
+      max: 255
+    },
+    // Framing of a direct connection: tcp (MBAP) or rtu over TCP
+    framing: {
+      type: String,
+      enum: ['tcp', 'rtu'],
+      default: 'tcp'
+    },
+    timeout: {
+      type: Number
+    },
+    pollInterval: {
+      type: Number,
+      min: 100
+    },
+    // Poll groups of the device, overriding the groups of its register map with the same name
+    pollGroups: [{
+      _id: false,
+      name: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      interval: {
+        type: Number,
+        required: true,
+        min: 100
+      },
+      maxSilence: {
+        type: Number,
+        min: 0
+      }
+    }],
+    registers: [{
+      _id: false,
+      name: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      // Telemetry key, defaults to the register name
+      key: {
+        type: String,
+        trim: true
+      },
+      type: {
+        type: String,
+        enum: ['holding', 'input', 'coil', 'discrete'],
+        default: 'holding'
+      },
+      address: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 65535
+      },
+      count: {
+        type: Number,
+        default: 1,
+        min: 1,
+        max: 125
+      },
+      pollGroup: {
+        type: String,
+        trim: true
+      },
+      deadband: {
+        type: Number,
+        min: 0
+      }
+    }]
+  },
+  // OPC UA connection, set for devices whose data comes from an OPC UA server
+  opcuaConfig: {
+    endpointUrl: {
+      type: String,
+      trim: true
+    },
+    securityMode: {
+      type: String,
+      enum: ['None', 'Sign', 'SignAndEncrypt'],
+      default: 'None'
+    },
+    securityPolicy: {
+      type: String,
+      enum: ['None', 'Basic256Sha256', 'Aes128_Sha256_RsaOaep', 'Aes256_Sha256_RsaPss'],
+      default: 'None'
+    },
+    // Anonymous session when unset
+    username: {
+      type: String,
+      trim: true
+    },
+    password: {
+      type: String,
+      select: false
+    },
+    publishingInterval: {
+      type: Number,
+      min: 50
+    },
+    // Monitored nodes and the telemetry key of each
+    nodes: [{
+      _id: false,
+      nodeId: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      key: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      samplingInterval: {
+        type: Number,
+        min: 0
+      },
+      // Absolute deadband applied by the server, every change is reported when unset
+      deadband: {
+        type: Number,
+        min: 0
+      },
+      // Only writable nodes accept commands
+      writable: {
+        type: Boolean,
+        default: false
+      }
+    }]
+  },
   credentials: {
     accessToken: {
       type: String,
@@ -51,6 +216,12 @@ const DeviceSchema = new mongoose.Schema({
     of: mongoose.Schema.Types.Mixed,
     default: {}
   },
+  // Keys of the attributes shared with the device: set by the platform, readable by the device.
+  // The other attributes are the device's own (client) or the platform's (server).
+  sharedAttributeKeys: {
+    type: [String],
+    default: []
+  },
   lastActivity: {
     type: Date
   },
@@ -78,6 +249,12 @@ const DeviceSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Devices behind the same gateway are addressed by unit ID, so it must be unique per gateway
+DeviceSchema.index(
+  { gatewayId: 1, 'modbusConfig.unitId': 1 },
+  { unique: true, partialFilterExpression: { gatewayId: { $type: 'objectId' } } }
+);
+
 // Update timestamp on document update
 DeviceSchema.pre('findOneAndUpdate', function() {
   this.set({ updatedAt: Date.now() });
@@ -104,4 +281,15 @@ DeviceSchema.methods.updateAttributes = function(attributes) {
   return this.save();
 };
 
+// Method to get the shared attributes, optionally only some keys
+DeviceSchema.methods.getSharedAttributes = function(keys = []) {
+  const shared = {};
+  for (const key of this.sharedAttributeKeys || []) {
+    if ((keys.length === 0 || keys.includes(key)) && this.attributes.has(key)) {
+      shared[key] = this.attributes.get(key);
+    }
+  }
+  return shared;
+};
+
 module.exports = mongoose.model('Device', DeviceSchema);
\ No newline at end of file
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const PAYLOAD_FORMATS = ['json', 'cbor', 'protobuf'];
+
+const DeviceProfileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    default: null
+  },
+  payloadFormat: {
+    type: String,
+    enum: PAYLOAD_FORMATS,
+    default: 'json'
+  },
+  // Protobuf only: the uploaded .proto source and the message types to decode with
+  protoSchema: {
+    type: String
+  },
+  telemetryMessageType: {
+    type: String,
+    trim: true
+  },
+  attributesMessageType: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+DeviceProfileSchema.index({ tenantId: 1, name: 1 }, { unique: true });
+
+// Protobuf profiles cannot decode anything without a schema
+DeviceProfileSchema.pre('validate', function(next) {
+  if (this.payloadFormat === 'protobuf') {
+    if (!this.protoSchema) {
+      this.invalidate('protoSchema', 'A .proto schema is required for protobuf payloads');
+    }
+    if (!this.telemetryMessageType) {
+      this.invalidate('telemetryMessageType', 'A telemetry message type is required for protobuf payloads');
+    }
+  }
+  next();
+});
+
+// Update timestamp on document update
+DeviceProfileSchema.pre('findOneAndUpdate', function() {
+  this.set({ updatedAt: Date.now() });
+});
+
+DeviceProfileSchema.statics.PAYLOAD_FORMATS = PAYLOAD_FORMATS;
+
+module.exports = mongoose.model('DeviceProfile', DeviceProfileSchema);
\ No newline at end of file
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// tcp: Modbus TCP (MBAP header), rtu: Modbus RTU frames tunnelled over a TCP socket
+const FRAMINGS = ['tcp', 'rtu'];
+
+// RS-485-to-Ethernet gateway: one Modbus connection shared by every device behind it, addressed by unit ID
+const GatewaySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  port: {
+    type: Number,
+    default: 502
+  },
+  framing: {
+    type: String,
+    enum: FRAMINGS,
+    default: 'rtu'
+  },
+  // Default response timeout of each unit, devices can override it
+  unitTimeout: {
+    type: Number,
+    min: 50
+  },
+  // Silence kept on the bus between two requests
+  interFrameDelay: {
+    type: Number,
+    min: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+GatewaySchema.index({ tenantId: 1, name: 1 }, { unique: true });
+
+// Update timestamp on document update
+GatewaySchema.pre('findOneAndUpdate', function() {
+  this.set({ updatedAt: Date.now() });
+});
+
+GatewaySchema.statics.FRAMINGS = FRAMINGS;
+
+module.exports = mongoose.model('Gateway', GatewaySchema);
\ No newline at end of file
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const ImportErrorSchema = new mongoose.Schema({
+  row: {
+    type: Number,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+const ImportJobSchema = new mongoose.Schema({
+  deviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true
+  },
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    default: null
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'ndjson'],
+    required: true
+  },
+  // Source column (CSV header or NDJSON field) -> telemetry key
+  mapping: {
+    type: Map,
+    of: String,
+    required: true
+  },
+  timestampColumn: {
+    type: String,
+    default: 'timestamp'
+  },
+  // iso, epoch_ms, epoch_s or a pattern such as 'DD/MM/YYYY HH:mm:ss' (UTC)
+  timestampFormat: {
+    type: String,
+    default: 'iso'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+  processedRows: {
+    type: Number,
+    default: 0
+  },
+  failedRows: {
+    type: Number,
+    default: 0
+  },
+  importedPoints: {
+    type: Number,
+    default: 0
+  },
+  // Row errors, capped at telemetry.import.maxRowErrors
+  rowErrors: [ImportErrorSchema],
+  message: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ImportJobSchema.index({ deviceId: 1, createdAt: -1 });
+
+// Update timestamp on document update
+ImportJobSchema.pre('findOneAndUpdate', function() {
+  this.set({ updatedAt: Date.now() });
+});
+
+module.exports = mongoose.model('ImportJob', ImportJobSchema);
\ No newline at end of file
@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+
+// Modbus read function codes: 1 coils, 2 discrete inputs, 3 holding registers, 4 input registers
+const FUNCTION_CODES = [1, 2, 3, 4];
+const DATA_TYPES = ['int16', 'uint16', 'int32', 'uint32', 'float32', 'float64', 'string', 'bit'];
+const WORD_ORDERS = ['big', 'little'];
+
+// 16-bit registers occupied by each fixed-size data type
+const DATA_TYPE_WORDS = {
+  int16: 1,
+  uint16: 1,
+  int32: 2,
+  uint32: 2,
+  float32: 2,
+  float64: 4,
+  bit: 1
+};
+
+const RegisterSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Telemetry key the decoded value is stored under, defaults to the register name
+  key: {
+    type: String,
+    trim: true
+  },
+  functionCode: {
+    type: Number,
+    enum: FUNCTION_CODES,
+    default: 3
+  },
+  address: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 65535
+  },
+  // Registers to read, only needed for strings (two characters per register)
+  count: {
+    type: Number,
+    min: 1,
+    max: 125
+  },
+  dataType: {
+    type: String,
+    enum: DATA_TYPES,
+    default: 'uint16'
+  },
+  // Bit index inside a holding/input register for the bit data type
+  bit: {
+    type: Number,
+    min: 0,
+    max: 15
+  },
+  // Order of the 16-bit words of multi-register values, and of the two bytes inside each word
+  wordOrder: {
+    type: String,
+    enum: WORD_ORDERS,
+    default: 'big'
+  },
+  byteOrder: {
+    type: String,
+    enum: WORD_ORDERS,
+    default: 'big'
+  },
+  // Engineering value = raw value * scale + offset
+  scale: {
+    type: Number,
+    default: 1
+  },
+  offset: {
+    type: Number,
+    default: 0
+  },
+  units: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Poll group the register is read with, the device poll interval when unset
+  pollGroup: {
+    type: String,
+    trim: true
+  },
+  // Report by exception: only changes larger than this (in engineering units) become telemetry,
+  // every read is reported when unset
+  deadband: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+// Registers polled together at their own interval, e.g. fast alarms and slow counters
+const PollGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  interval: {
+    type: Number,
+    required: true,
+    min: 100
+  },
+  // Longest time an unchanged deadband register stays unreported
+  maxSilence: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+// Register map of a device type, shared by every device of that type in the tenant
+const RegisterMapSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    default: null
+  },
+  deviceType: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  registers: {
+    type: [RegisterSchema],
+    default: []
+  },
+  pollGroups: {
+    type: [PollGroupSchema],
+    default: []
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RegisterMapSchema.index({ tenantId: 1, deviceType: 1 }, { unique: true });
+
+// Registers must be addressable by name, consistent with their function code and in a defined poll group
+RegisterMapSchema.pre('validate', function(next) {
+  const names = new Set();
+  const groups = new Set();
+
+  this.pollGroups.forEach((group, index) => {
+    if (groups.has(group.name)) {
+      this.invalidate(`pollGroups.${index}.name`, `Duplicate poll group: ${group.name}`);
+    }
+    groups.add(group.name);
+  });
+
+  this.registers.forEach((register, index) => {
+    const path = `registers.${index}`;
+
+    if (names.has(register.name)) {
+      this.invalidate(`${path}.name`, `Duplicate register name: ${register.name}`);
+    }
+    names.add(register.name);
+
+    if (register.functionCode <= 2 && register.dataType !== 'bit') {
+      this.invalidate(`${path}.dataType`, `Register ${register.name}: coils and discrete inputs must use the bit data type`);
+    }
+    if (register.functionCode >= 3 && register.dataType === 'bit' &&
+        (register.bit === undefined || register.bit === null)) {
+      this.invalidate(`${path}.bit`, `Register ${register.name}: a bit index is required for bits of holding/input registers`);
+    }
+    if (register.dataType === 'string' && !register.count) {
+      this.invalidate(`${path}.count`, `Register ${register.name}: a register count is required for strings`);
+    }
+    if (register.pollGroup && !groups.has(register.pollGroup)) {
+      this.invalidate(`${path}.pollGroup`, `Register ${register.name}: unknown poll group ${register.pollGroup}`);
+    }
+  });
+
+  next();
+});
+
+// Update timestamp on document update
+RegisterMapSchema.pre('findOneAndUpdate', function() {
+  this.set({ updatedAt: Date.now() });
+});
+
+/**
+ * Number of registers (or bits) read for a register entry
+ * @param {Object} register - Register entry
+ * @returns {number} - Register count
+ */
+RegisterMapSchema.statics.registerCount = function(register) {
+  if (register.dataType === 'string') {
+    return register.count;
+  }
+  return DATA_TYPE_WORDS[register.dataType] || 1;
+};
+
+RegisterMapSchema.statics.FUNCTION_CODES = FUNCTION_CODES;
+RegisterMapSchema.statics.DATA_TYPES = DATA_TYPES;
+RegisterMapSchema.statics.WORD_ORDERS = WORD_ORDERS;
+
+module.exports = mongoose.model('RegisterMap', RegisterMapSchema);
\ No newline at end of file
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Empty scope fields match everything, so a policy with only a key applies to that key everywhere
+const RetentionPolicySchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    default: null
+  },
+  deviceType: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  key: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  ttlDays: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RetentionPolicySchema.index({ tenantId: 1, deviceType: 1, key: 1 }, { unique: true });
+
+// Update timestamp on document update
+RetentionPolicySchema.pre('findOneAndUpdate', function() {
+  this.set({ updatedAt: Date.now() });
+});
+
+// Higher is more specific: key beats device type, device type beats tenant
+RetentionPolicySchema.virtual('specificity').get(function() {
+  return (this.key ? 4 : 0) + (this.deviceType ? 2 : 0) + (this.tenantId ? 1 : 0);
+});
+
+module.exports = mongoose.model('RetentionPolicy', RetentionPolicySchema);
\ No newline at end of file
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+const RuleNodeSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['filter', 'transform', 'enrich', 'action']
+  },
+  kind: {
+    type: String,
+    required: true
+  },
+  config: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, { _id: false });
+
+const RuleConnectionSchema = new mongoose.Schema({
+  fromId: {
+    type: String,
+    required: true
+  },
+  toId: {
+    type: String,
+    required: true
+  },
+  relationType: {
+    type: String,
+    required: true // e.g. True, False, Success, Failure
+  }
+}, { _id: false });
+
+const RuleChainSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    default: null
+  },
+  root: {
+    type: Boolean,
+    default: false
+  },
+  debugMode: {
+    type: Boolean,
+    default: false
+  },
+  firstNodeId: {
+    type: String
+  },
+  nodes: {
+    type: [RuleNodeSchema],
+    default: []
+  },
+  connections: {
+    type: [RuleConnectionSchema],
+    default: []
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RuleChainSchema.index({ tenantId: 1, root: 1 });
+
+// Make sure node ids are unique and every connection points at an existing node
+RuleChainSchema.pre('validate', function(next) {
+  const nodeIds = new Set();
+
+  for (const node of this.nodes) {
+    if (nodeIds.has(node.id)) {
+      this.invalidate('nodes', `Duplicate rule node id: ${node.id}`);
+    }
+    nodeIds.add(node.id);
+  }
+
+  if (this.nodes.length > 0 && !this.firstNodeId) {
+    this.firstNodeId = this.nodes[0].id;
+  }
+
+  if (this.firstNodeId && !nodeIds.has(this.firstNodeId)) {
+    this.invalidate('firstNodeId', `First node ${this.firstNodeId} does not exist in the chain`);
+  }
+
+  for (const connection of this.connections) {
+    if (!nodeIds.has(connection.fromId) || !nodeIds.has(connection.toId)) {
+      this.invalidate(
+        'connections',
+        `Connection ${connection.fromId} -> ${connection.toId} references an unknown node`
+      );
+    }
+  }
+
+  next();
+});
+
+// Update timestamp on save and on document update
+RuleChainSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+RuleChainSchema.pre('findOneAndUpdate', function() {
+  this.set({ updatedAt: Date.now() });
+});
+
+module.exports = mongoose.model('RuleChain', RuleChainSchema);
\ No newline at end of file
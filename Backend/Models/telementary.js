@@ -1,4 +1,74 @@
 const mongoose = require('mongoose');
+const TelemetryRollup = require('./telemetryRollup');
+
+// Each value type is stored in its own field so numeric aggregation never touches strings or JSON
+const VALUE_TYPES = ['boolean', 'long', 'double', 'string', 'json'];
+const NUMERIC_TYPES = ['long', 'double'];
+const VALUE_FIELDS = {
+  boolean: 'booleanValue',
+  long: 'longValue',
+  double: 'doubleValue',
+  string: 'stringValue',
+  json: 'jsonValue'
+};
+
+// Aggregation expression for the numeric value of a point
+const NUMERIC_VALUE = { $ifNull: ['$doubleValue', '$longValue'] };
+
+// Aggregation expression for the typed value of a point
+const TYPED_VALUE = {
+  $switch: {
+    branches: VALUE_TYPES.map(valueType => ({
+      case: { $eq: ['$valueType', valueType] },
+      then: `$${VALUE_FIELDS[valueType]}`
+    })),
+    default: null
+  }
+};
+
+// Bucket aggregations. Rollups can serve ROLLUP_AGGREGATIONS, the others need raw points.
+const AGGREGATIONS = ['avg', 'min', 'max', 'sum', 'count', 'first', 'last', 'delta',
+  'stddev', 'p50', 'p95', 'p99', 'countDistinct', 'twa'];
+const ROLLUP_AGGREGATIONS = ['avg', 'min', 'max', 'sum', 'count', 'first', 'last', 'delta'];
+// Percentiles use the $percentile accumulator, which needs MongoDB 7.0 or later. They are
+// computed only when asked for, so older servers serve every other statistic.
+const PERCENTILES = { p50: 0.5, p95: 0.95, p99: 0.99 };
+
+// Accumulators over raw points (`$v` is the numeric value, `$duration` the time until the
+// next point of the bucket) and the projection turning them into each aggregation
+const RAW_AGGREGATIONS = {
+  avg: { group: { avg: { $avg: '$v' } }, value: '$avg' },
+  min: { group: { min: { $min: '$v' } }, value: '$min' },
+  max: { group: { max: { $max: '$v' } }, value: '$max' },
+  sum: { group: { sum: { $sum: '$v' } }, value: '$sum' },
+  count: { group: {}, value: '$count' },
+  first: { group: { first: { $first: '$v' } }, value: '$first' },
+  last: { group: { last: { $last: '$v' } }, value: '$last' },
+  delta: { group: { first: { $first: '$v' }, last: { $last: '$v' } }, value: { $subtract: ['$last', '$first'] } },
+  stddev: { group: { stddev: { $stdDevPop: '$v' } }, value: '$stddev' },
+  countDistinct: { group: { distinct: { $addToSet: '$v' } }, value: { $size: '$distinct' } },
+  // Each point holds its value until the next point; a single point is its own average
+  twa: {
+    group: { avg: { $avg: '$v' }, twaArea: { $sum: { $multiply: ['$v', '$duration'] } }, twaTime: { $sum: '$duration' } },
+    value: { $cond: [{ $gt: ['$twaTime', 0] }, { $divide: ['$twaArea', '$twaTime'] }, '$avg'] }
+  },
+  ...Object.fromEntries(Object.entries(PERCENTILES).map(([name, p]) => [name, {
+    group: { [name]: { $percentile: { input: '$v', p: [p], method: 'approximate' } } },
+    value: { $arrayElemAt: [`$${name}`, 0] }
+  }]))
+};
+
+// Accumulators combining rollup buckets, sorted by bucket
+const ROLLUP_AGGREGATION_STAGES = {
+  avg: { group: { sum: { $sum: '$sum' } }, value: { $divide: ['$sum', '$count'] } },
+  min: { group: { min: { $min: '$min' } }, value: '$min' },
+  max: { group: { max: { $max: '$max' } }, value: '$max' },
+  sum: { group: { sum: { $sum: '$sum' } }, value: '$sum' },
+  count: { group: {}, value: '$count' },
+  first: { group: { first: { $first: '$first' } }, value: '$first' },
+  last: { group: { last: { $last: '$last' } }, value: '$last' },
+  delta: { group: { first: { $first: '$first' }, last: { $last: '$last' } }, value: { $subtract: ['$last', '$first'] } }
+};
 
 const TelemetrySchema = new mongoose.Schema({
   deviceId: {
@@ -16,35 +86,120 @@ const TelemetrySchema = new mongoose.Schema({
     required: true,
     index: true
   },
-  value: {
-    type: mongoose.Schema.Types.Mixed,
+  valueType: {
+    type: String,
+    enum: VALUE_TYPES,
     required: true
+  },
+  booleanValue: {
+    type: Boolean
+  },
+  longValue: {
+    type: Number
+  },
+  doubleValue: {
+    type: Number
+  },
+  stringValue: {
+    type: String
+  },
+  jsonValue: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
   }
 }, {
   timeseries: {
     timeField: 'timestamp',
     metaField: 'deviceId',
     granularity: 'minutes'
-  }
+  },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
 // Create compound index for efficient querying
 TelemetrySchema.index({ deviceId: 1, key: 1, timestamp: -1 });
 
-// Static method to batch insert telemetry
+// Virtual for the typed value
+TelemetrySchema.virtual('value').get(function() {
+  return this[VALUE_FIELDS[this.valueType]];
+});
+
+// Static method to read the typed value of a lean telemetry document
+TelemetrySchema.statics.extractValue = function(doc) {
+  return doc[VALUE_FIELDS[doc.valueType]];
+};
+
+// Static method to detect the value type of a raw value
+TelemetrySchema.statics.detectValueType = function(value) {
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return null;
+    return Number.isInteger(value) ? 'long' : 'double';
+  }
+  if (typeof value === 'string') return 'string';
+  if (value !== null && typeof value === 'object') return 'json';
+  return null;
+};
+
+// Static method to build a telemetry record with a typed value
+TelemetrySchema.statics.buildRecord = function(deviceId, key, value, timestamp, metadata = {}) {
+  const valueType = this.detectValueType(value);
+  if (!valueType) {
+    throw new Error(`Unsupported value for telemetry key ${key}`);
+  }
+  
+  return {
+    deviceId: deviceId.toString(),
+    key,
+    timestamp: timestamp ? new Date(timestamp) : new Date(),
+    valueType,
+    [VALUE_FIELDS[valueType]]: value,
+    metadata
+  };
+};
+
+// Static method to batch insert telemetry. The insert is unordered, so a failing point does not hold
+// back the others. Returns one outcome per point: { doc } when saved, { error, permanent } otherwise,
+// permanent when the point can never be stored (it failed validation).
 TelemetrySchema.statics.insertBatch = async function(telemetryArray) {
   if (!Array.isArray(telemetryArray) || telemetryArray.length === 0) {
     return [];
   }
   
-  return await this.insertMany(telemetryArray);
+  let results;
+  try {
+    const result = await this.insertMany(telemetryArray, { ordered: false, rawResult: true });
+    results = result.mongoose.results;
+  } catch (error) {
+    // Without write errors the batch failed as a whole, e.g. the connection dropped
+    if (!error.writeErrors || !error.mongoose) throw error;
+    results = error.mongoose.results;
+  }
+  
+  return results.map(result => {
+    if (result instanceof this) {
+      return { doc: result };
+    }
+    if (result instanceof mongoose.Error.ValidationError) {
+      return { error: result, permanent: true };
+    }
+    
+    // Write errors carry the server error under err
+    const error = new Error(result.err ? result.err.errmsg : 'Telemetry point was not written');
+    error.code = result.err && result.err.code;
+    return { error, permanent: false };
+  });
 };
 
 // Static method to query latest telemetry for a device
-TelemetrySchema.statics.getLatest = async function(deviceId, keys = []) {
-  const query = { deviceId };
+TelemetrySchema.statics.getLatestByDevice = async function(deviceId, keys = []) {
+  const query = { deviceId: deviceId.toString() };
   
-  if (keys.length > 0) {
+  if (keys && keys.length > 0) {
     query.key = { $in: keys };
   }
   
@@ -54,7 +209,8 @@ TelemetrySchema.statics.getLatest = async function(deviceId, keys = []) {
     {
       $group: {
         _id: '$key',
-        value: { $first: '$value' },
+        valueType: { $first: '$valueType' },
+        value: { $first: TYPED_VALUE },
         timestamp: { $first: '$timestamp' }
       }
     },
@@ -62,82 +218,99 @@ TelemetrySchema.statics.getLatest = async function(deviceId, keys = []) {
       $project: {
         _id: 0,
         key: '$_id',
+        valueType: 1,
         value: 1,
         timestamp: 1
       }
+    },
+    { $sort: { key: 1 } }
+  ];
+  
+  return await this.aggregate(pipeline);
+};
+
+// Static method to get raw telemetry points for a key, newest first
+TelemetrySchema.statics.getHistorical = async function(deviceId, key, startTime, endTime, limit = 100, offset = 0) {
+  const query = { deviceId: deviceId.toString(), key };
+  
+  if (startTime || endTime) {
+    query.timestamp = {};
+    if (startTime) query.timestamp.$gte = new Date(startTime);
+    if (endTime) query.timestamp.$lte = new Date(endTime);
+  }
+  
+  const pipeline = [
+    { $match: query },
+    { $sort: { timestamp: -1 } },
+    { $skip: Number(offset) },
+    { $limit: Number(limit) },
+    {
+      $project: {
+        _id: 0,
+        key: 1,
+        valueType: 1,
+        value: TYPED_VALUE,
+        timestamp: 1,
+        metadata: 1
+      }
     }
   ];
   
   return await this.aggregate(pipeline);
 };
 
-// Static method to get telemetry history for a device
-TelemetrySchema.statics.getHistory = async function(deviceId, key, startTime, endTime, interval = 'hour', limit = 1000) {
+// Static method to get statistics of a numeric key, non-numeric points are ignored.
+// p50, p95 and p99 are added with options.percentiles (MongoDB 7.0 or later).
+TelemetrySchema.statics.getStats = async function(deviceId, key, startTime, endTime, options = {}) {
   const query = {
-    deviceId,
+    deviceId: deviceId.toString(),
     key,
-    timestamp: { $gte: new Date(startTime), $lte: new Date(endTime) }
+    valueType: { $in: NUMERIC_TYPES }
   };
   
-  let timeGroup;
-  
-  // Define time grouping based on interval
-  switch(interval) {
-    case 'minute':
-      timeGroup = {
-        year: { $year: '$timestamp' },
-        month: { $month: '$timestamp' },
-        day: { $dayOfMonth: '$timestamp' },
-        hour: { $hour: '$timestamp' },
-        minute: { $minute: '$timestamp' }
-      };
-      break;
-    case 'hour':
-      timeGroup = {
-        year: { $year: '$timestamp' },
-        month: { $month: '$timestamp' },
-        day: { $dayOfMonth: '$timestamp' },
-        hour: { $hour: '$timestamp' }
-      };
-      break;
-    case 'day':
-      timeGroup = {
-        year: { $year: '$timestamp' },
-        month: { $month: '$timestamp' },
-        day: { $dayOfMonth: '$timestamp' }
-      };
-      break;
-    default:
-      timeGroup = {
-        year: { $year: '$timestamp' },
-        month: { $month: '$timestamp' },
-        day: { $dayOfMonth: '$timestamp' },
-        hour: { $hour: '$timestamp' }
-      };
+  if (startTime || endTime) {
+    query.timestamp = {};
+    if (startTime) query.timestamp.$gte = new Date(startTime);
+    if (endTime) query.timestamp.$lte = new Date(endTime);
   }
   
   const pipeline = [
     { $match: query },
+    { $sort: { timestamp: 1 } },
     {
       $group: {
-        _id: timeGroup,
-        avg: { $avg: { $toDouble: '$value' } },
-        min: { $min: { $toDouble: '$value' } },
-        max: { $max: { $toDouble: '$value' } },
+        _id: null,
         count: { $sum: 1 },
-        timestamp: { $min: '$timestamp' }
+        min: { $min: NUMERIC_VALUE },
+        max: { $max: NUMERIC_VALUE },
+        avg: { $avg: NUMERIC_VALUE },
+        sum: { $sum: NUMERIC_VALUE },
+        stddev: { $stdDevPop: NUMERIC_VALUE },
+        ...(options.percentiles && {
+          percentiles: { $percentile: { input: NUMERIC_VALUE, p: Object.values(PERCENTILES), method: 'approximate' } }
+        }),
+        first: { $first: NUMERIC_VALUE },
+        last: { $last: NUMERIC_VALUE },
+        firstTimestamp: { $first: '$timestamp' },
+        lastTimestamp: { $last: '$timestamp' }
       }
     },
-    { $sort: { timestamp: 1 } },
-    { $limit: limit },
     {
       $project: {
         _id: 0,
-        timestamp: 1,
-        avg: 1,
+        count: 1,
         min: 1,
         max: 1,
-        count: 1
+        avg: 1,
+        sum: 1,
+        stddev: 1,
+        ...(options.percentiles && Object.fromEntries(Object.keys(PERCENTILES)
+          .map((name, index) => [name, { $arrayElemAt: ['$percentiles', index] }]))),
+        first: 1,
+        last: 1,
+        delta: { $subtract: ['$last', '$first'] },
+        firstTimestamp: 1,
+        lastTimestamp: 1
       }
     }
   ];
@@ -145,4 +318,118 @@ TelemetrySchema.statics.getHistory = async function(deviceId, key, startTime, en
   return await this.aggregate(pipeline);
 };
 
-module.exports = mongoose.model('Telemetry', TelemetrySchema);
\ No newline at end of file
+// Static method to aggregate a key into time buckets.
+// Buckets follow $dateTrunc in the given timezone. When a rollup interval is given and every
+// aggregation can be served from rollups, buckets are combined out of rollups instead of raw points.
+// Returns [{ timestamp, count, <aggregation>: value }]
+TelemetrySchema.statics.aggregateBuckets = async function(deviceId, key, options) {
+  const {
+    startTime,
+    endTime,
+    interval = 'hour',
+    timezone = 'UTC',
+    aggregations = ['avg'],
+    rollupInterval,
+    limit
+  } = options;
+  
+  const unknown = aggregations.filter(aggregation => !AGGREGATIONS.includes(aggregation));
+  if (unknown.length > 0) {
+    throw new Error(`Unsupported aggregation: ${unknown.join(', ')}`);
+  }
+  
+  const range = {};
+  if (startTime) range.$gte = new Date(startTime);
+  if (endTime) range.$lte = new Date(endTime);
+  const hasRange = Object.keys(range).length > 0;
+  
+  const useRollups = Boolean(rollupInterval) &&
+    aggregations.every(aggregation => ROLLUP_AGGREGATIONS.includes(aggregation));
+  const stages = useRollups ? ROLLUP_AGGREGATION_STAGES : RAW_AGGREGATIONS;
+  
+  const group = { count: useRollups ? { $sum: '$count' } : { $sum: 1 } };
+  const project = { _id: 0, timestamp: '$_id', count: 1 };
+  for (const aggregation of aggregations) {
+    Object.assign(group, stages[aggregation].group);
+    project[aggregation] = stages[aggregation].value;
+  }
+  
+  const pipeline = [];
+  
+  if (useRollups) {
+    pipeline.push(
+      { $match: { deviceId: deviceId.toString(), key, interval: rollupInterval, ...(hasRange && { bucket: range }) } },
+      { $sort: { bucket: 1 } },
+      { $addFields: { bucketStart: { $dateTrunc: { date: '$bucket', unit: interval, timezone } } } }
+    );
+  } else {
+    pipeline.push(
+      { $match: { deviceId: deviceId.toString(), key, valueType: { $in: NUMERIC_TYPES }, ...(hasRange && { timestamp: range }) } },
+      { $sort: { timestamp: 1 } },
+      {
+        $addFields: {
+          v: NUMERIC_VALUE,
+          bucketStart: { $dateTrunc: { date: '$timestamp', unit: interval, timezone } }
+        }
+      }
+    );
+    
+    // Time-weighted average needs the time until the next point of the same bucket
+    if (aggregations.includes('twa')) {
+      pipeline.push(
+        {
+          $setWindowFields: {
+            partitionBy: '$bucketStart',
+            sortBy: { timestamp: 1 },
+            output: { nextTs: { $shift: { output: '$timestamp', by: 1, default: null } } }
+          }
+        },
+        {
+          $addFields: {
+            duration: { $cond: [{ $eq: ['$nextTs', null] }, 0, { $subtract: ['$nextTs', '$timestamp'] }] }
+          }
+        }
+      );
+    }
+  }
+  
+  pipeline.push(
+    { $group: { _id: '$bucketStart', ...group } },
+    { $sort: { _id: 1 } }
+  );
+  if (limit) {
+    pipeline.push({ $limit: limit });
+  }
+  pipeline.push({ $project: project });
+  
+  return useRollups
+    ? await TelemetryRollup.aggregate(pipeline)
+    : await this.aggregate(pipeline);
+};
+
+// Static method to get telemetry history for a device, one bucket per interval
+// with avg, min, max and any extra aggregations
+TelemetrySchema.statics.getHistory = async function(deviceId, key, startTime, endTime, interval = 'hour', limit = 1000, options = {}) {
+  const { timezone = 'UTC', rollupInterval, aggregations = [] } = options;
+  
+  return await this.aggregateBuckets(deviceId, key, {
+    startTime,
+    endTime,
+    interval,
+    timezone,
+    rollupInterval,
+    limit,
+    aggregations: [...new Set(['avg', 'min', 'max', ...aggregations])]
+  });
+};
+
+const Telemetry = mongoose.model('Telemetry', TelemetrySchema);
+
+Telemetry.VALUE_TYPES = VALUE_TYPES;
+Telemetry.NUMERIC_TYPES = NUMERIC_TYPES;
+Telemetry.NUMERIC_VALUE = NUMERIC_VALUE;
+Telemetry.TYPED_VALUE = TYPED_VALUE;
+Telemetry.AGGREGATIONS = AGGREGATIONS;
+Telemetry.ROLLUP_AGGREGATIONS = ROLLUP_AGGREGATIONS;
+
+module.exports = Telemetry;
\ No newline at end of file
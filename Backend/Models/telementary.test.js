@@ -0,0 +1,62 @@
+const Telemetry = require('./telementary');
+
+describe('Telemetry.detectValueType', () => {
+  test('detects booleans, integers, doubles, strings and JSON', () => {
+    expect(Telemetry.detectValueType(true)).toBe('boolean');
+    expect(Telemetry.detectValueType(42)).toBe('long');
+    expect(Telemetry.detectValueType(-3)).toBe('long');
+    expect(Telemetry.detectValueType(21.5)).toBe('double');
+    expect(Telemetry.detectValueType('on')).toBe('string');
+    expect(Telemetry.detectValueType({ lat: 1, lon: 2 })).toBe('json');
+    expect(Telemetry.detectValueType([1, 2])).toBe('json');
+  });
+
+  test('has no type for null, undefined and non-finite numbers', () => {
+    expect(Telemetry.detectValueType(null)).toBeNull();
+    expect(Telemetry.detectValueType(undefined)).toBeNull();
+    expect(Telemetry.detectValueType(NaN)).toBeNull();
+    expect(Telemetry.detectValueType(Infinity)).toBeNull();
+  });
+});
+
+describe('Telemetry.buildRecord', () => {
+  test('stores the value in the field of its type', () => {
+    const record = Telemetry.buildRecord('device-1', 'temperature', 21.5, '2024-01-01T00:00:00Z', { unit: 'C' });
+
+    expect(record).toEqual({
+      deviceId: 'device-1',
+      key: 'temperature',
+      timestamp: new Date('2024-01-01T00:00:00Z'),
+      valueType: 'double',
+      doubleValue: 21.5,
+      metadata: { unit: 'C' }
+    });
+  });
+
+  test('uses one typed field per value type', () => {
+    expect(Telemetry.buildRecord('d', 'k', 7)).toMatchObject({ valueType: 'long', longValue: 7 });
+    expect(Telemetry.buildRecord('d', 'k', false)).toMatchObject({ valueType: 'boolean', booleanValue: false });
+    expect(Telemetry.buildRecord('d', 'k', 'idle')).toMatchObject({ valueType: 'string', stringValue: 'idle' });
+    expect(Telemetry.buildRecord('d', 'k', { a: 1 })).toMatchObject({ valueType: 'json', jsonValue: { a: 1 } });
+  });
+
+  test('stores device IDs as strings and defaults the timestamp to now', () => {
+    const before = Date.now();
+    const record = Telemetry.buildRecord({ toString: () => 'object-id' }, 'k', 1);
+
+    expect(record.deviceId).toBe('object-id');
+    expect(record.timestamp.getTime()).toBeGreaterThanOrEqual(before);
+    expect(record.metadata).toEqual({});
+  });
+
+  test('rejects values without a type', () => {
+    expect(() => Telemetry.buildRecord('d', 'broken', null)).toThrow('Unsupported value for telemetry key broken');
+    expect(() => Telemetry.buildRecord('d', 'broken', NaN)).toThrow('Unsupported value for telemetry key broken');
+  });
+
+  test('round-trips through extractValue', () => {
+    for (const value of [true, 3, 2.5, 'text', { nested: [1] }]) {
+      expect(Telemetry.extractValue(Telemetry.buildRecord('d', 'k', value))).toEqual(value);
+    }
+  });
+});
\ No newline at end of file
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const TelemetryRollupSchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  interval: {
+    type: String,
+    required: true,
+    enum: ['minute', 'hour', 'day']
+  },
+  bucket: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  sum: {
+    type: Number
+  },
+  min: {
+    type: Number
+  },
+  max: {
+    type: Number
+  },
+  avg: {
+    type: Number
+  },
+  first: {
+    type: Number
+  },
+  last: {
+    type: Number
+  },
+  firstTs: {
+    type: Date
+  },
+  lastTs: {
+    type: Date
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One bucket per device, key and interval
+TelemetryRollupSchema.index({ deviceId: 1, key: 1, interval: 1, bucket: 1 }, { unique: true });
+
+module.exports = mongoose.model('TelemetryRollup', TelemetryRollupSchema);
\ No newline at end of file
@@ -0,0 +1,246 @@
+const express = require('express');
+const router = express.Router();
+const Alarm = require('../Models/alarm');
+const AlarmRule = require('../Models/alarmRule');
+const { authenticateUser, isAdminOrTenantAdmin } = require('../Middleware/auth');
+const alarmService = require('../Services/alarmService');
+const deviceService = require('../Services/deviceServices');
+const logger = require('../utils/logger');
+
+// Middleware to check alarm access permissions (same scoping as device access)
+const checkAlarmAccess = async (req, res, next) => {
+  try {
+    const alarm = await Alarm.findById(req.params.id);
+
+    if (!alarm) {
+      return res.status(404).json({ message: 'Alarm not found' });
+    }
+
+    if (!deviceService.hasAccess(req.user, alarm)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    req.alarm = alarm;
+    next();
+
+  } catch (error) {
+    logger.error(`Alarm access check error: ${error.message}`);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Middleware to load an alarm rule and check tenant ownership
+const checkAlarmRuleAccess = async (req, res, next) => {
+  try {
+    const alarmRule = await AlarmRule.findById(req.params.ruleId);
+
+    if (!alarmRule) {
+      return res.status(404).json({ message: 'Alarm rule not found' });
+    }
+
+    if (req.user.role === 'tenant_admin' &&
+        (!alarmRule.tenantId || !alarmRule.tenantId.equals(req.user.tenantId))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    req.alarmRule = alarmRule;
+    next();
+
+  } catch (error) {
+    logger.error(`Alarm rule access check error: ${error.message}`);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * @route GET /api/alarms/rules
+ * @desc Get alarm rules
+ * @access Private (Admin, Tenant Admin)
+ */
+router.get('/rules', authenticateUser, isAdminOrTenantAdmin, async (req, res, next) => {
+  try {
+    const { deviceType, key } = req.query;
+    const query = {};
+
+    if (req.user.role === 'tenant_admin') {
+      query.tenantId = req.user.tenantId;
+    }
+    if (deviceType) query.deviceType = deviceType;
+    if (key) query.key = key;
+
+    const rules = await AlarmRule.find(query).sort({ deviceType: 1, key: 1 });
+
+    return res.status(200).json(rules);
+
+  } catch (error) {
+    logger.error(`Get alarm rules error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/alarms/rules
+ * @desc Create an alarm rule for a device type and telemetry key
+ * @access Private (Admin, Tenant Admin)
+ */
+router.post('/rules', authenticateUser, isAdminOrTenantAdmin, async (req, res, next) => {
+  try {
+    const { alarmType, deviceType, key, createConditions, clearCondition, propagate, enabled } = req.body;
+
+    // Set tenant based on user role
+    let tenantId = req.body.tenantId || null;
+    if (req.user.role === 'tenant_admin') {
+      tenantId = req.user.tenantId; // Force tenant ID to be the user's tenant
+    }
+
+    const alarmRule = new AlarmRule({
+      alarmType,
+      tenantId,
+      deviceType,
+      key,
+      createConditions,
+      clearCondition,
+      propagate,
+      enabled
+    });
+
+    await alarmRule.save();
+    alarmService.invalidateRules();
+
+    logger.info(`Alarm rule created: ${alarmRule.alarmType} on ${alarmRule.deviceType}/${alarmRule.key}`);
+
+    return res.status(201).json(alarmRule);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    logger.error(`Create alarm rule error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/alarms/rules/:ruleId
+ * @desc Update an alarm rule
+ * @access Private (Admin, Tenant Admin)
+ */
+router.put('/rules/:ruleId', authenticateUser, isAdminOrTenantAdmin, checkAlarmRuleAccess, async (req, res, next) => {
+  try {
+    const alarmRule = req.alarmRule;
+    const fields = ['alarmType', 'deviceType', 'key', 'createConditions', 'clearCondition', 'propagate', 'enabled'];
+
+    // Update allowed fields
+    for (const field of fields) {
+      if (req.body[field] !== undefined) {
+        alarmRule[field] = req.body[field];
+      }
+    }
+    alarmRule.updatedAt = Date.now();
+
+    await alarmRule.save();
+    alarmService.invalidateRules();
+
+    logger.info(`Alarm rule updated: ${alarmRule.alarmType} (ID: ${alarmRule._id})`);
+
+    return res.status(200).json(alarmRule);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    logger.error(`Update alarm rule error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/alarms/rules/:ruleId
+ * @desc Delete an alarm rule
+ * @access Private (Admin, Tenant Admin)
+ */
+router.delete('/rules/:ruleId', authenticateUser, isAdminOrTenantAdmin, checkAlarmRuleAccess, async (req, res, next) => {
+  try {
+    await AlarmRule.findByIdAndDelete(req.alarmRule._id);
+    alarmService.invalidateRules();
+
+    logger.info(`Alarm rule deleted: ${req.alarmRule.alarmType} (ID: ${req.alarmRule._id})`);
+
+    return res.status(200).json({ message: 'Alarm rule deleted successfully' });
+
+  } catch (error) {
+    logger.error(`Delete alarm rule error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/alarms
+ * @desc Query alarms (status: active|cleared|ack|unack or an exact status, severity, type, originatorId, entityId)
+ * @access Private
+ */
+router.get('/', authenticateUser, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, status, severity, type, originatorId, entityId, startTime, endTime } = req.query;
+
+    const result = await alarmService.queryAlarms(
+      deviceService.getAccessQuery(req.user),
+      { status, severity, type, originatorId, entityId, startTime, endTime },
+      parseInt(page),
+      parseInt(limit)
+    );
+
+    return res.status(200).json(result);
+
+  } catch (error) {
+    logger.error(`Get alarms error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/alarms/:id
+ * @desc Get alarm by ID
+ * @access Private
+ */
+router.get('/:id', authenticateUser, checkAlarmAccess, async (req, res) => {
+  return res.status(200).json(req.alarm);
+});
+
+/**
+ * @route POST /api/alarms/:id/ack
+ * @desc Acknowledge an alarm
+ * @access Private
+ */
+router.post('/:id/ack', authenticateUser, checkAlarmAccess, async (req, res, next) => {
+  try {
+    const alarm = await alarmService.acknowledgeAlarm(req.alarm._id, req.user.id);
+
+    logger.info(`Alarm acknowledged: ${alarm.type} (ID: ${alarm._id})`);
+
+    return res.status(200).json(alarm);
+
+  } catch (error) {
+    logger.error(`Acknowledge alarm error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/alarms/:id/clear
+ * @desc Clear an alarm
+ * @access Private
+ */
+router.post('/:id/clear', authenticateUser, checkAlarmAccess, async (req, res, next) => {
+  try {
+    const alarm = await alarmService.clearAlarm(req.alarm._id, req.user.id);
+
+    return res.status(200).json(alarm);
+
+  } catch (error) {
+    logger.error(`Clear alarm error: ${error.message}`);
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,177 @@
+const express = require('express');
+const router = express.Router();
+const CalculatedField = require('../Models/calculatedField');
+const { authenticateUser, isAdminOrTenantAdmin } = require('../Middleware/auth');
+const calculatedFieldService = require('../Services/calculatedFieldService');
+const logger = require('../utils/logger');
+
+// Middleware to load a calculated field and check tenant ownership
+const checkFieldAccess = async (req, res, next) => {
+  try {
+    const field = await CalculatedField.findById(req.params.id);
+
+    if (!field) {
+      return res.status(404).json({ message: 'Calculated field not found' });
+    }
+
+    if (req.user.role === 'tenant_admin' &&
+        (!field.tenantId || !field.tenantId.equals(req.user.tenantId))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    req.field = field;
+    next();
+
+  } catch (error) {
+    logger.error(`Calculated field access check error: ${error.message}`);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * @route GET /api/calculated-fields
+ * @desc Get calculated fields
+ * @access Private (Admin, Tenant Admin)
+ */
+router.get('/', authenticateUser, isAdminOrTenantAdmin, async (req, res, next) => {
+  try {
+    const { deviceType, key } = req.query;
+    const query = {};
+
+    if (req.user.role === 'tenant_admin') {
+      query.tenantId = req.user.tenantId;
+    }
+    if (deviceType) query.deviceType = deviceType;
+    if (key) query.key = key;
+
+    const fields = await CalculatedField.find(query).sort({ deviceType: 1, createdAt: 1 });
+
+    return res.status(200).json(fields);
+
+  } catch (error) {
+    logger.error(`Get calculated fields error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/calculated-fields
+ * @desc Create a calculated field for a device type
+ * @access Private (Admin, Tenant Admin)
+ */
+router.post('/', authenticateUser, isAdminOrTenantAdmin, async (req, res, next) => {
+  try {
+    const { deviceType, key, inputs, expression, description, enabled } = req.body;
+
+    const expressionErrors = calculatedFieldService.validateExpression(expression || '');
+    if (expressionErrors.length > 0) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: expressionErrors
+      });
+    }
+
+    // Set tenant based on user role
+    let tenantId = req.body.tenantId || null;
+    if (req.user.role === 'tenant_admin') {
+      tenantId = req.user.tenantId; // Force tenant ID to be the user's tenant
+    }
+
+    const field = new CalculatedField({
+      tenantId,
+      deviceType,
+      key,
+      inputs,
+      expression,
+      description,
+      enabled,
+      createdBy: req.user.id
+    });
+
+    await field.save();
+    calculatedFieldService.invalidateFields();
+
+    logger.info(`Calculated field created: ${field.key} on ${field.deviceType}`);
+
+    return res.status(201).json(field);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A calculated field with this key already exists for the device type' });
+    }
+    logger.error(`Create calculated field error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/calculated-fields/:id
+ * @desc Update a calculated field
+ * @access Private (Admin, Tenant Admin)
+ */
+router.put('/:id', authenticateUser, isAdminOrTenantAdmin, checkFieldAccess, async (req, res, next) => {
+  try {
+    const field = req.field;
+    const fields = ['deviceType', 'key', 'inputs', 'expression', 'description', 'enabled'];
+
+    if (req.body.expression !== undefined) {
+      const expressionErrors = calculatedFieldService.validateExpression(req.body.expression);
+      if (expressionErrors.length > 0) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: expressionErrors
+        });
+      }
+    }
+
+    // Update allowed fields
+    for (const name of fields) {
+      if (req.body[name] !== undefined) {
+        field[name] = req.body[name];
+      }
+    }
+    field.updatedAt = Date.now();
+
+    await field.save();
+    calculatedFieldService.invalidateFields();
+
+    logger.info(`Calculated field updated: ${field.key} (ID: ${field._id})`);
+
+    return res.status(200).json(field);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A calculated field with this key already exists for the device type' });
+    }
+    logger.error(`Update calculated field error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/calculated-fields/:id
+ * @desc Delete a calculated field, already stored values are kept
+ * @access Private (Admin, Tenant Admin)
+ */
+router.delete('/:id', authenticateUser, isAdminOrTenantAdmin, checkFieldAccess, async (req, res, next) => {
+  try {
+    await CalculatedField.findByIdAndDelete(req.field._id);
+    calculatedFieldService.invalidateFields();
+
+    logger.info(`Calculated field deleted: ${req.field.key} (ID: ${req.field._id})`);
+
+    return res.status(200).json({ message: 'Calculated field deleted successfully' });
+
+  } catch (error) {
+    logger.error(`Delete calculated field error: ${error.message}`);
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
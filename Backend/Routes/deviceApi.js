@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateDevice } = require('../Middleware/auth');
+const deviceApiService = require('../Services/deviceApiService');
+const config = require('../Config/default');
+const logger = require('../utils/logger');
+
+// Payloads are decoded with the device profile format (JSON, CBOR or Protobuf), so they are read raw
+const rawBody = express.raw({ type: () => true, limit: config.deviceApi.maxPayloadSize });
+
+/**
+ * @route POST /api/v1/:token/telemetry
+ * @desc Post telemetry from a device, in any format accepted over MQTT
+ * @access Device (access token in the URL or the X-Device-Token header)
+ */
+router.post('/:token/telemetry', rawBody, authenticateDevice, async (req, res, next) => {
+  try {
+    const points = await deviceApiService.saveTelemetry(req.device, req.body);
+
+    return res.status(200).json({ points });
+
+  } catch (error) {
+    if (error.code === 'INVALID_PAYLOAD' || error.message.includes('Invalid telemetry')) {
+      return res.status(400).json({ message: error.message });
+    }
+    logger.error(`Device API telemetry error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/v1/:token/attributes
+ * @desc Post client attributes from a device. They are stored, then routed through the rules engine like MQTT attribute messages
+ * @access Device (access token in the URL or the X-Device-Token header)
+ */
+router.post('/:token/attributes', rawBody, authenticateDevice, async (req, res, next) => {
+  try {
+    const attributes = await deviceApiService.saveAttributes(req.device, req.body);
+
+    return res.status(200).json({ keys: Object.keys(attributes) });
+
+  } catch (error) {
+    if (error.code === 'INVALID_PAYLOAD') {
+      return res.status(400).json({ message: error.message });
+    }
+    logger.error(`Device API attributes error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/v1/:token/attributes
+ * @desc Get the shared attributes of a device. Query: sharedKeys (comma-separated), every shared attribute when omitted
+ * @access Device (access token in the URL or the X-Device-Token header)
+ */
+router.get('/:token/attributes', authenticateDevice, async (req, res) => {
+  const keys = req.query.sharedKeys
+    ? req.query.sharedKeys.split(',').map(key => key.trim()).filter(Boolean)
+    : [];
+
+  return res.status(200).json({ shared: deviceApiService.getAttributes(req.device, keys) });
+});
+
+/**
+ * @route GET /api/v1/:token/rpc
+ * @desc Long-poll for the next RPC request of a device. Answers 204 when none arrived in time.
+ *       Query: timeout (ms, capped by configuration)
+ * @access Device (access token in the URL or the X-Device-Token header)
+ */
+router.get('/:token/rpc', authenticateDevice, async (req, res, next) => {
+  try {
+    const { longPollTimeoutMs, maxLongPollTimeoutMs } = config.deviceApi.rpc;
+    const requested = Number(req.query.timeout || longPollTimeoutMs);
+
+    if (!Number.isFinite(requested) || requested < 0) {
+      return res.status(400).json({ message: 'Timeout must be a positive number of milliseconds' });
+    }
+
+    // Stop waiting when the device closes the connection
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    const request = await deviceApiService.waitForRpc(
+      req.device._id,
+      Math.min(requested, Number(maxLongPollTimeoutMs)),
+      controller.signal
+    );
+
+    if (!request) {
+      return res.status(204).end();
+    }
+
+    return res.status(200).json(request);
+
+  } catch (error) {
+    logger.error(`Device API RPC poll error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/v1/:token/rpc/:requestId
+ * @desc Reply to an RPC request received by long-polling
+ * @access Device (access token in the URL or the X-Device-Token header)
+ */
+router.post('/:token/rpc/:requestId', express.json({ limit: config.deviceApi.maxPayloadSize }), authenticateDevice, async (req, res) => {
+  const handled = deviceApiService.handleRpcResponse(req.device._id, req.params.requestId, req.body);
+
+  if (!handled) {
+    return res.status(404).json({ message: 'RPC request not found or already timed out' });
+  }
+
+  return res.status(200).json({ message: 'RPC response received' });
+});
+
+module.exports = router;
\ No newline at end of file
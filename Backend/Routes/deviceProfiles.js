@@ -0,0 +1,288 @@
+const express = require('express');
+const router = express.Router();
+const DeviceProfile = require('../Models/deviceProfile');
+const Device = require('../Models/device');
+const { authenticateUser, isAdminOrTenantAdmin } = require('../Middleware/auth');
+const payloadCodec = require('../Services/payloadCodec');
+const logger = require('../utils/logger');
+
+// .proto files are uploaded as the raw request body
+const protoUpload = express.text({ type: ['text/plain', 'application/octet-stream', 'application/x-protobuf'], limit: '1mb' });
+
+// Middleware to load the device profile and check tenant ownership
+const checkProfileAccess = async (req, res, next) => {
+  try {
+    const profile = await DeviceProfile.findById(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({ message: 'Device profile not found' });
+    }
+
+    // Tenant admin can only manage profiles of their own tenant
+    if (req.user.role === 'tenant_admin' &&
+        (!profile.tenantId || !profile.tenantId.equals(req.user.tenantId))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    req.profile = profile;
+    next();
+
+  } catch (error) {
+    logger.error(`Device profile access check error: ${error.message}`);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Check the .proto schema of a protobuf profile before saving it
+const validateProtoSchema = (profile) => {
+  if (profile.payloadFormat !== 'protobuf' || !profile.protoSchema) {
+    return [];
+  }
+  return payloadCodec.validateSchema(profile.protoSchema, [
+    profile.telemetryMessageType,
+    profile.attributesMessageType
+  ]);
+};
+
+/**
+ * @route GET /api/device-profiles
+ * @desc Get all device profiles (with pagination)
+ * @access Private (Admin, Tenant Admin)
+ */
+router.get('/', authenticateUser, isAdminOrTenantAdmin, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, name, payloadFormat } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+
+    // Apply role-based restrictions
+    if (req.user.role === 'tenant_admin') {
+      query.tenantId = req.user.tenantId;
+    }
+
+    if (name) query.name = { $regex: name, $options: 'i' };
+    if (payloadFormat) query.payloadFormat = payloadFormat;
+
+    const profiles = await DeviceProfile.find(query)
+      .select('-protoSchema')
+      .skip(skip)
+      .limit(parseInt(limit))
+      .sort({ createdAt: -1 });
+
+    const total = await DeviceProfile.countDocuments(query);
+
+    return res.status(200).json({
+      profiles,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Get device profiles error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/device-profiles/decode-failures
+ * @desc Get payload decode failure counters per device
+ * @access Private (Admin, Tenant Admin)
+ */
+router.get('/decode-failures', authenticateUser, isAdminOrTenantAdmin, async (req, res, next) => {
+  try {
+    const tenantId = req.user.role === 'tenant_admin' ? req.user.tenantId : req.query.tenantId;
+
+    const failures = payloadCodec.getFailureStats({ deviceId: req.query.deviceId, tenantId });
+
+    return res.status(200).json(failures);
+
+  } catch (error) {
+    logger.error(`Get decode failures error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/device-profiles/:id
+ * @desc Get device profile with its .proto schema
+ * @access Private (Admin, Tenant Admin)
+ */
+router.get('/:id', authenticateUser, isAdminOrTenantAdmin, checkProfileAccess, async (req, res) => {
+  return res.status(200).json(req.profile);
+});
+
+/**
+ * @route POST /api/device-profiles
+ * @desc Create a device profile
+ * @access Private (Admin, Tenant Admin)
+ */
+router.post('/', authenticateUser, isAdminOrTenantAdmin, async (req, res, next) => {
+  try {
+    const { name, description, payloadFormat, protoSchema, telemetryMessageType, attributesMessageType } = req.body;
+
+    // Set tenant based on user role
+    let tenantId = req.body.tenantId || null;
+    if (req.user.role === 'tenant_admin') {
+      tenantId = req.user.tenantId; // Force tenant ID to be the user's tenant
+    }
+
+    const profile = new DeviceProfile({
+      name,
+      description,
+      tenantId,
+      payloadFormat,
+      protoSchema,
+      telemetryMessageType,
+      attributesMessageType,
+      createdBy: req.user.id
+    });
+
+    const schemaErrors = validateProtoSchema(profile);
+    if (schemaErrors.length > 0) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: schemaErrors
+      });
+    }
+
+    await profile.save();
+
+    logger.info(`Device profile created: ${profile.name} (ID: ${profile._id})`);
+
+    return res.status(201).json(profile);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'Device profile with this name already exists' });
+    }
+    logger.error(`Create device profile error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/device-profiles/:id
+ * @desc Update a device profile
+ * @access Private (Admin, Tenant Admin)
+ */
+router.put('/:id', authenticateUser, isAdminOrTenantAdmin, checkProfileAccess, async (req, res, next) => {
+  try {
+    const { name, description, payloadFormat, protoSchema, telemetryMessageType, attributesMessageType } = req.body;
+    const profile = req.profile;
+
+    // Update allowed fields
+    if (name) profile.name = name;
+    if (description !== undefined) profile.description = description;
+    if (payloadFormat) profile.payloadFormat = payloadFormat;
+    if (protoSchema !== undefined) profile.protoSchema = protoSchema;
+    if (telemetryMessageType !== undefined) profile.telemetryMessageType = telemetryMessageType;
+    if (attributesMessageType !== undefined) profile.attributesMessageType = attributesMessageType;
+    profile.updatedAt = Date.now();
+
+    const schemaErrors = validateProtoSchema(profile);
+    if (schemaErrors.length > 0) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: schemaErrors
+      });
+    }
+
+    await profile.save();
+
+    payloadCodec.invalidateProfile(profile._id);
+
+    logger.info(`Device profile updated: ${profile.name} (ID: ${profile._id})`);
+
+    return res.status(200).json(profile);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'Device profile with this name already exists' });
+    }
+    logger.error(`Update device profile error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/device-profiles/:id/schema
+ * @desc Upload the .proto schema of a profile as the raw request body
+ * @access Private (Admin, Tenant Admin)
+ */
+router.put('/:id/schema', authenticateUser, isAdminOrTenantAdmin, checkProfileAccess, protoUpload, async (req, res, next) => {
+  try {
+    const profile = req.profile;
+
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ message: 'The .proto schema must be sent as a text body' });
+    }
+
+    profile.protoSchema = req.body;
+    if (req.query.telemetryMessageType) profile.telemetryMessageType = req.query.telemetryMessageType;
+    if (req.query.attributesMessageType) profile.attributesMessageType = req.query.attributesMessageType;
+    profile.updatedAt = Date.now();
+
+    const schemaErrors = payloadCodec.validateSchema(profile.protoSchema, [
+      profile.telemetryMessageType,
+      profile.attributesMessageType
+    ]);
+    if (schemaErrors.length > 0) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: schemaErrors
+      });
+    }
+
+    await profile.save();
+
+    payloadCodec.invalidateProfile(profile._id);
+
+    logger.info(`Device profile schema uploaded: ${profile.name} (ID: ${profile._id})`);
+
+    return res.status(200).json(profile);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    logger.error(`Upload device profile schema error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/device-profiles/:id
+ * @desc Delete a device profile, devices using it fall back to JSON payloads
+ * @access Private (Admin, Tenant Admin)
+ */
+router.delete('/:id', authenticateUser, isAdminOrTenantAdmin, checkProfileAccess, async (req, res, next) => {
+  try {
+    const profile = req.profile;
+
+    await Device.updateMany({ deviceProfileId: profile._id }, { $set: { deviceProfileId: null } });
+    await DeviceProfile.findByIdAndDelete(profile._id);
+
+    payloadCodec.invalidateProfile(profile._id);
+
+    logger.info(`Device profile deleted: ${profile.name} (ID: ${profile._id})`);
+
+    return res.status(200).json({ message: 'Device profile deleted successfully' });
+
+  } catch (error) {
+    logger.error(`Delete device profile error: ${error.message}`);
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,7 +1,17 @@
 const express = require('express');
 const router = express.Router();
+const Device = require('../Models/device');
+const RuleChain = require('../Models/ruleChain');
 const authMiddleware = require('../middleware/auth');
 const deviceService = require('../services/deviceService');
+const DeviceService = require('../Services/deviceServices');
+const plcService = require('../Services/plcService');
+const plcCommandService = require('../Services/plcCommandService');
+const opcuaService = require('../Services/opcuaService');
+const opcuaCommandService = require('../Services/opcuaCommandService');
+const deviceApiService = require('../Services/deviceApiService');
+const coapServer = require('../Services/coapServer');
+const TelemetryService = require('../Services/telementryServices');
 const logger = require('../utils/logger');
 const validator = require('../utils/validator');
 
@@ -177,7 +187,20 @@ router.post('/', authMiddleware, async (req, res, next) => {
 // Update device
 router.put('/:id', authMiddleware, checkDeviceAccess, async (req, res, next) => {
   try {
-    const { name, label, additionalInfo, transportConfiguration, deviceProfileId } = req.body;
+    const { name, label, additionalInfo, transportConfiguration, deviceProfileId, ruleChainId } = req.body;
+    
+    // Connection settings decide where the platform connects and which stored credentials it sends,
+    // so only admin and tenant_admin can change them
+    const { ipAddress, port, gatewayId, modbusConfig, opcuaConfig } = req.body;
+    if ((ipAddress !== undefined || port !== undefined || gatewayId !== undefined || modbusConfig !== undefined ||
+        opcuaConfig !== undefined) && !['admin', 'tenant_admin'].includes(req.user.role)) {
+      return res.status(403).json({ message: 'Only admin and tenant_admin can change connection settings' });
+    }
+    
+    // The rule chain runs on every message of the device, so it is chosen like the customer assignment
+    if (ruleChainId !== undefined && !['admin', 'tenant_admin'].includes(req.user.role)) {
+      return res.status(403).json({ message: 'Only admin and tenant_admin can change the rule chain' });
+    }
     
     const device = await Device.findById(req.params.id);
     
@@ -191,19 +214,80 @@ router.put('/:id', authMiddleware, checkDeviceAccess, async (req, res, next) =>
     if (additionalInfo) device.additionalInfo = additionalInfo;
     if (transportConfiguration) device.transportConfiguration = transportConfiguration;
     if (deviceProfileId) device.deviceProfileId = deviceProfileId;
+    if (ruleChainId) {
+      const ruleChain = await RuleChain.findById(ruleChainId).select('tenantId').lean();
+      if (!ruleChain) {
+        return res.status(400).json({ message: 'Rule chain not found' });
+      }
+      if (String(ruleChain.tenantId || '') !== String(device.tenantId || '')) {
+        return res.status(403).json({ message: 'Rule chain belongs to another tenant' });
+      }
+    }
+    if (ruleChainId !== undefined) device.ruleChainId = ruleChainId || null;
+    
+    // Modbus connection settings, the PLC connection is restarted when they change
+    const plcChanged = ipAddress !== undefined || port !== undefined ||
+      gatewayId !== undefined || modbusConfig !== undefined;
+    if (gatewayId !== undefined) device.gatewayId = gatewayId || null;
+    if (ipAddress !== undefined) device.ipAddress = ipAddress;
+    if (port !== undefined) device.port = port;
+    if (modbusConfig !== undefined) device.modbusConfig = modbusConfig;
+    
+    // OPC UA settings are merged field by field so the stored password is kept when omitted,
+    // unless the endpoint changes: the password never follows the device to another server
+    if (opcuaConfig) {
+      const endpointChanged = opcuaConfig.endpointUrl !== undefined &&
+        opcuaConfig.endpointUrl !== (device.opcuaConfig && device.opcuaConfig.endpointUrl);
+      
+      for (const [field, value] of Object.entries(opcuaConfig)) {
+        device.set(`opcuaConfig.${field}`, value);
+      }
+      
+      if (endpointChanged && opcuaConfig.password === undefined) {
+        // The password is not selected, so the unset has to be marked explicitly
+        device.set('opcuaConfig.password', undefined);
+        device.markModified('opcuaConfig.password');
+      }
+    }
     
     // Only admin and tenant_admin can change customer assignment
     if (req.body.customerId && ['admin', 'tenant_admin'].includes(req.user.role)) {
       device.customerId = req.body.customerId;
     }
     
+    // A gateway is shared by the devices behind it, so it must be the tenant's own and the unit ID free
+    if (plcChanged) {
+      await plcService.checkGatewayAssignment(device);
+    }
+    
     await device.save();
+    TelemetryService.invalidateDevice(device._id);
+    
+    if (plcChanged) {
+      await plcService.restartConnection(device);
+    }
+    if (opcuaConfig) {
+      await opcuaService.restartConnection(device);
+    }
     
     logger.info(`Device updated: ${device.name} (ID: ${device._id})`);
     
     return res.status(200).json(device);
     
   } catch (error) {
+    if (error.code === 'INVALID_GATEWAY') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.code === 'GATEWAY_FORBIDDEN') {
+      return res.status(403).json({ message: error.message });
+    }
+    if (error.code === 'UNIT_ID_IN_USE') {
+      return res.status(409).json({ message: error.message });
+    }
+    if (error.code === 11000) {
+      // Another update took the unit ID between the check and the save
+      return res.status(409).json({ message: 'Unit ID is already used by another device on this gateway' });
+    }
     logger.error(`Update device error: ${error.message}`);
     next(error);
   }
@@ -223,7 +307,12 @@ router.delete('/:id', authMiddleware, checkDeviceAccess, async (req, res, next)
       return res.status(404).json({ message: 'Device not found' });
     }
     
+    // Stop polling before the device goes away
+    await plcService.closeConnection(device._id);
+    await opcuaService.closeConnection(device._id);
+    
     await device.remove();
+    TelemetryService.invalidateDevice(device._id);
     
     logger.info(`Device deleted: ${device.name} (ID: ${device._id})`);
     
@@ -303,6 +392,36 @@ router.post('/:id/command', authMiddleware, checkDeviceAccess, async (req, res,
       return res.status(404).json({ message: 'Device not found' });
     }
     
+    // Modbus PLCs and OPC UA servers are written directly, each write is verified by a read-back and audited
+    const industrialService = [plcCommandService, opcuaCommandService].find(service => service.handles(device, command));
+    if (industrialService) {
+      const result = await industrialService.executeCommand(device, command, params || {}, req.user);
+      const statusCodes = { success: 200, rejected: 400, mismatch: 502, failed: 502 };
+      
+      return res.status(statusCodes[result.status]).json(result);
+    }
+    
+    // Devices on the HTTP API receive commands on their long-poll, CoAP devices on their RPC observation
+    const rpcTransport = deviceApiService.isPolling(device._id) ? deviceApiService
+      : coapServer.isObservingRpc(device._id) ? coapServer : null;
+    if (rpcTransport) {
+      try {
+        const response = await rpcTransport.sendRpcRequest(device._id, command, params || {}, timeout);
+        
+        return res.status(200).json({
+          commandId: response.requestId,
+          status: 'success',
+          response: response.data
+        });
+        
+      } catch (commandError) {
+        if (commandError.code === 'TIMEOUT') {
+          return res.status(504).json({ message: 'Command timed out' });
+        }
+        throw commandError;
+      }
+    }
+    
     // Check if device is online
     if (!device.status.online) {
       return res.status(409).json({ message: 'Device is offline' });
@@ -336,6 +455,81 @@ router.post('/:id/command', authMiddleware, checkDeviceAccess, async (req, res,
   }
 });
 
+// Get the PLC polling status of a device: connection health, poll groups, latency and error counts
+router.get('/:id/polling', authMiddleware, checkDeviceAccess, async (req, res, next) => {
+  try {
+    const status = plcService.getConnectionStatus(req.params.id);
+    
+    if (!status) {
+      return res.status(404).json({ message: 'Device is not polled' });
+    }
+    
+    return res.status(200).json(status);
+    
+  } catch (error) {
+    logger.error(`Get device polling status error: ${error.message}`);
+    next(error);
+  }
+});
+
+// Get the OPC UA connection status of a device
+router.get('/:id/opcua/status', authMiddleware, checkDeviceAccess, async (req, res, next) => {
+  try {
+    const status = opcuaService.getConnectionStatus(req.params.id);
+    
+    if (!status) {
+      return res.status(404).json({ message: 'Device is not connected through OPC UA' });
+    }
+    
+    return res.status(200).json(status);
+    
+  } catch (error) {
+    logger.error(`Get device OPC UA status error: ${error.message}`);
+    next(error);
+  }
+});
+
+// Browse the OPC UA address space of a device, one level below nodeId (the Objects folder by default)
+router.get('/:id/opcua/browse', authMiddleware, checkDeviceAccess, async (req, res, next) => {
+  try {
+    const device = await Device.findById(req.params.id);
+    
+    if (!device) {
+      return res.status(404).json({ message: 'Device not found' });
+    }
+    
+    if (!device.opcuaConfig || !device.opcuaConfig.endpointUrl) {
+      return res.status(400).json({ message: 'Device has no OPC UA endpoint' });
+    }
+    
+    const result = await opcuaService.browse(device, req.query.nodeId || undefined);
+    
+    return res.status(200).json(result);
+    
+  } catch (error) {
+    if (error.message.includes('Cannot browse')) {
+      return res.status(400).json({ message: error.message });
+    }
+    logger.error(`Browse device OPC UA error: ${error.message}`);
+    next(error);
+  }
+});
+
+// Get the audited PLC commands of a device
+router.get('/:id/commands', authMiddleware, checkDeviceAccess, async (req, res, next) => {
+  try {
+    const { limit = 50, offset = 0, status } = req.query;
+    
+    const result = await plcCommandService.getAudit(req.params.id, { limit, offset, status });
+    
+    return res.status(200).json(result);
+    
+  } catch (error) {
+    logger.error(`Get device commands error: ${error.message}`);
+    next(error);
+  }
+});
+
 // Get device attributes
 router.get('/:id/attributes', authMiddleware, checkDeviceAccess, async (req, res, next) => {
   try {
@@ -381,10 +575,10 @@ router.post('/:id/attributes', authMiddleware, checkDeviceAccess, async (req, re
       });
     }
     
-    // Only server attributes can be updated via API
-    if (scope !== 'server') {
+    // Client attributes are reported by the device itself
+    if (!['server', 'shared'].includes(scope)) {
       return res.status(400).json({ 
-        message: 'Only server attributes can be updated via this endpoint' 
+        message: 'Only server and shared attributes can be updated via this endpoint' 
       });
     }
     
@@ -394,14 +588,14 @@ router.post('/:id/attributes', authMiddleware, checkDeviceAccess, async (req, re
       return res.status(404).json({ message: 'Device not found' });
     }
     
-    // Update server attributes
-    await device.updateAttributes(scope, attributes);
+    // Update the attributes, devices observing shared attributes are notified
+    await DeviceService.updateAttributes(device, attributes, scope);
     
     logger.info(`Device attributes updated: ${device.name} (ID: ${device._id})`);
     
     return res.status(200).json({ 
       message: 'Attributes updated successfully',
-      attributes: Object.fromEntries(device.attributes[scope])
+      attributes: Object.fromEntries(device.attributes)
     });
     
   } catch (error) {
@@ -0,0 +1,199 @@
+const express = require('express');
+const router = express.Router();
+const Gateway = require('../Models/gateway');
+const Device = require('../Models/device');
+const { authenticateUser, isAdminOrTenantAdmin } = require('../Middleware/auth');
+const plcService = require('../Services/plcService');
+const logger = require('../utils/logger');
+
+// Middleware to load a gateway and check tenant ownership
+const checkGatewayAccess = async (req, res, next) => {
+  try {
+    const gateway = await Gateway.findById(req.params.id);
+
+    if (!gateway) {
+      return res.status(404).json({ message: 'Gateway not found' });
+    }
+
+    if (req.user.role === 'tenant_admin' &&
+        (!gateway.tenantId || !gateway.tenantId.equals(req.user.tenantId))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    req.gateway = gateway;
+    next();
+
+  } catch (error) {
+    logger.error(`Gateway access check error: ${error.message}`);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * @route GET /api/gateways
+ * @desc Get Modbus gateways
+ * @access Private (Admin, Tenant Admin)
+ */
+router.get('/', authenticateUser, isAdminOrTenantAdmin, async (req, res, next) => {
+  try {
+    const query = {};
+
+    if (req.user.role === 'tenant_admin') {
+      query.tenantId = req.user.tenantId;
+    }
+
+    const gateways = await Gateway.find(query).sort({ name: 1 });
+
+    return res.status(200).json(gateways);
+
+  } catch (error) {
+    logger.error(`Get gateways error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/gateways/:id
+ * @desc Get a gateway
+ * @access Private (Admin, Tenant Admin)
+ */
+router.get('/:id', authenticateUser, isAdminOrTenantAdmin, checkGatewayAccess, async (req, res) => {
+  return res.status(200).json(req.gateway);
+});
+
+/**
+ * @route GET /api/gateways/:id/status
+ * @desc Get the connection health of a gateway and the poll status of each device behind it
+ * @access Private (Admin, Tenant Admin)
+ */
+router.get('/:id/status', authenticateUser, isAdminOrTenantAdmin, checkGatewayAccess, async (req, res) => {
+  const status = plcService.getGatewayStatus(req.gateway._id.toString());
+
+  return res.status(200).json(status || { gatewayId: req.gateway._id, state: 'idle', devices: [] });
+});
+
+/**
+ * @route GET /api/gateways/:id/devices
+ * @desc Get the devices behind a gateway
+ * @access Private (Admin, Tenant Admin)
+ */
+router.get('/:id/devices', authenticateUser, isAdminOrTenantAdmin, checkGatewayAccess, async (req, res, next) => {
+  try {
+    const devices = await Device.find({ gatewayId: req.gateway._id }).sort({ 'modbusConfig.unitId': 1 });
+
+    return res.status(200).json(devices);
+
+  } catch (error) {
+    logger.error(`Get gateway devices error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/gateways
+ * @desc Create a gateway
+ * @access Private (Admin, Tenant Admin)
+ */
+router.post('/', authenticateUser, isAdminOrTenantAdmin, async (req, res, next) => {
+  try {
+    const { name, description, ipAddress, port, framing, unitTimeout, interFrameDelay } = req.body;
+
+    // Set tenant based on user role
+    let tenantId = req.body.tenantId || null;
+    if (req.user.role === 'tenant_admin') {
+      tenantId = req.user.tenantId; // Force tenant ID to be the user's tenant
+    }
+
+    const gateway = new Gateway({
+      tenantId,
+      name,
+      description,
+      ipAddress,
+      port,
+      framing,
+      unitTimeout,
+      interFrameDelay,
+      createdBy: req.user.id
+    });
+
+    await gateway.save();
+
+    logger.info(`Gateway created: ${gateway.name} (ID: ${gateway._id})`);
+
+    return res.status(201).json(gateway);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A gateway with this name already exists' });
+    }
+    logger.error(`Create gateway error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/gateways/:id
+ * @desc Update a gateway, the devices behind it are reconnected
+ * @access Private (Admin, Tenant Admin)
+ */
+router.put('/:id', authenticateUser, isAdminOrTenantAdmin, checkGatewayAccess, async (req, res, next) => {
+  try {
+    const gateway = req.gateway;
+    const fields = ['name', 'description', 'ipAddress', 'port', 'framing', 'unitTimeout', 'interFrameDelay'];
+
+    // Update allowed fields
+    for (const name of fields) {
+      if (req.body[name] !== undefined) {
+        gateway[name] = req.body[name];
+      }
+    }
+    gateway.updatedAt = Date.now();
+
+    await gateway.save();
+    await plcService.restartGateway(gateway);
+
+    logger.info(`Gateway updated: ${gateway.name} (ID: ${gateway._id})`);
+
+    return res.status(200).json(gateway);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A gateway with this name already exists' });
+    }
+    logger.error(`Update gateway error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/gateways/:id
+ * @desc Delete a gateway that no device uses anymore
+ * @access Private (Admin, Tenant Admin)
+ */
+router.delete('/:id', authenticateUser, isAdminOrTenantAdmin, checkGatewayAccess, async (req, res, next) => {
+  try {
+    const deviceCount = await Device.countDocuments({ gatewayId: req.gateway._id });
+    if (deviceCount > 0) {
+      return res.status(409).json({ message: `Gateway is used by ${deviceCount} device(s)` });
+    }
+
+    await Gateway.findByIdAndDelete(req.gateway._id);
+    await plcService.closeGateway(req.gateway._id.toString());
+
+    logger.info(`Gateway deleted: ${req.gateway.name} (ID: ${req.gateway._id})`);
+
+    return res.status(200).json({ message: 'Gateway deleted successfully' });
+
+  } catch (error) {
+    logger.error(`Delete gateway error: ${error.message}`);
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,227 @@
+const express = require('express');
+const router = express.Router();
+const RegisterMap = require('../Models/registerMap');
+const { authenticateUser, isAdminOrTenantAdmin } = require('../Middleware/auth');
+const registerMapService = require('../Services/registerMapService');
+const plcService = require('../Services/plcService');
+const logger = require('../utils/logger');
+
+// Register sheets are uploaded as the raw request body
+const csvUpload = express.text({ type: ['text/csv', 'text/plain', 'application/octet-stream'], limit: '5mb' });
+
+// Middleware to load a register map and check tenant ownership
+const checkMapAccess = async (req, res, next) => {
+  try {
+    const map = await RegisterMap.findById(req.params.id);
+
+    if (!map) {
+      return res.status(404).json({ message: 'Register map not found' });
+    }
+
+    if (req.user.role === 'tenant_admin' &&
+        (!map.tenantId || !map.tenantId.equals(req.user.tenantId))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    req.map = map;
+    next();
+
+  } catch (error) {
+    logger.error(`Register map access check error: ${error.message}`);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * @route GET /api/register-maps
+ * @desc Get register maps
+ * @access Private (Admin, Tenant Admin)
+ */
+router.get('/', authenticateUser, isAdminOrTenantAdmin, async (req, res, next) => {
+  try {
+    const { deviceType } = req.query;
+    const query = {};
+
+    if (req.user.role === 'tenant_admin') {
+      query.tenantId = req.user.tenantId;
+    }
+    if (deviceType) query.deviceType = deviceType;
+
+    const maps = await RegisterMap.find(query).sort({ deviceType: 1 });
+
+    return res.status(200).json(maps);
+
+  } catch (error) {
+    logger.error(`Get register maps error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/register-maps/import
+ * @desc Create or update the register map of a device type from a CSV register sheet sent as the body.
+ *       Query: deviceType (required), name, mode (replace or merge by register name), tenantId (admin only)
+ * @access Private (Admin, Tenant Admin)
+ */
+router.post('/import', authenticateUser, isAdminOrTenantAdmin, csvUpload, async (req, res, next) => {
+  try {
+    const { deviceType, name, mode = 'replace' } = req.query;
+
+    if (!deviceType) {
+      return res.status(400).json({ message: 'Device type is required' });
+    }
+    if (!['replace', 'merge'].includes(mode)) {
+      return res.status(400).json({ message: 'Invalid mode. Use one of: replace, merge' });
+    }
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ message: 'The register sheet must be sent as a CSV body' });
+    }
+
+    // Set tenant based on user role
+    let tenantId = req.query.tenantId || null;
+    if (req.user.role === 'tenant_admin') {
+      tenantId = req.user.tenantId; // Force tenant ID to be the user's tenant
+    }
+
+    const result = await registerMapService.importCsv({
+      tenantId,
+      deviceType,
+      csv: req.body,
+      mode,
+      name,
+      userId: req.user.id
+    });
+
+    if (result.errors.length > 0) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: result.errors
+      });
+    }
+    await plcService.refreshSchedules();
+
+    return res.status(200).json({ imported: result.imported, map: result.map });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    logger.error(`Import register map error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/register-maps/:id
+ * @desc Get a register map
+ * @access Private (Admin, Tenant Admin)
+ */
+router.get('/:id', authenticateUser, isAdminOrTenantAdmin, checkMapAccess, async (req, res) => {
+  return res.status(200).json(req.map);
+});
+
+/**
+ * @route POST /api/register-maps
+ * @desc Create the register map of a device type
+ * @access Private (Admin, Tenant Admin)
+ */
+router.post('/', authenticateUser, isAdminOrTenantAdmin, async (req, res, next) => {
+  try {
+    const { deviceType, name, description, registers, pollGroups } = req.body;
+
+    // Set tenant based on user role
+    let tenantId = req.body.tenantId || null;
+    if (req.user.role === 'tenant_admin') {
+      tenantId = req.user.tenantId; // Force tenant ID to be the user's tenant
+    }
+
+    const map = new RegisterMap({
+      tenantId,
+      deviceType,
+      name,
+      description,
+      registers,
+      pollGroups,
+      createdBy: req.user.id
+    });
+
+    await map.save();
+    registerMapService.invalidateMaps();
+    await plcService.refreshSchedules();
+
+    logger.info(`Register map created for ${map.deviceType} (ID: ${map._id})`);
+
+    return res.status(201).json(map);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A register map already exists for this device type' });
+    }
+    logger.error(`Create register map error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/register-maps/:id
+ * @desc Update a register map
+ * @access Private (Admin, Tenant Admin)
+ */
+router.put('/:id', authenticateUser, isAdminOrTenantAdmin, checkMapAccess, async (req, res, next) => {
+  try {
+    const map = req.map;
+    const fields = ['deviceType', 'name', 'description', 'registers', 'pollGroups'];
+
+    // Update allowed fields
+    for (const name of fields) {
+      if (req.body[name] !== undefined) {
+        map[name] = req.body[name];
+      }
+    }
+    map.updatedAt = Date.now();
+
+    await map.save();
+    registerMapService.invalidateMaps();
+    await plcService.refreshSchedules();
+
+    logger.info(`Register map updated for ${map.deviceType} (ID: ${map._id})`);
+
+    return res.status(200).json(map);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A register map already exists for this device type' });
+    }
+    logger.error(`Update register map error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/register-maps/:id
+ * @desc Delete a register map, devices of the type fall back to their own registers
+ * @access Private (Admin, Tenant Admin)
+ */
+router.delete('/:id', authenticateUser, isAdminOrTenantAdmin, checkMapAccess, async (req, res, next) => {
+  try {
+    await RegisterMap.findByIdAndDelete(req.map._id);
+    registerMapService.invalidateMaps();
+    await plcService.refreshSchedules();
+
+    logger.info(`Register map deleted for ${req.map.deviceType} (ID: ${req.map._id})`);
+
+    return res.status(200).json({ message: 'Register map deleted successfully' });
+
+  } catch (error) {
+    logger.error(`Delete register map error: ${error.message}`);
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,189 @@
+const express = require('express');
+const router = express.Router();
+const RetentionPolicy = require('../Models/retentionPolicy');
+const { authenticateUser, isAdmin, isAdminOrTenantAdmin } = require('../Middleware/auth');
+const retentionService = require('../Services/retentionService');
+const logger = require('../utils/logger');
+
+// Middleware to load a retention policy and check tenant ownership
+const checkPolicyAccess = async (req, res, next) => {
+  try {
+    const policy = await RetentionPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({ message: 'Retention policy not found' });
+    }
+
+    if (req.user.role === 'tenant_admin' &&
+        (!policy.tenantId || !policy.tenantId.equals(req.user.tenantId))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    req.policy = policy;
+    next();
+
+  } catch (error) {
+    logger.error(`Retention policy access check error: ${error.message}`);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * @route GET /api/retention/policies
+ * @desc Get retention policies and the configured default TTL
+ * @access Private (Admin, Tenant Admin)
+ */
+router.get('/policies', authenticateUser, isAdminOrTenantAdmin, async (req, res, next) => {
+  try {
+    const query = {};
+
+    // Tenant admins see global policies and their own
+    if (req.user.role === 'tenant_admin') {
+      query.tenantId = { $in: [null, req.user.tenantId] };
+    }
+
+    const policies = await RetentionPolicy.find(query).sort({ tenantId: 1, deviceType: 1, key: 1 });
+
+    return res.status(200).json({
+      defaultTtlDays: retentionService.getDefaultTtlDays(),
+      policies
+    });
+
+  } catch (error) {
+    logger.error(`Get retention policies error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/retention/policies
+ * @desc Create a retention override for a tenant, device type and/or telemetry key
+ * @access Private (Admin, Tenant Admin)
+ */
+router.post('/policies', authenticateUser, isAdminOrTenantAdmin, async (req, res, next) => {
+  try {
+    const { deviceType, key, ttlDays, description } = req.body;
+
+    // Set tenant based on user role
+    let tenantId = req.body.tenantId || null;
+    if (req.user.role === 'tenant_admin') {
+      tenantId = req.user.tenantId; // Force tenant ID to be the user's tenant
+    }
+
+    const policy = new RetentionPolicy({
+      tenantId,
+      deviceType: deviceType || null,
+      key: key || null,
+      ttlDays,
+      description
+    });
+
+    await policy.save();
+
+    logger.info(`Retention policy created: ${policy.ttlDays} days (ID: ${policy._id})`);
+
+    return res.status(201).json(policy);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A retention policy already exists for this scope' });
+    }
+    logger.error(`Create retention policy error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/retention/policies/:id
+ * @desc Update the TTL of a retention policy
+ * @access Private (Admin, Tenant Admin)
+ */
+router.put('/policies/:id', authenticateUser, isAdminOrTenantAdmin, checkPolicyAccess, async (req, res, next) => {
+  try {
+    const { ttlDays, description } = req.body;
+    const policy = req.policy;
+
+    if (ttlDays !== undefined) policy.ttlDays = ttlDays;
+    if (description !== undefined) policy.description = description;
+    policy.updatedAt = Date.now();
+
+    await policy.save();
+
+    logger.info(`Retention policy updated: ${policy.ttlDays} days (ID: ${policy._id})`);
+
+    return res.status(200).json(policy);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    logger.error(`Update retention policy error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/retention/policies/:id
+ * @desc Delete a retention policy
+ * @access Private (Admin, Tenant Admin)
+ */
+router.delete('/policies/:id', authenticateUser, isAdminOrTenantAdmin, checkPolicyAccess, async (req, res, next) => {
+  try {
+    await RetentionPolicy.findByIdAndDelete(req.policy._id);
+
+    logger.info(`Retention policy deleted: ${req.policy._id}`);
+
+    return res.status(200).json({ message: 'Retention policy deleted successfully' });
+
+  } catch (error) {
+    logger.error(`Delete retention policy error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/retention/dry-run
+ * @desc Report how many telemetry points the next purge would remove
+ * @access Private (Admin, Tenant Admin)
+ */
+router.get('/dry-run', authenticateUser, isAdminOrTenantAdmin, async (req, res, next) => {
+  try {
+    const tenantId = req.user.role === 'tenant_admin' ? req.user.tenantId : req.query.tenantId;
+
+    const report = await retentionService.purge({ dryRun: true, tenantId });
+
+    return res.status(200).json(report);
+
+  } catch (error) {
+    logger.error(`Retention dry run error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/retention/run
+ * @desc Purge expired telemetry now
+ * @access Private (Admin only)
+ */
+router.post('/run', authenticateUser, isAdmin, async (req, res, next) => {
+  try {
+    const report = await retentionService.purge({ tenantId: req.body.tenantId });
+
+    return res.status(200).json(report);
+
+  } catch (error) {
+    if (error.message.includes('in progress')) {
+      return res.status(409).json({ message: error.message });
+    }
+    if (error.code === 'UNSUPPORTED_SERVER') {
+      return res.status(501).json({ message: error.message });
+    }
+    logger.error(`Retention purge error: ${error.message}`);
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
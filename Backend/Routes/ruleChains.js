@@ -0,0 +1,246 @@
+const express = require('express');
+const router = express.Router();
+const RuleChain = require('../Models/ruleChain');
+const Device = require('../Models/device');
+const { authenticateUser, isAdminOrTenantAdmin } = require('../Middleware/auth');
+const RulesEngine = require('../Services/rulesEngine');
+const logger = require('../utils/logger');
+
+// Middleware to load the rule chain and check tenant ownership
+const checkRuleChainAccess = async (req, res, next) => {
+  try {
+    const ruleChain = await RuleChain.findById(req.params.id);
+
+    if (!ruleChain) {
+      return res.status(404).json({ message: 'Rule chain not found' });
+    }
+
+    // Tenant admin can only manage chains of their own tenant
+    if (req.user.role === 'tenant_admin' &&
+        (!ruleChain.tenantId || !ruleChain.tenantId.equals(req.user.tenantId))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    req.ruleChain = ruleChain;
+    next();
+
+  } catch (error) {
+    logger.error(`Rule chain access check error: ${error.message}`);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Clear the root flag on the other chains of the tenant
+const unsetOtherRootChains = async (ruleChain) => {
+  await RuleChain.updateMany(
+    { tenantId: ruleChain.tenantId, root: true, _id: { $ne: ruleChain._id } },
+    { $set: { root: false } }
+  );
+};
+
+/**
+ * @route GET /api/rule-chains
+ * @desc Get all rule chains (with pagination)
+ * @access Private (Admin, Tenant Admin)
+ */
+router.get('/', authenticateUser, isAdminOrTenantAdmin, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, name } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+
+    // Apply role-based restrictions
+    if (req.user.role === 'tenant_admin') {
+      query.tenantId = req.user.tenantId;
+    }
+
+    if (name) query.name = { $regex: name, $options: 'i' };
+
+    const ruleChains = await RuleChain.find(query)
+      .select('-nodes -connections')
+      .skip(skip)
+      .limit(parseInt(limit))
+      .sort({ createdAt: -1 });
+
+    const total = await RuleChain.countDocuments(query);
+
+    return res.status(200).json({
+      ruleChains,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Get rule chains error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/rule-chains/:id
+ * @desc Get rule chain with its nodes and connections
+ * @access Private (Admin, Tenant Admin)
+ */
+router.get('/:id', authenticateUser, isAdminOrTenantAdmin, checkRuleChainAccess, async (req, res) => {
+  return res.status(200).json(req.ruleChain);
+});
+
+/**
+ * @route POST /api/rule-chains
+ * @desc Create a rule chain
+ * @access Private (Admin, Tenant Admin)
+ */
+router.post('/', authenticateUser, isAdminOrTenantAdmin, async (req, res, next) => {
+  try {
+    const { name, description, firstNodeId, nodes, connections, debugMode, root } = req.body;
+
+    const nodeErrors = RulesEngine.validateNodes({ nodes });
+    if (nodeErrors.length > 0) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: nodeErrors
+      });
+    }
+
+    // Set tenant based on user role
+    let tenantId = req.body.tenantId || null;
+    if (req.user.role === 'tenant_admin') {
+      tenantId = req.user.tenantId; // Force tenant ID to be the user's tenant
+    }
+
+    const ruleChain = new RuleChain({
+      name,
+      description,
+      tenantId,
+      firstNodeId,
+      nodes,
+      connections,
+      debugMode,
+      root: Boolean(root),
+      createdBy: req.user.id
+    });
+
+    await ruleChain.save();
+
+    if (ruleChain.root) {
+      await unsetOtherRootChains(ruleChain);
+      RulesEngine.invalidateChain(ruleChain._id);
+    }
+
+    logger.info(`Rule chain created: ${ruleChain.name} (ID: ${ruleChain._id})`);
+
+    return res.status(201).json(ruleChain);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    logger.error(`Create rule chain error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route PUT /api/rule-chains/:id
+ * @desc Update a rule chain, replacing its nodes and connections
+ * @access Private (Admin, Tenant Admin)
+ */
+router.put('/:id', authenticateUser, isAdminOrTenantAdmin, checkRuleChainAccess, async (req, res, next) => {
+  try {
+    const { name, description, firstNodeId, nodes, connections, debugMode } = req.body;
+    const ruleChain = req.ruleChain;
+
+    if (nodes) {
+      const nodeErrors = RulesEngine.validateNodes({ nodes });
+      if (nodeErrors.length > 0) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: nodeErrors
+        });
+      }
+    }
+
+    // Update allowed fields
+    if (name) ruleChain.name = name;
+    if (description !== undefined) ruleChain.description = description;
+    if (firstNodeId) ruleChain.firstNodeId = firstNodeId;
+    if (nodes) ruleChain.nodes = nodes;
+    if (connections) ruleChain.connections = connections;
+    if (debugMode !== undefined) ruleChain.debugMode = debugMode;
+
+    await ruleChain.save();
+
+    RulesEngine.invalidateChain(ruleChain._id);
+
+    logger.info(`Rule chain updated: ${ruleChain.name} (ID: ${ruleChain._id})`);
+
+    return res.status(200).json(ruleChain);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    logger.error(`Update rule chain error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/rule-chains/:id/root
+ * @desc Make the rule chain the root chain of its tenant
+ * @access Private (Admin, Tenant Admin)
+ */
+router.post('/:id/root', authenticateUser, isAdminOrTenantAdmin, checkRuleChainAccess, async (req, res, next) => {
+  try {
+    const ruleChain = req.ruleChain;
+
+    ruleChain.root = true;
+    await ruleChain.save();
+    await unsetOtherRootChains(ruleChain);
+
+    RulesEngine.invalidateChain(ruleChain._id);
+
+    logger.info(`Root rule chain set: ${ruleChain.name} (ID: ${ruleChain._id})`);
+
+    return res.status(200).json(ruleChain);
+
+  } catch (error) {
+    logger.error(`Set root rule chain error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/rule-chains/:id
+ * @desc Delete a rule chain, devices assigned to it fall back to the root chain
+ * @access Private (Admin, Tenant Admin)
+ */
+router.delete('/:id', authenticateUser, isAdminOrTenantAdmin, checkRuleChainAccess, async (req, res, next) => {
+  try {
+    const ruleChain = req.ruleChain;
+
+    if (ruleChain.root) {
+      return res.status(409).json({ message: 'Root rule chain cannot be deleted' });
+    }
+
+    await Device.updateMany({ ruleChainId: ruleChain._id }, { $set: { ruleChainId: null } });
+    await RuleChain.findByIdAndDelete(ruleChain._id);
+
+    RulesEngine.invalidateChain(ruleChain._id);
+
+    logger.info(`Rule chain deleted: ${ruleChain.name} (ID: ${ruleChain._id})`);
+
+    return res.status(200).json({ message: 'Rule chain deleted successfully' });
+
+  } catch (error) {
+    logger.error(`Delete rule chain error: ${error.message}`);
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
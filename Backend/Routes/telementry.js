@@ -2,17 +2,319 @@ const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
 const { validateObjectId } = require('../utils/validator');
-const TelemetryService = require('../services/telemetryService');
-const RulesEngine = require('../services/rulesEngine');
+const { telemetryService } = require('../Services/telemetryPipeline');
+const deviceService = require('../Services/deviceServices');
+const importService = require('../Services/importService');
+const forecastService = require('../Services/forecastService');
+const Device = require('../Models/device');
+const Telemetry = require('../Models/telementary');
+const config = require('../Config/default');
+const { INTERVAL_MS, FILL_MODES, isValidTimezone } = require('../utils/timeBuckets');
 const logger = require('../utils/logger');
 
-// Initialize services
-const rulesEngine = new RulesEngine();
-const telemetryService = new TelemetryService(rulesEngine);
+/**
+ * @route GET /api/telemetry/ingestion/stats
+ * @desc Get ingestion buffer and flush statistics
+ * @access Private (Admin only)
+ */
+router.get('/ingestion/stats', auth, async (req, res) => {
+  try {
+    // Check if user has admin privileges
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to view ingestion statistics' });
+    }
+    
+    res.json(telemetryService.getIngestionStats());
+  } catch (error) {
+    logger.error('Error fetching ingestion statistics:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route GET /api/telemetry/export
+ * @desc Stream raw telemetry of several devices as CSV (one column per key) or newline-delimited JSON
+ * @access Private
+ */
+router.get('/export', auth, async (req, res) => {
+  try {
+    const { deviceIds, keys, startTime, endTime, format = 'csv' } = req.query;
+    
+    // Validate required parameters
+    if (!deviceIds || !startTime || !endTime) {
+      return res.status(400).json({ message: 'Device IDs, start time and end time are required' });
+    }
+    
+    const validFormats = ['csv', 'ndjson'];
+    if (!validFormats.includes(format)) {
+      return res.status(400).json({ 
+        message: `Invalid format. Use one of: ${validFormats.join(', ')}` 
+      });
+    }
+    
+    if (Number.isNaN(new Date(startTime).getTime()) || Number.isNaN(new Date(endTime).getTime())) {
+      return res.status(400).json({ message: 'Invalid start or end time' });
+    }
+    
+    const deviceIdArray = [...new Set(deviceIds.split(','))];
+    if (!deviceIdArray.every(validateObjectId)) {
+      return res.status(400).json({ message: 'Invalid device ID format' });
+    }
+    
+    // Every requested device must exist and be accessible
+    const devices = await Device.find({
+      _id: { $in: deviceIdArray },
+      ...deviceService.getAccessQuery(req.user)
+    }).select('_id name').lean();
+    
+    if (devices.length !== deviceIdArray.length) {
+      return res.status(403).json({ message: 'Access denied to one or more devices' });
+    }
+    
+    const keyArray = keys ? keys.split(',') : undefined;
+    
+    res.status(200);
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="telemetry-export.${format === 'csv' ? 'csv' : 'ndjson'}"`);
+    
+    const result = await telemetryService.exportTelemetry(devices, keyArray, startTime, endTime, format, res);
+    logger.info(`Telemetry export finished: ${result.points} points in ${result.rows} rows`);
+    res.end();
+  } catch (error) {
+    logger.error('Error exporting telemetry:', error);
+    
+    // Headers are gone once streaming started, all we can do is cut the response
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Validate the fill and timezone query parameters shared by bucketed routes
+const validateBucketOptions = ({ fill = 'none', timezone = 'UTC', startTime, endTime }) => {
+  if (!FILL_MODES.includes(fill)) {
+    return `Invalid fill mode. Use one of: ${FILL_MODES.join(', ')}`;
+  }
+  if (!isValidTimezone(timezone)) {
+    return `Invalid timezone: ${timezone}`;
+  }
+  if (fill !== 'none' && (!startTime || !endTime)) {
+    return 'Start time and end time are required to fill gaps';
+  }
+  return null;
+};
+
+// Shortest length of each query interval, used to bound the number of buckets
+const QUERY_INTERVAL_MS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 28 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * @route POST /api/telemetry/query
+ * @desc Query aggregated series for several devices and keys in one request.
+ *       Body: { deviceIds | deviceFilter: { type, label }, keys, startTime, endTime, interval, aggregation }
+ *       Devices the user cannot access are left out of the result.
+ * @access Private
+ */
+router.post('/query', auth, async (req, res) => {
+  try {
+    const { deviceIds, deviceFilter, keys, startTime, endTime, interval = 'hour', aggregation = 'avg' } = req.body;
+    
+    // Validate required parameters
+    if ((!Array.isArray(deviceIds) || deviceIds.length === 0) && !deviceFilter) {
+      return res.status(400).json({ message: 'Either deviceIds or deviceFilter is required' });
+    }
+    if (!Array.isArray(keys) || keys.length === 0) {
+      return res.status(400).json({ message: 'At least one telemetry key is required' });
+    }
+    if (!startTime || !endTime) {
+      return res.status(400).json({ message: 'Start time and end time are required' });
+    }
+    
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) {
+      return res.status(400).json({ message: 'Invalid time range' });
+    }
+    
+    if (!QUERY_INTERVAL_MS[interval]) {
+      return res.status(400).json({ 
+        message: `Invalid interval. Use one of: ${Object.keys(QUERY_INTERVAL_MS).join(', ')}` 
+      });
+    }
+    
+    const validAggregations = ['avg', 'min', 'max', 'sum', 'count'];
+    if (!validAggregations.includes(aggregation)) {
+      return res.status(400).json({ 
+        message: `Invalid aggregation. Use one of: ${validAggregations.join(', ')}` 
+      });
+    }
+    
+    if ((end - start) / QUERY_INTERVAL_MS[interval] > Number(config.telemetry.query.maxBuckets)) {
+      return res.status(400).json({ message: 'Too many buckets, use a coarser interval or a shorter range' });
+    }
+    
+    // Resolve devices, restricted to the ones the user can access
+    const deviceQuery = { ...deviceService.getAccessQuery(req.user) };
+    if (Array.isArray(deviceIds) && deviceIds.length > 0) {
+      deviceQuery._id = { $in: deviceIds.filter(validateObjectId) };
+    }
+    if (deviceFilter) {
+      if (deviceFilter.type) deviceQuery.type = deviceFilter.type;
+      if (deviceFilter.label) deviceQuery.label = deviceFilter.label;
+    }
+    
+    const devices = await Device.find(deviceQuery).select('_id name type label').lean();
+    
+    if (devices.length * keys.length > Number(config.telemetry.query.maxSeries)) {
+      return res.status(400).json({ 
+        message: `Query would return more than ${config.telemetry.query.maxSeries} series` 
+      });
+    }
+    
+    const result = await telemetryService.queryTimeSeries(devices, keys, {
+      startTime: start,
+      endTime: end,
+      interval,
+      aggregation
+    });
+    
+    res.json(result);
+  } catch (error) {
+    logger.error('Error querying telemetry:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route GET /api/telemetry/imports/:jobId
+ * @desc Get the progress and row errors of a telemetry import job
+ * @access Private
+ */
+router.get('/imports/:jobId', auth, async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    
+    if (!validateObjectId(jobId)) {
+      return res.status(400).json({ message: 'Invalid import job ID format' });
+    }
+    
+    const job = await importService.getJob(jobId);
+    if (!job) {
+      return res.status(404).json({ message: 'Import job not found' });
+    }
+    
+    if (!deviceService.hasAccess(req.user, job)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    
+    res.json(job);
+  } catch (error) {
+    logger.error('Error fetching import job:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @route POST /api/telemetry/:deviceId/import
+ * @desc Backfill historical telemetry from a CSV or NDJSON upload (raw request body).
+ *       Query: format (csv, ndjson), mapping (JSON object column -> key),
+ *       timestampColumn, timestampFormat (iso, epoch_ms, epoch_s or a pattern like 'DD/MM/YYYY HH:mm:ss')
+ * @access Private (Admin, Tenant Admin)
+ */
+router.post('/:deviceId/import', auth, async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { format = 'csv', timestampColumn = 'timestamp', timestampFormat = 'iso' } = req.query;
+    
+    // Validate deviceId
+    if (!validateObjectId(deviceId)) {
+      return res.status(400).json({ message: 'Invalid device ID format' });
+    }
+    
+    if (!['admin', 'tenant_admin'].includes(req.user.role)) {
+      return res.status(403).json({ message: 'Not authorized to import telemetry data' });
+    }
+    
+    const validFormats = ['csv', 'ndjson'];
+    if (!validFormats.includes(format)) {
+      return res.status(400).json({ 
+        message: `Invalid format. Use one of: ${validFormats.join(', ')}` 
+      });
+    }
+    
+    let mapping;
+    try {
+      mapping = JSON.parse(req.query.mapping || '{}');
+    } catch (error) {
+      return res.status(400).json({ message: 'Mapping must be a JSON object of column to telemetry key' });
+    }
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping) || Object.keys(mapping).length === 0) {
+      return res.status(400).json({ message: 'Mapping must be a JSON object of column to telemetry key' });
+    }
+    
+    const device = await Device.findById(deviceId).select('_id name tenantId customerId').lean();
+    if (!device) {
+      return res.status(404).json({ message: 'Device not found' });
+    }
+    if (!deviceService.hasAccess(req.user, device)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    
+    const job = await importService.startImport(device, req.user, req, {
+      format,
+      mapping,
+      timestampColumn,
+      timestampFormat
+    });
+    
+    res.status(202).json(job);
+  } catch (error) {
+    logger.error('Error starting telemetry import:', error);
+    res.status(error.name === 'ValidationError' || /timestamp format|exceeds/.test(error.message) ? 400 : 500)
+      .json({ message: error.message });
+  }
+});
+
+/**
+ * @route GET /api/telemetry/:deviceId/imports
+ * @desc List the telemetry import jobs of a device
+ * @access Private
+ */
+router.get('/:deviceId/imports', auth, async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    
+    // Validate deviceId
+    if (!validateObjectId(deviceId)) {
+      return res.status(400).json({ message: 'Invalid device ID format' });
+    }
+    
+    const device = await Device.findById(deviceId).select('_id tenantId customerId').lean();
+    if (!device) {
+      return res.status(404).json({ message: 'Device not found' });
+    }
+    if (!deviceService.hasAccess(req.user, device)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    
+    const jobs = await importService.listJobs(deviceId);
+    res.json(jobs);
+  } catch (error) {
+    logger.error('Error fetching import jobs:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
 
 /**
  * @route POST /api/telemetry/:deviceId
- * @desc Save telemetry data for a device
+ * @desc Save telemetry data for a device. Accepts { key, value }, { values: [...] },
+ *       flat { key: value } objects and [{ ts, values: { key: value } }] arrays
  * @access Private
  */
 router.post('/:deviceId', auth, async (req, res) => {
@@ -42,17 +344,18 @@ router.post('/:deviceId', auth, async (req, res) => {
 router.get('/:deviceId/latest', auth, async (req, res) => {
   try {
     const { deviceId } = req.params;
-    const { types } = req.query;
+    // `types` is accepted as an alias of `keys` for older clients
+    const keys = req.query.keys || req.query.types;
     
     // Validate deviceId
     if (!validateObjectId(deviceId)) {
       return res.status(400).json({ message: 'Invalid device ID format' });
     }
     
-    // Parse types if provided
-    const typeArray = types ? types.split(',') : undefined;
+    // Parse keys if provided
+    const keyArray = keys ? keys.split(',') : undefined;
     
-    const latestData = await telemetryService.getLatestTelemetry(deviceId, typeArray);
+    const latestData = await telemetryService.getLatestTelemetry(deviceId, keyArray);
     res.json(latestData);
   } catch (error) {
     logger.error('Error fetching latest telemetry:', error);
@@ -62,13 +365,17 @@ router.get('/:deviceId/latest', auth, async (req, res) => {
 
 /**
  * @route GET /api/telemetry/:deviceId/history
- * @desc Get historical telemetry data
+ * @desc Get historical telemetry data, or aggregated buckets when an interval (minute, hour, day, week, month)
+ *       is given. Buckets hold avg, min, max and the extra `aggregations` (e.g. p95,stddev,twa).
+ *       Buckets align to `timezone` (default UTC); `fill` (none, null, previous, linear, zero)
+ *       emits every bucket of the range and flags the filled ones.
  * @access Private
  */
 router.get('/:deviceId/history', auth, async (req, res) => {
   try {
     const { deviceId } = req.params;
-    const { type, startTime, endTime, limit, offset } = req.query;
+    const { startTime, endTime, limit, offset, interval, fill = 'none', timezone = 'UTC' } = req.query;
+    const key = req.query.key || req.query.type;
     
     // Validate deviceId
     if (!validateObjectId(deviceId)) {
@@ -76,8 +383,30 @@ router.get('/:deviceId/history', auth, async (req, res) => {
     }
     
     // Validate required parameters
-    if (!type) {
-      return res.status(400).json({ message: 'Telemetry type is required' });
+    if (!key) {
+      return res.status(400).json({ message: 'Telemetry key is required' });
+    }
+    
+    // Validate interval parameter
+    const validIntervals = ['minute', 'hour', 'day', 'week', 'month'];
+    if (interval && !validIntervals.includes(interval)) {
+      return res.status(400).json({ 
+        message: `Invalid interval. Use one of: ${validIntervals.join(', ')}` 
+      });
+    }
+    
+    const bucketError = validateBucketOptions(req.query);
+    if (bucketError) {
+      return res.status(400).json({ message: bucketError });
+    }
+    
+    // Parse extra aggregations if provided
+    const aggregations = req.query.aggregations ? req.query.aggregations.split(',') : [];
+    const invalidAggregations = aggregations.filter(aggregation => !Telemetry.AGGREGATIONS.includes(aggregation));
+    if (invalidAggregations.length > 0) {
+      return res.status(400).json({ 
+        message: `Invalid aggregation method. Use one of: ${Telemetry.AGGREGATIONS.join(', ')}` 
+      });
     }
     
     const limitNum = limit ? parseInt(limit) : 100;
@@ -85,29 +414,33 @@ router.get('/:deviceId/history', auth, async (req, res) => {
     
     const historicalData = await telemetryService.getHistoricalData(
       deviceId, 
-      type, 
+      key, 
       startTime, 
       endTime, 
       limitNum, 
-      offsetNum
+      offsetNum,
+      interval,
+      { fill, timezone, aggregations }
     );
     
     res.json(historicalData);
   } catch (error) {
     logger.error('Error fetching historical telemetry:', error);
-    res.status(500).json({ message: error.message });
+    res.status(error.message.includes('Too many buckets') ? 400 : 500).json({ message: error.message });
   }
 });
 
 /**
  * @route GET /api/telemetry/:deviceId/stats
- * @desc Get statistics for telemetry data
+ * @desc Get statistics for telemetry data. Query: percentiles=true adds p50, p95 and p99 (MongoDB 7.0 or later)
  * @access Private
  */
 router.get('/:deviceId/stats', auth, async (req, res) => {
   try {
     const { deviceId } = req.params;
-    const { type, startTime, endTime } = req.query;
+    const { startTime, endTime } = req.query;
+    const key = req.query.key || req.query.type;
+    const percentiles = req.query.percentiles === 'true';
     
     // Validate deviceId
     if (!validateObjectId(deviceId)) {
@@ -115,11 +448,11 @@ router.get('/:deviceId/stats', auth, async (req, res) => {
     }
     
     // Validate required parameters
-    if (!type) {
-      return res.status(400).json({ message: 'Telemetry type is required' });
+    if (!key) {
+      return res.status(400).json({ message: 'Telemetry key is required' });
     }
     
-    const stats = await telemetryService.getStatistics(deviceId, type, startTime, endTime);
+    const stats = await telemetryService.getStatistics(deviceId, key, startTime, endTime, { percentiles });
     res.json(stats);
   } catch (error) {
     logger.error('Error fetching telemetry statistics:', error);
@@ -127,6 +460,105 @@ router.get('/:deviceId/stats', auth, async (req, res) => {
   }
 });
 
+// Horizon durations accepted by the forecast endpoint, e.g. 48h or 7d
+const HORIZON_UNITS_MS = {
+  m: INTERVAL_MS.minute,
+  h: INTERVAL_MS.hour,
+  d: INTERVAL_MS.day,
+  w: 7 * INTERVAL_MS.day
+};
+
+/**
+ * @route GET /api/telemetry/:deviceId/forecast
+ * @desc Forecast a telemetry key from its history with a linear trend or Holt-Winters seasonal model.
+ *       `horizon` is a number of intervals or a duration (e.g. 48h, 7d). When `threshold` is given,
+ *       the response estimates when the forecast and its confidence band cross it.
+ * @access Private
+ */
+router.get('/:deviceId/forecast', auth, async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { horizon, interval = 'hour', model = 'auto', startTime, endTime } = req.query;
+    const key = req.query.key || req.query.type;
+    
+    // Validate deviceId
+    if (!validateObjectId(deviceId)) {
+      return res.status(400).json({ message: 'Invalid device ID format' });
+    }
+    
+    // Validate required parameters
+    if (!key || !horizon) {
+      return res.status(400).json({ message: 'Telemetry key and horizon are required' });
+    }
+    
+    if (!INTERVAL_MS[interval]) {
+      return res.status(400).json({ 
+        message: `Invalid interval. Use one of: ${Object.keys(INTERVAL_MS).join(', ')}` 
+      });
+    }
+    
+    if (!forecastService.FORECAST_MODELS.includes(model)) {
+      return res.status(400).json({ 
+        message: `Invalid model. Use one of: ${forecastService.FORECAST_MODELS.join(', ')}` 
+      });
+    }
+    
+    // Horizon as a number of intervals or as a duration
+    const duration = /^(\d+)([mhdw])$/.exec(horizon);
+    const horizonBuckets = duration
+      ? Math.ceil(Number(duration[1]) * HORIZON_UNITS_MS[duration[2]] / INTERVAL_MS[interval])
+      : Number(horizon);
+    const maxHorizon = Number(config.telemetry.forecast.maxHorizonBuckets);
+    if (!Number.isInteger(horizonBuckets) || horizonBuckets < 1 || horizonBuckets > maxHorizon) {
+      return res.status(400).json({ 
+        message: `Invalid horizon. Use 1 to ${maxHorizon} ${interval} intervals or a duration such as 48h` 
+      });
+    }
+    
+    const confidence = req.query.confidence ? Number(req.query.confidence) : 0.95;
+    if (!forecastService.CONFIDENCE_LEVELS.includes(confidence)) {
+      return res.status(400).json({ 
+        message: `Invalid confidence. Use one of: ${forecastService.CONFIDENCE_LEVELS.join(', ')}` 
+      });
+    }
+    
+    const threshold = req.query.threshold !== undefined ? Number(req.query.threshold) : undefined;
+    if (threshold !== undefined && !Number.isFinite(threshold)) {
+      return res.status(400).json({ message: 'Threshold must be a number' });
+    }
+    
+    const seasonLength = req.query.seasonLength ? Number(req.query.seasonLength) : undefined;
+    if (seasonLength !== undefined && (!Number.isInteger(seasonLength) || seasonLength < 2)) {
+      return res.status(400).json({ message: 'Season length must be an integer of at least 2' });
+    }
+    
+    const device = await Device.findById(deviceId).select('_id tenantId customerId').lean();
+    if (!device) {
+      return res.status(404).json({ message: 'Device not found' });
+    }
+    if (!deviceService.hasAccess(req.user, device)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    
+    const forecast = await forecastService.forecast(deviceId, key, {
+      horizon: horizonBuckets,
+      interval,
+      model,
+      startTime,
+      endTime,
+      seasonLength,
+      confidence,
+      threshold
+    });
+    
+    res.json(forecast);
+  } catch (error) {
+    logger.error('Error forecasting telemetry:', error);
+    const badRequest = error.message.includes('Not enough history') || error.message.includes('Too many buckets');
+    res.status(badRequest ? 400 : 500).json({ message: error.message });
+  }
+});
+
 /**
  * @route DELETE /api/telemetry/:deviceId
  * @desc Delete telemetry data for a device
@@ -135,7 +567,8 @@ router.get('/:deviceId/stats', auth, async (req, res) => {
 router.delete('/:deviceId', auth, async (req, res) => {
   try {
     const { deviceId } = req.params;
-    const { type, before } = req.query;
+    const { before } = req.query;
+    const key = req.query.key || req.query.type;
     
     // Validate deviceId
     if (!validateObjectId(deviceId)) {
@@ -147,7 +580,7 @@ router.delete('/:deviceId', auth, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to delete telemetry data' });
     }
     
-    const result = await telemetryService.deleteTelemetryData(deviceId, type, before);
+    const result = await telemetryService.deleteTelemetryData(deviceId, key, before);
     res.json(result);
   } catch (error) {
     logger.error('Error deleting telemetry data:', error);
@@ -157,13 +590,15 @@ router.delete('/:deviceId', auth, async (req, res) => {
 
 /**
  * @route GET /api/telemetry/:deviceId/aggregate
- * @desc Get aggregated telemetry data
+ * @desc Get aggregated telemetry data. Buckets align to `timezone` (default UTC);
+ *       `fill` (none, null, previous, linear, zero) emits every bucket of the range and flags the filled ones.
  * @access Private
  */
 router.get('/:deviceId/aggregate', auth, async (req, res) => {
   try {
     const { deviceId } = req.params;
-    const { type, aggregation, timeWindow, startTime, endTime } = req.query;
+    const { aggregation, timeWindow, startTime, endTime, fill = 'none', timezone = 'UTC' } = req.query;
+    const key = req.query.key || req.query.type;
     
     // Validate deviceId
     if (!validateObjectId(deviceId)) {
@@ -171,17 +606,16 @@ router.get('/:deviceId/aggregate', auth, async (req, res) => {
     }
     
     // Validate required parameters
-    if (!type || !aggregation || !timeWindow) {
+    if (!key || !aggregation || !timeWindow) {
       return res.status(400).json({ 
         message: 'Type, aggregation method and time window are required' 
       });
     }
     
     // Validate aggregation parameter
-    const validAggregations = ['avg', 'min', 'max', 'sum'];
-    if (!validAggregations.includes(aggregation)) {
+    if (!Telemetry.AGGREGATIONS.includes(aggregation)) {
       return res.status(400).json({ 
-        message: `Invalid aggregation method. Use one of: ${validAggregations.join(', ')}` 
+        message: `Invalid aggregation method. Use one of: ${Telemetry.AGGREGATIONS.join(', ')}` 
       });
     }
     
@@ -193,19 +627,25 @@ router.get('/:deviceId/aggregate', auth, async (req, res) => {
       });
     }
     
+    const bucketError = validateBucketOptions(req.query);
+    if (bucketError) {
+      return res.status(400).json({ message: bucketError });
+    }
+    
     const aggregatedData = await telemetryService.aggregateData(
       deviceId,
-      type,
+      key,
       aggregation,
       timeWindow,
       startTime,
-      endTime
+      endTime,
+      { fill, timezone }
     );
     
     res.json(aggregatedData);
   } catch (error) {
     logger.error('Error aggregating telemetry data:', error);
-    res.status(500).json({ message: error.message });
+    res.status(error.message.includes('Too many buckets') ? 400 : 500).json({ message: error.message });
   }
 });
 
@@ -0,0 +1,439 @@
+const { EventEmitter } = require('events');
+const Alarm = require('../Models/alarm');
+const AlarmRule = require('../Models/alarmRule');
+const Telemetry = require('../Models/telementary');
+const RulesEngine = require('./rulesEngine');
+const logger = require('../utils/logger');
+
+// Severities ordered from the most to the least severe
+const SEVERITY_ORDER = ['critical', 'major', 'minor', 'warning', 'indeterminate'];
+
+// Alarm rules are cached briefly per tenant/device type/key
+const RULE_CACHE_TTL_MS = 30000;
+
+const compare = (value, operator, threshold) => {
+  switch (operator) {
+    case '>': return value > threshold;
+    case '>=': return value >= threshold;
+    case '<': return value < threshold;
+    case '<=': return value <= threshold;
+    case '==': return value === threshold;
+    case '!=': return value !== threshold;
+    default: return false;
+  }
+};
+
+class AlarmService {
+  constructor() {
+    this.eventEmitter = new EventEmitter();
+    this.ruleCache = new Map();
+  }
+
+  /**
+   * Evaluate alarm rules for every telemetry record saved by a TelemetryService
+   * @param {Object} telemetryService - Telemetry service instance
+   * @returns {Function} - Unsubscribe function
+   */
+  watchTelemetry(telemetryService) {
+    return telemetryService.subscribeToUpdates(({ device, telemetry }) => {
+      this.processTelemetry(device, telemetry)
+        .catch(err => logger.error('Error evaluating alarm rules:', err));
+    });
+  }
+
+  /**
+   * Evaluate the alarm rules matching a telemetry record
+   * @param {Object} device - Device object
+   * @param {Object} telemetry - Telemetry record with key and value
+   * @returns {Promise<void>}
+   */
+  async processTelemetry(device, telemetry) {
+    // Only numeric series can cross a threshold
+    if (!Telemetry.NUMERIC_TYPES.includes(telemetry.valueType)) {
+      return;
+    }
+    const value = Number(telemetry.value);
+
+    const rules = await this.getRules(device.tenantId, device.type, telemetry.key);
+
+    for (const rule of rules) {
+      const condition = [...rule.createConditions]
+        .sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity))
+        .find(c => compare(value, c.operator, c.threshold));
+
+      const details = {
+        key: telemetry.key,
+        value,
+        ts: telemetry.timestamp
+      };
+
+      if (condition) {
+        await this.createOrUpdateAlarm(device, {
+          type: rule.alarmType,
+          severity: condition.severity,
+          propagate: rule.propagate,
+          details: { ...details, threshold: condition.threshold, operator: condition.operator }
+        });
+        continue;
+      }
+
+      const shouldClear = rule.clearCondition
+        ? compare(value, rule.clearCondition.operator, rule.clearCondition.threshold)
+        : true;
+
+      if (shouldClear) {
+        await this.clearActiveAlarm(device, rule.alarmType, details);
+      }
+    }
+  }
+
+  /**
+   * Get enabled alarm rules for a device type and telemetry key
+   * @private
+   * @param {string} tenantId - Tenant ID
+   * @param {string} deviceType - Device type
+   * @param {string} key - Telemetry key
+   * @returns {Promise<Array>} - Alarm rules
+   */
+  async getRules(tenantId, deviceType, key) {
+    const cacheKey = `${tenantId || 'system'}:${deviceType}:${key}`;
+    const cached = this.ruleCache.get(cacheKey);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.rules;
+    }
+
+    const rules = await AlarmRule.find({
+      tenantId: tenantId || null,
+      deviceType,
+      key,
+      enabled: true
+    }).lean();
+
+    this.ruleCache.set(cacheKey, { rules, expiresAt: Date.now() + RULE_CACHE_TTL_MS });
+    return rules;
+  }
+
+  /**
+   * Drop cached alarm rules after they were changed
+   */
+  invalidateRules() {
+    this.ruleCache.clear();
+  }
+
+  /**
+   * Create an alarm, or update the active alarm with the same originator and type.
+   * The upsert is atomic and the unique index on active alarms lets a single one exist, so
+   * concurrent messages of a device never open duplicates.
+   * @param {Object} device - Originator device
+   * @param {Object} alarmData - Alarm type, severity, propagate flag and details
+   * @returns {Promise<Object>} - Created or updated alarm
+   */
+  async createOrUpdateAlarm(device, { type, severity, propagate = false, details = {} }) {
+    try {
+      for (let attempt = 1; ; attempt++) {
+        const now = new Date();
+
+        try {
+          // The previous version tells whether the alarm was created, changed severity or escalated
+          const result = await Alarm.findOneAndUpdate(
+            { originatorId: device._id, type, status: { $in: Alarm.ACTIVE_STATUSES } },
+            {
+              $set: { severity, details, endTs: now },
+              $setOnInsert: {
+                originatorName: device.name,
+                tenantId: device.tenantId || null,
+                customerId: device.customerId || null,
+                status: 'active_unack',
+                propagate,
+                propagatedTo: propagate ? this.getPropagationTargets(device) : [],
+                startTs: now,
+                createdAt: now
+              }
+            },
+            { upsert: true, new: false, includeResultMetadata: true }
+          );
+
+          if (!result.value) {
+            const alarm = await Alarm.findById(result.lastErrorObject.upserted);
+
+            logger.info(`Alarm created: ${type} (${severity}) for device ${device.name}`);
+            this.emitAlarmEvent('created', alarm);
+
+            return alarm;
+          }
+
+          return this.applySeverityChange(result.value, severity, details, now);
+        } catch (error) {
+          // Two upserts missed the active alarm together and the other one inserted it, update it instead
+          if (error.code !== 11000 || attempt >= 3) {
+            throw error;
+          }
+        }
+      }
+    } catch (error) {
+      logger.error(`Error creating alarm ${type} for device ${device._id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Finish updating an active alarm after its severity and details were written
+   * @private
+   * @param {Object} previous - Alarm as it was before the update
+   * @param {string} severity - New severity
+   * @param {Object} details - New details
+   * @param {Date} now - Update time
+   * @returns {Promise<Object>} - Updated alarm
+   */
+  async applySeverityChange(previous, severity, details, now) {
+    const severityChanged = previous.severity !== severity;
+    const escalated = SEVERITY_ORDER.indexOf(severity) < SEVERITY_ORDER.indexOf(previous.severity);
+
+    // A more severe condition needs to be acknowledged again
+    if (escalated && previous.status === 'active_ack') {
+      await Alarm.updateOne({ _id: previous._id, status: 'active_ack' }, { $set: { status: 'active_unack' } });
+      previous.status = 'active_unack';
+    }
+
+    previous.severity = severity;
+    previous.details = details;
+    previous.endTs = now;
+    previous.updatedAt = now;
+
+    if (severityChanged) {
+      this.emitAlarmEvent('updated', previous);
+    }
+    return previous;
+  }
+
+  /**
+   * Clear the active alarm of a type for a device, if any
+   * @param {Object} device - Originator device
+   * @param {string} type - Alarm type
+   * @param {Object} [details] - Clear details
+   * @returns {Promise<Object|null>} - Cleared alarm
+   */
+  async clearActiveAlarm(device, type, details = {}) {
+    const alarm = await Alarm.findActive(device._id, type);
+
+    if (!alarm) {
+      return null;
+    }
+
+    return this.applyClear(alarm, null, details);
+  }
+
+  /**
+   * Acknowledge an alarm
+   * @param {string} alarmId - Alarm ID
+   * @param {string} userId - Acknowledging user
+   * @returns {Promise<Object>} - Updated alarm
+   */
+  async acknowledgeAlarm(alarmId, userId) {
+    try {
+      const alarm = await Alarm.findById(alarmId);
+      if (!alarm) {
+        throw new Error('Alarm not found');
+      }
+
+      if (alarm.acknowledged) {
+        return alarm;
+      }
+
+      alarm.status = alarm.cleared ? 'cleared_ack' : 'active_ack';
+      alarm.ackTs = new Date();
+      alarm.ackBy = userId;
+      alarm.updatedAt = new Date();
+      await alarm.save();
+
+      this.emitAlarmEvent('acknowledged', alarm);
+
+      return alarm;
+    } catch (error) {
+      logger.error(`Error acknowledging alarm ${alarmId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Clear an alarm
+   * @param {string} alarmId - Alarm ID
+   * @param {string} userId - Clearing user
+   * @returns {Promise<Object>} - Updated alarm
+   */
+  async clearAlarm(alarmId, userId) {
+    try {
+      const alarm = await Alarm.findById(alarmId);
+      if (!alarm) {
+        throw new Error('Alarm not found');
+      }
+
+      if (alarm.cleared) {
+        return alarm;
+      }
+
+      return await this.applyClear(alarm, userId);
+    } catch (error) {
+      logger.error(`Error clearing alarm ${alarmId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move an alarm to its cleared state
+   * @private
+   * @param {Object} alarm - Alarm document
+   * @param {string|null} userId - Clearing user, null when cleared by a rule
+   * @param {Object} [details] - Clear details
+   * @returns {Promise<Object>} - Updated alarm
+   */
+  async applyClear(alarm, userId, details) {
+    alarm.status = alarm.acknowledged ? 'cleared_ack' : 'cleared_unack';
+    alarm.clearTs = new Date();
+    alarm.clearedBy = userId || undefined;
+    alarm.updatedAt = new Date();
+
+    if (details) {
+      alarm.details = { ...alarm.details, clear: details };
+    }
+
+    await alarm.save();
+
+    logger.info(`Alarm cleared: ${alarm.type} for device ${alarm.originatorName}`);
+    this.emitAlarmEvent('cleared', alarm);
+
+    return alarm;
+  }
+
+  /**
+   * Query alarms
+   * @param {Object} scope - Access query from DeviceService.getAccessQuery
+   * @param {Object} filters - status, severity, type, originatorId, entityId, startTime, endTime
+   * @param {number} page - Page number
+   * @param {number} limit - Page size
+   * @returns {Promise<Object>} - Paginated alarms
+   */
+  async queryAlarms(scope, filters = {}, page = 1, limit = 10) {
+    try {
+      const query = { ...scope };
+
+      switch (filters.status) {
+        case 'active':
+          query.status = { $in: ['active_unack', 'active_ack'] };
+          break;
+        case 'cleared':
+          query.status = { $in: ['cleared_unack', 'cleared_ack'] };
+          break;
+        case 'ack':
+          query.status = { $in: ['active_ack', 'cleared_ack'] };
+          break;
+        case 'unack':
+          query.status = { $in: ['active_unack', 'cleared_unack'] };
+          break;
+        default:
+          if (filters.status) query.status = filters.status;
+      }
+
+      if (filters.severity) query.severity = { $in: filters.severity.split(',') };
+      if (filters.type) query.type = filters.type;
+      if (filters.originatorId) query.originatorId = filters.originatorId;
+
+      // Alarms raised by an entity or propagated to it
+      if (filters.entityId) {
+        query.$or = [
+          { originatorId: filters.entityId },
+          { propagatedTo: filters.entityId }
+        ];
+      }
+
+      if (filters.startTime || filters.endTime) {
+        query.startTs = {};
+        if (filters.startTime) query.startTs.$gte = new Date(filters.startTime);
+        if (filters.endTime) query.startTs.$lte = new Date(filters.endTime);
+      }
+
+      const skip = (page - 1) * limit;
+
+      const alarms = await Alarm.find(query)
+        .sort({ startTs: -1 })
+        .skip(skip)
+        .limit(limit);
+
+      const total = await Alarm.countDocuments(query);
+
+      return {
+        alarms,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error querying alarms:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Subscribe to alarm lifecycle events
+   * @param {Function} callback - Called with { action, alarm }
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribeToUpdates(callback) {
+    this.eventEmitter.on('alarm', callback);
+
+    return () => {
+      this.eventEmitter.off('alarm', callback);
+    };
+  }
+
+  /**
+   * Emit alarm lifecycle event
+   * @private
+   * @param {string} action - created, updated, acknowledged or cleared
+   * @param {Object} alarm - Alarm document
+   */
+  emitAlarmEvent(action, alarm) {
+    this.eventEmitter.emit('alarm', { action, alarm });
+  }
+
+  /**
+   * Entities an alarm of this device propagates to
+   * @private
+   * @param {Object} device - Originator device
+   * @returns {Array} - Entity IDs
+   */
+  getPropagationTargets(device) {
+    return [device.customerId, device.tenantId].filter(Boolean);
+  }
+}
+
+const alarmService = new AlarmService();
+
+// Rule chain actions backed by the alarm service
+RulesEngine.registerNode('action', 'createAlarm', async (node, message) => {
+  await alarmService.createOrUpdateAlarm(
+    { _id: message.originator.id, ...message.originator },
+    {
+      type: node.config.alarmType,
+      severity: node.config.severity || 'indeterminate',
+      propagate: Boolean(node.config.propagate),
+      details: { data: message.data, ts: message.metadata.ts }
+    }
+  );
+  return { relation: RulesEngine.RELATIONS.SUCCESS, message };
+});
+
+RulesEngine.registerNode('action', 'clearAlarm', async (node, message) => {
+  await alarmService.clearActiveAlarm(
+    { _id: message.originator.id },
+    node.config.alarmType,
+    { data: message.data, ts: message.metadata.ts }
+  );
+  return { relation: RulesEngine.RELATIONS.SUCCESS, message };
+});
+
+module.exports = alarmService;
\ No newline at end of file
@@ -0,0 +1,444 @@
+const Telemetry = require('../Models/telementary');
+const alarmService = require('./alarmService');
+const config = require('../Config/default');
+const logger = require('../utils/logger');
+
+// Period units accepted by analyzeDeviceData, e.g. 30m, 24h, 7d, 2w
+const PERIOD_UNITS_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+// Severity of the alarm raised for each anomaly type
+const ANOMALY_SEVERITY = {
+  spike: 'minor',
+  level_shift: 'major',
+  stuck_value: 'warning',
+  flat_line: 'warning',
+  gap: 'warning'
+};
+
+/**
+ * Parse an analysis period
+ * @param {string} period - Number followed by m, h, d or w
+ * @returns {number} - Period in milliseconds
+ */
+const parsePeriod = (period) => {
+  const match = /^(\d+)([mhdw])$/.exec(String(period));
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(`Invalid analysis period: ${period}. Use a number followed by m, h, d or w`);
+  }
+  return Number(match[1]) * PERIOD_UNITS_MS[match[2]];
+};
+
+/**
+ * Streaming detector for one telemetry key. Points are pushed in timestamp order
+ * and only bounded windows are kept in memory.
+ */
+class KeyAnalyzer {
+  /**
+   * @param {string} key - Telemetry key
+   * @param {Object} stats - Period statistics (count, avg, stddev, firstTimestamp, lastTimestamp)
+   * @param {Object} settings - Analysis settings (config.analysis)
+   */
+  constructor(key, stats, settings) {
+    this.key = key;
+    this.stats = stats;
+    this.settings = settings;
+    this.anomalies = [];
+    this.truncated = false;
+    this.points = 0;
+
+    // Mean spacing of the points, the reference for gap detection
+    this.expectedIntervalMs = stats.count > 1
+      ? (new Date(stats.lastTimestamp) - new Date(stats.firstTimestamp)) / (stats.count - 1)
+      : null;
+
+    this.ewmaMean = null;
+    this.ewmaVariance = 0;
+    this.previous = null;
+    this.run = null;
+    this.window = [];
+    this.shiftWindow = [];
+    this.shiftCooldown = 0;
+    this.flatActive = null;
+  }
+
+  /**
+   * Record an anomaly, keeping at most maxAnomaliesPerKey
+   * @private
+   * @param {Object} anomaly - Anomaly
+   */
+  report(anomaly) {
+    if (this.anomalies.length >= this.settings.maxAnomaliesPerKey) {
+      this.truncated = true;
+      return;
+    }
+    this.anomalies.push({ key: this.key, ...anomaly });
+  }
+
+  /**
+   * Feed the next point
+   * @param {Date} timestamp - Point timestamp
+   * @param {number} value - Numeric value
+   */
+  push(timestamp, value) {
+    this.points++;
+    this.detectGap(timestamp);
+    this.detectSpike(timestamp, value);
+    this.detectStuck(timestamp, value);
+    this.detectFlatLine(timestamp, value);
+    this.detectLevelShift(timestamp, value);
+    this.previous = { timestamp, value };
+  }
+
+  /**
+   * Missing data: spacing far above the expected interval
+   * @private
+   */
+  detectGap(timestamp) {
+    if (!this.previous || !this.expectedIntervalMs) return;
+
+    const duration = timestamp - this.previous.timestamp;
+    if (duration > this.expectedIntervalMs * this.settings.gapFactor) {
+      this.report({
+        type: 'gap',
+        start: this.previous.timestamp,
+        end: timestamp,
+        durationMs: duration,
+        expectedIntervalMs: Math.round(this.expectedIntervalMs)
+      });
+    }
+  }
+
+  /**
+   * Outliers against an EWMA baseline (z-score on the EWMA mean and variance)
+   * @private
+   */
+  detectSpike(timestamp, value) {
+    const { ewmaAlpha, zScoreThreshold, warmupPoints } = this.settings;
+
+    if (this.ewmaMean === null) {
+      this.ewmaMean = value;
+      return;
+    }
+
+    const stddev = Math.sqrt(this.ewmaVariance);
+    if (this.points > warmupPoints && stddev > 0) {
+      const zScore = (value - this.ewmaMean) / stddev;
+      if (Math.abs(zScore) > zScoreThreshold) {
+        this.report({
+          type: 'spike',
+          timestamp,
+          value,
+          expected: this.ewmaMean,
+          zScore: Number(zScore.toFixed(2))
+        });
+      }
+    }
+
+    const diff = value - this.ewmaMean;
+    this.ewmaMean += ewmaAlpha * diff;
+    this.ewmaVariance = (1 - ewmaAlpha) * (this.ewmaVariance + ewmaAlpha * diff * diff);
+  }
+
+  /**
+   * Stuck value: the exact same value repeated many times
+   * @private
+   */
+  detectStuck(timestamp, value) {
+    if (this.run && this.run.value === value) {
+      this.run.end = timestamp;
+      this.run.points++;
+      return;
+    }
+
+    this.closeStuckRun();
+    this.run = { value, start: timestamp, end: timestamp, points: 1 };
+  }
+
+  /**
+   * Report the current run of identical values when it is long enough
+   * @private
+   */
+  closeStuckRun() {
+    if (this.run && this.run.points >= this.settings.stuckMinPoints) {
+      this.report({
+        type: 'stuck_value',
+        start: this.run.start,
+        end: this.run.end,
+        value: this.run.value,
+        points: this.run.points
+      });
+    }
+  }
+
+  /**
+   * Flat line: a window whose range is tiny compared with the period standard deviation,
+   * without being an exact repeat (covered by stuck_value)
+   * @private
+   */
+  detectFlatLine(timestamp, value) {
+    const { flatlineWindow, flatlineRatio } = this.settings;
+
+    this.window.push({ timestamp, value });
+    if (this.window.length > flatlineWindow) this.window.shift();
+    if (this.window.length < flatlineWindow || !this.stats.stddev) return;
+
+    const values = this.window.map(point => point.value);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const flat = max > min && (max - min) <= flatlineRatio * this.stats.stddev;
+
+    if (flat && !this.flatActive) {
+      this.flatActive = { start: this.window[0].timestamp, end: timestamp, min, max };
+    } else if (flat) {
+      this.flatActive.end = timestamp;
+      this.flatActive.min = Math.min(this.flatActive.min, min);
+      this.flatActive.max = Math.max(this.flatActive.max, max);
+    } else {
+      this.closeFlatLine();
+    }
+  }
+
+  /**
+   * Report the current flat line, if any
+   * @private
+   */
+  closeFlatLine() {
+    if (this.flatActive) {
+      this.report({ type: 'flat_line', ...this.flatActive });
+      this.flatActive = null;
+    }
+  }
+
+  /**
+   * Level shift: the mean of the last window differs from the window before it
+   * by more than levelShiftThreshold period standard deviations
+   * @private
+   */
+  detectLevelShift(timestamp, value) {
+    const { levelShiftWindow, levelShiftThreshold } = this.settings;
+
+    this.shiftWindow.push({ timestamp, value });
+    if (this.shiftWindow.length > 2 * levelShiftWindow) this.shiftWindow.shift();
+    if (this.shiftCooldown > 0) this.shiftCooldown--;
+    if (this.shiftWindow.length < 2 * levelShiftWindow || this.shiftCooldown > 0 || !this.stats.stddev) return;
+
+    const mean = points => points.reduce((sum, point) => sum + point.value, 0) / points.length;
+    const before = mean(this.shiftWindow.slice(0, levelShiftWindow));
+    const after = mean(this.shiftWindow.slice(levelShiftWindow));
+    const magnitude = (after - before) / this.stats.stddev;
+
+    if (Math.abs(magnitude) > levelShiftThreshold) {
+      this.report({
+        type: 'level_shift',
+        timestamp: this.shiftWindow[levelShiftWindow].timestamp,
+        before,
+        after,
+        magnitude: Number(magnitude.toFixed(2))
+      });
+      // Do not report the same shift again while it moves through the window
+      this.shiftCooldown = 2 * levelShiftWindow;
+    }
+  }
+
+  /**
+   * Close open runs and report a trailing gap up to the end of the period
+   * @param {Date} endTime - Period end
+   * @param {boolean} [truncated=false] - The points stopped at the scan limit, so the last one seen is
+   *                                      not the last one of the period and no trailing gap is reported
+   * @returns {Object} - Key report
+   */
+  finish(endTime, truncated = false) {
+    this.closeStuckRun();
+    this.closeFlatLine();
+    this.truncated = this.truncated || truncated;
+
+    if (!truncated && this.previous && this.expectedIntervalMs &&
+        endTime - this.previous.timestamp > this.expectedIntervalMs * this.settings.gapFactor) {
+      this.report({
+        type: 'gap',
+        start: this.previous.timestamp,
+        end: endTime,
+        durationMs: endTime - this.previous.timestamp,
+        expectedIntervalMs: Math.round(this.expectedIntervalMs),
+        ongoing: true
+      });
+    }
+
+    return {
+      key: this.key,
+      points: this.points,
+      baseline: {
+        mean: this.stats.avg,
+        stddev: this.stats.stddev,
+        ewmaMean: this.ewmaMean,
+        ewmaStddev: Math.sqrt(this.ewmaVariance)
+      },
+      stats: {
+        min: this.stats.min,
+        max: this.stats.max,
+        avg: this.stats.avg
+      },
+      expectedIntervalMs: this.expectedIntervalMs ? Math.round(this.expectedIntervalMs) : null,
+      anomalies: this.anomalies,
+      truncated: this.truncated
+    };
+  }
+}
+
+class AnalysisService {
+  /**
+   * Check an analysis period
+   * @param {string} period - Period (e.g. 30m, 24h, 7d, 2w)
+   * @returns {boolean} - True when the period can be parsed
+   */
+  isValidPeriod(period) {
+    try {
+      parsePeriod(period);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Analyze the numeric telemetry of a device over a period: EWMA z-score spikes,
+   * stuck values, flat lines, missing-data gaps and level shifts, per key
+   * @param {Object} device - Device
+   * @param {string} [period='24h'] - Period ending now (e.g. 30m, 24h, 7d, 2w)
+   * @param {Object} [options]
+   * @param {Array<string>} [options.keys] - Keys to analyze, all numeric keys by default
+   * @param {boolean} [options.raiseAlarms=false] - Raise an alarm per key and anomaly type found
+   * @returns {Promise<Object>} - Analysis report
+   */
+  async analyzeDeviceData(device, period = '24h', { keys, raiseAlarms = false } = {}) {
+    try {
+      const endTime = new Date();
+      const startTime = new Date(endTime.getTime() - parsePeriod(period));
+      const deviceId = device._id.toString();
+      const settings = this.getSettings();
+
+      const range = { $gte: startTime, $lte: endTime };
+      const analyzedKeys = keys && keys.length > 0
+        ? keys
+        : (await Telemetry.distinct('key', {
+          deviceId,
+          valueType: { $in: Telemetry.NUMERIC_TYPES },
+          timestamp: range
+        })).sort();
+
+      const reports = [];
+      for (const key of analyzedKeys) {
+        reports.push(await this.analyzeKey(deviceId, key, startTime, endTime, settings));
+      }
+
+      const anomalies = reports.flatMap(report => report.anomalies);
+      const byType = {};
+      for (const anomaly of anomalies) {
+        byType[anomaly.type] = (byType[anomaly.type] || 0) + 1;
+      }
+
+      const report = {
+        deviceId,
+        deviceName: device.name,
+        period,
+        startTime,
+        endTime,
+        generatedAt: new Date(),
+        summary: {
+          keysAnalyzed: reports.length,
+          anomalies: anomalies.length,
+          byType
+        },
+        keys: reports,
+        alarms: []
+      };
+
+      if (raiseAlarms) {
+        report.alarms = await this.raiseAlarms(device, reports);
+      }
+
+      return report;
+    } catch (error) {
+      logger.error(`Error analyzing data for device ${device._id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Analyze one key with a cursor over its points
+   * @private
+   */
+  async analyzeKey(deviceId, key, startTime, endTime, settings) {
+    const [stats = { count: 0 }] = await Telemetry.getStats(deviceId, key, startTime, endTime);
+    const analyzer = new KeyAnalyzer(key, stats, settings);
+
+    const cursor = Telemetry.find({
+      deviceId,
+      key,
+      valueType: { $in: Telemetry.NUMERIC_TYPES },
+      timestamp: { $gte: startTime, $lte: endTime }
+    })
+      .sort({ timestamp: 1 })
+      .select('timestamp valueType longValue doubleValue')
+      .limit(settings.maxPointsPerKey)
+      .lean()
+      .cursor({ batchSize: 1000 });
+
+    try {
+      for await (const doc of cursor) {
+        analyzer.push(doc.timestamp, Telemetry.extractValue(doc));
+      }
+    } finally {
+      await cursor.close();
+    }
+
+    return analyzer.finish(endTime, stats.count > settings.maxPointsPerKey);
+  }
+
+  /**
+   * Raise one alarm per key and anomaly type, with the latest anomaly as details
+   * @private
+   * @param {Object} device - Device
+   * @param {Array<Object>} reports - Key reports
+   * @returns {Promise<Array>} - Raised alarms (id, type, severity)
+   */
+  async raiseAlarms(device, reports) {
+    const alarms = [];
+
+    for (const report of reports) {
+      const latestByType = new Map();
+      const countByType = new Map();
+      for (const anomaly of report.anomalies) {
+        latestByType.set(anomaly.type, anomaly);
+        countByType.set(anomaly.type, (countByType.get(anomaly.type) || 0) + 1);
+      }
+
+      for (const [type, anomaly] of latestByType) {
+        const alarm = await alarmService.createOrUpdateAlarm(device, {
+          type: `Anomaly: ${type} (${report.key})`,
+          severity: ANOMALY_SEVERITY[type],
+          details: { ...anomaly, occurrences: countByType.get(type) }
+        });
+        alarms.push({ id: alarm._id, type: alarm.type, severity: alarm.severity });
+      }
+    }
+
+    return alarms;
+  }
+
+  /**
+   * Analysis settings from configuration
+   * @private
+   * @returns {Object} - Numeric settings
+   */
+  getSettings() {
+    return Object.fromEntries(Object.entries(config.analysis).map(([name, value]) => [name, Number(value)]));
+  }
+}
+
+module.exports = new AnalysisService();
\ No newline at end of file
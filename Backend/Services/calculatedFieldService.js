@@ -0,0 +1,246 @@
+const CalculatedField = require('../Models/calculatedField');
+const Telemetry = require('../Models/telementary');
+const config = require('../Config/default');
+const { compileExpression } = require('../utils/expression');
+const logger = require('../utils/logger');
+
+// Calculated fields are cached briefly per tenant/device type
+const FIELD_CACHE_TTL_MS = 30000;
+
+// Compiled expressions, keyed by source, dropped whenever fields change
+const expressionCache = new Map();
+
+/**
+ * Compile an expression once
+ * @param {string} expression - Calculated field expression
+ * @returns {Function} - Evaluator, see utils/expression
+ */
+const compile = (expression) => {
+  let evaluate = expressionCache.get(expression);
+
+  if (!evaluate) {
+    evaluate = compileExpression(expression);
+    expressionCache.set(expression, evaluate);
+  }
+
+  return evaluate;
+};
+
+class CalculatedFieldService {
+  constructor() {
+    this.fieldCache = new Map();
+    // Last known value of every input key, per device: deviceId -> Map(key -> { value, ts })
+    this.state = new Map();
+    // Input keys already looked up in storage, per device
+    this.loadedKeys = new Map();
+  }
+
+  /**
+   * Check that an expression compiles
+   * @param {string} expression - Calculated field expression
+   * @returns {Array<string>} - Validation errors
+   */
+  validateExpression(expression) {
+    try {
+      compileExpression(expression);
+      return [];
+    } catch (error) {
+      return [`Invalid expression: ${error.message}`];
+    }
+  }
+
+  /**
+   * Get the enabled calculated fields of a device type, in creation order
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} deviceType - Device type
+   * @returns {Promise<Array>} - Calculated fields
+   */
+  async getFields(tenantId, deviceType) {
+    const cacheKey = `${tenantId || 'system'}:${deviceType}`;
+    const cached = this.fieldCache.get(cacheKey);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.fields;
+    }
+
+    const fields = await CalculatedField.find({
+      tenantId: tenantId || null,
+      deviceType,
+      enabled: true
+    }).sort({ createdAt: 1 }).lean();
+
+    this.fieldCache.set(cacheKey, { fields, expiresAt: Date.now() + FIELD_CACHE_TTL_MS });
+    return fields;
+  }
+
+  /**
+   * Drop cached fields after they were changed
+   */
+  invalidateFields() {
+    this.fieldCache.clear();
+    expressionCache.clear();
+  }
+
+  /**
+   * Evaluate the calculated fields of a device against a set of incoming records.
+   * Records are grouped by timestamp; a field is computed for a timestamp when one of its
+   * inputs arrived with it and every other input has a known value. Results of earlier
+   * fields can be used as inputs of later ones.
+   * @param {Object} device - Device (_id, tenantId, type)
+   * @param {Array<Object>} records - Telemetry records about to be stored
+   * @returns {Promise<Array<Object>>} - Derived telemetry records
+   */
+  async evaluate(device, records) {
+    const fields = await this.getFields(device.tenantId, device.type);
+    if (fields.length === 0) {
+      return [];
+    }
+
+    const deviceId = device._id.toString();
+    const inputKeys = [...new Set(fields.flatMap(field => field.inputs))];
+    const state = await this.getState(deviceId, inputKeys);
+    const derived = [];
+
+    // Evaluate timestamp groups in order so previous values move forward correctly
+    const groups = new Map();
+    for (const record of records) {
+      const ts = record.timestamp.getTime();
+      if (!groups.has(ts)) groups.set(ts, []);
+      groups.get(ts).push(record);
+    }
+
+    for (const ts of [...groups.keys()].sort((a, b) => a - b)) {
+      const current = new Map();
+      for (const record of groups.get(ts)) {
+        const last = state.get(record.key);
+        // Late points are stored but do not rewind the state
+        if (last && last.ts > ts) continue;
+        current.set(record.key, Telemetry.extractValue(record));
+      }
+
+      for (const field of fields) {
+        if (!field.inputs.some(input => current.has(input))) continue;
+
+        try {
+          const value = this.evaluateField(field, current, state, ts);
+          if (value === undefined || value === null || (typeof value === 'number' && !Number.isFinite(value))) {
+            continue;
+          }
+
+          derived.push(Telemetry.buildRecord(deviceId, field.key, value, new Date(ts), { calculated: true }));
+          current.set(field.key, value);
+        } catch (error) {
+          logger.warn(`Calculated field ${field.key} failed for device ${deviceId}: ${error.message}`);
+        }
+      }
+
+      // Current values become the previous values of the next group
+      for (const [key, value] of current) {
+        if (inputKeys.includes(key)) {
+          state.set(key, { value, ts });
+        }
+      }
+    }
+
+    return derived;
+  }
+
+  /**
+   * Evaluate the expression of a field.
+   * Expressions are parsed by utils/expression, which only knows arithmetic, comparisons,
+   * own properties of data objects and whitelisted functions. They see every input by name
+   * (when it is a valid identifier) and in `values`, previous values in `prev`, timestamps
+   * in `ts` and `prevTs` (ms), and the helpers `delta(key)` (value change) and `dt(key)`
+   * (seconds since the previous point).
+   * @private
+   * @param {Object} field - Calculated field
+   * @param {Map} current - Values arriving at this timestamp
+   * @param {Map} state - Last known values
+   * @param {number} ts - Timestamp in ms
+   * @returns {*} - Expression result, undefined when an input has no value yet
+   */
+  evaluateField(field, current, state, ts) {
+    const values = Object.create(null);
+    const prev = Object.create(null);
+    const prevTs = Object.create(null);
+
+    for (const input of field.inputs) {
+      const last = state.get(input);
+
+      if (current.has(input)) {
+        values[input] = current.get(input);
+        if (last) {
+          prev[input] = last.value;
+          prevTs[input] = last.ts;
+        }
+      } else if (last) {
+        values[input] = last.value;
+      } else {
+        return undefined;
+      }
+    }
+
+    const delta = key => (prev[key] === undefined ? null : values[key] - prev[key]);
+    const dt = key => (prevTs[key] === undefined ? null : (ts - prevTs[key]) / 1000);
+    const scope = Object.assign(Object.create(null), values, { values, prev, ts, prevTs, delta, dt });
+
+    return compile(field.expression)(scope, [delta, dt]);
+  }
+
+  /**
+   * Get the last known input values of a device, loading them from storage on first use
+   * @private
+   * @param {string} deviceId - Device identifier
+   * @param {Array<string>} inputKeys - Input keys of the device's fields
+   * @returns {Promise<Map>} - key -> { value, ts }
+   */
+  async getState(deviceId, inputKeys) {
+    let state = this.state.get(deviceId);
+    let loaded = this.loadedKeys.get(deviceId);
+    if (!state) {
+      state = new Map();
+      loaded = new Set();
+    }
+
+    // Most recently used devices last, the least recently used one is evicted past the limit
+    this.state.delete(deviceId);
+    this.state.set(deviceId, state);
+    this.loadedKeys.set(deviceId, loaded);
+    if (this.state.size > Number(config.telemetry.calculatedFields.maxDevices)) {
+      this.resetState(this.state.keys().next().value);
+    }
+
+    // Inputs of fields that were removed or changed are no longer needed
+    for (const key of state.keys()) {
+      if (!inputKeys.includes(key)) {
+        state.delete(key);
+        loaded.delete(key);
+      }
+    }
+
+    const missing = inputKeys.filter(key => !loaded.has(key));
+    if (missing.length > 0) {
+      missing.forEach(key => loaded.add(key));
+
+      const latest = await Telemetry.getLatestByDevice(deviceId, missing);
+      for (const point of latest) {
+        if (!state.has(point.key)) {
+          state.set(point.key, { value: point.value, ts: new Date(point.timestamp).getTime() });
+        }
+      }
+    }
+
+    return state;
+  }
+
+  /**
+   * Forget the cached input values of a device
+   * @param {string} deviceId - Device identifier
+   */
+  resetState(deviceId) {
+    this.state.delete(deviceId.toString());
+    this.loadedKeys.delete(deviceId.toString());
+  }
+}
+
+module.exports = new CalculatedFieldService();
\ No newline at end of file
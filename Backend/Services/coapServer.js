@@ -0,0 +1,484 @@
+const coap = require('coap');
+const { v4: uuidv4 } = require('uuid');
+const DeviceService = require('./deviceServices');
+const payloadCodec = require('./payloadCodec');
+const config = require('../Config/default');
+const logger = require('../utils/logger');
+
+// Resources under coap://host/v1/devices/{deviceId}/, named after the MQTT topics
+const RESOURCES = {
+  telemetry: /^v1\/devices\/([^/]+)\/telemetry$/,
+  attributes: /^v1\/devices\/([^/]+)\/attributes$/,
+  rpcRequest: /^v1\/devices\/([^/]+)\/rpc\/request$/,
+  rpcResponse: /^v1\/devices\/([^/]+)\/rpc\/response\/([^/]+)$/
+};
+
+/**
+ * Error answered to the device with a CoAP response code
+ * @param {string} code - CoAP response code (4.00, 4.01, ...)
+ * @param {string} message - Reason
+ * @returns {Error} - Error with the response code
+ */
+const coapError = (code, message) => {
+  const error = new Error(message);
+  error.coapCode = code;
+  return error;
+};
+
+/**
+ * Device info in the shape used by the MQTT broker, for the rules engine and codec statistics
+ * @param {Object} device - Device
+ * @returns {Object} - { id, type, name, tenantId, ruleChainId, deviceProfileId }
+ */
+const toDeviceInfo = (device) => ({
+  id: device._id.toString(),
+  type: device.type,
+  name: device.name,
+  tenantId: device.tenantId,
+  ruleChainId: device.ruleChainId,
+  deviceProfileId: device.deviceProfileId
+});
+
+/**
+ * Identify the observation a request belongs to, by client endpoint and CoAP token
+ * @param {Object} req - CoAP incoming message
+ * @returns {string} - Observation key
+ */
+const observationKey = (req) => `${req.rsinfo.address}:${req.rsinfo.port}/${req._packet.token.toString('hex')}`;
+
+/**
+ * Split a comma-separated key list
+ * @param {string} value - Comma-separated keys
+ * @returns {Array<string>} - Keys, empty for every key
+ */
+const parseKeys = (value) => (value || '').split(',').map(key => key.trim()).filter(Boolean);
+
+class CoapServer {
+  constructor() {
+    this.server = null;
+    this.telemetryService = null;
+    this.rulesEngine = null;
+    this.unsubscribeAttributes = null;
+    // Open observations, by device: deviceId -> Set of { kind, keys, res }
+    this.observations = new Map();
+    // RPC requests waiting for the device's response: requestId -> pending request
+    this.inflight = new Map();
+  }
+
+  /**
+   * Start the CoAP server for constrained devices, beside the MQTT broker
+   * @param {Object} telemetryService - Telemetry service instance
+   * @param {Object} [rulesEngine] - Rules engine instance, defaults to the one used by telemetryService
+   * @returns {Promise<void>}
+   */
+  async init(telemetryService, rulesEngine) {
+    this.telemetryService = telemetryService;
+    this.rulesEngine = rulesEngine || telemetryService.rulesEngineService || null;
+
+    if (!config.coap.enabled) {
+      logger.info('CoAP server disabled');
+      return;
+    }
+
+    this.server = coap.createServer({ type: 'udp4' });
+    this.server.on('request', (req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        logger.error('Error processing CoAP request:', error);
+      });
+    });
+    this.server.on('error', error => logger.error('CoAP server error:', error));
+
+    // Observers of attributes are notified of every saved shared attribute update
+    this.unsubscribeAttributes = DeviceService.subscribeToAttributeUpdates(({ deviceId, attributes, scope }) => {
+      if (scope === 'shared') this.notifyAttributes(deviceId, attributes);
+    });
+
+    const port = Number(config.coap.port);
+    await new Promise(resolve => this.server.listen(port, resolve));
+    logger.info(`CoAP server started on port ${port}`);
+  }
+
+  /**
+   * Handle a CoAP request from a device
+   * @private
+   * @param {Object} req - CoAP incoming message
+   * @param {Object} res - CoAP outgoing message, an observe stream for observe registrations
+   * @returns {Promise<void>}
+   */
+  async handleRequest(req, res) {
+    try {
+      const url = new URL(req.url, 'coap://localhost');
+      const path = url.pathname.replace(/^\/+|\/+$/g, '');
+      const [resource, match] = Object.entries(RESOURCES)
+        .map(([name, pattern]) => [name, path.match(pattern)])
+        .find(([, found]) => found) || [];
+
+      if (!resource) {
+        throw coapError('4.04', 'Unknown resource');
+      }
+
+      const device = await this.authenticate(match[1], url.searchParams.get('token'));
+
+      if (resource === 'telemetry' && req.method === 'POST') {
+        await this.processTelemetry(device, req.payload);
+        return this.reply(res, '2.04');
+      }
+      if (resource === 'attributes' && req.method === 'POST') {
+        await this.processAttributes(device, await this.parsePayload(device, req.payload, 'attributes'));
+        return this.reply(res, '2.04');
+      }
+      if (resource === 'attributes' && req.method === 'GET') {
+        return this.getAttributes(device, req, res, parseKeys(url.searchParams.get('sharedKeys')));
+      }
+      if (resource === 'rpcRequest' && req.method === 'GET') {
+        return this.observeRpc(device, req, res);
+      }
+      if (resource === 'rpcResponse' && req.method === 'POST') {
+        const handled = this.handleRpcResponse(device._id, match[2], this.parseJson(req.payload));
+        return this.reply(res, handled ? '2.04' : '4.04');
+      }
+
+      throw coapError('4.05', `${req.method} is not allowed on ${resource}`);
+    } catch (error) {
+      if (!error.coapCode) {
+        logger.error('CoAP request error:', error);
+      }
+      this.reply(res, error.coapCode || '5.00', { message: error.message });
+    }
+  }
+
+  /**
+   * Authenticate a device with the same access token as on MQTT
+   * @private
+   * @param {string} deviceId - Device ID from the URI
+   * @param {string} accessToken - Access token from the token query option
+   * @returns {Promise<Object>} - Authenticated device
+   */
+  async authenticate(deviceId, accessToken) {
+    if (!accessToken) {
+      throw coapError('4.01', 'Access token not provided');
+    }
+
+    try {
+      return await DeviceService.authenticateDevice(deviceId, accessToken);
+    } catch (error) {
+      throw coapError('4.01', error.message);
+    }
+  }
+
+  /**
+   * Store telemetry posted by a device
+   * @private
+   * @param {Object} device - Authenticated device
+   * @param {Buffer} payload - Raw payload in the profile format
+   * @returns {Promise<void>}
+   */
+  async processTelemetry(device, payload) {
+    const telemetry = await this.parsePayload(device, payload, 'telemetry');
+
+    // Flat objects and [{ ts, values }] arrays are expanded into points by the telemetry service
+    if (this.telemetryService) {
+      await this.telemetryService.saveTelemetry(device._id.toString(), telemetry);
+    }
+  }
+
+  /**
+   * Store client attributes posted by a device, then route them through the rules engine like MQTT
+   * attribute messages
+   * @private
+   * @param {Object} device - Authenticated device
+   * @param {Object} attributes - Decoded attributes
+   * @returns {Promise<void>}
+   */
+  async processAttributes(device, attributes) {
+    if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+      throw coapError('4.00', 'Attributes must be a key/value object');
+    }
+
+    await DeviceService.updateAttributes(device, attributes, 'client');
+    if (!this.rulesEngine) return;
+
+    const deviceInfo = toDeviceInfo(device);
+    this.rulesEngine.processAttributes(deviceInfo, attributes)
+      .catch(err => logger.error(`Error routing processAttributes for device ${deviceInfo.id}:`, err));
+  }
+
+  /**
+   * Answer the attributes of a device, and keep notifying updates when the device observes them
+   * @private
+   * @param {Object} device - Authenticated device
+   * @param {Object} req - CoAP incoming message
+   * @param {Object} res - CoAP outgoing message
+   * @param {Array<string>} keys - Shared attribute keys, every shared attribute when empty
+   */
+  getAttributes(device, req, res, keys) {
+    const shared = device.getSharedAttributes(keys);
+
+    if (req.headers.Observe === 0) {
+      this.addObservation(device, req, res, { kind: 'attributes', keys });
+    } else if (req.headers.Observe === 1) {
+      this.removeObservation(device, req);
+    }
+    this.reply(res, '2.05', { shared }, req.headers.Observe === 0);
+  }
+
+  /**
+   * Register a device for RPC requests, each request is sent as a notification
+   * @private
+   * @param {Object} device - Authenticated device
+   * @param {Object} req - CoAP incoming message
+   * @param {Object} res - CoAP outgoing message
+   */
+  observeRpc(device, req, res) {
+    if (req.headers.Observe === 1) {
+      this.removeObservation(device, req);
+      return this.reply(res, '2.05');
+    }
+    if (req.headers.Observe !== 0) {
+      throw coapError('4.00', 'RPC requests must be observed');
+    }
+
+    this.addObservation(device, req, res, { kind: 'rpc' });
+    // Confirm the registration, requests follow as notifications
+    res.code = '2.05';
+    res.write(Buffer.alloc(0));
+  }
+
+  /**
+   * Track an observation until the device cancels it or stops answering
+   * @private
+   * @param {Object} device - Authenticated device
+   * @param {Object} req - CoAP incoming message
+   * @param {Object} res - CoAP observe stream
+   * @param {Object} observation - { kind, keys }
+   */
+  addObservation(device, req, res, observation) {
+    const deviceId = device._id.toString();
+    const observations = this.observations.get(deviceId) || new Set();
+    if (observations.size >= Number(config.coap.maxObservations)) {
+      throw coapError('5.03', 'Too many observations for this device');
+    }
+
+    const entry = { ...observation, key: observationKey(req), res };
+    observations.add(entry);
+    this.observations.set(deviceId, observations);
+
+    res.on('finish', () => {
+      observations.delete(entry);
+      if (observations.size === 0) this.observations.delete(deviceId);
+      logger.debug(`CoAP observation of ${observation.kind} ended for device ${deviceId}`);
+    });
+
+    logger.debug(`Device ${deviceId} observes ${observation.kind} over CoAP`);
+  }
+
+  /**
+   * End the observation a deregistration request (Observe: 1) refers to
+   * @private
+   * @param {Object} device - Authenticated device
+   * @param {Object} req - CoAP incoming message
+   */
+  removeObservation(device, req) {
+    const key = observationKey(req);
+    const observations = this.observations.get(device._id.toString()) || new Set();
+
+    for (const observation of observations) {
+      if (observation.key === key) observation.res.end();
+    }
+  }
+
+  /**
+   * Notify the attribute observers of a device
+   * @param {string} deviceId - Device ID
+   * @param {Object} attributes - Updated attribute key/value pairs
+   */
+  notifyAttributes(deviceId, attributes) {
+    for (const observation of this.getObservations(deviceId, 'attributes')) {
+      const shared = {};
+      for (const [key, value] of Object.entries(attributes)) {
+        if (observation.keys.length === 0 || observation.keys.includes(key)) shared[key] = value;
+      }
+
+      if (Object.keys(shared).length > 0) {
+        observation.res.write(JSON.stringify({ shared }));
+      }
+    }
+  }
+
+  /**
+   * Check whether a device observes RPC requests, so commands are sent to it over CoAP
+   * @param {string} deviceId - Device ID
+   * @returns {boolean} - True when an RPC observation is open
+   */
+  isObservingRpc(deviceId) {
+    return this.getObservations(deviceId, 'rpc').length > 0;
+  }
+
+  /**
+   * Send an RPC request to a device observing RPC requests
+   * @param {string} deviceId - Device ID
+   * @param {string} method - RPC method name
+   * @param {Object} params - RPC parameters
+   * @param {number} [timeout=30000] - Time to wait for the device's response in ms
+   * @returns {Promise<Object>} - { requestId, data }
+   */
+  sendRpcRequest(deviceId, method, params, timeout = 30000) {
+    const key = deviceId.toString();
+    const observations = this.getObservations(key, 'rpc');
+
+    if (observations.length === 0) {
+      return Promise.reject(new Error(`Device ${key} does not observe RPC requests`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = { id: uuidv4(), method, params };
+      const pending = { deviceId: key, resolve, reject, timer: null };
+
+      pending.timer = setTimeout(() => {
+        this.inflight.delete(request.id);
+
+        const error = new Error(`RPC request timeout for device ${key}, method ${method}`);
+        error.code = 'TIMEOUT';
+        reject(error);
+      }, timeout);
+
+      this.inflight.set(request.id, pending);
+
+      for (const observation of observations) {
+        observation.res.write(JSON.stringify(request));
+      }
+
+      logger.debug(`Sent CoAP RPC request to device ${key}, method: ${method}, requestId: ${request.id}`);
+    });
+  }
+
+  /**
+   * Complete an RPC request with the device's response
+   * @private
+   * @param {string} deviceId - Device ID
+   * @param {string} requestId - Request ID
+   * @param {*} response - Response data
+   * @returns {boolean} - False when no such request is waiting for a response
+   */
+  handleRpcResponse(deviceId, requestId, response) {
+    const pending = this.inflight.get(requestId);
+    if (!pending || pending.deviceId !== deviceId.toString()) {
+      return false;
+    }
+
+    clearTimeout(pending.timer);
+    this.inflight.delete(requestId);
+    pending.resolve({ requestId, data: response });
+
+    logger.debug(`Received CoAP RPC response from device ${deviceId}, requestId: ${requestId}`);
+    return true;
+  }
+
+  /**
+   * Open observations of a device
+   * @private
+   * @param {string} deviceId - Device ID
+   * @param {string} kind - attributes or rpc
+   * @returns {Array<Object>} - Observations
+   */
+  getObservations(deviceId, kind) {
+    const observations = this.observations.get(deviceId.toString()) || new Set();
+    return [...observations].filter(observation => observation.kind === kind);
+  }
+
+  /**
+   * Decode a device payload with the format of its device profile
+   * (JSON, CBOR or Protobuf). Failures are counted per device like MQTT payloads.
+   * @private
+   * @param {Object} device - Device
+   * @param {Buffer} payload - Raw payload
+   * @param {string} kind - Payload kind (telemetry, attributes)
+   * @returns {Promise<Object|Array>} - Decoded payload
+   */
+  async parsePayload(device, payload, kind) {
+    if (!payload || payload.length === 0) {
+      throw coapError('4.00', 'Payload is empty');
+    }
+
+    let format = 'json';
+    try {
+      const profile = await payloadCodec.getProfile(device.deviceProfileId);
+      if (profile) format = profile.payloadFormat;
+
+      return payloadCodec.decode(payload, profile, kind);
+    } catch (error) {
+      payloadCodec.recordFailure(toDeviceInfo(device), format, error);
+      throw coapError('4.00', `Invalid ${format} payload: ${error.message}`);
+    }
+  }
+
+  /**
+   * Parse a JSON payload, RPC responses are always JSON
+   * @private
+   * @param {Buffer} payload - Raw payload
+   * @returns {*} - Parsed payload, null when empty
+   */
+  parseJson(payload) {
+    if (!payload || payload.length === 0) return null;
+
+    try {
+      return JSON.parse(payload.toString());
+    } catch (error) {
+      throw coapError('4.00', `Invalid JSON payload: ${error.message}`);
+    }
+  }
+
+  /**
+   * Answer a request with a JSON body
+   * @private
+   * @param {Object} res - CoAP outgoing message
+   * @param {string} code - CoAP response code
+   * @param {Object} [body] - Response body
+   * @param {boolean} [keepOpen=false] - Keep an observe stream open for notifications
+   */
+  reply(res, code, body, keepOpen = false) {
+    res.code = code;
+    if (body) {
+      res.setOption('Content-Format', 'application/json');
+    }
+
+    const payload = body ? JSON.stringify(body) : undefined;
+    if (keepOpen) {
+      res.write(payload || Buffer.alloc(0));
+    } else {
+      res.end(payload);
+    }
+  }
+
+  /**
+   * Close the CoAP server, open observations and pending RPC requests
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.unsubscribeAttributes) {
+      this.unsubscribeAttributes();
+      this.unsubscribeAttributes = null;
+    }
+
+    for (const observations of this.observations.values()) {
+      for (const observation of observations) {
+        observation.res.end();
+      }
+    }
+    this.observations.clear();
+
+    for (const pending of this.inflight.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error('CoAP server closed'));
+    }
+    this.inflight.clear();
+
+    if (!this.server) return;
+
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+    logger.info('CoAP server closed');
+  }
+}
+
+module.exports = new CoapServer();
\ No newline at end of file
@@ -0,0 +1,237 @@
+const plcService = require('./plcService');
+const registerMapService = require('./registerMapService');
+const { decodeRegister } = require('../utils/modbusRegisters');
+const config = require('../Config/default');
+const logger = require('../utils/logger');
+
+// Group of registers without a poll group, or whose group is not defined
+const DEFAULT_GROUP = 'default';
+
+/**
+ * Check whether a value moved enough since it was last reported
+ * @param {*} previous - Last reported value
+ * @param {*} value - New value
+ * @param {number} deadband - Largest change that is not reported
+ * @returns {boolean} - True when the value must be reported
+ */
+const exceedsDeadband = (previous, value, deadband) => {
+  if (typeof previous === 'number' && typeof value === 'number') {
+    return Math.abs(value - previous) > deadband;
+  }
+  return JSON.stringify(previous) !== JSON.stringify(value);
+};
+
+class DataExtractionService {
+  constructor() {
+    this.telemetryService = null;
+    // Last reported value of deadband registers: deviceId -> Map(key -> { value, ts })
+    this.lastReported = new Map();
+  }
+
+  /**
+   * Store polled PLC data through a telemetry service and start polling
+   * @param {TelemetryService} telemetryService - Telemetry service instance
+   * @returns {Promise<void>}
+   */
+  async init(telemetryService) {
+    this.telemetryService = telemetryService;
+    plcService.setPollHandler((device, group) => this.extractAndSaveData(device, { group }));
+    plcService.setScheduleProvider(device => this.getSchedule(device));
+
+    await plcService.start();
+  }
+
+  /**
+   * Get the poll groups of a device that have registers. Registers outside a defined group
+   * are polled in the default group at the device poll interval.
+   * @param {Object} device - Device
+   * @returns {Promise<Array<Object>>} - Poll groups with name and interval
+   */
+  async getSchedule(device) {
+    const groups = await this.getPollGroups(device);
+    const registers = await registerMapService.getRegisters(device);
+    const used = new Set(registers.map(register => this.getGroupName(register, groups)));
+
+    return [...groups.values()].filter(group => used.has(group.name));
+  }
+
+  /**
+   * Read and decode the registers of a device, from the register map of its type
+   * or from the registers configured on the device
+   * @param {Object} device - Device
+   * @param {Object} [options]
+   * @param {string} [options.group] - Only read the registers of this poll group
+   * @returns {Promise<Object>} - { deviceId, timestamp, values, errors }
+   */
+  async fetchLatestData(device, { group } = {}) {
+    const deviceId = device._id.toString();
+    const registers = await this.getGroupRegisters(device, group);
+    const values = {};
+    const errors = [];
+
+    for (const register of registers) {
+      try {
+        const data = await plcService.readRegister(deviceId, register);
+        values[register.key || register.name] = this.convertRegister(register, data);
+      } catch (error) {
+        errors.push({ register: register.name, message: error.message });
+      }
+    }
+
+    // Nothing could be read: surface the failure instead of an empty sample
+    if (registers.length > 0 && errors.length === registers.length) {
+      throw new Error(`No register could be read: ${errors[0].message}`);
+    }
+
+    return {
+      deviceId,
+      timestamp: new Date(),
+      values,
+      errors
+    };
+  }
+
+  /**
+   * Read a device and store the values as telemetry. Registers with a deadband are only
+   * stored when they changed by more than the deadband, or when their group's maximum
+   * silence elapsed.
+   * @param {Object} device - Device
+   * @param {Object} [options]
+   * @param {string} [options.group] - Only read the registers of this poll group
+   * @param {boolean} [options.force=false] - Store every value, ignoring deadbands
+   * @returns {Promise<Object>} - Read data, with the stored keys in reported
+   */
+  async extractAndSaveData(device, { group, force = false } = {}) {
+    try {
+      if (!this.telemetryService) {
+        throw new Error('Data extraction service is not initialized');
+      }
+
+      const data = await this.fetchLatestData(device, { group });
+      const values = await this.filterChanges(device, data, force);
+      data.reported = Object.keys(values);
+
+      if (data.reported.length > 0) {
+        await this.telemetryService.saveTelemetry(data.deviceId, {
+          ts: data.timestamp.getTime(),
+          values
+        });
+      }
+
+      for (const error of data.errors) {
+        logger.warn(`Register ${error.register} of device ${data.deviceId} could not be read: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      logger.error(`Error extracting data for device ${device._id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Keep the values to report: registers without a deadband always, others when they
+   * moved beyond it or stayed silent for too long
+   * @private
+   * @param {Object} device - Device
+   * @param {Object} data - Read data
+   * @param {boolean} force - Report every value
+   * @returns {Promise<Object>} - Values to store, by telemetry key
+   */
+  async filterChanges(device, data, force) {
+    const groups = await this.getPollGroups(device);
+    const registers = await registerMapService.getRegisters(device);
+    const timestamp = data.timestamp.getTime();
+    const values = {};
+
+    if (!this.lastReported.has(data.deviceId)) {
+      this.lastReported.set(data.deviceId, new Map());
+    }
+    const lastReported = this.lastReported.get(data.deviceId);
+
+    for (const register of registers) {
+      const key = register.key || register.name;
+      if (!Object.prototype.hasOwnProperty.call(data.values, key)) continue;
+
+      const value = data.values[key];
+      if (register.deadband === undefined || register.deadband === null) {
+        values[key] = value;
+        continue;
+      }
+
+      const group = groups.get(this.getGroupName(register, groups));
+      const maxSilence = Number(group.maxSilence !== undefined && group.maxSilence !== null
+        ? group.maxSilence
+        : config.plc.maxSilenceMs);
+      const previous = lastReported.get(key);
+
+      if (force || !previous || exceedsDeadband(previous.value, value, register.deadband) ||
+          (maxSilence > 0 && timestamp - previous.ts >= maxSilence)) {
+        values[key] = value;
+        lastReported.set(key, { value, ts: timestamp });
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Get the poll groups of a device, including the default group
+   * @private
+   * @param {Object} device - Device
+   * @returns {Promise<Map<string, Object>>} - Poll groups by name
+   */
+  async getPollGroups(device) {
+    const interval = (device.modbusConfig && device.modbusConfig.pollInterval) || config.plc.pollIntervalMs;
+    const groups = new Map([[DEFAULT_GROUP, { name: DEFAULT_GROUP, interval: Number(interval) }]]);
+
+    for (const group of await registerMapService.getPollGroups(device)) {
+      groups.set(group.name, group);
+    }
+    return groups;
+  }
+
+  /**
+   * Get the registers of a device read with a poll group
+   * @private
+   * @param {Object} device - Device
+   * @param {string} [group] - Poll group name, every register when unset
+   * @returns {Promise<Array<Object>>} - Register entries
+   */
+  async getGroupRegisters(device, group) {
+    const registers = await registerMapService.getRegisters(device);
+    if (!group) return registers;
+
+    const groups = await this.getPollGroups(device);
+    return registers.filter(register => this.getGroupName(register, groups) === group);
+  }
+
+  /**
+   * Name of the poll group a register is read with
+   * @private
+   * @param {Object} register - Register entry
+   * @param {Map<string, Object>} groups - Poll groups of the device
+   * @returns {string} - Poll group name
+   */
+  getGroupName(register, groups) {
+    return register.pollGroup && groups.has(register.pollGroup) ? register.pollGroup : DEFAULT_GROUP;
+  }
+
+  /**
+   * Turn register data into a telemetry value. Register map entries are decoded with their
+   * data type, byte order and scaling; raw device registers stay scalar for a single word
+   * or bit and become arrays for longer blocks.
+   * @private
+   * @param {Object} register - Register entry
+   * @param {Array<number|boolean>} data - Register words or bits
+   * @returns {number|boolean|string|Array} - Telemetry value
+   */
+  convertRegister(register, data) {
+    if (register.raw) {
+      return data.length === 1 ? data[0] : data;
+    }
+    return decodeRegister(register, data);
+  }
+}
+
+module.exports = new DataExtractionService();
\ No newline at end of file
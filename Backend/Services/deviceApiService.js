@@ -0,0 +1,249 @@
+const { v4: uuidv4 } = require('uuid');
+const DeviceService = require('./deviceServices');
+const payloadCodec = require('./payloadCodec');
+const config = require('../Config/default');
+const logger = require('../utils/logger');
+
+/**
+ * Error for device payloads that cannot be decoded or are not key/value objects
+ * @param {string} message - Reason
+ * @returns {Error} - Error with code INVALID_PAYLOAD
+ */
+const invalidPayload = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_PAYLOAD';
+  return error;
+};
+
+/**
+ * Device info in the shape used by the MQTT broker, for the rules engine and codec statistics
+ * @param {Object} device - Device
+ * @returns {Object} - { id, type, name, tenantId, ruleChainId, deviceProfileId }
+ */
+const toDeviceInfo = (device) => ({
+  id: device._id.toString(),
+  type: device.type,
+  name: device.name,
+  tenantId: device.tenantId,
+  ruleChainId: device.ruleChainId,
+  deviceProfileId: device.deviceProfileId
+});
+
+class DeviceApiService {
+  constructor() {
+    this.telemetryService = null;
+    this.rulesEngine = null;
+    // RPC requests not yet picked up, by device: deviceId -> [request]
+    this.queues = new Map();
+    // Open long-polls, by device: deviceId -> [waiter]
+    this.waiters = new Map();
+    // Delivered requests waiting for the device's response: requestId -> pending request
+    this.inflight = new Map();
+    // Last long-poll of each device: deviceId -> timestamp
+    this.lastPolls = new Map();
+  }
+
+  /**
+   * Feed device data into the same telemetry service and rules engine as the MQTT broker
+   * @param {Object} telemetryService - Telemetry service instance
+   * @param {Object} [rulesEngine] - Rules engine instance, defaults to the one used by telemetryService
+   */
+  init(telemetryService, rulesEngine) {
+    this.telemetryService = telemetryService;
+    this.rulesEngine = rulesEngine || telemetryService.rulesEngineService || null;
+  }
+
+  /**
+   * Store telemetry posted by a device
+   * @param {Object} device - Authenticated device
+   * @param {Buffer|Object} body - Raw payload in the profile format, or an already parsed object
+   * @returns {Promise<number>} - Number of stored points
+   */
+  async saveTelemetry(device, body) {
+    if (!this.telemetryService) {
+      throw new Error('Device API service is not initialized');
+    }
+
+    const payload = await this.decode(device, body, 'telemetry');
+    const records = await this.telemetryService.saveTelemetry(device._id.toString(), payload);
+
+    return Array.isArray(records) ? records.length : 1;
+  }
+
+  /**
+   * Store client attributes posted by a device, then route them through the rules engine like MQTT
+   * attribute messages
+   * @param {Object} device - Authenticated device
+   * @param {Buffer|Object} body - Raw payload in the profile format, or an already parsed object
+   * @returns {Promise<Object>} - Decoded attributes
+   */
+  async saveAttributes(device, body) {
+    const attributes = await this.decode(device, body, 'attributes');
+    if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+      throw invalidPayload('Attributes must be a key/value object');
+    }
+
+    await DeviceService.updateAttributes(device, attributes, 'client');
+
+    if (this.rulesEngine) {
+      const deviceInfo = toDeviceInfo(device);
+      this.rulesEngine.processAttributes(deviceInfo, attributes)
+        .catch(err => logger.error(`Error routing processAttributes for device ${deviceInfo.id}:`, err));
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Get the shared attributes of a device, the ones the platform sets for it
+   * @param {Object} device - Authenticated device
+   * @param {Array<string>} [keys] - Attribute keys, every shared attribute when empty
+   * @returns {Object} - Attribute values by key, unknown and non-shared keys are left out
+   */
+  getAttributes(device, keys = []) {
+    return device.getSharedAttributes(keys);
+  }
+
+  /**
+   * Send an RPC request to a device on the HTTP API. The device picks it up with its next long-poll.
+   * @param {string} deviceId - Device identifier
+   * @param {string} method - RPC method name
+   * @param {Object} params - RPC parameters
+   * @param {number} [timeout=30000] - Time to wait for the device's response in ms
+   * @returns {Promise<Object>} - { requestId, data }
+   */
+  sendRpcRequest(deviceId, method, params, timeout = 30000) {
+    const key = deviceId.toString();
+
+    return new Promise((resolve, reject) => {
+      const request = { id: uuidv4(), method, params };
+      const pending = { deviceId: key, request, resolve, reject, timer: null };
+
+      pending.timer = setTimeout(() => {
+        this.inflight.delete(request.id);
+        const queue = this.queues.get(key) || [];
+        this.queues.set(key, queue.filter(entry => entry !== pending));
+
+        const error = new Error(`RPC request timeout for device ${key}, method ${method}`);
+        error.code = 'TIMEOUT';
+        reject(error);
+      }, timeout);
+
+      this.inflight.set(request.id, pending);
+
+      const waiters = this.waiters.get(key) || [];
+      const waiter = waiters.shift();
+      if (waiter) {
+        waiter.deliver(request);
+      } else {
+        this.queues.set(key, [...(this.queues.get(key) || []), pending]);
+      }
+
+      logger.debug(`Queued RPC request for device ${key}, method: ${method}, requestId: ${request.id}`);
+    });
+  }
+
+  /**
+   * Wait for the next RPC request of a device (long-poll)
+   * @param {string} deviceId - Device identifier
+   * @param {number} timeout - Longest wait in ms
+   * @param {AbortSignal} [signal] - Aborted when the device goes away
+   * @returns {Promise<Object|null>} - { id, method, params }, null when nothing arrived in time
+   */
+  waitForRpc(deviceId, timeout, signal) {
+    const key = deviceId.toString();
+    this.lastPolls.set(key, Date.now());
+
+    const queue = this.queues.get(key) || [];
+    const next = queue.shift();
+    if (next) {
+      return Promise.resolve(next.request);
+    }
+
+    return new Promise(resolve => {
+      const waiter = {};
+      const done = (request) => {
+        clearTimeout(waiter.timer);
+        this.waiters.set(key, (this.waiters.get(key) || []).filter(entry => entry !== waiter));
+        this.lastPolls.set(key, Date.now());
+        resolve(request);
+      };
+
+      waiter.deliver = done;
+      waiter.timer = setTimeout(() => done(null), timeout);
+      this.waiters.set(key, [...(this.waiters.get(key) || []), waiter]);
+
+      if (signal) {
+        signal.addEventListener('abort', () => done(null), { once: true });
+      }
+    });
+  }
+
+  /**
+   * Complete an RPC request with the device's response
+   * @param {string} deviceId - Device identifier
+   * @param {string} requestId - Request identifier
+   * @param {*} response - Response data
+   * @returns {boolean} - False when no such request is waiting for a response
+   */
+  handleRpcResponse(deviceId, requestId, response) {
+    const pending = this.inflight.get(requestId);
+    if (!pending || pending.deviceId !== deviceId.toString()) {
+      return false;
+    }
+
+    clearTimeout(pending.timer);
+    this.inflight.delete(requestId);
+    pending.resolve({ requestId, data: response });
+
+    logger.debug(`Received RPC response from device ${deviceId}, requestId: ${requestId}`);
+    return true;
+  }
+
+  /**
+   * Check whether a device reaches the platform through the HTTP API, so commands go to its RPC queue
+   * @param {string} deviceId - Device identifier
+   * @returns {boolean} - True when the device is long-polling or did recently
+   */
+  isPolling(deviceId) {
+    const key = deviceId.toString();
+    if ((this.waiters.get(key) || []).length > 0) return true;
+
+    const lastPoll = this.lastPolls.get(key);
+    return Boolean(lastPoll && Date.now() - lastPoll < Number(config.deviceApi.rpc.pollWindowMs));
+  }
+
+  /**
+   * Decode a device payload with the format of its device profile
+   * (JSON, CBOR or Protobuf). Failures are counted per device like MQTT payloads.
+   * @private
+   * @param {Object} device - Device
+   * @param {Buffer|Object} body - Raw payload, or an object already parsed by a body parser
+   * @param {string} kind - Payload kind (telemetry, attributes)
+   * @returns {Promise<Object|Array>} - Decoded payload
+   */
+  async decode(device, body, kind) {
+    if (!Buffer.isBuffer(body)) {
+      if (body === undefined || body === null || typeof body !== 'object') {
+        throw invalidPayload('Request body is empty');
+      }
+      return body;
+    }
+    if (body.length === 0) {
+      throw invalidPayload('Request body is empty');
+    }
+
+    let format = 'json';
+    try {
+      const profile = await payloadCodec.getProfile(device.deviceProfileId);
+      if (profile) format = profile.payloadFormat;
+
+      return payloadCodec.decode(body, profile, kind);
+    } catch (error) {
+      payloadCodec.recordFailure(toDeviceInfo(device), format, error);
+      throw invalidPayload(`Invalid ${format} payload: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new DeviceApiService();
\ No newline at end of file
@@ -1,10 +1,65 @@
+const { EventEmitter } = require('events');
 const Device = require('../Models/device');
 const User = require('../Models/user');
-const Telemetry = require('../Models/telemetry');
+const Telemetry = require('../Models/telementary');
 const logger = require('../utils/logger');
 const { generateToken } = require('../utils/tokenGenerator');
 
+// Compare two ids that may be ObjectIds or strings
+const sameId = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
 class DeviceService {
+  constructor() {
+    this.eventEmitter = new EventEmitter();
+  }
+
+  /**
+   * Check if a user can access a device (same rules as the checkDeviceAccess route middleware)
+   * @param {Object} user - Authenticated user
+   * @param {Object} device - Device, or any entity scoped by tenantId/customerId like a device
+   * @returns {boolean} - Whether access is allowed
+   */
+  hasAccess(user, device) {
+    // Admin has access to all devices
+    if (user.role === 'admin') {
+      return true;
+    }
+
+    // Tenant admin has access to all devices in their tenant
+    if (user.role === 'tenant_admin') {
+      return sameId(device.tenantId, user.tenantId);
+    }
+
+    // Customer user has access to devices assigned to their customer
+    if (user.role === 'customer_user') {
+      return sameId(device.tenantId, user.tenantId) && sameId(device.customerId, user.customerId);
+    }
+
+    return false;
+  }
+
+  /**
+   * Build the query restricting a listing to the entities a user can access
+   * @param {Object} user - Authenticated user
+   * @returns {Object} - Mongo query fragment
+   */
+  getAccessQuery(user) {
+    if (user.role === 'admin') {
+      return {};
+    }
+
+    if (user.role === 'tenant_admin') {
+      return { tenantId: user.tenantId };
+    }
+
+    if (user.role === 'customer_user') {
+      return { tenantId: user.tenantId, customerId: user.customerId };
+    }
+
+    // Other roles cannot access any device
+    return { _id: null };
+  }
+
   /**
    * Create a new device
    * @param {Object} deviceData - Device data
@@ -276,15 +331,19 @@ class DeviceService {
     try {
       const device = await Device.findOne({ 
         _id: deviceId,
-        accessToken
+        'credentials.accessToken': accessToken
       });
 
       if (!device) {
         throw new Error('Invalid device credentials');
       }
 
-      if (!device.active) {
-        throw new Error('Device is inactive');
+      if (device.status === 'suspended') {
+        throw new Error('Device is suspended');
+      }
+
+      if (device.credentials.expiresAt < Date.now()) {
+        throw new Error('Device token has expired');
       }
 
       return device;
@@ -294,6 +353,53 @@ class DeviceService {
     }
   }
 
+  /**
+   * Subscribe to device attribute updates
+   * @param {Function} callback - Called with { deviceId, attributes, scope }
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribeToAttributeUpdates(callback) {
+    this.eventEmitter.on('attributes', callback);
+
+    return () => {
+      this.eventEmitter.off('attributes', callback);
+    };
+  }
+
+  /**
+   * Save attributes of a device and notify subscribers. Every attribute writer goes through here,
+   * so observers hear about updates from devices, rule chains and operators alike.
+   * @param {Object} device - Device document
+   * @param {Object} attributes - Attribute key/value pairs
+   * @param {string} [scope='client'] - client (reported by the device), server (kept by the platform)
+   *                                    or shared (set by the platform for the device to read)
+   * @returns {Promise<Object>} - Saved device
+   */
+  async updateAttributes(device, attributes, scope = 'client') {
+    // Attributes share one map, so a key takes the scope of its last write
+    const keys = Object.keys(attributes);
+    if (scope === 'shared') {
+      device.sharedAttributeKeys.addToSet(...keys);
+    } else {
+      device.sharedAttributeKeys.pull(...keys);
+    }
+
+    await device.updateAttributes(attributes);
+    this.emitAttributeUpdate(device._id, attributes, scope);
+    return device;
+  }
+
+  /**
+   * Emit a device attribute update, once the attributes are saved
+   * @private
+   * @param {string} deviceId - Device ID
+   * @param {Object} attributes - Updated attribute key/value pairs
+   * @param {string} scope - Attribute scope
+   */
+  emitAttributeUpdate(deviceId, attributes, scope) {
+    this.eventEmitter.emit('attributes', { deviceId: deviceId.toString(), attributes, scope });
+  }
+
   /**
    * Get device types summary
    * @param {string} userId - User ID
@@ -0,0 +1,301 @@
+const Telemetry = require('../Models/telementary');
+const rollupService = require('./rollupService');
+const config = require('../Config/default');
+const { INTERVAL_MS, listBuckets, fillBuckets } = require('../utils/timeBuckets');
+const logger = require('../utils/logger');
+
+// Forecast models; auto picks Holt-Winters when two full seasons of history are available
+const FORECAST_MODELS = ['auto', 'linear', 'holt_winters'];
+
+// Two-sided normal quantiles for the supported confidence levels
+const CONFIDENCE_Z = {
+  0.8: 1.2816,
+  0.9: 1.6449,
+  0.95: 1.96,
+  0.99: 2.5758
+};
+
+// Default season length (in buckets) for each interval: an hour, a day, a week
+const SEASON_LENGTH = {
+  minute: 60,
+  hour: 24,
+  day: 7
+};
+
+// Smoothing factors tried when fitting Holt-Winters
+const SMOOTHING_GRID = [0.05, 0.1, 0.2, 0.4, 0.6, 0.8];
+
+/**
+ * Fit a least-squares line on evenly spaced values
+ * @param {Array<number>} values - Values, one per bucket
+ * @param {number} z - Normal quantile of the confidence level
+ * @returns {Object} - Model with a predict(step) returning { value, margin }
+ */
+const fitLinear = (values, z) => {
+  const n = values.length;
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((sum, value) => sum + value, 0) / n;
+
+  let sxx = 0;
+  let sxy = 0;
+  values.forEach((value, x) => {
+    sxx += (x - meanX) * (x - meanX);
+    sxy += (x - meanX) * (value - meanY);
+  });
+
+  const slope = sxx > 0 ? sxy / sxx : 0;
+  const intercept = meanY - slope * meanX;
+  const sse = values.reduce((sum, value, x) => sum + Math.pow(value - (intercept + slope * x), 2), 0);
+  const residualStddev = n > 2 ? Math.sqrt(sse / (n - 2)) : 0;
+
+  return {
+    model: 'linear',
+    parameters: { slope, intercept },
+    rmse: Math.sqrt(sse / n),
+    // Prediction interval of an ordinary least squares fit
+    predict: (step) => {
+      const x = n - 1 + step;
+      return {
+        value: intercept + slope * x,
+        margin: z * residualStddev * Math.sqrt(1 + 1 / n + (sxx > 0 ? Math.pow(x - meanX, 2) / sxx : 0))
+      };
+    }
+  };
+};
+
+/**
+ * Run additive Holt-Winters over the values with fixed smoothing factors
+ * @param {Array<number>} values - Values, one per bucket
+ * @param {number} period - Season length in buckets
+ * @param {number} alpha - Level smoothing
+ * @param {number} beta - Trend smoothing
+ * @param {number} gamma - Seasonal smoothing
+ * @returns {Object} - Final level, trend, seasonal components and one-step-ahead SSE
+ */
+const runHoltWinters = (values, period, alpha, beta, gamma) => {
+  const mean = (from, to) => values.slice(from, to).reduce((sum, value) => sum + value, 0) / (to - from);
+
+  // Initial components from the first two seasons, the first season detrended
+  const firstMean = mean(0, period);
+  let trend = (mean(period, 2 * period) - firstMean) / period;
+  let level = firstMean + trend * (period - 1) / 2;
+  const seasonal = values.slice(0, period).map((value, i) => value - (firstMean + trend * (i - (period - 1) / 2)));
+  let sse = 0;
+
+  for (let i = period; i < values.length; i++) {
+    const season = seasonal[i % period];
+    const error = values[i] - (level + trend + season);
+    sse += error * error;
+
+    const previousLevel = level;
+    level = alpha * (values[i] - season) + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+    seasonal[i % period] = gamma * (values[i] - level) + (1 - gamma) * season;
+  }
+
+  return { level, trend, seasonal, sse };
+};
+
+/**
+ * Fit additive Holt-Winters, choosing the smoothing factors with the lowest one-step error
+ * @param {Array<number>} values - Values, one per bucket
+ * @param {number} period - Season length in buckets
+ * @param {number} z - Normal quantile of the confidence level
+ * @returns {Object} - Model with a predict(step) returning { value, margin }
+ */
+const fitHoltWinters = (values, period, z) => {
+  let best = null;
+
+  for (const alpha of SMOOTHING_GRID) {
+    for (const beta of SMOOTHING_GRID) {
+      for (const gamma of SMOOTHING_GRID) {
+        const fit = runHoltWinters(values, period, alpha, beta, gamma);
+        if (!best || fit.sse < best.sse) {
+          best = { ...fit, alpha, beta, gamma };
+        }
+      }
+    }
+  }
+
+  const { level, trend, seasonal, sse, alpha, beta, gamma } = best;
+  const n = values.length;
+  const rmse = Math.sqrt(sse / (n - period));
+
+  return {
+    model: 'holt_winters',
+    parameters: { alpha, beta, gamma, seasonLength: period, level, trend },
+    rmse,
+    // Approximate prediction interval of additive Holt-Winters (Hyndman et al., class 1)
+    predict: (step) => {
+      const season = seasonal[(n - 1 + step) % period];
+      let variance = 1;
+      for (let j = 1; j < step; j++) {
+        const coefficient = alpha * (1 + j * beta) + (j % period === 0 ? gamma * (1 - alpha) : 0);
+        variance += coefficient * coefficient;
+      }
+
+      return {
+        value: level + step * trend + season,
+        margin: z * rmse * Math.sqrt(variance)
+      };
+    }
+  };
+};
+
+/**
+ * Find when a forecast line first reaches a threshold, interpolating between points
+ * @param {Array<Object>} points - Forecast points, the last observed point first
+ * @param {string} field - value, lower or upper
+ * @param {number} threshold - Threshold
+ * @param {string} direction - rising or falling
+ * @returns {Date|null} - Crossing time, null when not reached within the horizon
+ */
+const findCrossing = (points, field, threshold, direction) => {
+  const reached = value => (direction === 'rising' ? value >= threshold : value <= threshold);
+
+  for (let i = 1; i < points.length; i++) {
+    const previous = points[i - 1][field];
+    const current = points[i][field];
+    if (!reached(current)) continue;
+
+    const from = points[i - 1].timestamp.getTime();
+    const to = points[i].timestamp.getTime();
+    const ratio = reached(previous) || current === previous ? 0 : (threshold - previous) / (current - previous);
+    return new Date(from + (to - from) * ratio);
+  }
+
+  return null;
+};
+
+class ForecastService {
+  /**
+   * Forecast a numeric telemetry key from its bucketed history
+   * @param {string} deviceId - Device identifier
+   * @param {string} key - Telemetry key
+   * @param {Object} options
+   * @param {number} options.horizon - Number of buckets to forecast
+   * @param {string} [options.interval='hour'] - Bucket size (minute, hour, day)
+   * @param {string} [options.model='auto'] - auto, linear or holt_winters
+   * @param {Date|string} [options.startTime] - History start, defaults to lookbackBuckets before the end
+   * @param {Date|string} [options.endTime] - History end, defaults to now
+   * @param {number} [options.seasonLength] - Season length in buckets for Holt-Winters
+   * @param {number} [options.confidence=0.95] - Confidence level of the bands (0.8, 0.9, 0.95, 0.99)
+   * @param {number} [options.threshold] - Value whose crossing time should be estimated
+   * @returns {Promise<Object>} - Forecast with confidence bands and threshold crossing
+   */
+  async forecast(deviceId, key, options) {
+    try {
+      const {
+        horizon,
+        interval = 'hour',
+        model = 'auto',
+        confidence = 0.95,
+        threshold
+      } = options;
+      const settings = config.telemetry.forecast;
+      const seasonLength = options.seasonLength || SEASON_LENGTH[interval];
+      const endTime = options.endTime ? new Date(options.endTime) : new Date();
+      const startTime = options.startTime
+        ? new Date(options.startTime)
+        : new Date(endTime.getTime() - Number(settings.lookbackBuckets) * INTERVAL_MS[interval]);
+
+      // Evenly spaced history: empty buckets inside the range are interpolated
+      const buckets = listBuckets(startTime, endTime, interval, 'UTC', Number(config.telemetry.query.maxBuckets));
+      const history = await Telemetry.getHistory(deviceId, key, startTime, endTime, interval, buckets.length, {
+        rollupInterval: rollupService.selectRollupInterval(interval)
+      });
+      if (history.length < Number(settings.minPoints)) {
+        throw new Error(`Not enough history to forecast, found ${history.length} buckets and need at least ${settings.minPoints}`);
+      }
+
+      const first = buckets.findIndex(bucket => bucket.getTime() === new Date(history[0].timestamp).getTime());
+      const last = buckets.findIndex(bucket => bucket.getTime() === new Date(history[history.length - 1].timestamp).getTime());
+      const series = fillBuckets(history, buckets.slice(first, last + 1), 'linear', ['avg']);
+      const values = series.map(point => point.avg);
+
+      const useHoltWinters = model === 'holt_winters' ||
+        (model === 'auto' && values.length >= 2 * seasonLength);
+      if (useHoltWinters && values.length < 2 * seasonLength) {
+        throw new Error(`Not enough history for Holt-Winters, need two seasons (${2 * seasonLength} buckets), found ${values.length}`);
+      }
+
+      const z = CONFIDENCE_Z[confidence];
+      const fit = useHoltWinters
+        ? fitHoltWinters(values, seasonLength, z)
+        : fitLinear(values, z);
+
+      const lastPoint = series[series.length - 1];
+      const lastTime = new Date(lastPoint.timestamp).getTime();
+      const forecast = [];
+      for (let step = 1; step <= horizon; step++) {
+        const { value, margin } = fit.predict(step);
+        forecast.push({
+          timestamp: new Date(lastTime + step * INTERVAL_MS[interval]),
+          value,
+          lower: value - margin,
+          upper: value + margin
+        });
+      }
+
+      const result = {
+        deviceId,
+        key,
+        model: fit.model,
+        interval,
+        horizon,
+        confidence,
+        parameters: fit.parameters,
+        history: {
+          startTime: series[0].timestamp,
+          endTime: lastPoint.timestamp,
+          points: history.length,
+          filledPoints: series.length - history.length
+        },
+        fit: { rmse: fit.rmse },
+        forecast
+      };
+
+      if (threshold !== undefined) {
+        result.threshold = threshold;
+        result.thresholdCrossing = this.estimateCrossing(lastPoint, forecast, threshold);
+      }
+
+      return result;
+    } catch (error) {
+      logger.error(`Error forecasting ${key} for device ${deviceId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Estimate when the forecast crosses a threshold, with the band giving the earliest and
+   * latest likely crossing. The direction is taken from the last observed value.
+   * @private
+   * @param {Object} lastPoint - Last observed bucket
+   * @param {Array<Object>} forecast - Forecast points
+   * @param {number} threshold - Threshold
+   * @returns {Object} - Direction, expected/earliest/latest crossing times (null when not reached)
+   */
+  estimateCrossing(lastPoint, forecast, threshold) {
+    const direction = lastPoint.avg < threshold ? 'rising' : 'falling';
+    const start = { timestamp: new Date(lastPoint.timestamp), value: lastPoint.avg, lower: lastPoint.avg, upper: lastPoint.avg };
+    const points = [start, ...forecast];
+
+    // The band edge closest to the threshold crosses first
+    const earlyField = direction === 'rising' ? 'upper' : 'lower';
+    const lateField = direction === 'rising' ? 'lower' : 'upper';
+
+    return {
+      direction,
+      expected: findCrossing(points, 'value', threshold, direction),
+      earliest: findCrossing(points, earlyField, threshold, direction),
+      latest: findCrossing(points, lateField, threshold, direction)
+    };
+  }
+}
+
+const forecastService = new ForecastService();
+forecastService.FORECAST_MODELS = FORECAST_MODELS;
+forecastService.CONFIDENCE_LEVELS = Object.keys(CONFIDENCE_Z).map(Number);
+
+module.exports = forecastService;
\ No newline at end of file
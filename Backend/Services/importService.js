@@ -0,0 +1,317 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { pipeline } = require('stream/promises');
+const Telemetry = require('../Models/telementary');
+const ImportJob = require('../Models/importJob');
+const rollupService = require('./rollupService');
+const config = require('../Config/default');
+const logger = require('../utils/logger');
+const { parseCsvLine } = require('../utils/csv');
+
+// Pattern tokens supported in custom timestamp formats
+const TIMESTAMP_TOKENS = {
+  YYYY: '(\\d{4})',
+  MM: '(\\d{1,2})',
+  DD: '(\\d{1,2})',
+  HH: '(\\d{1,2})',
+  mm: '(\\d{1,2})',
+  ss: '(\\d{1,2})',
+  SSS: '(\\d{1,3})'
+};
+
+/**
+ * Build a parser for a timestamp format
+ * @param {string} format - iso, epoch_ms, epoch_s or a pattern such as 'DD/MM/YYYY HH:mm:ss' (UTC)
+ * @returns {Function} - (text) => Date, throws on invalid input
+ */
+const buildTimestampParser = (format) => {
+  const check = (date, text) => {
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid timestamp: ${text}`);
+    }
+    return date;
+  };
+
+  if (format === 'iso') {
+    return text => check(new Date(text), text);
+  }
+  if (format === 'epoch_ms') {
+    return text => check(new Date(Number(text)), text);
+  }
+  if (format === 'epoch_s') {
+    return text => check(new Date(Number(text) * 1000), text);
+  }
+
+  const tokens = [];
+  const source = format
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/YYYY|SSS|MM|DD|HH|mm|ss/g, token => {
+      tokens.push(token);
+      return TIMESTAMP_TOKENS[token];
+    });
+
+  if (!tokens.includes('YYYY') || !tokens.includes('MM') || !tokens.includes('DD')) {
+    throw new Error(`Unsupported timestamp format: ${format}`);
+  }
+
+  const regex = new RegExp(`^${source}$`);
+  return text => {
+    const match = regex.exec(text.trim());
+    if (!match) {
+      throw new Error(`Timestamp does not match ${format}: ${text}`);
+    }
+
+    const parts = {};
+    tokens.forEach((token, index) => { parts[token] = Number(match[index + 1]); });
+
+    return check(new Date(Date.UTC(
+      parts.YYYY, parts.MM - 1, parts.DD,
+      parts.HH || 0, parts.mm || 0, parts.ss || 0, parts.SSS || 0
+    )), text);
+  };
+};
+
+/**
+ * Convert a CSV cell to a typed telemetry value
+ * @param {string} text - Cell text
+ * @returns {*} - Number, boolean or string, undefined for an empty cell
+ */
+const coerceCsvValue = (text) => {
+  const trimmed = text.trim();
+  if (trimmed === '') return undefined;
+  if (trimmed === 'true' || trimmed === 'false') return trimmed === 'true';
+
+  const number = Number(trimmed);
+  return Number.isFinite(number) ? number : trimmed;
+};
+
+class ImportService {
+  /**
+   * Store an upload and start importing it in the background.
+   * Points are written with batched inserts and bypass the telemetry event stream,
+   * so backfilled data never reaches the rules engine, alarms or live subscribers.
+   * @param {Object} device - Target device
+   * @param {Object} user - User starting the import
+   * @param {Object} upload - Readable stream of the uploaded file
+   * @param {Object} options - { format, mapping, timestampColumn, timestampFormat }
+   * @returns {Promise<Object>} - Created import job
+   */
+  async startImport(device, user, upload, options) {
+    // Fail fast on a bad format before reading the upload
+    buildTimestampParser(options.timestampFormat || 'iso');
+
+    const job = new ImportJob({
+      deviceId: device._id,
+      tenantId: device.tenantId,
+      customerId: device.customerId,
+      format: options.format,
+      mapping: options.mapping,
+      timestampColumn: options.timestampColumn,
+      timestampFormat: options.timestampFormat,
+      createdBy: user.id
+    });
+    await job.validate();
+
+    const filePath = path.join(config.telemetry.import.uploadDir, `telemetry-import-${crypto.randomUUID()}`);
+
+    try {
+      await pipeline(upload, this.limitSize(Number(config.telemetry.import.maxUploadBytes)), fs.createWriteStream(filePath));
+    } catch (error) {
+      await fs.promises.rm(filePath, { force: true });
+      throw error;
+    }
+
+    await job.save();
+
+    this.runJob(job, filePath)
+      .catch(err => logger.error(`Error running telemetry import ${job._id}:`, err))
+      .finally(() => fs.promises.rm(filePath, { force: true }));
+
+    return job;
+  }
+
+  /**
+   * Transform stream rejecting uploads above a size limit
+   * @private
+   * @param {number} maxBytes - Size limit
+   * @returns {Function} - Async generator transform
+   */
+  limitSize(maxBytes) {
+    return async function* (source) {
+      let size = 0;
+      for await (const chunk of source) {
+        size += chunk.length;
+        if (size > maxBytes) {
+          throw new Error(`Upload exceeds the ${maxBytes} bytes limit`);
+        }
+        yield chunk;
+      }
+    };
+  }
+
+  /**
+   * Import a stored upload, reporting progress on the job after every batch
+   * @private
+   * @param {Object} job - Import job
+   * @param {string} filePath - Stored upload
+   * @returns {Promise<void>}
+   */
+  async runJob(job, filePath) {
+    const batchSize = Number(config.telemetry.batchSize);
+    const maxRowErrors = Number(config.telemetry.import.maxRowErrors);
+    const parseTimestamp = buildTimestampParser(job.timestampFormat);
+    const mapping = [...job.mapping.entries()];
+    const deviceId = job.deviceId.toString();
+
+    let header = null;
+    let rowNumber = 0;
+    let batch = [];
+    // Row number of each batched point, for errors reported by the insert
+    let batchRows = [];
+
+    job.status = 'running';
+    job.startedAt = new Date();
+    await job.save();
+
+    const recordError = (row, message) => {
+      job.failedRows++;
+      if (job.rowErrors.length < maxRowErrors) {
+        job.rowErrors.push({ row, message });
+      }
+    };
+
+    const writeBatch = async () => {
+      if (batch.length === 0) return;
+
+      const outcomes = await Telemetry.insertBatch(batch);
+      const failedRows = new Map();
+
+      outcomes.forEach((outcome, index) => {
+        if (outcome.doc) {
+          rollupService.markDirty(deviceId, batch[index].key, batch[index].timestamp);
+          job.importedPoints++;
+        } else {
+          failedRows.set(batchRows[index], outcome.error.message);
+        }
+      });
+      failedRows.forEach((message, row) => recordError(row, message));
+
+      batch = [];
+      batchRows = [];
+
+      job.updatedAt = Date.now();
+      await job.save();
+    };
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+
+    try {
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+
+        // The CSV header is not a data row
+        if (job.format === 'csv' && !header) {
+          header = parseCsvLine(line).map(column => column.trim());
+          const missing = [job.timestampColumn, ...mapping.map(([column]) => column)]
+            .filter(column => !header.includes(column));
+          if (missing.length > 0) {
+            throw new Error(`Columns not found in CSV header: ${missing.join(', ')}`);
+          }
+          continue;
+        }
+
+        rowNumber++;
+        job.processedRows++;
+
+        try {
+          const row = this.parseRow(line, job.format, header);
+          const timestamp = parseTimestamp(String(row[job.timestampColumn]));
+
+          for (const [column, key] of mapping) {
+            const value = job.format === 'csv' ? coerceCsvValue(row[column] || '') : row[column];
+            if (value === undefined || value === null) continue;
+
+            batch.push(Telemetry.buildRecord(deviceId, key, value, timestamp, { source: 'import', importJobId: job._id.toString() }));
+            batchRows.push(rowNumber);
+          }
+        } catch (error) {
+          recordError(rowNumber, error.message);
+        }
+
+        if (batch.length >= batchSize) {
+          await writeBatch();
+        }
+      }
+
+      await writeBatch();
+
+      job.status = 'completed';
+      job.finishedAt = new Date();
+      job.updatedAt = Date.now();
+      await job.save();
+
+      logger.info(`Telemetry import ${job._id} completed: ${job.importedPoints} points, ${job.failedRows} failed rows`);
+    } catch (error) {
+      job.status = 'failed';
+      job.message = error.message;
+      job.finishedAt = new Date();
+      job.updatedAt = Date.now();
+      await job.save();
+      throw error;
+    } finally {
+      lines.close();
+    }
+  }
+
+  /**
+   * Parse one data line into a column -> value object
+   * @private
+   * @param {string} line - Data line
+   * @param {string} format - csv or ndjson
+   * @param {Array<string>} header - CSV header
+   * @returns {Object} - Row
+   */
+  parseRow(line, format, header) {
+    if (format === 'ndjson') {
+      const row = JSON.parse(line);
+      if (row === null || typeof row !== 'object' || Array.isArray(row)) {
+        throw new Error('NDJSON rows must be objects');
+      }
+      return row;
+    }
+
+    const cells = parseCsvLine(line);
+    if (cells.length !== header.length) {
+      throw new Error(`Expected ${header.length} columns, got ${cells.length}`);
+    }
+
+    const row = {};
+    header.forEach((column, index) => { row[column] = cells[index]; });
+    return row;
+  }
+
+  /**
+   * Get an import job
+   * @param {string} jobId - Import job identifier
+   * @returns {Promise<Object|null>} - Import job
+   */
+  async getJob(jobId) {
+    return await ImportJob.findById(jobId);
+  }
+
+  /**
+   * List the import jobs of a device, newest first, without their row errors
+   * @param {string} deviceId - Device identifier
+   * @returns {Promise<Array>} - Import jobs
+   */
+  async listJobs(deviceId) {
+    return await ImportJob.find({ deviceId }).select('-rowErrors').sort({ createdAt: -1 }).limit(50);
+  }
+}
+
+module.exports = new ImportService();
\ No newline at end of file
@@ -5,12 +5,15 @@ const logger = require('../utils/logger');
 const config = require('../Config/mqtt');
 const DeviceService = require('./deviceServices');
 const TelemetryService = require('./telemetryServices');
+const payloadCodec = require('./payloadCodec');
+const coapServer = require('./coapServer');
 
 class MqttBroker {
   constructor() {
     this.broker = null;
     this.client = null;
     this.telemetryService = null;
+    this.rulesEngine = null;
     this.port = config.port || 1883;
     this.host = config.host || 'localhost';
     
@@ -24,9 +27,11 @@ class MqttBroker {
   /**
    * Initialize MQTT Broker
    * @param {Object} telemetryService - Telemetry service instance
+   * @param {Object} [rulesEngine] - Rules engine instance, defaults to the one used by telemetryService
    */
-  init(telemetryService) {
+  init(telemetryService, rulesEngine) {
     this.telemetryService = telemetryService;
+    this.rulesEngine = rulesEngine || telemetryService.rulesEngineService || null;
     
     // Create MQTT broker server
     this.broker = createServer(aedes.handle);
@@ -47,6 +52,11 @@ class MqttBroker {
     
     // Connect internal client for publishing
     this.connectInternalClient();
+    
+    // Constrained devices reach the same topics over CoAP
+    coapServer.init(telemetryService, this.rulesEngine).catch(err => {
+      logger.error('CoAP server not started:', err);
+    });
   }
 
   /**
@@ -109,7 +119,10 @@ class MqttBroker {
         client.deviceInfo = {
           id: device._id.toString(),
           type: device.type,
-          name: device.name
+          name: device.name,
+          tenantId: device.tenantId,
+          ruleChainId: device.ruleChainId,
+          deviceProfileId: device.deviceProfileId
         };
         
         logger.info(`Device authenticated: ${device.name} (${deviceId})`);
@@ -144,6 +157,7 @@ class MqttBroker {
         timestamp: new Date().toISOString(),
         deviceInfo: client.deviceInfo
       });
+      this.routeToRulesEngine('processConnectEvent', client.deviceInfo);
     }
   }
 
@@ -167,9 +181,23 @@ class MqttBroker {
         timestamp: new Date().toISOString(),
         deviceInfo: client.deviceInfo
       });
+      this.routeToRulesEngine('processDisconnectEvent', client.deviceInfo);
     }
   }
 
+  /**
+   * Route a device event through the rules engine without blocking the broker
+   * @param {string} method - Rules engine method name
+   * @param {Object} deviceInfo - Authenticated device info
+   * @param {...*} args - Additional method arguments
+   */
+  routeToRulesEngine(method, deviceInfo, ...args) {
+    if (!this.rulesEngine) return;
+
+    this.rulesEngine[method](deviceInfo, ...args)
+      .catch(err => logger.error(`Error routing ${method} for device ${deviceInfo.id}:`, err));
+  }
+
   /**
    * Handle client subscriptions
    * @param {Array} subscriptions - Subscription array
@@ -195,21 +223,26 @@ class MqttBroker {
     // Process message based on topic
     try {
       const topic = packet.topic;
-      const payload = this.parsePayload(packet.payload);
       
       // Handle telemetry data
       if (topic.match(this.telemetryTopic)) {
-        await this.processTelemetryData(topic, payload, client);
+        const payload = await this.parsePayload(packet.payload, client, 'telemetry');
+        if (payload !== null) {
+          await this.processTelemetryData(topic, payload, client);
+        }
       }
       
       // Handle attribute updates
       else if (topic.match(this.attributesTopic)) {
-        await this.processAttributeData(topic, payload, client);
+        const payload = await this.parsePayload(packet.payload, client, 'attributes');
+        if (payload !== null) {
+          await this.processAttributeData(topic, payload, client);
+        }
       }
       
       // Handle RPC requests
       else if (topic.match(this.rpcRequestTopic)) {
-        await this.processRpcRequest(topic, payload, client);
+        await this.processRpcRequest(topic, this.parseJsonPayload(packet.payload), client);
       }
     } catch (error) {
       logger.error('Error processing MQTT message:', error);
@@ -217,11 +250,36 @@ class MqttBroker {
   }
 
   /**
-   * Parse message payload
+   * Decode a device payload with the format of the client's device profile
+   * (JSON, CBOR or Protobuf). Failures are counted per device and the message is dropped.
+   * @param {Buffer} payload - Message payload
+   * @param {Object} client - MQTT client
+   * @param {string} kind - Payload kind (telemetry, attributes)
+   * @returns {Promise<Object|null>} - Decoded payload, null when it could not be decoded
+   */
+  async parsePayload(payload, client, kind) {
+    if (!client || !client.deviceInfo) {
+      return this.parseJsonPayload(payload);
+    }
+    
+    let format = 'json';
+    try {
+      const profile = await payloadCodec.getProfile(client.deviceInfo.deviceProfileId);
+      if (profile) format = profile.payloadFormat;
+      
+      return payloadCodec.decode(payload, profile, kind);
+    } catch (error) {
+      payloadCodec.recordFailure(client.deviceInfo, format, error);
+      return null;
+    }
+  }
+
+  /**
+   * Parse a JSON message payload
    * @param {Buffer} payload - Message payload
    * @returns {Object} - Parsed payload
    */
-  parsePayload(payload) {
+  parseJsonPayload(payload) {
     try {
       if (payload instanceof Buffer) {
         const data = payload.toString();
@@ -251,9 +309,15 @@ class MqttBroker {
         return;
       }
       
+      // A device only publishes for itself, like on the HTTP and CoAP transports
+      if (deviceId !== client.deviceInfo.id) {
+        logger.warn(`Device ${client.deviceInfo.id} published telemetry for device ${deviceId}, rejected`);
+        return;
+      }
+      
       logger.debug(`Received telemetry from device ${deviceId}:`, payload);
       
-      // Process telemetry data
+      // Flat objects and [{ ts, values }] arrays are expanded into points by the telemetry service
       if (this.telemetryService) {
         await this.telemetryService.saveTelemetry(deviceId, payload);
       }
@@ -279,6 +343,12 @@ class MqttBroker {
         return;
       }
       
+      // A device only publishes for itself, like on the HTTP and CoAP transports
+      if (deviceId !== client.deviceInfo.id) {
+        logger.warn(`Device ${client.deviceInfo.id} published attributes for device ${deviceId}, rejected`);
+        return;
+      }
+      
       logger.debug(`Received attributes from device ${deviceId}:`, payload);
       
       // Update device attributes (would need deviceAttributeService)
@@ -290,6 +360,8 @@ class MqttBroker {
         timestamp: new Date().toISOString(),
         attributes: payload
       });
+      
+      this.routeToRulesEngine('processAttributes', client.deviceInfo, payload);
     } catch (error) {
       logger.error('Error processing attribute data:', error);
     }
@@ -377,7 +449,7 @@ class MqttBroker {
               this.client.removeListener('message', messageHandler);
               
               try {
-                const response = this.parsePayload(message);
+                const response = this.parseJsonPayload(message);
                 resolve(response);
               } catch (error) {
                 reject(new Error(`Failed to parse RPC response: ${error.message}`));
@@ -478,6 +550,8 @@ class MqttBroker {
    * Close the MQTT broker and cleanup resources
    */
   async close() {
+    await coapServer.close();
+    
     return new Promise((resolve) => {
       // Disconnect internal client
       if (this.client) {
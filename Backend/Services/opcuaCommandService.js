@@ -0,0 +1,228 @@
+const CommandAudit = require('../Models/commandAudit');
+const opcuaService = require('./opcuaService');
+const logger = require('../utils/logger');
+
+// Commands written to OPC UA devices
+const OPCUA_COMMANDS = ['writeNode'];
+
+// Value range of the integer data types that can be written
+const INTEGER_RANGES = {
+  SByte: [-128, 127],
+  Byte: [0, 255],
+  Int16: [-32768, 32767],
+  UInt16: [0, 65535],
+  Int32: [-2147483648, 2147483647],
+  UInt32: [0, 4294967295]
+};
+
+/**
+ * Error for commands that cannot be translated into a write
+ * @param {string} message - Reason
+ * @returns {Error} - Error with code INVALID_COMMAND
+ */
+const invalidCommand = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_COMMAND';
+  return error;
+};
+
+/**
+ * Convert a command value to a scalar of an OPC UA data type
+ * @param {string} dataType - OPC UA data type name
+ * @param {*} value - Command value
+ * @returns {*} - Value to write
+ */
+const coerceScalar = (dataType, value) => {
+  if (INTEGER_RANGES[dataType]) {
+    const [min, max] = INTEGER_RANGES[dataType];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new Error(`Expected an integer between ${min} and ${max}`);
+    }
+    return value;
+  }
+
+  switch (dataType) {
+    case 'Float':
+    case 'Double':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error('Expected a number');
+      }
+      return value;
+    case 'Boolean':
+      if (typeof value !== 'boolean') {
+        throw new Error('Expected a boolean value');
+      }
+      return value;
+    case 'String':
+      if (typeof value !== 'string') {
+        throw new Error('Expected a string');
+      }
+      return value;
+    case 'DateTime': {
+      const date = new Date(value);
+      if (typeof value === 'boolean' || Number.isNaN(date.getTime())) {
+        throw new Error('Expected a date');
+      }
+      return date;
+    }
+    default:
+      throw new Error(`Writing ${dataType} values is not supported`);
+  }
+};
+
+/**
+ * Value a node is expected to read back after a write, as the server stores it
+ * @param {string} dataType - OPC UA data type name
+ * @param {*} value - Written value
+ * @returns {*} - Comparable value
+ */
+const storedValue = (dataType, value) => {
+  if (Array.isArray(value)) return value.map(item => storedValue(dataType, item));
+  // Floats are stored in single precision
+  if (dataType === 'Float') return Math.fround(value);
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+class OpcuaCommandService {
+  /**
+   * Check whether a command is written to the device's OPC UA server
+   * @param {Object} device - Device
+   * @param {string} command - Command name
+   * @returns {boolean} - True for OPC UA commands on devices with an OPC UA endpoint
+   */
+  handles(device, command) {
+    return Boolean(device.opcuaConfig && device.opcuaConfig.endpointUrl) && OPCUA_COMMANDS.includes(command);
+  }
+
+  /**
+   * Write a value to a mapped node, read it back to verify it and audit the attempt
+   * @param {Object} device - Device
+   * @param {string} command - writeNode
+   * @param {Object} params - { node (telemetry key or node ID), value }
+   * @param {Object} user - Requesting user
+   * @returns {Promise<Object>} - { commandId, status, response }
+   */
+  async executeCommand(device, command, params, user) {
+    const startedAt = Date.now();
+    const audit = new CommandAudit({
+      deviceId: device._id,
+      tenantId: device.tenantId,
+      userId: user && user.id,
+      transport: 'opcua',
+      command,
+      params,
+      register: params.node,
+      value: params.value
+    });
+    let dataType;
+
+    try {
+      const node = this.resolveNode(device, params);
+      audit.register = node.key;
+      audit.nodeId = node.nodeId;
+
+      // The node's current variant tells how the value must be encoded
+      const current = await opcuaService.read(device._id, node.nodeId);
+      dataType = current.dataType;
+      const value = this.encode(node, current, params.value);
+      audit.written = [value];
+
+      await opcuaService.write(device._id, node.nodeId, value, current.dataType, current.arrayType);
+
+      const readBack = await opcuaService.read(device._id, node.nodeId);
+      const expected = storedValue(dataType, value);
+      audit.readBack = readBack.value;
+      audit.status = JSON.stringify(readBack.value) === JSON.stringify(expected) ? 'success' : 'mismatch';
+      if (audit.status === 'mismatch') {
+        audit.error = `Read-back ${JSON.stringify(readBack.value)} differs from written ${JSON.stringify(expected)}`;
+      }
+    } catch (error) {
+      audit.status = error.code === 'INVALID_COMMAND' ? 'rejected' : 'failed';
+      audit.error = error.message;
+    }
+
+    audit.durationMs = Date.now() - startedAt;
+
+    try {
+      await audit.save();
+    } catch (error) {
+      logger.error(`Error saving command audit for device ${device._id}:`, error);
+      throw error;
+    }
+
+    if (audit.status !== 'success') {
+      logger.warn(`OPC UA command ${command} on device ${device._id} ${audit.status}: ${audit.error}`);
+    } else {
+      logger.info(`OPC UA command ${command} on device ${device._id}: ${audit.nodeId} = ${JSON.stringify(audit.value)}`);
+    }
+
+    return {
+      commandId: audit._id,
+      status: audit.status,
+      response: {
+        node: audit.register,
+        nodeId: audit.nodeId,
+        dataType,
+        value: audit.value,
+        readBack: audit.readBack,
+        error: audit.error,
+        durationMs: audit.durationMs
+      }
+    };
+  }
+
+  /**
+   * Find the mapped node a command targets and check it can be written
+   * @private
+   * @param {Object} device - Device
+   * @param {Object} params - Command parameters
+   * @returns {Object} - Mapped node
+   */
+  resolveNode(device, params) {
+    if (!params.node) {
+      throw invalidCommand('A node is required');
+    }
+    if (params.value === undefined) {
+      throw invalidCommand('A value is required');
+    }
+
+    const nodes = device.opcuaConfig.nodes || [];
+    const node = nodes.find(entry => entry.key === params.node || entry.nodeId === params.node);
+    if (!node) {
+      throw invalidCommand(`Node ${params.node} is not mapped for device ${device._id}`);
+    }
+    if (!node.writable) {
+      throw invalidCommand(`Node ${node.key} is not writable`);
+    }
+
+    return node;
+  }
+
+  /**
+   * Convert a command value to the data type of the node
+   * @private
+   * @param {Object} node - Mapped node
+   * @param {Object} current - Current value of the node, with dataType and arrayType
+   * @param {*} value - Command value
+   * @returns {*} - Value to write
+   */
+  encode(node, current, value) {
+    try {
+      if (current.arrayType === 'Array') {
+        if (!Array.isArray(value)) {
+          throw new Error('Expected an array');
+        }
+        return value.map(item => coerceScalar(current.dataType, item));
+      }
+      if (current.arrayType !== 'Scalar') {
+        throw new Error('Writing matrices is not supported');
+      }
+      return coerceScalar(current.dataType, value);
+    } catch (error) {
+      throw invalidCommand(`Invalid value for node ${node.key}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new OpcuaCommandService();
\ No newline at end of file
@@ -0,0 +1,685 @@
+const {
+  OPCUAClient,
+  MessageSecurityMode,
+  SecurityPolicy,
+  AttributeIds,
+  ClientSubscription,
+  ClientMonitoredItem,
+  TimestampsToReturn,
+  DataChangeFilter,
+  DataChangeTrigger,
+  DeadbandType,
+  BrowseDirection,
+  NodeClass,
+  DataType,
+  VariantArrayType,
+  UserTokenType
+} = require('node-opcua');
+const Device = require('../Models/device');
+const config = require('../Config/default');
+const logger = require('../utils/logger');
+
+// Objects folder, where browsing starts by default
+const OBJECTS_FOLDER = 'ns=0;i=85';
+
+// AccessLevel bit set on variables whose value can be written
+const CURRENT_WRITE = 0x02;
+
+/**
+ * Turn an OPC UA variant value into a telemetry value
+ * @param {Object} variant - Variant with dataType, arrayType and value
+ * @returns {*} - Number, boolean, string or array
+ */
+const convertValue = (variant) => {
+  const convert = (value) => {
+    if (value === null || value === undefined) return null;
+    // 64-bit integers come as [high, low] words
+    if (variant.dataType === DataType.Int64 || variant.dataType === DataType.UInt64) {
+      return value[0] * 0x100000000 + value[1];
+    }
+    if (value instanceof Date) return value.toISOString();
+    if (Buffer.isBuffer(value)) return value.toString('base64');
+    if (typeof value === 'object' && value.text !== undefined) return value.text; // LocalizedText
+    if (typeof value === 'object' && value.name !== undefined) return value.name; // QualifiedName
+    if (typeof value === 'object') return value.toString();
+    return value;
+  };
+
+  if (variant.arrayType !== VariantArrayType.Scalar && variant.value) {
+    return Array.from(variant.value, convert);
+  }
+  return convert(variant.value);
+};
+
+class OpcuaService {
+  constructor() {
+    // OPC UA connections by device: deviceId -> connection
+    this.connections = new Map();
+    this.telemetryService = null;
+  }
+
+  /**
+   * Store data changes through a telemetry service and connect every OPC UA device
+   * @param {TelemetryService} telemetryService - Telemetry service instance
+   * @returns {Promise<void>}
+   */
+  async init(telemetryService) {
+    this.telemetryService = telemetryService;
+
+    await this.start();
+  }
+
+  /**
+   * Connect every device with an OPC UA endpoint and subscribe to its nodes
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (!config.opcua.enabled) {
+      logger.info('OPC UA connector disabled');
+      return;
+    }
+
+    try {
+      const devices = await Device.find({
+        'opcuaConfig.endpointUrl': { $exists: true, $nin: [null, ''] }
+      });
+
+      for (const device of devices) {
+        await this.initializeDevice(device);
+      }
+
+      logger.info(`OPC UA connector started for ${devices.length} devices`);
+    } catch (error) {
+      logger.error('Error starting OPC UA connector:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close every connection, used on shutdown
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    for (const deviceId of [...this.connections.keys()]) {
+      await this.closeConnection(deviceId);
+    }
+  }
+
+  /**
+   * Connect a device and subscribe to its mapped nodes. Connection failures are retried
+   * in the background with exponential backoff, so this resolves once the first attempt is done.
+   * @param {Object} device - Device with opcuaConfig
+   * @returns {Promise<Object|null>} - Connection status, null when the device has no endpoint or is suspended
+   */
+  async initializeDevice(device) {
+    if (!device.opcuaConfig || !device.opcuaConfig.endpointUrl) {
+      return null;
+    }
+
+    const deviceId = device._id.toString();
+    if (this.connections.has(deviceId)) {
+      await this.closeConnection(deviceId);
+    }
+
+    if (device.status === 'suspended') {
+      logger.info(`OPC UA device ${deviceId} is suspended, not connecting`);
+      return null;
+    }
+
+    const connection = {
+      deviceId,
+      device,
+      endpointUrl: device.opcuaConfig.endpointUrl,
+      client: null,
+      session: null,
+      subscription: null,
+      // Monitored items by telemetry key
+      items: new Map(),
+      state: 'connecting',
+      attempts: 0,
+      reconnectTimer: null,
+      connectedAt: null,
+      lastError: null,
+      lastNotificationAt: null,
+      notifications: 0,
+      errors: 0,
+      // Data changes waiting to be stored, by source timestamp
+      pending: new Map(),
+      flushScheduled: false
+    };
+    this.connections.set(deviceId, connection);
+
+    await this.connect(connection);
+
+    return this.getConnectionStatus(deviceId);
+  }
+
+  /**
+   * Reconnect a device after its OPC UA configuration changed
+   * @param {Object} device - Updated device
+   * @returns {Promise<Object|null>} - Connection status
+   */
+  async restartConnection(device) {
+    await this.closeConnection(device._id);
+    return await this.initializeDevice(device);
+  }
+
+  /**
+   * Close the connection of a device and stop its subscription
+   * @param {string} deviceId - Device identifier
+   * @returns {Promise<void>}
+   */
+  async closeConnection(deviceId) {
+    const connection = this.connections.get(deviceId.toString());
+    if (!connection) return;
+
+    connection.state = 'closed';
+    clearTimeout(connection.reconnectTimer);
+    this.connections.delete(connection.deviceId);
+    this.flush(connection);
+
+    await this.disconnect(connection);
+
+    logger.info(`OPC UA connection closed for device ${deviceId}`);
+  }
+
+  /**
+   * Check that an OPC UA endpoint accepts a session with the given security settings
+   * @param {Object} opcuaConfig - { endpointUrl, securityMode, securityPolicy, username, password }
+   * @returns {Promise<Object>} - { connected, message }
+   */
+  async testConnection(opcuaConfig) {
+    try {
+      await this.withSession(opcuaConfig, async () => {});
+      return { connected: true, message: `Connected to ${opcuaConfig.endpointUrl}` };
+    } catch (error) {
+      return { connected: false, message: `Connection to ${opcuaConfig.endpointUrl} failed: ${error.message}` };
+    }
+  }
+
+  /**
+   * Browse the children of a node, to find the nodes to map to telemetry keys.
+   * Uses the device's session when connected, a short-lived session otherwise.
+   * @param {Object} device - Device with opcuaConfig
+   * @param {string} [nodeId] - Node to browse, the Objects folder by default
+   * @returns {Promise<Object>} - { nodeId, references, truncated }
+   */
+  async browse(device, nodeId = OBJECTS_FOLDER) {
+    const opcuaConfig = await this.getOpcuaConfig(device);
+
+    return await this.withSession(opcuaConfig, async session => {
+      const limit = Number(config.opcua.browseMaxReferences);
+      let result = await session.browse({
+        nodeId,
+        browseDirection: BrowseDirection.Forward,
+        referenceTypeId: 'HierarchicalReferences',
+        includeSubtypes: true,
+        nodeClassMask: 0,
+        resultMask: 63
+      });
+      if (!result.statusCode.isGood()) {
+        throw new Error(`Cannot browse ${nodeId}: ${result.statusCode.name}`);
+      }
+
+      const references = [...(result.references || [])];
+      while (result.continuationPoint && references.length < limit) {
+        result = await session.browseNext(result.continuationPoint, false);
+        references.push(...(result.references || []));
+      }
+      if (result.continuationPoint) {
+        // Release the continuation point held by the server
+        await session.browseNext(result.continuationPoint, true);
+      }
+
+      const nodes = references.slice(0, limit).map(reference => ({
+        nodeId: reference.nodeId.toString(),
+        browseName: reference.browseName.toString(),
+        displayName: reference.displayName.text,
+        nodeClass: NodeClass[reference.nodeClass]
+      }));
+
+      // Variables also carry their data type, current value and writability, to help mapping
+      const variables = nodes.filter(node => node.nodeClass === 'Variable');
+      if (variables.length > 0) {
+        const attributes = [AttributeIds.Value, AttributeIds.AccessLevel];
+        const dataValues = await session.read(variables.flatMap(node =>
+          attributes.map(attributeId => ({ nodeId: node.nodeId, attributeId }))));
+
+        variables.forEach((node, index) => {
+          const [value, accessLevel] = dataValues.slice(index * 2, index * 2 + 2);
+          if (value.statusCode.isGood()) {
+            node.dataType = DataType[value.value.dataType];
+            node.value = convertValue(value.value);
+          }
+          if (accessLevel.statusCode.isGood()) {
+            node.writable = Boolean(accessLevel.value.value & CURRENT_WRITE);
+          }
+        });
+      }
+
+      return { nodeId, references: nodes, truncated: Boolean(result.continuationPoint) };
+    });
+  }
+
+  /**
+   * Read the current value of a node of a connected device
+   * @param {string} deviceId - Device identifier
+   * @param {string} nodeId - Node identifier
+   * @returns {Promise<Object>} - { value, dataType, arrayType, sourceTimestamp }
+   */
+  async read(deviceId, nodeId) {
+    const connection = this.getConnectedConnection(deviceId);
+
+    const dataValue = await connection.session.read({ nodeId, attributeId: AttributeIds.Value });
+    if (!dataValue.statusCode.isGood()) {
+      throw new Error(`Cannot read ${nodeId}: ${dataValue.statusCode.name}`);
+    }
+
+    return {
+      value: convertValue(dataValue.value),
+      dataType: DataType[dataValue.value.dataType],
+      arrayType: VariantArrayType[dataValue.value.arrayType],
+      sourceTimestamp: dataValue.sourceTimestamp
+    };
+  }
+
+  /**
+   * Write the value of a node of a connected device
+   * @param {string} deviceId - Device identifier
+   * @param {string} nodeId - Node identifier
+   * @param {*} value - Value, already of the node's data type
+   * @param {string} dataType - OPC UA data type name (Double, Int32, Boolean...)
+   * @param {string} [arrayType='Scalar'] - Scalar or Array
+   * @returns {Promise<string>} - Status code name
+   */
+  async write(deviceId, nodeId, value, dataType, arrayType = 'Scalar') {
+    const connection = this.getConnectedConnection(deviceId);
+
+    const statusCode = await connection.session.write({
+      nodeId,
+      attributeId: AttributeIds.Value,
+      value: {
+        value: {
+          dataType: DataType[dataType],
+          arrayType: VariantArrayType[arrayType],
+          value
+        }
+      }
+    });
+
+    if (!statusCode.isGood()) {
+      throw new Error(`Write to ${nodeId} rejected by the server: ${statusCode.name}`);
+    }
+    return statusCode.name;
+  }
+
+  /**
+   * Check whether a device has an open session
+   * @param {string} deviceId - Device identifier
+   * @returns {boolean} - True when reads and writes can be sent
+   */
+  isConnected(deviceId) {
+    const connection = this.connections.get(deviceId.toString());
+    return Boolean(connection && connection.state === 'connected');
+  }
+
+  /**
+   * Get the connection status of a device
+   * @param {string} deviceId - Device identifier
+   * @returns {Object|null} - Status, null when the device is not managed
+   */
+  getConnectionStatus(deviceId) {
+    const connection = this.connections.get(deviceId.toString());
+    if (!connection) return null;
+
+    return {
+      deviceId: connection.deviceId,
+      state: connection.state,
+      endpointUrl: connection.endpointUrl,
+      connectedAt: connection.connectedAt,
+      reconnectAttempts: connection.attempts,
+      lastError: connection.lastError,
+      lastNotificationAt: connection.lastNotificationAt,
+      notifications: connection.notifications,
+      errors: connection.errors,
+      monitoredItems: connection.items.size
+    };
+  }
+
+  /**
+   * Get the connection status of every managed device
+   * @returns {Array<Object>} - Statuses
+   */
+  getStatuses() {
+    return [...this.connections.keys()].map(deviceId => this.getConnectionStatus(deviceId));
+  }
+
+  /**
+   * Open a session and subscribe to the mapped nodes of a device
+   * @private
+   * @param {Object} connection - Connection state
+   * @returns {Promise<void>}
+   */
+  async connect(connection) {
+    connection.reconnectTimer = null;
+    connection.state = 'connecting';
+
+    try {
+      const opcuaConfig = await this.getOpcuaConfig(connection.device);
+      const client = this.createClient(opcuaConfig);
+      connection.client = client;
+
+      await client.connect(opcuaConfig.endpointUrl);
+      connection.session = await client.createSession(this.getUserIdentity(opcuaConfig));
+
+      // A connection closed meanwhile must not come back
+      if (connection.state === 'closed') {
+        await this.disconnect(connection);
+        return;
+      }
+
+      // Reconnection is handled here with the same backoff as the first connection
+      client.on('connection_lost', () => {
+        if (connection.client === client) {
+          this.handleConnectionLoss(connection, new Error('Connection lost'));
+        }
+      });
+
+      await this.subscribe(connection, opcuaConfig);
+
+      connection.state = 'connected';
+      connection.attempts = 0;
+      connection.connectedAt = new Date();
+      connection.lastError = null;
+      logger.info(`OPC UA connected for device ${connection.deviceId} (${opcuaConfig.endpointUrl}, ${connection.items.size} nodes)`);
+    } catch (error) {
+      await this.disconnect(connection);
+      if (connection.state !== 'closed') {
+        this.scheduleReconnect(connection, error);
+      }
+    }
+  }
+
+  /**
+   * Create the subscription of a device and one monitored item per mapped node
+   * @private
+   * @param {Object} connection - Connection state
+   * @param {Object} opcuaConfig - OPC UA configuration of the device
+   * @returns {Promise<void>}
+   */
+  async subscribe(connection, opcuaConfig) {
+    const subscription = await connection.session.createSubscription2({
+      requestedPublishingInterval: Number(opcuaConfig.publishingInterval || config.opcua.publishingIntervalMs),
+      requestedLifetimeCount: 100,
+      requestedMaxKeepAliveCount: 10,
+      maxNotificationsPerPublish: 1000,
+      publishingEnabled: true,
+      priority: 10
+    });
+    connection.subscription = subscription;
+
+    subscription.on('terminated', () => {
+      if (connection.subscription === subscription) {
+        this.handleConnectionLoss(connection, new Error('Subscription terminated'));
+      }
+    });
+
+    for (const node of opcuaConfig.nodes || []) {
+      const parameters = {
+        samplingInterval: Number(node.samplingInterval === undefined || node.samplingInterval === null
+          ? config.opcua.samplingIntervalMs
+          : node.samplingInterval),
+        discardOldest: true,
+        queueSize: Number(config.opcua.queueSize)
+      };
+      if (node.deadband !== undefined && node.deadband !== null) {
+        parameters.filter = new DataChangeFilter({
+          trigger: DataChangeTrigger.StatusValue,
+          deadbandType: DeadbandType.Absolute,
+          deadbandValue: node.deadband
+        });
+      }
+
+      const item = ClientMonitoredItem.create(
+        subscription,
+        { nodeId: node.nodeId, attributeId: AttributeIds.Value },
+        parameters,
+        TimestampsToReturn.Both
+      );
+
+      item.on('changed', dataValue => this.handleChange(connection, node, dataValue));
+      item.on('err', message => {
+        connection.errors++;
+        connection.lastError = `${node.key}: ${message}`;
+        logger.warn(`OPC UA node ${node.nodeId} of device ${connection.deviceId} cannot be monitored: ${message}`);
+      });
+
+      connection.items.set(node.key, item);
+    }
+  }
+
+  /**
+   * Queue a data change for storage. Changes of the same publish are stored together.
+   * @private
+   * @param {Object} connection - Connection state
+   * @param {Object} node - Mapped node
+   * @param {DataValue} dataValue - Notified value
+   */
+  handleChange(connection, node, dataValue) {
+    connection.lastNotificationAt = new Date();
+
+    if (!dataValue.statusCode.isGood()) {
+      connection.errors++;
+      connection.lastError = `${node.key}: ${dataValue.statusCode.name}`;
+      return;
+    }
+
+    connection.notifications++;
+    const timestamp = (dataValue.sourceTimestamp || dataValue.serverTimestamp || new Date()).getTime();
+    if (!connection.pending.has(timestamp)) {
+      connection.pending.set(timestamp, {});
+    }
+    connection.pending.get(timestamp)[node.key] = convertValue(dataValue.value);
+
+    if (!connection.flushScheduled) {
+      connection.flushScheduled = true;
+      setImmediate(() => this.flush(connection));
+    }
+  }
+
+  /**
+   * Store the queued data changes of a device
+   * @private
+   * @param {Object} connection - Connection state
+   */
+  flush(connection) {
+    connection.flushScheduled = false;
+    if (!this.telemetryService) return;
+
+    for (const [ts, values] of connection.pending) {
+      this.telemetryService.saveTelemetry(connection.deviceId, { ts, values }).catch(error => {
+        logger.error(`Error saving OPC UA telemetry for device ${connection.deviceId}:`, error);
+      });
+    }
+    connection.pending.clear();
+  }
+
+  /**
+   * Retry the connection later, doubling the delay up to the configured maximum
+   * @private
+   * @param {Object} connection - Connection state
+   * @param {Error} error - Cause
+   */
+  scheduleReconnect(connection, error) {
+    const { initialDelayMs, maxDelayMs, factor } = config.opcua.reconnect;
+    const base = Math.min(Number(initialDelayMs) * Math.pow(Number(factor), connection.attempts), Number(maxDelayMs));
+    // Jitter keeps devices of the same server from reconnecting in lockstep
+    const wait = Math.round(base * (0.8 + Math.random() * 0.4));
+
+    connection.state = 'disconnected';
+    connection.attempts++;
+    connection.lastError = error.message;
+    logger.warn(`OPC UA connection failed for device ${connection.deviceId}, retrying in ${wait}ms: ${error.message}`);
+
+    clearTimeout(connection.reconnectTimer);
+    connection.reconnectTimer = setTimeout(() => this.connect(connection), wait);
+  }
+
+  /**
+   * Drop a broken session and start reconnecting
+   * @private
+   * @param {Object} connection - Connection state
+   * @param {Error} error - Cause
+   */
+  handleConnectionLoss(connection, error) {
+    if (connection.state !== 'connected') return;
+
+    connection.state = 'disconnected';
+    this.disconnect(connection).then(() => {
+      if (connection.state !== 'closed') {
+        this.scheduleReconnect(connection, error);
+      }
+    });
+  }
+
+  /**
+   * Close the subscription, session and client of a connection, ignoring errors
+   * @private
+   * @param {Object} connection - Connection state
+   * @returns {Promise<void>}
+   */
+  async disconnect(connection) {
+    const { client, session, subscription } = connection;
+    connection.client = null;
+    connection.session = null;
+    connection.subscription = null;
+    connection.items.clear();
+
+    try {
+      if (subscription) await subscription.terminate();
+    } catch (error) {
+      // The session may already be gone
+    }
+    try {
+      if (session) await session.close();
+    } catch (error) {
+      // The session may already be gone
+    }
+    try {
+      if (client) await client.disconnect();
+    } catch (error) {
+      // The socket may already be closed
+    }
+  }
+
+  /**
+   * Run a function with a session: the open session of the device when connected,
+   * a short-lived session otherwise
+   * @private
+   * @param {Object} opcuaConfig - OPC UA configuration, with deviceId for managed devices
+   * @param {Function} fn - async (session) => result
+   * @returns {Promise<*>} - Function result
+   */
+  async withSession(opcuaConfig, fn) {
+    const connection = opcuaConfig.deviceId && this.connections.get(opcuaConfig.deviceId);
+    if (connection && connection.state === 'connected' && connection.endpointUrl === opcuaConfig.endpointUrl) {
+      return await fn(connection.session);
+    }
+
+    const client = this.createClient(opcuaConfig);
+    let session = null;
+    try {
+      await client.connect(opcuaConfig.endpointUrl);
+      session = await client.createSession(this.getUserIdentity(opcuaConfig));
+      return await fn(session);
+    } finally {
+      if (session) await session.close().catch(() => {});
+      await client.disconnect().catch(() => {});
+    }
+  }
+
+  /**
+   * Create a client for the security settings of a device. The client does not retry on its own.
+   * @private
+   * @param {Object} opcuaConfig - OPC UA configuration
+   * @returns {OPCUAClient} - Client
+   */
+  createClient(opcuaConfig) {
+    const securityMode = opcuaConfig.securityMode || 'None';
+    let securityPolicy = opcuaConfig.securityPolicy || 'None';
+    // Signing needs a policy, the common one is used when none is configured
+    if (securityMode !== 'None' && securityPolicy === 'None') {
+      securityPolicy = 'Basic256Sha256';
+    }
+
+    return OPCUAClient.create({
+      applicationName: config.opcua.applicationName,
+      securityMode: MessageSecurityMode[securityMode],
+      securityPolicy: SecurityPolicy[securityPolicy],
+      endpointMustExist: false,
+      requestedSessionTimeout: 60000,
+      defaultSecureTokenLifetime: 3600000,
+      transportTimeout: Number(config.opcua.requestTimeoutMs),
+      connectionStrategy: {
+        maxRetry: 0,
+        initialDelay: Number(config.opcua.reconnect.initialDelayMs),
+        maxDelay: Number(config.opcua.reconnect.maxDelayMs)
+      }
+    });
+  }
+
+  /**
+   * User identity of a session, anonymous without a username
+   * @private
+   * @param {Object} opcuaConfig - OPC UA configuration
+   * @returns {Object|undefined} - User identity
+   */
+  getUserIdentity(opcuaConfig) {
+    if (!opcuaConfig.username) return undefined;
+
+    return {
+      type: UserTokenType.UserName,
+      userName: opcuaConfig.username,
+      password: opcuaConfig.password || ''
+    };
+  }
+
+  /**
+   * OPC UA configuration of a device, with its password that is not loaded by default
+   * @private
+   * @param {Object} device - Device
+   * @returns {Promise<Object>} - OPC UA configuration with deviceId
+   */
+  async getOpcuaConfig(device) {
+    if (!device.opcuaConfig || !device.opcuaConfig.endpointUrl) {
+      throw new Error(`Device ${device._id} has no OPC UA endpoint`);
+    }
+
+    const opcuaConfig = typeof device.toObject === 'function'
+      ? device.toObject().opcuaConfig
+      : { ...device.opcuaConfig };
+
+    if (opcuaConfig.username && opcuaConfig.password === undefined) {
+      const stored = await Device.findById(device._id).select('+opcuaConfig.password').lean();
+      opcuaConfig.password = stored && stored.opcuaConfig && stored.opcuaConfig.password;
+    }
+
+    return { ...opcuaConfig, deviceId: device._id.toString() };
+  }
+
+  /**
+   * Get the connection of a device, failing when its session is not open
+   * @private
+   * @param {string} deviceId - Device identifier
+   * @returns {Object} - Connection state
+   */
+  getConnectedConnection(deviceId) {
+    const connection = this.connections.get(deviceId.toString());
+    if (!connection || connection.state !== 'connected') {
+      throw new Error(`OPC UA not connected for device ${deviceId}`);
+    }
+    return connection;
+  }
+}
+
+module.exports = new OpcuaService();
\ No newline at end of file
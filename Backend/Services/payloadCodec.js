@@ -0,0 +1,193 @@
+const cbor = require('cbor');
+const protobuf = require('protobufjs');
+const DeviceProfile = require('../Models/deviceProfile');
+const logger = require('../utils/logger');
+
+// Profiles are cached briefly so every publish does not hit Mongo
+const PROFILE_CACHE_TTL_MS = 30000;
+
+// Payload kinds and the profile field holding their protobuf message type
+const MESSAGE_TYPE_FIELDS = {
+  telemetry: 'telemetryMessageType',
+  attributes: 'attributesMessageType'
+};
+
+class PayloadCodec {
+  constructor() {
+    this.profiles = new Map();
+    this.protoRoots = new Map();
+    this.failures = new Map();
+  }
+
+  /**
+   * Get a device profile through the cache
+   * @param {string} profileId - Device profile identifier
+   * @returns {Promise<Object|null>} - Lean profile, null when the device has none
+   */
+  async getProfile(profileId) {
+    if (!profileId) {
+      return null;
+    }
+
+    const id = profileId.toString();
+    const cached = this.profiles.get(id);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.profile;
+    }
+
+    const profile = await DeviceProfile.findById(id).lean();
+    this.profiles.set(id, { profile, expiresAt: Date.now() + PROFILE_CACHE_TTL_MS });
+    return profile;
+  }
+
+  /**
+   * Drop a profile and its compiled schema from the caches
+   * @param {string} profileId - Device profile identifier
+   */
+  invalidateProfile(profileId) {
+    const id = profileId.toString();
+    this.profiles.delete(id);
+
+    for (const cacheKey of this.protoRoots.keys()) {
+      if (cacheKey.startsWith(`${id}:`)) {
+        this.protoRoots.delete(cacheKey);
+      }
+    }
+  }
+
+  /**
+   * Parse a .proto source and check that the message types exist
+   * @param {string} protoSchema - .proto source
+   * @param {Array<string>} messageTypes - Fully qualified message type names
+   * @returns {Array<string>} - Validation errors
+   */
+  validateSchema(protoSchema, messageTypes) {
+    let root;
+    try {
+      root = protobuf.parse(protoSchema, { keepCase: true }).root;
+    } catch (error) {
+      return [`Invalid .proto schema: ${error.message}`];
+    }
+
+    const errors = [];
+    for (const messageType of messageTypes.filter(Boolean)) {
+      try {
+        root.lookupType(messageType);
+      } catch (error) {
+        errors.push(`Message type not found in schema: ${messageType}`);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Decode a payload according to the payload format of a device profile
+   * @param {Buffer} payload - Raw payload
+   * @param {Object|null} profile - Device profile, JSON is assumed without one
+   * @param {string} [kind='telemetry'] - Payload kind (telemetry, attributes)
+   * @returns {Object|Array} - Decoded payload
+   */
+  decode(payload, profile, kind = 'telemetry') {
+    const buffer = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+    const format = profile ? profile.payloadFormat : 'json';
+
+    switch (format) {
+      case 'cbor':
+        return cbor.decodeFirstSync(buffer);
+      case 'protobuf':
+        return this.decodeProtobuf(buffer, profile, kind);
+      default:
+        return JSON.parse(buffer.toString());
+    }
+  }
+
+  /**
+   * Decode a protobuf payload with the message type configured for its kind
+   * @private
+   * @param {Buffer} buffer - Raw payload
+   * @param {Object} profile - Device profile
+   * @param {string} kind - Payload kind
+   * @returns {Object} - Decoded message as a plain object
+   */
+  decodeProtobuf(buffer, profile, kind) {
+    const messageType = profile[MESSAGE_TYPE_FIELDS[kind]];
+    if (!messageType) {
+      throw new Error(`No protobuf message type configured for ${kind} in profile ${profile.name}`);
+    }
+
+    const type = this.getProtoType(profile, messageType);
+    return type.toObject(type.decode(buffer), {
+      longs: Number,
+      enums: String,
+      bytes: String
+    });
+  }
+
+  /**
+   * Get a compiled protobuf message type, compiling the profile schema once per version
+   * @private
+   * @param {Object} profile - Device profile
+   * @param {string} messageType - Fully qualified message type name
+   * @returns {Object} - protobufjs Type
+   */
+  getProtoType(profile, messageType) {
+    const cacheKey = `${profile._id}:${new Date(profile.updatedAt).getTime()}`;
+
+    let root = this.protoRoots.get(cacheKey);
+    if (!root) {
+      root = protobuf.parse(profile.protoSchema, { keepCase: true }).root;
+      this.protoRoots.set(cacheKey, root);
+    }
+
+    return root.lookupType(messageType);
+  }
+
+  /**
+   * Count a decode failure for a device
+   * @param {Object} deviceInfo - Authenticated device info (id, name, tenantId)
+   * @param {string} format - Payload format that failed
+   * @param {Error} error - Decode error
+   */
+  recordFailure(deviceInfo, format, error) {
+    const entry = this.failures.get(deviceInfo.id) || {
+      deviceId: deviceInfo.id,
+      deviceName: deviceInfo.name,
+      tenantId: deviceInfo.tenantId ? deviceInfo.tenantId.toString() : null,
+      count: 0
+    };
+
+    entry.count++;
+    entry.format = format;
+    entry.lastError = error.message;
+    entry.lastFailureAt = new Date();
+    this.failures.set(deviceInfo.id, entry);
+
+    logger.warn(`Failed to decode ${format} payload from device ${deviceInfo.name}: ${error.message}`);
+  }
+
+  /**
+   * Get decode failure counters
+   * @param {Object} [filters] - { deviceId, tenantId }
+   * @returns {Array<Object>} - Failure counters, most failing devices first
+   */
+  getFailureStats({ deviceId, tenantId } = {}) {
+    return [...this.failures.values()]
+      .filter(entry => !deviceId || entry.deviceId === deviceId.toString())
+      .filter(entry => !tenantId || entry.tenantId === tenantId.toString())
+      .sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Reset decode failure counters
+   * @param {string} [deviceId] - Reset one device only
+   */
+  resetFailureStats(deviceId) {
+    if (deviceId) {
+      this.failures.delete(deviceId.toString());
+    } else {
+      this.failures.clear();
+    }
+  }
+}
+
+module.exports = new PayloadCodec();
\ No newline at end of file
@@ -0,0 +1,218 @@
+const CommandAudit = require('../Models/commandAudit');
+const plcService = require('./plcService');
+const registerMapService = require('./registerMapService');
+const { decodeRegister, encodeRegister } = require('../utils/modbusRegisters');
+const logger = require('../utils/logger');
+
+// Commands written to Modbus devices, with the function code of the registers they target
+const MODBUS_COMMANDS = {
+  writeRegister: 3,
+  writeCoil: 1
+};
+
+/**
+ * Error for commands that cannot be translated into a write
+ * @param {string} message - Reason
+ * @returns {Error} - Error with code INVALID_COMMAND
+ */
+const invalidCommand = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_COMMAND';
+  return error;
+};
+
+class PlcCommandService {
+  /**
+   * Check whether a command is written directly to the device's PLC instead of going through MQTT
+   * @param {Object} device - Device
+   * @param {string} command - Command name
+   * @returns {boolean} - True for Modbus commands on devices with a Modbus address or gateway
+   */
+  handles(device, command) {
+    return Boolean(device.ipAddress || device.gatewayId) && Object.prototype.hasOwnProperty.call(MODBUS_COMMANDS, command);
+  }
+
+  /**
+   * Write a value to a named register, read it back to verify it and audit the attempt
+   * @param {Object} device - Device
+   * @param {string} command - writeRegister or writeCoil
+   * @param {Object} params - { register, value }
+   * @param {Object} user - Requesting user
+   * @returns {Promise<Object>} - { commandId, status, response }
+   */
+  async executeCommand(device, command, params, user) {
+    const startedAt = Date.now();
+    const audit = new CommandAudit({
+      deviceId: device._id,
+      tenantId: device.tenantId,
+      userId: user && user.id,
+      transport: 'modbus',
+      command,
+      params,
+      register: params.register,
+      value: params.value
+    });
+
+    try {
+      const register = await this.resolveRegister(device, command, params);
+      audit.address = register.address;
+
+      let words;
+      if (register.functionCode === 3 && register.dataType === 'bit') {
+        // Only the bit changes: the register is read, modified and written in one request
+        if (typeof params.value !== 'boolean') {
+          throw invalidCommand(`Invalid value for register ${register.name}: expected a boolean value`);
+        }
+        const mask = 1 << register.bit;
+        words = [await plcService.updateBits(device._id, register, mask, params.value ? mask : 0)];
+        audit.functionCode = 6;
+      } else {
+        words = this.encode(register, params.value);
+        audit.functionCode = await plcService.writeRegister(device._id, register, words);
+      }
+      audit.written = words;
+
+      // Read back and compare with the value as the device can represent it
+      const readBack = this.decode(register, await plcService.readRegister(device._id, register));
+      const expected = this.decode(register, words);
+      audit.readBack = readBack;
+      audit.status = JSON.stringify(readBack) === JSON.stringify(expected) ? 'success' : 'mismatch';
+      if (audit.status === 'mismatch') {
+        audit.error = `Read-back ${JSON.stringify(readBack)} differs from written ${JSON.stringify(expected)}`;
+      }
+    } catch (error) {
+      audit.status = error.code === 'INVALID_COMMAND' ? 'rejected' : 'failed';
+      audit.error = error.message;
+    }
+
+    audit.durationMs = Date.now() - startedAt;
+
+    try {
+      await audit.save();
+    } catch (error) {
+      logger.error(`Error saving command audit for device ${device._id}:`, error);
+      throw error;
+    }
+
+    if (audit.status !== 'success') {
+      logger.warn(`PLC command ${command} on device ${device._id} ${audit.status}: ${audit.error}`);
+    } else {
+      logger.info(`PLC command ${command} on device ${device._id}: ${audit.register} = ${JSON.stringify(audit.value)}`);
+    }
+
+    return {
+      commandId: audit._id,
+      status: audit.status,
+      response: {
+        register: audit.register,
+        address: audit.address,
+        functionCode: audit.functionCode,
+        value: audit.value,
+        written: audit.written,
+        readBack: audit.readBack,
+        error: audit.error,
+        durationMs: audit.durationMs
+      }
+    };
+  }
+
+  /**
+   * Get the audited commands of a device, newest first
+   * @param {string} deviceId - Device identifier
+   * @param {Object} [options]
+   * @param {number} [options.limit=50] - Page size
+   * @param {number} [options.offset=0] - Skipped entries
+   * @param {string} [options.status] - Only entries with this status
+   * @returns {Promise<Object>} - { total, audits }
+   */
+  async getAudit(deviceId, { limit = 50, offset = 0, status } = {}) {
+    const query = { deviceId };
+    if (status) query.status = status;
+
+    const [total, audits] = await Promise.all([
+      CommandAudit.countDocuments(query),
+      CommandAudit.find(query).sort({ createdAt: -1 }).skip(Number(offset)).limit(Number(limit)).lean()
+    ]);
+
+    return { total, audits };
+  }
+
+  /**
+   * Find the register a command targets and check it can be written
+   * @private
+   * @param {Object} device - Device
+   * @param {string} command - Command name
+   * @param {Object} params - Command parameters
+   * @returns {Promise<Object>} - Register entry
+   */
+  async resolveRegister(device, command, params) {
+    if (!params.register) {
+      throw invalidCommand('A register name is required');
+    }
+    if (params.value === undefined) {
+      throw invalidCommand('A value is required');
+    }
+
+    const registers = await registerMapService.getRegisters(device);
+    const register = registers.find(entry => entry.name === params.register);
+    if (!register) {
+      throw invalidCommand(`Register ${params.register} is not defined for device ${device._id}`);
+    }
+
+    if (register.functionCode !== MODBUS_COMMANDS[command]) {
+      const expected = MODBUS_COMMANDS[command] === 1 ? 'a coil' : 'a holding register';
+      throw invalidCommand(`Register ${register.name} is not ${expected} and cannot be written with ${command}`);
+    }
+
+    return register;
+  }
+
+  /**
+   * Encode a command value into the words or coil states to write
+   * @private
+   * @param {Object} register - Register entry
+   * @param {*} value - Command value
+   * @returns {Array<number|boolean>} - Data to write
+   */
+  encode(register, value) {
+    try {
+      // Coils and raw device registers are written as they are
+      if (register.functionCode === 1) {
+        const states = Array.isArray(value) ? value : [value];
+        if (states.length !== (register.count || 1) || states.some(state => typeof state !== 'boolean')) {
+          throw new Error(`Expected ${register.count || 1} boolean value(s)`);
+        }
+        return states;
+      }
+
+      if (register.raw) {
+        const words = Array.isArray(value) ? value : [value];
+        if (words.length !== register.count ||
+            words.some(word => !Number.isInteger(word) || word < 0 || word > 0xffff)) {
+          throw new Error(`Expected ${register.count} register value(s) between 0 and 65535`);
+        }
+        return words;
+      }
+
+      return encodeRegister(register, value);
+    } catch (error) {
+      throw invalidCommand(`Invalid value for register ${register.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Decode written or read-back data for comparison
+   * @private
+   * @param {Object} register - Register entry
+   * @param {Array<number|boolean>} data - Words or coil states
+   * @returns {*} - Decoded value
+   */
+  decode(register, data) {
+    if (register.raw || (register.functionCode === 1 && data.length > 1)) {
+      return data.length === 1 ? data[0] : data;
+    }
+    return decodeRegister(register, data);
+  }
+}
+
+module.exports = new PlcCommandService();
\ No newline at end of file
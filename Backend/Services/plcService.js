@@ -0,0 +1,949 @@
+const ModbusRTU = require('modbus-serial');
+const Device = require('../Models/device');
+const Gateway = require('../Models/gateway');
+const config = require('../Config/default');
+const logger = require('../utils/logger');
+
+// modbus-serial read function for each register type
+const READ_FUNCTIONS = {
+  holding: 'readHoldingRegisters',
+  input: 'readInputRegisters',
+  coil: 'readCoils',
+  discrete: 'readDiscreteInputs'
+};
+
+// Register type read by each Modbus function code
+const FUNCTION_CODE_TYPES = {
+  1: 'coil',
+  2: 'discrete',
+  3: 'holding',
+  4: 'input'
+};
+
+// modbus-serial connect function for each framing: MBAP over TCP, or raw RTU frames
+// (with CRC) over a transparent serial bridge socket
+const CONNECT_FUNCTIONS = {
+  tcp: 'connectTCP',
+  rtu: 'connectTelnet'
+};
+
+/**
+ * Modbus exception responses come from a reachable device; anything else
+ * (timeouts, closed or refused sockets) means the connection must be re-established
+ * @param {Error} error - Error raised by modbus-serial
+ * @returns {boolean} - True when the connection is no longer usable
+ */
+const isConnectionError = (error) => error.modbusCode === undefined;
+
+/**
+ * A unit that does not answer behind a gateway says nothing about the gateway itself
+ * @param {Error} error - Error raised by modbus-serial
+ * @returns {boolean} - True for response timeouts
+ */
+const isTimeout = (error) => error.name === 'TransactionTimedOutError';
+
+/**
+ * Close a modbus-serial client, ignoring errors. Sockets that never opened or were
+ * closed by the peer are destroyed, since close() does not call back for them.
+ * @param {ModbusRTU} client - Client to close
+ * @returns {Promise<void>}
+ */
+const closeClient = (client) => new Promise(resolve => {
+  try {
+    if (client.isOpen) {
+      client.close(() => resolve());
+    } else {
+      client.destroy(() => resolve());
+    }
+  } catch (error) {
+    resolve();
+  }
+});
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class PlcService {
+  constructor() {
+    // Modbus connections, one per device address or gateway: key -> connection
+    this.connections = new Map();
+    // Connection key of every managed device: deviceId -> key
+    this.deviceConnections = new Map();
+    this.pollHandler = null;
+    this.scheduleProvider = null;
+    this.statusSyncTimer = null;
+  }
+
+  /**
+   * Set the function run on every poll of a connected device
+   * @param {Function} handler - async (device, group) => void, group being the name of the polled group
+   */
+  setPollHandler(handler) {
+    this.pollHandler = handler;
+  }
+
+  /**
+   * Set the function giving the poll groups of a device. Without it every device
+   * is polled as a single group at its poll interval.
+   * @param {Function} provider - async (device) => [{ name, interval }]
+   */
+  setScheduleProvider(provider) {
+    this.scheduleProvider = provider;
+  }
+
+  /**
+   * Connect every device with a Modbus address or gateway and start polling
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (!config.plc.enabled) {
+      logger.info('PLC polling disabled');
+      return;
+    }
+
+    try {
+      const devices = await Device.find({
+        $or: [
+          { ipAddress: { $exists: true, $nin: [null, ''] } },
+          { gatewayId: { $ne: null } }
+        ]
+      });
+
+      for (const device of devices) {
+        await this.initializeDevice(device);
+      }
+
+      clearInterval(this.statusSyncTimer);
+      this.statusSyncTimer = setInterval(() => this.syncStatuses(), Number(config.plc.statusSyncMs));
+
+      logger.info(`PLC service started for ${devices.length} devices on ${this.connections.size} connections`);
+    } catch (error) {
+      logger.error('Error starting PLC service:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close every connection, used on shutdown
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    clearInterval(this.statusSyncTimer);
+    this.statusSyncTimer = null;
+    for (const connection of [...this.connections.values()]) {
+      await this.closeConnectionState(connection);
+    }
+    this.deviceConnections.clear();
+  }
+
+  /**
+   * Start polling a device, on its own connection or on the connection of its gateway.
+   * Connection failures are retried in the background with exponential backoff,
+   * so this resolves once the first attempt is done. Suspended devices are kept paused.
+   * @param {Object} device - Device with ipAddress/port or gatewayId, and modbusConfig
+   * @returns {Promise<Object|null>} - Connection status, null when the device has no Modbus address
+   */
+  async initializeDevice(device) {
+    if (!device.ipAddress && !device.gatewayId) {
+      return null;
+    }
+
+    const deviceId = device._id.toString();
+    if (this.deviceConnections.has(deviceId)) {
+      await this.closeConnection(deviceId);
+    }
+
+    let connection;
+    if (device.gatewayId) {
+      connection = this.connections.get(`gateway:${device.gatewayId}`);
+      if (!connection) {
+        const gateway = await Gateway.findById(device.gatewayId).lean();
+        if (!gateway) {
+          logger.warn(`Gateway ${device.gatewayId} of device ${deviceId} not found`);
+          return null;
+        }
+        connection = this.createConnection(`gateway:${gateway._id}`, gateway._id.toString(), {
+          ipAddress: gateway.ipAddress,
+          port: gateway.port || 502,
+          framing: gateway.framing || 'rtu',
+          unitTimeout: Number(gateway.unitTimeout || config.plc.gateway.unitTimeoutMs),
+          interFrameDelay: Number(gateway.interFrameDelay === undefined || gateway.interFrameDelay === null
+            ? config.plc.gateway.interFrameDelayMs
+            : gateway.interFrameDelay)
+        });
+      }
+    } else {
+      connection = this.createConnection(`device:${deviceId}`, null, {
+        ipAddress: device.ipAddress,
+        port: device.port || 502,
+        framing: (device.modbusConfig && device.modbusConfig.framing) || 'tcp',
+        unitTimeout: Number(config.plc.timeoutMs),
+        interFrameDelay: 0
+      });
+    }
+
+    const member = {
+      deviceId,
+      device,
+      unitId: this.getUnitId(device),
+      timeout: Number((device.modbusConfig && device.modbusConfig.timeout) || connection.endpoint.unitTimeout),
+      paused: device.status === 'suspended',
+      // Poll groups of the device: name -> group
+      groups: await this.getSchedule(device),
+      lastPollAt: null,
+      lastError: null,
+      polls: 0,
+      errors: 0,
+      timeouts: 0,
+      lastDurationMs: null,
+      totalDurationMs: 0,
+      maxDurationMs: 0
+    };
+    connection.members.set(deviceId, member);
+    this.deviceConnections.set(deviceId, connection.key);
+
+    if (connection.state === 'connected') {
+      this.scheduleMember(connection, member);
+    } else if (!connection.client && !connection.reconnectTimer) {
+      await this.connect(connection);
+    }
+
+    return this.getConnectionStatus(deviceId);
+  }
+
+  /**
+   * Reconnect a device after its address, gateway or Modbus configuration changed
+   * @param {Object} device - Updated device
+   * @returns {Promise<Object|null>} - Connection status
+   */
+  async restartConnection(device) {
+    await this.closeConnection(device._id);
+    return await this.initializeDevice(device);
+  }
+
+  /**
+   * Stop polling a device. Its own connection is closed; a gateway connection stays open
+   * while other devices use it.
+   * @param {string} deviceId - Device identifier
+   * @returns {Promise<void>}
+   */
+  async closeConnection(deviceId) {
+    const key = this.deviceConnections.get(deviceId.toString());
+    const connection = key && this.connections.get(key);
+    this.deviceConnections.delete(deviceId.toString());
+    if (!connection) return;
+
+    const member = connection.members.get(deviceId.toString());
+    if (member) {
+      this.clearMemberTimers(member);
+      connection.members.delete(member.deviceId);
+    }
+
+    if (connection.members.size === 0) {
+      await this.closeConnectionState(connection);
+    }
+
+    logger.info(`PLC polling stopped for device ${deviceId}`);
+  }
+
+  /**
+   * Stop polling a device while keeping its connection, e.g. while it is suspended
+   * @param {string} deviceId - Device identifier
+   * @returns {boolean} - False when the device is not managed
+   */
+  pauseDevice(deviceId) {
+    const connection = this.connections.get(this.deviceConnections.get(deviceId.toString()));
+    const member = connection && connection.members.get(deviceId.toString());
+    if (!member) return false;
+
+    if (!member.paused) {
+      member.paused = true;
+      this.clearMemberTimers(member);
+      logger.info(`PLC polling paused for device ${deviceId}`);
+    }
+    return true;
+  }
+
+  /**
+   * Resume polling a paused device
+   * @param {string} deviceId - Device identifier
+   * @returns {boolean} - False when the device is not managed
+   */
+  resumeDevice(deviceId) {
+    const connection = this.connections.get(this.deviceConnections.get(deviceId.toString()));
+    const member = connection && connection.members.get(deviceId.toString());
+    if (!member) return false;
+
+    if (member.paused) {
+      member.paused = false;
+      if (connection.state === 'connected') {
+        this.scheduleMember(connection, member);
+      }
+      logger.info(`PLC polling resumed for device ${deviceId}`);
+    }
+    return true;
+  }
+
+  /**
+   * Reload the poll groups of every device, after register maps changed
+   * @returns {Promise<void>}
+   */
+  async refreshSchedules() {
+    for (const connection of this.connections.values()) {
+      for (const member of connection.members.values()) {
+        const groups = await this.getSchedule(member.device);
+
+        // Keep the counters of groups that still exist
+        for (const [name, group] of groups) {
+          const previous = member.groups.get(name);
+          if (previous) {
+            Object.assign(group, { polls: previous.polls, errors: previous.errors, lastPollAt: previous.lastPollAt });
+          }
+        }
+
+        this.clearMemberTimers(member);
+        member.groups = groups;
+        if (connection.state === 'connected' && !member.paused) {
+          this.scheduleMember(connection, member);
+        }
+      }
+    }
+  }
+
+  /**
+   * Reconnect every device of a gateway after the gateway changed
+   * @param {Object} gateway - Updated gateway
+   * @returns {Promise<Object|null>} - Gateway status
+   */
+  async restartGateway(gateway) {
+    const gatewayId = gateway._id.toString();
+    const connection = this.connections.get(`gateway:${gatewayId}`);
+    if (!connection) return null;
+
+    const devices = [...connection.members.values()].map(member => member.device);
+    await this.closeGateway(gatewayId);
+
+    for (const device of devices) {
+      await this.initializeDevice(device);
+    }
+
+    return this.getGatewayStatus(gatewayId);
+  }
+
+  /**
+   * Stop polling every device of a gateway and close its connection
+   * @param {string} gatewayId - Gateway identifier
+   * @returns {Promise<void>}
+   */
+  async closeGateway(gatewayId) {
+    const connection = this.connections.get(`gateway:${gatewayId}`);
+    if (!connection) return;
+
+    for (const deviceId of connection.members.keys()) {
+      this.deviceConnections.delete(deviceId);
+    }
+    await this.closeConnectionState(connection);
+  }
+
+  /**
+   * Check that a Modbus endpoint accepts connections and that the unit answers
+   * @param {Object} options
+   * @param {string} options.ipAddress - PLC or gateway address
+   * @param {number} [options.port=502] - Port
+   * @param {number} [options.unitId=1] - Modbus unit identifier
+   * @param {string} [options.framing='tcp'] - tcp or rtu (RTU over TCP)
+   * @param {number} [options.timeout] - Timeout in ms
+   * @returns {Promise<Object>} - { connected, message }
+   */
+  async testConnection({ ipAddress, port = 502, unitId = 1, framing = 'tcp', timeout }) {
+    const client = new ModbusRTU();
+    client.setTimeout(Number(timeout || config.plc.timeoutMs));
+
+    try {
+      await client[CONNECT_FUNCTIONS[framing] || CONNECT_FUNCTIONS.tcp](ipAddress, { port });
+      client.setID(unitId);
+
+      try {
+        await client.readHoldingRegisters(0, 1);
+      } catch (error) {
+        if (isConnectionError(error)) {
+          return { connected: false, message: `Connected to ${ipAddress}:${port} but unit ${unitId} did not answer: ${error.message}` };
+        }
+        // An exception response still proves the unit is there
+      }
+
+      return { connected: true, message: `Connected to ${ipAddress}:${port}, unit ${unitId}` };
+    } catch (error) {
+      return { connected: false, message: `Connection to ${ipAddress}:${port} failed: ${error.message}` };
+    } finally {
+      await closeClient(client);
+    }
+  }
+
+  /**
+   * Check that a device can sit behind its gateway: the gateway exists, belongs to the device's
+   * tenant, and no other device on it uses the same unit ID
+   * @param {Object} device - Device with the gatewayId and modbusConfig it will be saved with
+   * @returns {Promise<void>}
+   * @throws {Error} - code INVALID_GATEWAY, GATEWAY_FORBIDDEN or UNIT_ID_IN_USE
+   */
+  async checkGatewayAssignment(device) {
+    if (!device.gatewayId) return;
+
+    const gateway = await Gateway.findById(device.gatewayId).select('tenantId').lean();
+    if (!gateway) {
+      const error = new Error('Gateway not found');
+      error.code = 'INVALID_GATEWAY';
+      throw error;
+    }
+
+    if (String(gateway.tenantId || '') !== String(device.tenantId || '')) {
+      const error = new Error('Gateway belongs to another tenant');
+      error.code = 'GATEWAY_FORBIDDEN';
+      throw error;
+    }
+
+    const unitId = this.getUnitId(device);
+    const conflict = await Device.exists({
+      _id: { $ne: device._id },
+      gatewayId: device.gatewayId,
+      'modbusConfig.unitId': unitId
+    });
+    if (conflict) {
+      const error = new Error(`Unit ID ${unitId} is already used by another device on this gateway`);
+      error.code = 'UNIT_ID_IN_USE';
+      throw error;
+    }
+  }
+
+  /**
+   * Read a register block from a connected device
+   * @param {string} deviceId - Device identifier
+   * @param {Object} register - Register with a type (holding, input, coil, discrete) or functionCode (1-4),
+   *                            an address and a count
+   * @returns {Promise<Array<number|boolean>>} - Register words or bits
+   */
+  async readRegister(deviceId, register) {
+    const { connection, member } = this.getConnectedMember(deviceId);
+    const type = this.getRegisterType(register);
+    const readFunction = READ_FUNCTIONS[type];
+    if (!readFunction) {
+      throw new Error(`Unsupported register type: ${type}`);
+    }
+
+    const count = register.count || 1;
+    return await this.request(connection, member, async client => {
+      const result = await client[readFunction](register.address, count);
+      // Coils and discrete inputs come back padded to whole bytes
+      return result.data.slice(0, count);
+    });
+  }
+
+  /**
+   * Write to a coil block (FC5 for one coil, FC15 for several) or a holding register block
+   * (FC6 for one register, FC16 for several) of a connected device
+   * @param {string} deviceId - Device identifier
+   * @param {Object} register - Register with a type (holding, coil) or functionCode (3, 1) and an address
+   * @param {Array<number|boolean>} data - Register words or coil states
+   * @returns {Promise<number>} - Function code used for the write
+   */
+  async writeRegister(deviceId, register, data) {
+    const { connection, member } = this.getConnectedMember(deviceId);
+    const type = this.getRegisterType(register);
+
+    if (type !== 'coil' && type !== 'holding') {
+      throw new Error(`Register type ${type} is read-only`);
+    }
+
+    return await this.request(connection, member, async client => {
+      if (type === 'coil') {
+        if (data.length === 1) {
+          await client.writeCoil(register.address, Boolean(data[0]));
+          return 5;
+        }
+        await client.writeCoils(register.address, data.map(Boolean));
+        return 15;
+      }
+
+      if (data.length === 1) {
+        await client.writeRegister(register.address, data[0]);
+        return 6;
+      }
+      await client.writeRegisters(register.address, data);
+      return 16;
+    });
+  }
+
+  /**
+   * Change some bits of one holding register of a connected device, keeping the others as the
+   * device has them. The read (FC3) and the write (FC6) run as one request, so no other request
+   * on the connection can come in between.
+   * @param {string} deviceId - Device identifier
+   * @param {Object} register - Register with a type (holding) or functionCode (3) and an address
+   * @param {number} mask - Bits to change
+   * @param {number} value - New state of the masked bits
+   * @returns {Promise<number>} - Register word written
+   */
+  async updateBits(deviceId, register, mask, value) {
+    const { connection, member } = this.getConnectedMember(deviceId);
+    const type = this.getRegisterType(register);
+
+    if (type !== 'holding') {
+      throw new Error(`Bits can only be updated in holding registers, not in ${type} registers`);
+    }
+
+    return await this.request(connection, member, async client => {
+      const { data: [word] } = await client.readHoldingRegisters(register.address, 1);
+      const updated = ((word & ~mask) | (value & mask)) & 0xffff;
+      await client.writeRegister(register.address, updated);
+      return updated;
+    });
+  }
+
+  /**
+   * Check whether a device is managed and its connection is up
+   * @param {string} deviceId - Device identifier
+   * @returns {boolean} - True when requests can be sent
+   */
+  isConnected(deviceId) {
+    const connection = this.connections.get(this.deviceConnections.get(deviceId.toString()));
+    return Boolean(connection && connection.state === 'connected');
+  }
+
+  /**
+   * Get the connection status of a device. Devices behind the same gateway share
+   * the connection state; poll counters are per device.
+   * @param {string} deviceId - Device identifier
+   * @returns {Object|null} - Status, null when the device is not managed
+   */
+  getConnectionStatus(deviceId) {
+    const connection = this.connections.get(this.deviceConnections.get(deviceId.toString()));
+    const member = connection && connection.members.get(deviceId.toString());
+    if (!member) return null;
+
+    const cycles = member.polls + member.errors;
+
+    return {
+      deviceId: member.deviceId,
+      gatewayId: connection.gatewayId,
+      ...this.getEndpointStatus(connection),
+      unitId: member.unitId,
+      paused: member.paused,
+      lastPollAt: member.lastPollAt,
+      lastError: member.lastError || connection.lastError,
+      polls: member.polls,
+      errors: member.errors,
+      timeouts: member.timeouts,
+      latency: {
+        lastMs: member.lastDurationMs,
+        avgMs: cycles > 0 ? Math.round(member.totalDurationMs / cycles) : null,
+        maxMs: cycles > 0 ? member.maxDurationMs : null
+      },
+      groups: [...member.groups.values()].map(group => ({
+        name: group.name,
+        interval: group.interval,
+        polls: group.polls,
+        errors: group.errors,
+        lastPollAt: group.lastPollAt
+      }))
+    };
+  }
+
+  /**
+   * Get the status of a gateway connection and of the devices behind it
+   * @param {string} gatewayId - Gateway identifier
+   * @returns {Object|null} - Status, null when no device of the gateway is polled
+   */
+  getGatewayStatus(gatewayId) {
+    const connection = this.connections.get(`gateway:${gatewayId}`);
+    if (!connection) return null;
+
+    return {
+      gatewayId: connection.gatewayId,
+      ...this.getEndpointStatus(connection),
+      lastError: connection.lastError,
+      devices: [...connection.members.keys()].map(deviceId => this.getConnectionStatus(deviceId))
+    };
+  }
+
+  /**
+   * Get the connection status of every managed device
+   * @returns {Array<Object>} - Statuses
+   */
+  getStatuses() {
+    return [...this.deviceConnections.keys()].map(deviceId => this.getConnectionStatus(deviceId));
+  }
+
+  /**
+   * Create and register the state of a connection
+   * @private
+   * @param {string} key - Connection key
+   * @param {string|null} gatewayId - Gateway identifier, null for a device's own connection
+   * @param {Object} endpoint - { ipAddress, port, framing, unitTimeout, interFrameDelay }
+   * @returns {Object} - Connection state
+   */
+  createConnection(key, gatewayId, endpoint) {
+    const connection = {
+      key,
+      gatewayId,
+      endpoint,
+      // Devices polled through this connection: deviceId -> member
+      members: new Map(),
+      client: null,
+      state: 'connecting',
+      attempts: 0,
+      reconnectTimer: null,
+      // Requests of a connection run one at a time
+      queue: Promise.resolve(),
+      connectedAt: null,
+      lastError: null
+    };
+
+    this.connections.set(key, connection);
+    return connection;
+  }
+
+  /**
+   * Stop every poll of a connection and close its socket
+   * @private
+   * @param {Object} connection - Connection state
+   * @returns {Promise<void>}
+   */
+  async closeConnectionState(connection) {
+    connection.state = 'closed';
+    clearTimeout(connection.reconnectTimer);
+    for (const member of connection.members.values()) {
+      this.clearMemberTimers(member);
+    }
+    this.connections.delete(connection.key);
+
+    if (connection.client) {
+      await closeClient(connection.client);
+      connection.client = null;
+    }
+
+    logger.info(`PLC connection ${connection.key} closed`);
+  }
+
+  /**
+   * Open the socket of a connection
+   * @private
+   * @param {Object} connection - Connection state
+   * @returns {Promise<void>}
+   */
+  async connect(connection) {
+    const { ipAddress, port, framing, unitTimeout } = connection.endpoint;
+    const client = new ModbusRTU();
+    client.setTimeout(unitTimeout);
+    connection.client = client;
+    connection.reconnectTimer = null;
+    connection.state = 'connecting';
+
+    try {
+      await client[CONNECT_FUNCTIONS[framing] || CONNECT_FUNCTIONS.tcp](ipAddress, { port });
+
+      // A connection closed meanwhile must not come back
+      if (connection.state === 'closed') {
+        await closeClient(client);
+        return;
+      }
+
+      client.on('close', () => {
+        if (connection.client === client && connection.state === 'connected') {
+          this.handleConnectionLoss(connection, new Error('Connection closed by peer'));
+        }
+      });
+      client.on('error', error => {
+        logger.warn(`PLC socket error on ${connection.key}: ${error.message}`);
+      });
+
+      connection.state = 'connected';
+      connection.attempts = 0;
+      connection.connectedAt = new Date();
+      connection.lastError = null;
+      logger.info(`PLC connected on ${connection.key} (${ipAddress}:${port}, ${framing})`);
+
+      for (const member of connection.members.values()) {
+        this.scheduleMember(connection, member);
+      }
+    } catch (error) {
+      await closeClient(client);
+      if (connection.state !== 'closed') {
+        connection.client = null;
+        this.scheduleReconnect(connection, error);
+      }
+    }
+  }
+
+  /**
+   * Retry the connection later, doubling the delay up to the configured maximum
+   * @private
+   * @param {Object} connection - Connection state
+   * @param {Error} error - Cause
+   */
+  scheduleReconnect(connection, error) {
+    const { initialDelayMs, maxDelayMs, factor } = config.plc.reconnect;
+    const base = Math.min(Number(initialDelayMs) * Math.pow(Number(factor), connection.attempts), Number(maxDelayMs));
+    // Jitter keeps devices behind the same network outage from reconnecting in lockstep
+    const wait = Math.round(base * (0.8 + Math.random() * 0.4));
+
+    connection.state = 'disconnected';
+    connection.attempts++;
+    connection.lastError = error.message;
+    logger.warn(`PLC connection ${connection.key} failed, retrying in ${wait}ms: ${error.message}`);
+
+    clearTimeout(connection.reconnectTimer);
+    connection.reconnectTimer = setTimeout(() => this.connect(connection), wait);
+  }
+
+  /**
+   * Drop a broken socket and start reconnecting
+   * @private
+   * @param {Object} connection - Connection state
+   * @param {Error} error - Cause
+   */
+  handleConnectionLoss(connection, error) {
+    if (connection.state !== 'connected') return;
+
+    for (const member of connection.members.values()) {
+      this.clearMemberTimers(member);
+    }
+    const client = connection.client;
+    connection.client = null;
+    closeClient(client);
+
+    this.scheduleReconnect(connection, error);
+  }
+
+  /**
+   * Run a request for a device on its connection. Requests are serialized per connection,
+   * addressed to the device's unit with its own timeout and followed by the inter-frame delay.
+   * @private
+   * @param {Object} connection - Connection state
+   * @param {Object} member - Device on the connection
+   * @param {Function} fn - async (client) => result
+   * @returns {Promise<*>} - Request result
+   */
+  request(connection, member, fn) {
+    const run = connection.queue.then(async () => {
+      if (connection.state !== 'connected') {
+        throw new Error(`PLC not connected for device ${member.deviceId}`);
+      }
+
+      const client = connection.client;
+      client.setID(member.unitId);
+      client.setTimeout(member.timeout);
+
+      try {
+        return await fn(client);
+      } catch (error) {
+        if (isTimeout(error)) {
+          member.timeouts++;
+        }
+        // On a gateway a silent unit is that unit's problem, the shared socket stays up
+        if (isConnectionError(error) && !(connection.gatewayId && isTimeout(error))) {
+          this.handleConnectionLoss(connection, error);
+        }
+        throw error;
+      } finally {
+        if (connection.endpoint.interFrameDelay > 0) {
+          await delay(connection.endpoint.interFrameDelay);
+        }
+      }
+    });
+
+    connection.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Start polling every group of a device, unless it is paused
+   * @private
+   * @param {Object} connection - Connection state
+   * @param {Object} member - Device on the connection
+   */
+  scheduleMember(connection, member) {
+    if (member.paused) return;
+
+    for (const group of member.groups.values()) {
+      this.schedulePoll(connection, member, group, 0);
+    }
+  }
+
+  /**
+   * Stop every poll timer of a device
+   * @private
+   * @param {Object} member - Device on the connection
+   */
+  clearMemberTimers(member) {
+    for (const group of member.groups.values()) {
+      clearTimeout(group.timer);
+      group.timer = null;
+    }
+  }
+
+  /**
+   * Schedule the next poll of a group of a device
+   * @private
+   * @param {Object} connection - Connection state
+   * @param {Object} member - Device on the connection
+   * @param {Object} group - Poll group
+   * @param {number} [wait] - Delay in ms, the group interval by default
+   */
+  schedulePoll(connection, member, group, wait) {
+    clearTimeout(group.timer);
+    group.timer = setTimeout(() => this.poll(connection, member, group), wait === undefined ? group.interval : wait);
+  }
+
+  /**
+   * Poll a group of a device once and schedule its next poll; polls of a group never overlap
+   * @private
+   * @param {Object} connection - Connection state
+   * @param {Object} member - Device on the connection
+   * @param {Object} group - Poll group
+   * @returns {Promise<void>}
+   */
+  async poll(connection, member, group) {
+    if (connection.state !== 'connected' || member.paused) return;
+
+    if (this.pollHandler) {
+      const startedAt = Date.now();
+
+      try {
+        await this.pollHandler(member.device, group.name);
+        member.polls++;
+        group.polls++;
+        member.lastPollAt = group.lastPollAt = new Date();
+        member.lastError = null;
+      } catch (error) {
+        member.errors++;
+        group.errors++;
+        member.lastError = error.message;
+        logger.error(`PLC poll of group ${group.name} failed for device ${member.deviceId}: ${error.message}`);
+      }
+
+      const duration = Date.now() - startedAt;
+      member.lastDurationMs = duration;
+      member.totalDurationMs += duration;
+      member.maxDurationMs = Math.max(member.maxDurationMs, duration);
+    }
+
+    // A lost connection or a pause restarts polling when it ends; a replaced group is not polled again
+    if (connection.state === 'connected' && !member.paused &&
+        connection.members.get(member.deviceId) === member && member.groups.get(group.name) === group) {
+      this.schedulePoll(connection, member, group);
+    }
+  }
+
+  /**
+   * Get the poll groups of a device from the schedule provider
+   * @private
+   * @param {Object} device - Device
+   * @returns {Promise<Map<string, Object>>} - Poll groups by name
+   */
+  async getSchedule(device) {
+    const modbusConfig = device.modbusConfig || {};
+    let schedule = [{ name: 'default', interval: Number(modbusConfig.pollInterval || config.plc.pollIntervalMs) }];
+
+    if (this.scheduleProvider) {
+      try {
+        schedule = await this.scheduleProvider(device);
+      } catch (error) {
+        logger.error(`Error loading poll groups of device ${device._id}, polling all registers together:`, error);
+      }
+    }
+
+    return new Map(schedule.map(({ name, interval }) => [name, {
+      name,
+      interval: Number(interval),
+      timer: null,
+      polls: 0,
+      errors: 0,
+      lastPollAt: null
+    }]));
+  }
+
+  /**
+   * Pause suspended devices and resume reactivated ones
+   * @private
+   * @returns {Promise<void>}
+   */
+  async syncStatuses() {
+    if (this.deviceConnections.size === 0) return;
+
+    try {
+      const devices = await Device.find({ _id: { $in: [...this.deviceConnections.keys()] } }, { status: 1 }).lean();
+
+      for (const { _id, status } of devices) {
+        const deviceId = _id.toString();
+        const connection = this.connections.get(this.deviceConnections.get(deviceId));
+        const member = connection && connection.members.get(deviceId);
+        if (!member) continue;
+
+        member.device.status = status;
+        if (status === 'suspended') {
+          this.pauseDevice(deviceId);
+        } else {
+          this.resumeDevice(deviceId);
+        }
+      }
+    } catch (error) {
+      logger.error('Error synchronizing PLC device statuses:', error);
+    }
+  }
+
+  /**
+   * Get the connected member of a device, failing when its connection is down
+   * @private
+   * @param {string} deviceId - Device identifier
+   * @returns {Object} - { connection, member }
+   */
+  getConnectedMember(deviceId) {
+    const connection = this.connections.get(this.deviceConnections.get(deviceId.toString()));
+    if (!connection || connection.state !== 'connected') {
+      throw new Error(`PLC not connected for device ${deviceId}`);
+    }
+    return { connection, member: connection.members.get(deviceId.toString()) };
+  }
+
+  /**
+   * Shared status fields of a connection
+   * @private
+   * @param {Object} connection - Connection state
+   * @returns {Object} - Endpoint and health
+   */
+  getEndpointStatus(connection) {
+    const { ipAddress, port, framing } = connection.endpoint;
+
+    return {
+      state: connection.state,
+      ipAddress,
+      port,
+      framing,
+      connectedAt: connection.connectedAt,
+      reconnectAttempts: connection.attempts
+    };
+  }
+
+  /**
+   * Register type of a register entry, from its type or function code
+   * @private
+   * @param {Object} register - Register entry
+   * @returns {string} - holding, input, coil or discrete
+   */
+  getRegisterType(register) {
+    return register.type || FUNCTION_CODE_TYPES[register.functionCode] || 'holding';
+  }
+
+  /**
+   * Modbus unit identifier of a device
+   * @private
+   * @param {Object} device - Device
+   * @returns {number} - Unit identifier
+   */
+  getUnitId(device) {
+    const unitId = device.modbusConfig && device.modbusConfig.unitId;
+    return unitId === undefined || unitId === null ? 1 : unitId;
+  }
+}
+
+module.exports = new PlcService();
\ No newline at end of file
@@ -0,0 +1,327 @@
+const RegisterMap = require('../Models/registerMap');
+const { parseCsvLine } = require('../utils/csv');
+const logger = require('../utils/logger');
+
+// Register maps are cached briefly per tenant/device type
+const MAP_CACHE_TTL_MS = 30000;
+
+// Function code of the register types used by inline device registers
+const TYPE_FUNCTION_CODES = {
+  coil: 1,
+  discrete: 2,
+  holding: 3,
+  input: 4
+};
+
+// CSV header aliases found in vendor register sheets, compared lowercase without spaces, dashes or underscores
+const COLUMN_ALIASES = {
+  name: ['name', 'register', 'registername', 'tag', 'tagname', 'parameter'],
+  key: ['key', 'telemetrykey'],
+  functionCode: ['functioncode', 'fc', 'function', 'registertype', 'table'],
+  address: ['address', 'addr', 'registeraddress', 'startaddress'],
+  count: ['count', 'length', 'quantity', 'size', 'words', 'registers'],
+  dataType: ['datatype', 'type', 'format'],
+  bit: ['bit', 'bitindex'],
+  wordOrder: ['wordorder'],
+  byteOrder: ['byteorder'],
+  order: ['order', 'endianness', 'endian', 'swap'],
+  scale: ['scale', 'multiplier', 'gain', 'factor'],
+  offset: ['offset'],
+  units: ['units', 'unit', 'uom', 'engineeringunits'],
+  description: ['description', 'desc', 'comment', 'comments'],
+  pollGroup: ['pollgroup', 'group', 'scangroup', 'scanclass'],
+  deadband: ['deadband', 'hysteresis']
+};
+
+// Function code names used in register sheets
+const FUNCTION_CODE_ALIASES = {
+  coil: 1, coils: 1, co: 1, '0x': 1,
+  discrete: 2, discreteinput: 2, discreteinputs: 2, di: 2, '1x': 2,
+  holding: 3, holdingregister: 3, holdingregisters: 3, hr: 3, '4x': 3,
+  input: 4, inputregister: 4, inputregisters: 4, ir: 4, '3x': 4
+};
+
+// PLC-style data type names
+const DATA_TYPE_ALIASES = {
+  int: 'int16', short: 'int16', sint16: 'int16',
+  word: 'uint16', ushort: 'uint16', uint: 'uint16',
+  dint: 'int32', long: 'int32', sint32: 'int32',
+  udint: 'uint32', dword: 'uint32', ulong: 'uint32',
+  float: 'float32', real: 'float32',
+  double: 'float64', lreal: 'float64',
+  bool: 'bit', boolean: 'bit',
+  ascii: 'string', text: 'string', char: 'string'
+};
+
+// Byte layouts written as letters, A being the most significant byte
+const ORDER_ALIASES = {
+  abcd: { wordOrder: 'big', byteOrder: 'big' },
+  cdab: { wordOrder: 'little', byteOrder: 'big' },
+  badc: { wordOrder: 'big', byteOrder: 'little' },
+  dcba: { wordOrder: 'little', byteOrder: 'little' },
+  ab: { byteOrder: 'big' },
+  ba: { byteOrder: 'little' }
+};
+
+const normalizeHeader = header => header.toLowerCase().replace(/[\s_-]/g, '');
+
+class RegisterMapService {
+  constructor() {
+    this.mapCache = new Map();
+  }
+
+  /**
+   * Get the register map of a device type
+   * @param {string} tenantId - Tenant identifier
+   * @param {string} deviceType - Device type
+   * @returns {Promise<Object|null>} - Register map
+   */
+  async getMap(tenantId, deviceType) {
+    const cacheKey = `${tenantId || 'system'}:${deviceType}`;
+    const cached = this.mapCache.get(cacheKey);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.map;
+    }
+
+    const map = await RegisterMap.findOne({ tenantId: tenantId || null, deviceType }).lean();
+
+    this.mapCache.set(cacheKey, { map, expiresAt: Date.now() + MAP_CACHE_TTL_MS });
+    return map;
+  }
+
+  /**
+   * Drop cached register maps after they were changed
+   */
+  invalidateMaps() {
+    this.mapCache.clear();
+  }
+
+  /**
+   * Get the registers polled for a device: the register map of its type, or the raw registers
+   * configured on the device itself (read as plain words or bits)
+   * @param {Object} device - Device (tenantId, type, modbusConfig)
+   * @returns {Promise<Array<Object>>} - Register entries with functionCode, address and count
+   */
+  async getRegisters(device) {
+    const map = await this.getMap(device.tenantId, device.type);
+
+    if (map && map.registers.length > 0) {
+      return map.registers.map(register => ({
+        ...register,
+        count: RegisterMap.registerCount(register)
+      }));
+    }
+
+    const inline = (device.modbusConfig && device.modbusConfig.registers) || [];
+    return inline.map(register => ({
+      name: register.name,
+      key: register.key,
+      functionCode: TYPE_FUNCTION_CODES[register.type || 'holding'],
+      address: register.address,
+      count: register.count || 1,
+      pollGroup: register.pollGroup,
+      deadband: register.deadband,
+      raw: true
+    }));
+  }
+
+  /**
+   * Get the poll groups of a device: the groups of its register map, overridden by name
+   * by the groups configured on the device
+   * @param {Object} device - Device (tenantId, type, modbusConfig)
+   * @returns {Promise<Array<Object>>} - Poll groups with name, interval and maxSilence
+   */
+  async getPollGroups(device) {
+    const map = await this.getMap(device.tenantId, device.type);
+    const groups = new Map();
+
+    for (const group of (map && map.pollGroups) || []) {
+      groups.set(group.name, { name: group.name, interval: group.interval, maxSilence: group.maxSilence });
+    }
+    for (const group of (device.modbusConfig && device.modbusConfig.pollGroups) || []) {
+      groups.set(group.name, { name: group.name, interval: group.interval, maxSilence: group.maxSilence });
+    }
+
+    return [...groups.values()];
+  }
+
+  /**
+   * Parse a register sheet. The first line holds the column names; vendor spellings such as
+   * "Register Type", "Data Type", "Multiplier" or a combined ABCD/CDAB byte order are understood.
+   * Empty lines and lines starting with # are skipped.
+   * @param {string} text - CSV content
+   * @returns {Object} - { registers, errors: [{ line, message }] }
+   */
+  parseCsv(text) {
+    const lines = text.split(/\r?\n/);
+    const registers = [];
+    const errors = [];
+    let columns = null;
+
+    lines.forEach((line, index) => {
+      const lineNumber = index + 1;
+      if (!line.trim() || line.trim().startsWith('#')) return;
+
+      let cells;
+      try {
+        cells = parseCsvLine(line).map(cell => cell.trim());
+      } catch (error) {
+        errors.push({ line: lineNumber, message: error.message });
+        return;
+      }
+
+      if (!columns) {
+        columns = cells.map(cell => {
+          const header = normalizeHeader(cell);
+          return Object.keys(COLUMN_ALIASES).find(field => COLUMN_ALIASES[field].includes(header)) || null;
+        });
+        for (const required of ['name', 'address']) {
+          if (!columns.includes(required)) {
+            errors.push({ line: lineNumber, message: `Missing ${required} column` });
+          }
+        }
+        return;
+      }
+
+      const row = {};
+      columns.forEach((field, column) => {
+        if (field && cells[column] !== undefined && cells[column] !== '') {
+          row[field] = cells[column];
+        }
+      });
+
+      try {
+        registers.push(this.parseRow(row));
+      } catch (error) {
+        errors.push({ line: lineNumber, message: error.message });
+      }
+    });
+
+    if (!columns) {
+      errors.push({ line: 1, message: 'The register sheet is empty' });
+    }
+
+    return { registers, errors };
+  }
+
+  /**
+   * Turn one sheet row into a register entry
+   * @private
+   * @param {Object} row - Cells by field name
+   * @returns {Object} - Register entry
+   */
+  parseRow(row) {
+    if (!row.name) {
+      throw new Error('Register name is required');
+    }
+
+    const number = (field) => {
+      if (row[field] === undefined) return undefined;
+      const value = Number(row[field]);
+      if (!Number.isFinite(value)) {
+        throw new Error(`Invalid ${field} for register ${row.name}: ${row[field]}`);
+      }
+      return value;
+    };
+
+    const register = {
+      name: row.name,
+      address: number('address')
+    };
+    if (!Number.isInteger(register.address)) {
+      throw new Error(`Invalid address for register ${row.name}: ${row.address}`);
+    }
+
+    if (row.functionCode !== undefined) {
+      const code = normalizeHeader(row.functionCode);
+      register.functionCode = FUNCTION_CODE_ALIASES[code] || Number(code);
+      if (!RegisterMap.FUNCTION_CODES.includes(register.functionCode)) {
+        throw new Error(`Invalid function code for register ${row.name}: ${row.functionCode}`);
+      }
+    }
+
+    if (row.dataType !== undefined) {
+      const dataType = row.dataType.toLowerCase();
+      register.dataType = DATA_TYPE_ALIASES[dataType] || dataType;
+      if (!RegisterMap.DATA_TYPES.includes(register.dataType)) {
+        throw new Error(`Invalid data type for register ${row.name}: ${row.dataType}`);
+      }
+    } else if (register.functionCode === 1 || register.functionCode === 2) {
+      register.dataType = 'bit';
+    }
+
+    if (row.order !== undefined) {
+      const order = ORDER_ALIASES[row.order.toLowerCase()];
+      if (!order) {
+        throw new Error(`Invalid byte order for register ${row.name}: ${row.order}`);
+      }
+      Object.assign(register, order);
+    }
+    for (const field of ['wordOrder', 'byteOrder']) {
+      if (row[field] !== undefined) {
+        register[field] = row[field].toLowerCase();
+        if (!RegisterMap.WORD_ORDERS.includes(register[field])) {
+          throw new Error(`Invalid ${field} for register ${row.name}: ${row[field]}`);
+        }
+      }
+    }
+
+    for (const field of ['count', 'bit', 'scale', 'offset', 'deadband']) {
+      const value = number(field);
+      if (value !== undefined) register[field] = value;
+    }
+    for (const field of ['key', 'units', 'description', 'pollGroup']) {
+      if (row[field] !== undefined) register[field] = row[field];
+    }
+
+    return register;
+  }
+
+  /**
+   * Create or update the register map of a device type from a register sheet
+   * @param {Object} options
+   * @param {string} options.tenantId - Tenant identifier
+   * @param {string} options.deviceType - Device type
+   * @param {string} options.csv - Register sheet
+   * @param {string} [options.mode='replace'] - replace the registers, or merge them by name
+   * @param {string} [options.name] - Map name
+   * @param {string} [options.userId] - Importing user
+   * @returns {Promise<Object>} - { map, imported, errors }; map is null when the sheet has errors
+   */
+  async importCsv({ tenantId, deviceType, csv, mode = 'replace', name, userId }) {
+    try {
+      const { registers, errors } = this.parseCsv(csv);
+      if (errors.length > 0) {
+        return { map: null, imported: 0, errors };
+      }
+
+      let map = await RegisterMap.findOne({ tenantId: tenantId || null, deviceType });
+      if (!map) {
+        map = new RegisterMap({ tenantId: tenantId || null, deviceType, createdBy: userId });
+      }
+      if (name) map.name = name;
+
+      if (mode === 'merge') {
+        const byName = new Map(map.registers.map(register => [register.name, register.toObject()]));
+        registers.forEach(register => byName.set(register.name, register));
+        map.registers = [...byName.values()];
+      } else {
+        map.registers = registers;
+      }
+      map.updatedAt = Date.now();
+
+      await map.save();
+      this.invalidateMaps();
+
+      logger.info(`Register map imported for ${deviceType}: ${registers.length} registers (${mode})`);
+
+      return { map, imported: registers.length, errors: [] };
+    } catch (error) {
+      logger.error(`Error importing register map for ${deviceType}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new RegisterMapService();
\ No newline at end of file
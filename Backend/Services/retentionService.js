@@ -0,0 +1,270 @@
+const mongoose = require('mongoose');
+const Telemetry = require('../Models/telementary');
+const Device = require('../Models/device');
+const RetentionPolicy = require('../Models/retentionPolicy');
+const config = require('../Config/default');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Telemetry is a time series collection, and deleting from it by key and timestamp (fields
+// other than the metaField) needs MongoDB 7.0 or later
+const MIN_SERVER_MAJOR_VERSION = 7;
+
+const sameId = (a, b) => (a ? a.toString() : null) === (b ? b.toString() : null);
+
+class RetentionService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+    this.serverCheck = null;
+  }
+
+  /**
+   * Start the retention scheduler
+   */
+  start() {
+    if (this.timer || !config.telemetry.retention.enabled) return;
+
+    this.timer = setInterval(() => {
+      this.purge().catch(err => logger.error('Error enforcing telemetry retention:', err));
+    }, Number(config.telemetry.retention.checkIntervalMs));
+    this.timer.unref();
+
+    // Stop right away on a server that cannot purge, instead of failing every run
+    Telemetry.db.asPromise()
+      .then(() => this.checkServerVersion())
+      .catch(error => {
+        logger.error(`Telemetry retention scheduler stopped: ${error.message}`);
+        this.stop();
+      });
+
+    logger.info(`Telemetry retention scheduler started (default TTL ${this.getDefaultTtlDays()} days)`);
+  }
+
+  /**
+   * Stop the retention scheduler
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Check that the MongoDB server can delete telemetry by key and timestamp
+   * @returns {Promise<string>} - Server version
+   * @throws {Error} - code UNSUPPORTED_SERVER on servers older than MongoDB 7.0
+   */
+  async checkServerVersion() {
+    if (!this.serverCheck) {
+      this.serverCheck = Telemetry.db.db.admin().buildInfo().then(({ version }) => {
+        if (Number(version.split('.')[0]) < MIN_SERVER_MAJOR_VERSION) {
+          const error = new Error(`Telemetry retention needs MongoDB ${MIN_SERVER_MAJOR_VERSION}.0 or later, the server runs ${version}`);
+          error.code = 'UNSUPPORTED_SERVER';
+          throw error;
+        }
+        return version;
+      });
+      // Let a failed lookup (not a too old server) be retried
+      this.serverCheck.catch(error => {
+        if (error.code !== 'UNSUPPORTED_SERVER') this.serverCheck = null;
+      });
+    }
+
+    return this.serverCheck;
+  }
+
+  /**
+   * Default TTL from configuration
+   * @returns {number} - TTL in days
+   */
+  getDefaultTtlDays() {
+    return Number(config.telemetry.retention.days);
+  }
+
+  /**
+   * Purge raw telemetry older than the TTL that applies to each device and key
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Only count the points that would be removed
+   * @param {string} [options.tenantId] - Restrict to the devices of a tenant
+   * @returns {Promise<Object>} - Purge report
+   */
+  async purge({ dryRun = false, tenantId } = {}) {
+    if (!dryRun) {
+      await this.checkServerVersion();
+    }
+    if (this.running && !dryRun) {
+      throw new Error('Retention purge already in progress');
+    }
+
+    if (!dryRun) this.running = true;
+
+    try {
+      const plan = await this.buildPlan(tenantId);
+      const now = Date.now();
+      const groups = [];
+      let totalPoints = 0;
+
+      for (const group of plan) {
+        const deviceIds = group.deviceIds;
+        const overriddenKeys = Object.keys(group.keyTtls);
+        const operations = [];
+
+        // Keys without an override use the device default TTL
+        operations.push({
+          key: '*',
+          ttlDays: group.defaultTtl,
+          filter: {
+            deviceId: { $in: deviceIds },
+            ...(overriddenKeys.length > 0 && { key: { $nin: overriddenKeys } }),
+            timestamp: { $lt: new Date(now - group.defaultTtl * DAY_MS) }
+          }
+        });
+
+        for (const [key, ttlDays] of Object.entries(group.keyTtls)) {
+          operations.push({
+            key,
+            ttlDays,
+            filter: {
+              deviceId: { $in: deviceIds },
+              key,
+              timestamp: { $lt: new Date(now - ttlDays * DAY_MS) }
+            }
+          });
+        }
+
+        for (const operation of operations) {
+          const points = dryRun
+            ? await Telemetry.countDocuments(operation.filter)
+            : (await Telemetry.deleteMany(operation.filter)).deletedCount;
+
+          totalPoints += points;
+          groups.push({
+            key: operation.key,
+            ttlDays: operation.ttlDays,
+            cutoff: operation.filter.timestamp.$lt,
+            devices: deviceIds.length,
+            ...(group.deletedDevices && { deletedDevices: true }),
+            points
+          });
+        }
+      }
+
+      const report = {
+        dryRun,
+        totalPoints,
+        groups,
+        executedAt: new Date()
+      };
+
+      if (!dryRun) {
+        this.lastRun = report;
+        logger.info(`Telemetry retention removed ${totalPoints} points`);
+      }
+
+      return report;
+    } catch (error) {
+      logger.error('Error purging telemetry:', error);
+      throw error;
+    } finally {
+      if (!dryRun) this.running = false;
+    }
+  }
+
+  /**
+   * Resolve the TTLs of every device and group devices that share the same TTLs. Telemetry of
+   * deleted devices forms a group of its own with the default TTL, unless restricted to a tenant.
+   * @private
+   * @param {string} [tenantId] - Restrict to the devices of a tenant
+   * @returns {Promise<Array>} - [{ deviceIds, defaultTtl, keyTtls, deletedDevices }]
+   */
+  async buildPlan(tenantId) {
+    const policies = await RetentionPolicy.find();
+    const groups = new Map();
+
+    const deviceQuery = tenantId ? { tenantId } : {};
+    const cursor = Device.find(deviceQuery).select('_id tenantId type').lean().cursor();
+
+    for await (const device of cursor) {
+      const { defaultTtl, keyTtls } = this.resolveTtls(policies, device);
+      const signature = JSON.stringify([defaultTtl, Object.entries(keyTtls).sort()]);
+
+      if (!groups.has(signature)) {
+        groups.set(signature, { deviceIds: [], defaultTtl, keyTtls });
+      }
+      groups.get(signature).deviceIds.push(device._id.toString());
+    }
+
+    const plan = [...groups.values()];
+
+    if (!tenantId) {
+      const deletedDeviceIds = await this.findDeletedDeviceIds();
+      if (deletedDeviceIds.length > 0) {
+        plan.push({ deviceIds: deletedDeviceIds, defaultTtl: this.getDefaultTtlDays(), keyTtls: {}, deletedDevices: true });
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * Find the device IDs that still have telemetry but no device
+   * @private
+   * @returns {Promise<Array<string>>} - Device IDs
+   */
+  async findDeletedDeviceIds() {
+    const deviceIds = await Telemetry.distinct('deviceId');
+    const validIds = deviceIds.filter(id => mongoose.isValidObjectId(id));
+
+    const existing = new Set();
+    const cursor = Device.find({ _id: { $in: validIds } }).select('_id').lean().cursor();
+    for await (const device of cursor) {
+      existing.add(device._id.toString());
+    }
+
+    return deviceIds.filter(id => !existing.has(id));
+  }
+
+  /**
+   * Resolve the default and per-key TTLs of a device, the most specific policy wins
+   * @param {Array} policies - Retention policies
+   * @param {Object} device - Device with tenantId and type
+   * @returns {Object} - { defaultTtl, keyTtls }
+   */
+  resolveTtls(policies, device) {
+    let defaultPolicy = null;
+    const keyPolicies = {};
+
+    for (const policy of policies) {
+      if (policy.tenantId && !sameId(policy.tenantId, device.tenantId)) continue;
+      if (policy.deviceType && policy.deviceType !== device.type) continue;
+
+      if (!policy.key) {
+        if (!defaultPolicy || policy.specificity > defaultPolicy.specificity) {
+          defaultPolicy = policy;
+        }
+        continue;
+      }
+
+      const current = keyPolicies[policy.key];
+      if (!current || policy.specificity > current.specificity) {
+        keyPolicies[policy.key] = policy;
+      }
+    }
+
+    const keyTtls = {};
+    for (const [key, policy] of Object.entries(keyPolicies)) {
+      keyTtls[key] = policy.ttlDays;
+    }
+
+    return {
+      defaultTtl: defaultPolicy ? defaultPolicy.ttlDays : this.getDefaultTtlDays(),
+      keyTtls
+    };
+  }
+}
+
+module.exports = new RetentionService();
\ No newline at end of file
@@ -0,0 +1,417 @@
+const Telemetry = require('../Models/telementary');
+const TelemetryRollup = require('../Models/telemetryRollup');
+const config = require('../Config/default');
+const logger = require('../utils/logger');
+const { floorToInterval, bucketEnd } = require('../utils/timeBuckets');
+
+// Each rollup level is computed from the level before it
+const ROLLUP_LEVELS = [
+  { interval: 'minute', source: null },
+  { interval: 'hour', source: 'minute' },
+  { interval: 'day', source: 'hour' }
+];
+
+// Contiguous bucket ranges aggregated by one pipeline when recomputing, bounding the size of its $or
+const MAX_RANGES_PER_AGGREGATION = 1000;
+
+// Coarsest rollup that can serve each requested interval
+const ROLLUP_FOR_INTERVAL = {
+  minute: 'minute',
+  hour: 'hour',
+  day: 'day',
+  week: 'day',
+  month: 'day'
+};
+
+// Rollup buckets are UTC-aligned, so local buckets are rebuilt from finer ones
+// (minutes for hours, to cover half-hour offsets)
+const ROLLUP_FOR_ZONED_INTERVAL = {
+  minute: 'minute',
+  hour: 'minute',
+  day: 'hour',
+  week: 'hour',
+  month: 'hour'
+};
+
+class RollupService {
+  constructor() {
+    // Dirty minute buckets waiting to be recomputed, keyed by deviceId/key/bucket
+    this.dirty = new Map();
+    this.timer = null;
+    this.flushing = false;
+  }
+
+  /**
+   * Track every telemetry record saved by a TelemetryService and start flushing
+   * @param {Object} telemetryService - Telemetry service instance
+   * @returns {Function} - Unsubscribe function
+   */
+  watchTelemetry(telemetryService) {
+    const unsubscribe = telemetryService.subscribeToUpdates(({ device, telemetry }) => {
+      this.markDirty(device._id, telemetry.key, telemetry.timestamp);
+    });
+
+    this.start();
+    return unsubscribe;
+  }
+
+  /**
+   * Start the periodic flush of dirty buckets
+   */
+  start() {
+    if (this.timer || !config.telemetry.rollups.enabled) return;
+
+    this.timer = setInterval(() => {
+      this.flush().catch(err => logger.error('Error flushing telemetry rollups:', err));
+    }, Number(config.telemetry.rollups.flushIntervalMs));
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the periodic flush
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Mark the minute bucket containing a point as needing recomputation.
+   * Late-arriving points simply dirty an older bucket.
+   * @param {string} deviceId - Device identifier
+   * @param {string} key - Telemetry key
+   * @param {Date|string|number} timestamp - Point timestamp
+   */
+  markDirty(deviceId, key, timestamp) {
+    const bucket = floorToInterval(timestamp || Date.now(), 'minute');
+    const id = `${deviceId}|${key}|${bucket.getTime()}`;
+
+    if (!this.dirty.has(id)) {
+      this.dirty.set(id, { deviceId: deviceId.toString(), key, bucket });
+    }
+  }
+
+  /**
+   * Recompute every dirty bucket, from minutes up to days
+   * @returns {Promise<Object>} - Number of buckets recomputed per interval
+   */
+  async flush() {
+    if (this.flushing || this.dirty.size === 0) {
+      return {};
+    }
+
+    this.flushing = true;
+    const pending = [...this.dirty.values()];
+    this.dirty.clear();
+
+    const stats = {};
+
+    try {
+      let buckets = pending;
+
+      for (const level of ROLLUP_LEVELS) {
+        if (level.source) {
+          buckets = this.parentBuckets(buckets, level.interval);
+        }
+
+        await this.recomputeBuckets(buckets, level);
+        stats[level.interval] = buckets.length;
+      }
+
+      return stats;
+    } catch (error) {
+      // Put the buckets back so the next flush retries them
+      pending.forEach(item => this.markDirty(item.deviceId, item.key, item.bucket));
+      logger.error('Error recomputing telemetry rollups:', error);
+      throw error;
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  /**
+   * Drop the rollups of deleted raw points. Buckets entirely before the cut are deleted, the ones
+   * holding it are marked dirty and recomputed from the remaining points on the next flush.
+   * @param {string} deviceId - Device identifier
+   * @param {string} [key] - Only this key, every key when omitted
+   * @param {Date|string} [before] - Cut, every bucket when omitted
+   * @returns {Promise<number>} - Number of buckets deleted
+   */
+  async deleteRollups(deviceId, key, before) {
+    const filter = { deviceId: deviceId.toString() };
+    if (key) filter.key = key;
+
+    if (!before) {
+      const result = await TelemetryRollup.deleteMany(filter);
+      return result.deletedCount;
+    }
+
+    const cut = new Date(before);
+    let deletedCount = 0;
+
+    for (const { interval } of ROLLUP_LEVELS) {
+      const result = await TelemetryRollup.deleteMany({
+        ...filter,
+        interval,
+        bucket: { $lt: floorToInterval(cut, interval) }
+      });
+      deletedCount += result.deletedCount;
+    }
+
+    // Dirtying the minute of the cut recomputes its hour and day too
+    const keys = await TelemetryRollup.distinct('key', { ...filter, interval: 'day', bucket: floorToInterval(cut, 'day') });
+    keys.forEach(partialKey => this.markDirty(filter.deviceId, partialKey, cut));
+
+    return deletedCount;
+  }
+
+  /**
+   * Build the rollups of raw telemetry stored before rollups were enabled, or rebuild them.
+   * Raw points are walked one UTC day at a time: the minutes of the day come from a single
+   * aggregation, then its hours and the day are recomputed from them.
+   * @param {Object} [options] - Range to rebuild
+   * @param {string} [options.deviceId] - Only this device
+   * @param {string} [options.key] - Only this key
+   * @param {Date|string} [options.startTime] - Start of the range, the oldest point when omitted
+   * @param {Date|string} [options.endTime] - End of the range, now when omitted
+   * @returns {Promise<Object>} - Number of buckets rebuilt per interval
+   */
+  async backfill({ deviceId, key, startTime, endTime } = {}) {
+    const match = { valueType: { $in: Telemetry.NUMERIC_TYPES } };
+    if (deviceId) match.deviceId = deviceId.toString();
+    if (key) match.key = key;
+
+    const stats = { minute: 0, hour: 0, day: 0 };
+
+    let start = startTime ? new Date(startTime) : null;
+    if (!start) {
+      const oldest = await Telemetry.findOne(match).sort({ timestamp: 1 }).select('timestamp').lean();
+      if (!oldest) return stats;
+      start = oldest.timestamp;
+    }
+    const end = endTime ? new Date(endTime) : new Date();
+
+    for (let day = floorToInterval(start, 'day'); day < end; day = bucketEnd(day, 'day')) {
+      const minutes = await Telemetry.aggregate([
+        { $match: { ...match, timestamp: { $gte: day, $lt: bucketEnd(day, 'day') } } },
+        { $addFields: { numericValue: Telemetry.NUMERIC_VALUE } },
+        { $sort: { timestamp: 1 } },
+        {
+          $group: {
+            _id: { deviceId: '$deviceId', key: '$key', bucket: { $dateTrunc: { date: '$timestamp', unit: 'minute' } } },
+            count: { $sum: 1 },
+            sum: { $sum: '$numericValue' },
+            min: { $min: '$numericValue' },
+            max: { $max: '$numericValue' },
+            first: { $first: '$numericValue' },
+            last: { $last: '$numericValue' },
+            firstTs: { $first: '$timestamp' },
+            lastTs: { $last: '$timestamp' }
+          }
+        }
+      ]).allowDiskUse(true);
+
+      if (minutes.length === 0) continue;
+
+      await TelemetryRollup.bulkWrite(
+        minutes.map(result => this.rollupOperation({ ...result._id, interval: 'minute' }, result)),
+        { ordered: false }
+      );
+      stats.minute += minutes.length;
+
+      let buckets = minutes.map(result => result._id);
+      for (const level of ROLLUP_LEVELS.filter(rollupLevel => rollupLevel.source)) {
+        buckets = this.parentBuckets(buckets, level.interval);
+        await this.recomputeBuckets(buckets, level);
+        stats[level.interval] += buckets.length;
+      }
+    }
+
+    logger.info(`Telemetry rollups rebuilt: ${stats.minute} minutes, ${stats.hour} hours, ${stats.day} days`);
+    return stats;
+  }
+
+  /**
+   * Map buckets to the distinct parent buckets of a coarser interval
+   * @private
+   * @param {Array} buckets - Child buckets
+   * @param {string} interval - Parent interval
+   * @returns {Array} - Parent buckets
+   */
+  parentBuckets(buckets, interval) {
+    const parents = new Map();
+
+    for (const { deviceId, key, bucket } of buckets) {
+      const parent = floorToInterval(bucket, interval);
+      parents.set(`${deviceId}|${key}|${parent.getTime()}`, { deviceId, key, bucket: parent });
+    }
+
+    return [...parents.values()];
+  }
+
+  /**
+   * Recompute and upsert a set of buckets for one rollup level. The buckets are aggregated together,
+   * one pipeline per MAX_RANGES_PER_AGGREGATION contiguous ranges.
+   * @private
+   * @param {Array} buckets - Buckets to recompute
+   * @param {Object} level - Rollup level
+   */
+  async recomputeBuckets(buckets, level) {
+    const results = new Map();
+    const ranges = this.bucketRanges(buckets, level.interval);
+
+    for (let i = 0; i < ranges.length; i += MAX_RANGES_PER_AGGREGATION) {
+      const aggregates = await this.aggregateRanges(ranges.slice(i, i + MAX_RANGES_PER_AGGREGATION), level);
+      for (const result of aggregates) {
+        const { deviceId, key, bucket } = result._id;
+        results.set(`${deviceId}|${key}|${bucket.getTime()}`, result);
+      }
+    }
+
+    // Buckets without a result have no numeric data left and are deleted
+    const operations = buckets.map(({ deviceId, key, bucket }) => this.rollupOperation(
+      { deviceId, key, interval: level.interval, bucket },
+      results.get(`${deviceId}|${key}|${bucket.getTime()}`)
+    ));
+
+    if (operations.length > 0) {
+      await TelemetryRollup.bulkWrite(operations, { ordered: false });
+    }
+  }
+
+  /**
+   * Merge the buckets of each series into contiguous time ranges
+   * @private
+   * @param {Array} buckets - Buckets of one interval
+   * @param {string} interval - Bucket interval
+   * @returns {Array} - Ranges: { deviceId, key, start, end }
+   */
+  bucketRanges(buckets, interval) {
+    const sorted = [...buckets].sort((a, b) =>
+      a.deviceId.localeCompare(b.deviceId) || a.key.localeCompare(b.key) || a.bucket - b.bucket);
+    const ranges = [];
+
+    for (const { deviceId, key, bucket } of sorted) {
+      const last = ranges[ranges.length - 1];
+      if (last && last.deviceId === deviceId && last.key === key && last.end.getTime() === bucket.getTime()) {
+        last.end = bucketEnd(bucket, interval);
+      } else {
+        ranges.push({ deviceId, key, start: bucket, end: bucketEnd(bucket, interval) });
+      }
+    }
+
+    return ranges;
+  }
+
+  /**
+   * Write operation storing the aggregate of one bucket
+   * @private
+   * @param {Object} filter - { deviceId, key, interval, bucket }
+   * @param {Object} [result] - Aggregate of the bucket
+   * @returns {Object} - bulkWrite operation
+   */
+  rollupOperation(filter, result) {
+    // No numeric data left in the bucket (e.g. after a purge)
+    if (!result || result.count === 0) {
+      return { deleteOne: { filter } };
+    }
+
+    return {
+      updateOne: {
+        filter,
+        update: {
+          $set: {
+            count: result.count,
+            sum: result.sum,
+            min: result.min,
+            max: result.max,
+            avg: result.sum / result.count,
+            first: result.first,
+            last: result.last,
+            firstTs: result.firstTs,
+            lastTs: result.lastTs,
+            updatedAt: new Date()
+          }
+        },
+        upsert: true
+      }
+    };
+  }
+
+  /**
+   * Aggregate the buckets of a level over several series ranges at once: raw numeric points for
+   * minutes, the finer rollup for hours and days
+   * @private
+   * @param {Array} ranges - Ranges: { deviceId, key, start, end }
+   * @param {Object} level - Rollup level
+   * @returns {Promise<Array>} - One aggregate per non-empty bucket, _id is { deviceId, key, bucket }
+   */
+  async aggregateRanges(ranges, level) {
+    if (level.source) {
+      return TelemetryRollup.aggregate([
+        {
+          $match: {
+            interval: level.source,
+            $or: ranges.map(({ deviceId, key, start, end }) => ({ deviceId, key, bucket: { $gte: start, $lt: end } }))
+          }
+        },
+        { $sort: { bucket: 1 } },
+        {
+          $group: {
+            _id: { deviceId: '$deviceId', key: '$key', bucket: { $dateTrunc: { date: '$bucket', unit: level.interval } } },
+            count: { $sum: '$count' },
+            sum: { $sum: '$sum' },
+            min: { $min: '$min' },
+            max: { $max: '$max' },
+            first: { $first: '$first' },
+            last: { $last: '$last' },
+            firstTs: { $first: '$firstTs' },
+            lastTs: { $last: '$lastTs' }
+          }
+        }
+      ]);
+    }
+
+    return Telemetry.aggregate([
+      {
+        $match: {
+          valueType: { $in: Telemetry.NUMERIC_TYPES },
+          $or: ranges.map(({ deviceId, key, start, end }) => ({ deviceId, key, timestamp: { $gte: start, $lt: end } }))
+        }
+      },
+      { $addFields: { numericValue: Telemetry.NUMERIC_VALUE } },
+      { $sort: { timestamp: 1 } },
+      {
+        $group: {
+          _id: { deviceId: '$deviceId', key: '$key', bucket: { $dateTrunc: { date: '$timestamp', unit: level.interval } } },
+          count: { $sum: 1 },
+          sum: { $sum: '$numericValue' },
+          min: { $min: '$numericValue' },
+          max: { $max: '$numericValue' },
+          first: { $first: '$numericValue' },
+          last: { $last: '$numericValue' },
+          firstTs: { $first: '$timestamp' },
+          lastTs: { $last: '$timestamp' }
+        }
+      }
+    ]);
+  }
+
+  /**
+   * Get the coarsest rollup interval that satisfies a requested interval
+   * @param {string} interval - Requested interval (minute, hour, day, week, month)
+   * @param {string} [timezone='UTC'] - Timezone the buckets are aligned to
+   * @returns {string|null} - Rollup interval, null when rollups cannot serve it
+   */
+  selectRollupInterval(interval, timezone = 'UTC') {
+    if (!config.telemetry.rollups.enabled) {
+      return null;
+    }
+    const mapping = timezone === 'UTC' ? ROLLUP_FOR_INTERVAL : ROLLUP_FOR_ZONED_INTERVAL;
+    return mapping[interval] || null;
+  }
+}
+
+module.exports = new RollupService();
\ No newline at end of file
@@ -0,0 +1,548 @@
+const vm = require('vm');
+const { types } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const RuleChain = require('../Models/ruleChain');
+const Device = require('../Models/device');
+const deviceService = require('./deviceServices');
+const config = require('../Config/default');
+const logger = require('../utils/logger');
+
+// Message types routed through rule chains
+const MESSAGE_TYPES = {
+  TELEMETRY: 'POST_TELEMETRY',
+  ATTRIBUTES: 'POST_ATTRIBUTES',
+  CONNECT: 'CONNECT_EVENT',
+  DISCONNECT: 'DISCONNECT_EVENT'
+};
+
+// Relation types produced by the built-in nodes
+const RELATIONS = {
+  TRUE: 'True',
+  FALSE: 'False',
+  SUCCESS: 'Success',
+  FAILURE: 'Failure'
+};
+
+// Compiled chains are shared by every RulesEngine instance. Script sandboxes are cached by
+// source, least recently used first, since each one holds a whole V8 context.
+const chainCache = new Map();
+const sandboxCache = new Map();
+
+// Built-ins frozen in every script sandbox, so a script cannot tamper with what later runs see
+const FROZEN_BUILTINS = [
+  'Object', 'Function', 'Array', 'String', 'Number', 'Boolean', 'Symbol', 'BigInt', 'Date', 'RegExp',
+  'Error', 'TypeError', 'RangeError', 'SyntaxError', 'ReferenceError', 'EvalError', 'URIError',
+  'Map', 'Set', 'WeakMap', 'WeakSet', 'Promise', 'JSON', 'Math', 'Reflect'
+];
+
+// Entry point called for each message: it receives and returns JSON strings only
+const SANDBOX_ENTRY = new vm.Script('__run(__input)');
+
+/**
+ * Replace an error raised while running a script sandbox by a host error. Errors of the script
+ * itself are turned into strings inside the sandbox, so only host errors (a timeout) carry a
+ * message here; properties of anything else are never read, they may run sandbox code.
+ * @param {*} error - Thrown value
+ * @returns {Error} - Host error with the message as a string
+ */
+const sandboxError = (error) => {
+  const hostError = !types.isProxy(error) && error instanceof Error;
+  return new Error(`Rule script error: ${hostError ? error.message : 'script failed or timed out'}`);
+};
+
+/**
+ * Build the sandbox of a user supplied script.
+ * vm is no security boundary when host objects reach the script (their constructors lead back
+ * to the host Function), so the context gets a null-prototype global, no code generation from
+ * strings, frozen built-ins, and exchanges nothing but strings with the host.
+ * @param {string} source - Function body, receives msg, metadata and msgType
+ * @returns {Object} - vm context exposing __run
+ */
+const createSandbox = (source) => {
+  const context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: 'afterEvaluate'
+  });
+
+  new vm.Script(`(function() {
+    'use strict';
+    for (const name of ${JSON.stringify(FROZEN_BUILTINS)}) {
+      const builtin = globalThis[name];
+      if (builtin.prototype) Object.freeze(builtin.prototype);
+      Object.freeze(builtin);
+    }
+
+    const parse = JSON.parse;
+    const stringify = JSON.stringify;
+    const script = function(msg, metadata, msgType) {\n${source}\n};
+
+    // Errors are caught here, still under the timeout, and leave as strings only
+    Object.defineProperty(globalThis, '__run', {
+      value: (input) => {
+        try {
+          const { msg, metadata, msgType } = parse(input);
+          return stringify({ result: script(msg, metadata, msgType) });
+        } catch (error) {
+          let message;
+          try {
+            message = String(error && error.message);
+          } catch (ignored) {
+            message = 'script failed';
+          }
+          return stringify({ error: message });
+        }
+      }
+    });
+  })();`).runInContext(context, { timeout: Number(config.rulesEngine.scriptTimeoutMs) });
+
+  return context;
+};
+
+/**
+ * Get the sandbox of a script, creating it when missing and evicting the least recently used
+ * ones when the cache is full
+ * @param {string} source - Function body
+ * @returns {Object} - vm context
+ */
+const getSandbox = (source) => {
+  let context = sandboxCache.get(source);
+
+  if (context) {
+    // Move to the end, the most recently used
+    sandboxCache.delete(source);
+  } else {
+    context = createSandbox(source);
+    const maxSize = Number(config.rulesEngine.sandboxCacheMaxSize);
+    for (const key of sandboxCache.keys()) {
+      if (sandboxCache.size < maxSize) break;
+      sandboxCache.delete(key);
+    }
+  }
+
+  sandboxCache.set(source, context);
+  return context;
+};
+
+/**
+ * Drop a cached chain and the sandboxes of its scripts
+ * @param {string} cacheKey - Chain cache key
+ */
+const dropChain = (cacheKey) => {
+  const cached = chainCache.get(cacheKey);
+  if (cached && cached.chain) {
+    for (const node of cached.chain.nodes.values()) {
+      if (typeof node.config.script === 'string') sandboxCache.delete(node.config.script);
+    }
+  }
+  chainCache.delete(cacheKey);
+};
+
+/**
+ * Run a user supplied script in a sandbox
+ * @param {string} source - Function body, receives msg, metadata and msgType
+ * @param {Object} message - Rule engine message
+ * @returns {*} - Script return value, copied out of the sandbox through JSON
+ */
+const runScript = (source, message) => {
+  let output;
+  try {
+    const context = getSandbox(source);
+
+    context.__input = JSON.stringify({
+      msg: message.data === undefined ? null : message.data,
+      metadata: message.metadata || {},
+      msgType: message.type
+    });
+
+    output = SANDBOX_ENTRY.runInContext(context, { timeout: Number(config.rulesEngine.scriptTimeoutMs) });
+  } catch (error) {
+    throw sandboxError(error);
+  }
+
+  const { result, error } = JSON.parse(output);
+  if (error !== undefined) {
+    throw new Error(`Rule script error: ${error}`);
+  }
+  return result;
+};
+
+// Built-in node implementations, keyed by node type and kind.
+// Each handler resolves to { relation, message }.
+const nodeHandlers = {
+  filter: {
+    messageType: async (node, message) => ({
+      relation: (node.config.messageTypes || []).includes(message.type) ? RELATIONS.TRUE : RELATIONS.FALSE,
+      message
+    }),
+    deviceType: async (node, message) => ({
+      relation: (node.config.deviceTypes || []).includes(message.originator.type) ? RELATIONS.TRUE : RELATIONS.FALSE,
+      message
+    }),
+    script: async (node, message) => ({
+      relation: runScript(node.config.script, message) ? RELATIONS.TRUE : RELATIONS.FALSE,
+      message
+    })
+  },
+  transform: {
+    script: async (node, message) => {
+      const result = runScript(node.config.script, message) || {};
+
+      return {
+        relation: RELATIONS.SUCCESS,
+        message: {
+          ...message,
+          type: result.msgType || message.type,
+          data: result.msg !== undefined ? result.msg : message.data,
+          metadata: result.metadata || message.metadata
+        }
+      };
+    },
+    renameKeys: async (node, message) => {
+      const mapping = node.config.mapping || {};
+      const data = {};
+
+      for (const [key, value] of Object.entries(message.data || {})) {
+        data[mapping[key] || key] = value;
+      }
+
+      return { relation: RELATIONS.SUCCESS, message: { ...message, data } };
+    }
+  },
+  enrich: {
+    originatorFields: async (node, message) => {
+      const fields = node.config.fields || { name: 'deviceName', type: 'deviceType' };
+      const metadata = { ...message.metadata };
+
+      for (const [field, metadataKey] of Object.entries(fields)) {
+        if (message.originator[field] !== undefined) {
+          metadata[metadataKey] = message.originator[field];
+        }
+      }
+
+      return { relation: RELATIONS.SUCCESS, message: { ...message, metadata } };
+    },
+    originatorAttributes: async (node, message) => {
+      const device = await Device.findById(message.originator.id).select('attributes');
+
+      if (!device) {
+        throw new Error(`Device not found: ${message.originator.id}`);
+      }
+
+      const metadata = { ...message.metadata };
+      for (const key of node.config.keys || []) {
+        if (device.attributes.has(key)) {
+          metadata[key] = device.attributes.get(key);
+        }
+      }
+
+      return { relation: RELATIONS.SUCCESS, message: { ...message, metadata } };
+    }
+  },
+  action: {
+    log: async (node, message) => {
+      logger.info(`[Rule chain] ${node.name}: ${message.type} from ${message.originator.name}`, message.data);
+      return { relation: RELATIONS.SUCCESS, message };
+    },
+    saveAttributes: async (node, message) => {
+      const device = await Device.findById(message.originator.id);
+
+      if (!device) {
+        throw new Error(`Device not found: ${message.originator.id}`);
+      }
+
+      await deviceService.updateAttributes(device, message.data || {}, node.config.scope || 'client');
+      return { relation: RELATIONS.SUCCESS, message };
+    }
+  }
+};
+
+class RulesEngine {
+  /**
+   * Register a custom node implementation
+   * @param {string} type - Node type (filter, transform, enrich, action)
+   * @param {string} kind - Node kind, referenced by RuleChain nodes
+   * @param {Function} handler - async (node, message) => ({ relation, message })
+   */
+  static registerNode(type, kind, handler) {
+    if (!nodeHandlers[type]) {
+      throw new Error(`Unknown rule node type: ${type}`);
+    }
+    nodeHandlers[type][kind] = handler;
+  }
+
+  /**
+   * Drop cached chains so the next message reloads them from the database
+   * @param {string} [chainId] - Rule chain ID, clears the whole cache when omitted
+   */
+  static invalidateChain(chainId) {
+    if (!chainId) {
+      chainCache.clear();
+      sandboxCache.clear();
+      return;
+    }
+
+    dropChain(`chain:${chainId}`);
+
+    // Root chains are cached per tenant, so a changed chain may also be a root
+    for (const cacheKey of chainCache.keys()) {
+      if (cacheKey.startsWith('root:')) {
+        dropChain(cacheKey);
+      }
+    }
+  }
+
+  /**
+   * Check that every node in a chain has a known implementation
+   * @param {Object} chain - Rule chain data
+   * @returns {Array<string>} - Validation errors
+   */
+  static validateNodes(chain) {
+    const errors = [];
+
+    for (const node of chain.nodes || []) {
+      if (!nodeHandlers[node.type] || !nodeHandlers[node.type][node.kind]) {
+        errors.push(`Unsupported rule node ${node.type}/${node.kind} (${node.id})`);
+        continue;
+      }
+
+      if (node.kind === 'script') {
+        try {
+          new vm.Script(`(function(msg, metadata, msgType) {\n${(node.config || {}).script}\n})`);
+        } catch (error) {
+          errors.push(`Invalid script in node ${node.id}: ${error.message}`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Route a telemetry record through the device rule chain
+   * @param {Object} device - Device object
+   * @param {Object} telemetry - Saved telemetry record
+   * @returns {Promise<void>}
+   */
+  async processTelemetry(device, telemetry) {
+    return this.processMessage(
+      device,
+      MESSAGE_TYPES.TELEMETRY,
+      { [telemetry.key]: telemetry.value },
+      { ts: new Date(telemetry.timestamp).getTime() }
+    );
+  }
+
+  /**
+   * Route an attribute update through the device rule chain
+   * @param {Object} device - Device object
+   * @param {Object} attributes - Attribute key/value pairs
+   * @returns {Promise<void>}
+   */
+  async processAttributes(device, attributes) {
+    return this.processMessage(device, MESSAGE_TYPES.ATTRIBUTES, attributes, { ts: Date.now() });
+  }
+
+  /**
+   * Route a device connect event through the device rule chain
+   * @param {Object} device - Device object
+   * @returns {Promise<void>}
+   */
+  async processConnectEvent(device) {
+    return this.processMessage(device, MESSAGE_TYPES.CONNECT, {}, { ts: Date.now() });
+  }
+
+  /**
+   * Route a device disconnect event through the device rule chain
+   * @param {Object} device - Device object
+   * @returns {Promise<void>}
+   */
+  async processDisconnectEvent(device) {
+    return this.processMessage(device, MESSAGE_TYPES.DISCONNECT, {}, { ts: Date.now() });
+  }
+
+  /**
+   * Route a message through the rule chain assigned to the device,
+   * falling back to the root chain of the device tenant
+   * @param {Object} device - Device object (document or plain object)
+   * @param {string} type - Message type
+   * @param {Object} data - Message payload
+   * @param {Object} [metadata] - Message metadata
+   * @returns {Promise<void>}
+   */
+  async processMessage(device, type, data, metadata = {}) {
+    try {
+      const originator = this.buildOriginator(device);
+      const chain = await this.getChainForDevice(originator);
+
+      if (!chain || !chain.firstNodeId) {
+        return;
+      }
+
+      const message = {
+        id: uuidv4(),
+        type,
+        originator,
+        data,
+        metadata: { ...metadata, deviceName: originator.name, deviceType: originator.type }
+      };
+
+      await this.executeChain(chain, message);
+    } catch (error) {
+      logger.error(`Error processing ${type} message in rules engine:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Walk the chain graph starting at the first node
+   * @private
+   * @param {Object} chain - Compiled rule chain
+   * @param {Object} message - Rule engine message
+   */
+  async executeChain(chain, message) {
+    const queue = [{ nodeId: chain.firstNodeId, message }];
+    const maxExecutions = Number(config.rulesEngine.maxNodeExecutions);
+    let executions = 0;
+
+    while (queue.length > 0) {
+      if (++executions > maxExecutions) {
+        logger.warn(`Rule chain ${chain.id} exceeded ${maxExecutions} node executions for message ${message.id}`);
+        return;
+      }
+
+      const { nodeId, message: current } = queue.shift();
+      const node = chain.nodes.get(nodeId);
+      const result = await this.executeNode(node, current);
+
+      if (chain.debugMode) {
+        logger.debug(`[Rule chain ${chain.id}] ${node.name} -> ${result.relation}`, result.message.data);
+      }
+
+      const nextNodeIds = chain.relations.get(`${nodeId}:${result.relation}`) || [];
+      for (const nextNodeId of nextNodeIds) {
+        queue.push({ nodeId: nextNodeId, message: result.message });
+      }
+    }
+  }
+
+  /**
+   * Execute a single node, converting errors into a Failure relation
+   * @private
+   * @param {Object} node - Rule node
+   * @param {Object} message - Rule engine message
+   * @returns {Promise<Object>} - { relation, message }
+   */
+  async executeNode(node, message) {
+    const handler = nodeHandlers[node.type] && nodeHandlers[node.type][node.kind];
+
+    try {
+      if (!handler) {
+        throw new Error(`Unsupported rule node ${node.type}/${node.kind}`);
+      }
+      return await handler(node, message);
+    } catch (error) {
+      logger.warn(`Rule node ${node.name} (${node.id}) failed: ${error.message}`);
+      return {
+        relation: RELATIONS.FAILURE,
+        message: { ...message, metadata: { ...message.metadata, error: error.message } }
+      };
+    }
+  }
+
+  /**
+   * Resolve the compiled chain for a device
+   * @private
+   * @param {Object} originator - Message originator
+   * @returns {Promise<Object|null>} - Compiled chain
+   */
+  async getChainForDevice(originator) {
+    if (originator.ruleChainId) {
+      const chain = await this.loadChain(`chain:${originator.ruleChainId}`, () =>
+        RuleChain.findById(originator.ruleChainId).lean()
+      );
+      // A chain of another tenant is never run, the device falls back to its tenant's root chain
+      if (chain && chain.tenantId === String(originator.tenantId || '')) {
+        return chain;
+      }
+    }
+
+    return this.loadChain(`root:${originator.tenantId || 'system'}`, () =>
+      RuleChain.findOne({ tenantId: originator.tenantId || null, root: true }).lean()
+    );
+  }
+
+  /**
+   * Load a chain through the cache
+   * @private
+   * @param {string} cacheKey - Cache key
+   * @param {Function} loader - Returns a promise for the chain document
+   * @returns {Promise<Object|null>} - Compiled chain
+   */
+  async loadChain(cacheKey, loader) {
+    const cached = chainCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.chain;
+    }
+
+    const doc = await loader();
+    const chain = doc ? this.compileChain(doc) : null;
+
+    chainCache.set(cacheKey, {
+      chain,
+      expiresAt: Date.now() + Number(config.rulesEngine.cacheTtlMs)
+    });
+
+    return chain;
+  }
+
+  /**
+   * Index chain nodes and connections for fast traversal
+   * @private
+   * @param {Object} doc - Rule chain document
+   * @returns {Object} - Compiled chain
+   */
+  compileChain(doc) {
+    const nodes = new Map(doc.nodes.map(node => [node.id, { ...node, config: node.config || {} }]));
+    const relations = new Map();
+
+    for (const connection of doc.connections) {
+      const key = `${connection.fromId}:${connection.relationType}`;
+      if (!relations.has(key)) {
+        relations.set(key, []);
+      }
+      relations.get(key).push(connection.toId);
+    }
+
+    return {
+      id: doc._id.toString(),
+      tenantId: String(doc.tenantId || ''),
+      firstNodeId: doc.firstNodeId,
+      debugMode: doc.debugMode,
+      nodes,
+      relations
+    };
+  }
+
+  /**
+   * Build the message originator from a device
+   * @private
+   * @param {Object} device - Device object
+   * @returns {Object} - Originator descriptor
+   */
+  buildOriginator(device) {
+    return {
+      id: (device._id || device.id).toString(),
+      deviceId: device.deviceId,
+      name: device.name,
+      type: device.type,
+      tenantId: device.tenantId ? device.tenantId.toString() : null,
+      customerId: device.customerId ? device.customerId.toString() : null,
+      ruleChainId: device.ruleChainId ? device.ruleChainId.toString() : null
+    };
+  }
+}
+
+RulesEngine.MESSAGE_TYPES = MESSAGE_TYPES;
+RulesEngine.RELATIONS = RELATIONS;
+
+module.exports = RulesEngine;
\ No newline at end of file
@@ -0,0 +1,210 @@
+const { Server } = require('socket.io');
+const jwt = require('jsonwebtoken');
+const config = require('../Config/default');
+const User = require('../Models/user');
+const Device = require('../Models/device');
+const deviceService = require('./deviceServices');
+const logger = require('../utils/logger');
+
+// Room names: one room per device key, plus one for subscribers of every key
+const keyRoom = (deviceId, key) => `telemetry:${deviceId}:${key}`;
+const allKeysRoom = (deviceId) => `telemetry:${deviceId}:*`;
+
+class SocketService {
+  constructor() {
+    this.io = null;
+    this.namespace = null;
+    this.unsubscribeTelemetry = null;
+  }
+
+  /**
+   * Initialize the telemetry namespace
+   * @param {Object} server - HTTP server or an existing socket.io Server
+   * @param {Object} telemetryService - Telemetry service instance
+   */
+  init(server, telemetryService) {
+    this.io = server instanceof Server
+      ? server
+      : new Server(server, { cors: { origin: config.cors.origin, methods: ['GET', 'POST'] } });
+
+    this.namespace = this.io.of(config.socket.namespace);
+
+    // Check the JWT on the handshake
+    this.namespace.use(this.authenticate.bind(this));
+    this.namespace.on('connection', this.handleConnection.bind(this));
+
+    // Push telemetry as it is saved
+    this.unsubscribeTelemetry = telemetryService.subscribeToUpdates(event => {
+      this.handleTelemetry(event).catch(error => logger.error(`Socket telemetry push error: ${error.message}`));
+    });
+
+    logger.info(`Socket.io telemetry namespace ready on ${config.socket.namespace}`);
+  }
+
+  /**
+   * Authenticate socket handshake with the user JWT
+   * @param {Object} socket - Socket
+   * @param {Function} next - Middleware callback
+   */
+  async authenticate(socket, next) {
+    try {
+      const { auth = {}, headers = {} } = socket.handshake;
+      const token = auth.token || (headers.authorization || '').replace('Bearer ', '');
+
+      if (!token) {
+        return next(new Error('No authentication token provided'));
+      }
+
+      const decoded = jwt.verify(token, config.jwt.secret);
+      const user = await User.findById(decoded.userId);
+
+      if (!user) {
+        return next(new Error('User not found'));
+      }
+
+      if (!user.active) {
+        return next(new Error('User account is inactive'));
+      }
+
+      socket.user = user;
+      next();
+    } catch (error) {
+      logger.error('Socket authentication error:', error);
+      next(new Error('Authentication failed'));
+    }
+  }
+
+  /**
+   * Handle socket connections
+   * @param {Object} socket - Connected socket
+   */
+  handleConnection(socket) {
+    logger.debug(`Telemetry socket connected: ${socket.id} (user ${socket.user._id})`);
+
+    socket.on('subscribe', (payload, ack) => {
+      this.handleSubscribe(socket, payload)
+        .then(result => typeof ack === 'function' && ack(result))
+        .catch(error => {
+          logger.error(`Socket subscribe error: ${error.message}`);
+          if (typeof ack === 'function') ack({ success: false, message: 'Subscription failed' });
+        });
+    });
+
+    socket.on('unsubscribe', (payload, ack) => {
+      this.handleUnsubscribe(socket, payload);
+      if (typeof ack === 'function') ack({ success: true });
+    });
+
+    socket.on('disconnect', (reason) => {
+      logger.debug(`Telemetry socket disconnected: ${socket.id} (${reason})`);
+    });
+  }
+
+  /**
+   * Subscribe a socket to one or more (deviceId, keys) pairs
+   * @param {Object} socket - Socket
+   * @param {Object|Array} payload - { deviceId, keys } or an array of them
+   * @returns {Promise<Object>} - Per-device subscription results
+   */
+  async handleSubscribe(socket, payload) {
+    const subscriptions = Array.isArray(payload) ? payload : [payload];
+    const results = [];
+
+    for (const { deviceId, keys = [] } of subscriptions) {
+      if (!deviceId) {
+        results.push({ deviceId, success: false, message: 'Device ID is required' });
+        continue;
+      }
+
+      const device = await Device.findById(deviceId).select('tenantId customerId').catch(() => null);
+
+      if (!device) {
+        results.push({ deviceId, success: false, message: 'Device not found' });
+        continue;
+      }
+
+      if (!deviceService.hasAccess(socket.user, device)) {
+        results.push({ deviceId, success: false, message: 'Access denied' });
+        continue;
+      }
+
+      const rooms = keys.length > 0
+        ? keys.map(key => keyRoom(deviceId, key))
+        : [allKeysRoom(deviceId)];
+
+      socket.join(rooms);
+      results.push({ deviceId, keys, success: true });
+    }
+
+    return { success: results.every(result => result.success), subscriptions: results };
+  }
+
+  /**
+   * Remove socket subscriptions; without keys every key of the device is dropped
+   * @param {Object} socket - Socket
+   * @param {Object|Array} payload - { deviceId, keys } or an array of them
+   */
+  handleUnsubscribe(socket, payload) {
+    const subscriptions = Array.isArray(payload) ? payload : [payload];
+
+    for (const { deviceId, keys = [] } of subscriptions) {
+      if (!deviceId) continue;
+
+      if (keys.length > 0) {
+        keys.forEach(key => socket.leave(keyRoom(deviceId, key)));
+        continue;
+      }
+
+      for (const room of socket.rooms) {
+        if (room.startsWith(`telemetry:${deviceId}:`)) {
+          socket.leave(room);
+        }
+      }
+    }
+  }
+
+  /**
+   * Push a telemetry record to subscribed sockets. Access is checked again on every push, so a
+   * socket that lost access to the device (e.g. it left the user's customer) is unsubscribed.
+   * @param {Object} event - { device, telemetry }
+   * @returns {Promise<void>}
+   */
+  async handleTelemetry({ device, telemetry }) {
+    if (!this.namespace) return;
+
+    const deviceId = device._id.toString();
+    const message = {
+      deviceId,
+      key: telemetry.key,
+      value: telemetry.value,
+      ts: new Date(telemetry.timestamp).getTime()
+    };
+
+    const sockets = await this.namespace.in([keyRoom(deviceId, telemetry.key), allKeysRoom(deviceId)]).fetchSockets();
+
+    for (const socket of sockets) {
+      if (deviceService.hasAccess(socket.user, device)) {
+        socket.emit('telemetry', message);
+      } else {
+        this.handleUnsubscribe(socket, { deviceId });
+      }
+    }
+  }
+
+  /**
+   * Close the namespace and stop listening for telemetry
+   */
+  async close() {
+    if (this.unsubscribeTelemetry) {
+      this.unsubscribeTelemetry();
+      this.unsubscribeTelemetry = null;
+    }
+
+    if (this.namespace) {
+      this.namespace.disconnectSockets(true);
+      this.namespace = null;
+    }
+  }
+}
+
+module.exports = new SocketService();
\ No newline at end of file
@@ -1,24 +1,50 @@
-const Telemetry = require('../Models/telemetry');
+const Telemetry = require('../Models/telementary');
 const Device = require('../Models/device');
+const TelemetryRollup = require('../Models/telemetryRollup');
+const rollupService = require('./rollupService');
+const calculatedFieldService = require('./calculatedFieldService');
+const TelemetryBuffer = require('./telemetryBuffer');
+const config = require('../Config/default');
 const logger = require('../utils/logger');
-const { EventEmitter } = require('events');
+const { parseTelemetryPayload } = require('../utils/telemetryPayload');
+const { formatCsvRow } = require('../utils/csv');
+const { listBuckets, fillBuckets } = require('../utils/timeBuckets');
+const { EventEmitter, once } = require('events');
+
+// Aggregations supported by multi-series queries
+const SERIES_AGGREGATIONS = ['avg', 'min', 'max', 'sum', 'count'];
+
+// Devices looked up by ingestion, shared by every service instance so routes can invalidate them.
+// Kept in least recently used order.
+const deviceCache = new Map();
+let deviceCacheSweeper = null;
 
 class TelemetryService {
   constructor(rulesEngineService) {
     this.rulesEngineService = rulesEngineService;
     this.eventEmitter = new EventEmitter();
+
+    // Points are buffered and written with insertMany, events fire once they are stored
+    this.buffer = new TelemetryBuffer({
+      batchSize: Number(config.telemetry.batchSize),
+      maxLatencyMs: Number(config.telemetry.ingestion.maxLatencyMs),
+      maxBufferSize: Number(config.telemetry.ingestion.maxBufferSize),
+      maxRetries: Number(config.telemetry.ingestion.maxRetries),
+      onFlushed: (device, telemetry) => this.emitTelemetryEvent(device, telemetry)
+    });
   }
 
   /**
-   * Save telemetry data for a device
+   * Save telemetry data for a device.
+   * Points are queued for a bulk insert; the call waits only while the buffer is full.
    * @param {string} deviceId - Device identifier
-   * @param {Object} data - Telemetry data object with type and value properties
-   * @returns {Promise<Object>} - Saved telemetry record
+   * @param {Object|Array} data - Telemetry payload, see utils/telemetryPayload for the accepted formats
+   * @returns {Promise<Object|Array>} - Queued telemetry record(s)
    */
   async saveTelemetry(deviceId, data) {
     try {
       // Verify the device exists
-      const device = await Device.findById(deviceId);
+      const device = await this.getDevice(deviceId);
       if (!device) {
         throw new Error(`Device not found: ${deviceId}`);
       }
@@ -28,61 +54,112 @@ class TelemetryService {
         logger.warn(`Telemetry received for inactive device: ${deviceId}`);
       }
 
-      // If data is a simple value, convert to object
-      if (typeof data !== 'object' || Array.isArray(data)) {
-        throw new Error('Telemetry data must be an object with type and value');
-      }
+      // Expand any accepted payload format into per-key points
+      const points = parseTelemetryPayload(data);
+      const records = points.map(point =>
+        Telemetry.buildRecord(deviceId, point.key, point.value, point.timestamp, point.metadata)
+      );
 
-      // Process multiple telemetry points if needed
-      if (Array.isArray(data.values)) {
-        const results = [];
-        for (const item of data.values) {
-          if (!item.type || !('value' in item)) {
-            throw new Error('Each telemetry item must contain type and value');
-          }
+      // Calculated fields of the device type are stored as ordinary telemetry
+      const derived = await calculatedFieldService.evaluate(device, records);
 
-          const telemetry = new Telemetry({
-            deviceId,
-            type: item.type,
-            value: item.value,
-            timestamp: item.timestamp || new Date(),
-            metadata: item.metadata || {}
-          });
+      await this.buffer.add([...records, ...derived].map(doc => ({ device, doc })));
 
-          const savedTelemetry = await telemetry.save();
-          results.push(savedTelemetry);
+      // A single { key, value } point keeps returning a single record
+      return records.length === 1 && !Array.isArray(data) && (data.key || data.type) ? records[0] : records;
+    } catch (error) {
+      logger.error('Error saving telemetry data:', error);
+      throw error;
+    }
+  }
 
-          // Emit event for real-time updates and rules processing
-          this.emitTelemetryEvent(device, savedTelemetry);
-        }
-        return results;
-      } else {
-        // Process single telemetry point
-        if (!data.type || !('value' in data)) {
-          throw new Error('Telemetry must contain type and value');
-        }
+  /**
+   * Get a device through the ingestion cache
+   * @private
+   * @param {string} deviceId - Device identifier
+   * @returns {Promise<Object|null>} - Device
+   */
+  async getDevice(deviceId) {
+    const cacheKey = deviceId.toString();
+    const cached = deviceCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      // Move it to the most recently used end
+      deviceCache.delete(cacheKey);
+      deviceCache.set(cacheKey, cached);
+      return cached.device;
+    }
+    deviceCache.delete(cacheKey);
 
-        const telemetry = new Telemetry({
-          deviceId,
-          type: data.type,
-          value: data.value,
-          timestamp: data.timestamp || new Date(),
-          metadata: data.metadata || {}
-        });
+    const device = await Device.findById(deviceId).lean();
 
-        const savedTelemetry = await telemetry.save();
+    // Misses are not cached, a device created meanwhile is found by its next message
+    if (device) {
+      this.cacheDevice(cacheKey, device);
+    }
 
-        // Emit event for real-time updates and rules processing
-        this.emitTelemetryEvent(device, savedTelemetry);
+    return device;
+  }
 
-        return savedTelemetry;
-      }
-    } catch (error) {
-      logger.error('Error saving telemetry data:', error);
-      throw error;
+  /**
+   * Add a device to the ingestion cache, evicting the least recently used ones when it is full.
+   * Expired entries are swept every TTL.
+   * @private
+   * @param {string} cacheKey - Device identifier
+   * @param {Object} device - Device
+   */
+  cacheDevice(cacheKey, device) {
+    const ttlMs = Number(config.telemetry.ingestion.deviceCacheTtlMs);
+    const maxSize = Number(config.telemetry.ingestion.deviceCacheMaxSize);
+
+    if (!deviceCacheSweeper) {
+      deviceCacheSweeper = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of deviceCache) {
+          if (entry.expiresAt <= now) deviceCache.delete(key);
+        }
+      }, ttlMs);
+      deviceCacheSweeper.unref();
+    }
+
+    for (const key of deviceCache.keys()) {
+      if (deviceCache.size < maxSize) break;
+      deviceCache.delete(key);
+    }
+
+    deviceCache.set(cacheKey, { device, expiresAt: Date.now() + ttlMs });
+  }
+
+  /**
+   * Drop a device from the ingestion cache after it was changed, suspended or deleted
+   * @param {string} [deviceId] - Device identifier, clears the whole cache when omitted
+   */
+  static invalidateDevice(deviceId) {
+    if (deviceId) {
+      deviceCache.delete(deviceId.toString());
+    } else {
+      deviceCache.clear();
     }
   }
 
+  /**
+   * Get ingestion buffer and flush statistics
+   * @returns {Object} - Statistics
+   */
+  getIngestionStats() {
+    return {
+      ...this.buffer.getStats(),
+      cachedDevices: deviceCache.size
+    };
+  }
+
+  /**
+   * Flush buffered telemetry, used on shutdown
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.buffer.close();
+  }
+
   /**
    * Process telemetry events
    * @private
@@ -102,7 +179,7 @@ class TelemetryService {
   /**
    * Get latest telemetry for a device
    * @param {string} deviceId - Device identifier
-   * @param {Array<string>} [types] - Optional array of telemetry types to filter
+   * @param {Array<string>} [types] - Optional array of telemetry keys to filter
    * @returns {Promise<Array>} - Latest telemetry values
    */
   async getLatestTelemetry(deviceId, types) {
@@ -117,15 +194,36 @@ class TelemetryService {
   /**
    * Get historical telemetry data
    * @param {string} deviceId - Device identifier
-   * @param {string} type - Telemetry type
+   * @param {string} type - Telemetry key
    * @param {Date|string} [startTime] - Start time for data retrieval
    * @param {Date|string} [endTime] - End time for data retrieval
    * @param {number} [limit=100] - Maximum number of records to return
    * @param {number} [offset=0] - Number of records to skip
+   * @param {string} [interval] - Return aggregated buckets (minute, hour, day, week, month) instead of raw points
+   * @param {Object} [options] - Bucket options
+   * @param {string} [options.timezone='UTC'] - Timezone the buckets are aligned to
+   * @param {string} [options.fill='none'] - Gap filling mode (none, null, previous, linear, zero)
+   * @param {Array<string>} [options.aggregations] - Aggregations added to avg, min and max
    * @returns {Promise<Array>} - Historical telemetry data
    */
-  async getHistoricalData(deviceId, type, startTime, endTime, limit = 100, offset = 0) {
+  async getHistoricalData(deviceId, type, startTime, endTime, limit = 100, offset = 0, interval, options = {}) {
     try {
+      if (interval) {
+        const { timezone = 'UTC', fill = 'none', aggregations = [] } = options;
+        const buckets = fill !== 'none'
+          ? listBuckets(startTime, endTime, interval, timezone, Number(config.telemetry.query.maxBuckets))
+          : null;
+
+        const history = await Telemetry.getHistory(deviceId, type, startTime, endTime, interval, buckets ? buckets.length : limit, {
+          timezone,
+          aggregations,
+          rollupInterval: rollupService.selectRollupInterval(interval, timezone)
+        });
+
+        const fields = [...new Set(['avg', 'min', 'max', ...aggregations])].filter(field => field !== 'count');
+        return buckets ? fillBuckets(history, buckets, fill, fields) : history;
+      }
+
       return await Telemetry.getHistorical(deviceId, type, startTime, endTime, limit, offset);
     } catch (error) {
       logger.error(`Error fetching historical data for device ${deviceId}:`, error);
@@ -136,14 +234,15 @@ class TelemetryService {
   /**
    * Get statistics for telemetry data
    * @param {string} deviceId - Device identifier
-   * @param {string} type - Telemetry type
+   * @param {string} type - Telemetry key
    * @param {Date|string} [startTime] - Start time for data analysis
    * @param {Date|string} [endTime] - End time for data analysis
+   * @param {Object} [options] - { percentiles }: add p50, p95 and p99 (MongoDB 7.0 or later)
    * @returns {Promise<Object>} - Statistics object
    */
-  async getStatistics(deviceId, type, startTime, endTime) {
+  async getStatistics(deviceId, type, startTime, endTime, options = {}) {
     try {
-      const stats = await Telemetry.getStats(deviceId, type, startTime, endTime);
+      const stats = await Telemetry.getStats(deviceId, type, startTime, endTime, options);
       return stats.length > 0 ? stats[0] : { count: 0 };
     } catch (error) {
       logger.error(`Error calculating statistics for device ${deviceId}:`, error);
@@ -166,9 +265,9 @@ class TelemetryService {
   }
 
   /**
-   * Delete telemetry data for a device
+   * Delete telemetry data for a device, with the rollups built from it
    * @param {string} deviceId - Device identifier
-   * @param {string} [type] - Optional telemetry type to delete
+   * @param {string} [type] - Optional telemetry key to delete
    * @param {Date|string} [before] - Delete data before this time
    * @returns {Promise<Object>} - Deletion result
    */
@@ -177,7 +276,7 @@ class TelemetryService {
       const query = { deviceId };
       
       if (type) {
-        query.type = type;
+        query.key = type;
       }
       
       if (before) {
@@ -185,6 +284,7 @@ class TelemetryService {
       }
       
       const result = await Telemetry.deleteMany(query);
+      await rollupService.deleteRollups(deviceId, type, before);
       return { deletedCount: result.deletedCount };
     } catch (error) {
       logger.error(`Error deleting telemetry data for device ${deviceId}:`, error);
@@ -195,112 +295,241 @@ class TelemetryService {
   /**
    * Aggregate telemetry data
    * @param {string} deviceId - Device identifier
-   * @param {string} type - Telemetry type
-   * @param {string} aggregation - Aggregation type (avg, min, max, sum)
+   * @param {string} type - Telemetry key
+   * @param {string} aggregation - Aggregation type, one of Telemetry.AGGREGATIONS
+   *   (avg, min, max, sum, count, first, last, delta, stddev, p50, p95, p99, countDistinct, twa)
    * @param {string} timeWindow - Time window for aggregation (hour, day, week, month)
    * @param {Date|string} startTime - Start time
    * @param {Date|string} endTime - End time
+   * @param {Object} [options] - Bucket options
+   * @param {string} [options.timezone='UTC'] - Timezone the buckets are aligned to
+   * @param {string} [options.fill='none'] - Gap filling mode (none, null, previous, linear, zero)
    * @returns {Promise<Array>} - Aggregated data
    */
-  async aggregateData(deviceId, type, aggregation, timeWindow, startTime, endTime) {
+  async aggregateData(deviceId, type, aggregation, timeWindow, startTime, endTime, options = {}) {
+    try {
+      const { timezone = 'UTC', fill = 'none' } = options;
+      const buckets = fill !== 'none'
+        ? listBuckets(startTime, endTime, timeWindow, timezone, Number(config.telemetry.query.maxBuckets))
+        : null;
+
+      // Serve from the coarsest rollup that satisfies the time window, when the aggregation allows it
+      const bucketData = await Telemetry.aggregateBuckets(deviceId, type, {
+        startTime,
+        endTime,
+        interval: timeWindow,
+        timezone,
+        aggregations: [aggregation],
+        rollupInterval: rollupService.selectRollupInterval(timeWindow, timezone)
+      });
+      const result = bucketData.map(bucket => ({
+        timestamp: bucket.timestamp,
+        value: bucket[aggregation],
+        count: bucket.count
+      }));
+
+      return buckets ? fillBuckets(result, buckets, fill, ['value']) : result;
+    } catch (error) {
+      logger.error(`Error aggregating telemetry data for device ${deviceId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stream raw telemetry of several devices to a writable stream.
+   * Points are read with a cursor and written with back-pressure, so exports of any size
+   * run in constant memory.
+   * @param {Array<Object>} devices - Devices to export (_id, name), already access-checked
+   * @param {Array<string>} [keys] - Telemetry keys, all keys in the range when empty
+   * @param {Date|string} startTime - Start time
+   * @param {Date|string} endTime - End time
+   * @param {string} format - csv (one column per key, rows aligned by timestamp) or ndjson (one point per line)
+   * @param {Object} output - Writable stream
+   * @returns {Promise<Object>} - { rows, points }
+   */
+  async exportTelemetry(devices, keys, startTime, endTime, format, output) {
+    const deviceNames = new Map(devices.map(device => [device._id.toString(), device.name]));
+    const query = {
+      deviceId: { $in: [...deviceNames.keys()] },
+      timestamp: { $gte: new Date(startTime), $lte: new Date(endTime) }
+    };
+
+    // CSV columns have to be known before the first row
+    let exportKeys = keys && keys.length > 0 ? keys : null;
+    if (!exportKeys && format === 'csv') {
+      exportKeys = (await Telemetry.distinct('key', query)).sort();
+    }
+    if (exportKeys) {
+      query.key = { $in: exportKeys };
+    }
+
+    // Wait for the stream to drain, or to close when the client goes away; a stream error rejects
+    const write = async (chunk) => {
+      if (output.write(chunk) || output.destroyed) return;
+
+      const settled = new AbortController();
+      try {
+        await Promise.race([
+          once(output, 'drain', { signal: settled.signal }),
+          once(output, 'close', { signal: settled.signal })
+        ]);
+      } finally {
+        settled.abort();
+      }
+    };
+
+    const cursor = Telemetry.find(query)
+      .sort({ timestamp: 1, deviceId: 1 })
+      .select('deviceId key timestamp valueType booleanValue longValue doubleValue stringValue jsonValue')
+      .lean()
+      .cursor({ batchSize: 1000 });
+
+    let rows = 0;
+    let points = 0;
+    let row = null;
+
+    const flushRow = async () => {
+      if (!row) return;
+      await write(formatCsvRow([
+        row.timestamp,
+        row.deviceId,
+        deviceNames.get(row.deviceId),
+        ...exportKeys.map(key => row.values[key])
+      ]));
+      rows++;
+    };
+
     try {
-      // Determine time grouping format
-      let timeGroup;
-      switch (timeWindow) {
-        case 'hour':
-          timeGroup = { 
-            year: { $year: '$timestamp' },
-            month: { $month: '$timestamp' },
-            day: { $dayOfMonth: '$timestamp' },
-            hour: { $hour: '$timestamp' }
-          };
-          break;
-        case 'day':
-          timeGroup = { 
-            year: { $year: '$timestamp' },
-            month: { $month: '$timestamp' },
-            day: { $dayOfMonth: '$timestamp' }
-          };
-          break;
-        case 'week':
-          timeGroup = { 
-            year: { $year: '$timestamp' },
-            week: { $week: '$timestamp' }
-          };
-          break;
-        case 'month':
-          timeGroup = { 
-            year: { $year: '$timestamp' },
-            month: { $month: '$timestamp' }
-          };
-          break;
-        default:
-          timeGroup = { 
-            year: { $year: '$timestamp' },
-            month: { $month: '$timestamp' },
-            day: { $dayOfMonth: '$timestamp' },
-            hour: { $hour: '$timestamp' }
-          };
+      if (format === 'csv') {
+        await write(formatCsvRow(['timestamp', 'deviceId', 'deviceName', ...exportKeys]));
       }
 
-      // Build query
-      const query = { deviceId, type };
-      if (startTime || endTime) {
-        query.timestamp = {};
-        if (startTime) query.timestamp.$gte = new Date(startTime);
-        if (endTime) query.timestamp.$lte = new Date(endTime);
+      for await (const doc of cursor) {
+        // The client went away, stop reading
+        if (output.destroyed) break;
+
+        const value = Telemetry.extractValue(doc);
+        points++;
+
+        if (format !== 'csv') {
+          await write(`${JSON.stringify({
+            deviceId: doc.deviceId,
+            deviceName: deviceNames.get(doc.deviceId),
+            key: doc.key,
+            ts: doc.timestamp.getTime(),
+            value
+          })}\n`);
+          rows++;
+          continue;
+        }
+
+        // Points of the same device and timestamp share one row
+        if (!row || row.deviceId !== doc.deviceId || row.timestamp.getTime() !== doc.timestamp.getTime()) {
+          await flushRow();
+          row = { deviceId: doc.deviceId, timestamp: doc.timestamp, values: {} };
+        }
+        row.values[doc.key] = value;
       }
 
-      // Determine aggregation operator
-      let aggregationOp;
-      switch (aggregation) {
-        case 'avg':
-          aggregationOp = { $avg: { $toDouble: '$value' } };
-          break;
-        case 'min':
-          aggregationOp = { $min: { $toDouble: '$value' } };
-          break;
-        case 'max':
-          aggregationOp = { $max: { $toDouble: '$value' } };
-          break;
-        case 'sum':
-          aggregationOp = { $sum: { $toDouble: '$value' } };
-          break;
-        default:
-          aggregationOp = { $avg: { $toDouble: '$value' } };
+      if (format === 'csv' && !output.destroyed) {
+        await flushRow();
       }
 
-      // Run aggregation
-      const result = await Telemetry.aggregate([
-        { $match: query },
-        { 
-          $group: {
-            _id: timeGroup,
-            value: aggregationOp,
-            count: { $sum: 1 }
+      return { rows, points };
+    } catch (error) {
+      logger.error('Error exporting telemetry:', error);
+      throw error;
+    } finally {
+      await cursor.close();
+    }
+  }
+
+  /**
+   * Query aggregated series of several devices and keys, aligned on a common set of timestamps
+   * @param {Array<Object>} devices - Devices to query (_id, name, type, label), already access-checked
+   * @param {Array<string>} keys - Telemetry keys
+   * @param {Object} options - { startTime, endTime, interval, aggregation }
+   * @returns {Promise<Object>} - { timestamps, series: [{ deviceId, deviceName, deviceType, key, count, values }] }
+   */
+  async queryTimeSeries(devices, keys, { startTime, endTime, interval, aggregation }) {
+    try {
+      const deviceIds = devices.map(device => device._id.toString());
+      const range = { $gte: new Date(startTime), $lte: new Date(endTime) };
+      const op = SERIES_AGGREGATIONS.includes(aggregation) ? aggregation : 'avg';
+
+      // Serve from rollups when they can satisfy the interval, raw numeric points otherwise
+      const rollupInterval = rollupService.selectRollupInterval(interval);
+      const buckets = rollupInterval
+        ? await TelemetryRollup.aggregate([
+          { $match: { deviceId: { $in: deviceIds }, key: { $in: keys }, interval: rollupInterval, bucket: range } },
+          {
+            $group: {
+              _id: { deviceId: '$deviceId', key: '$key', ts: { $dateTrunc: { date: '$bucket', unit: interval } } },
+              sum: { $sum: '$sum' },
+              min: { $min: '$min' },
+              max: { $max: '$max' },
+              count: { $sum: '$count' }
+            }
           }
-        },
-        { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1, '_id.hour': 1, '_id.week': 1 } },
-        {
-          $project: {
-            _id: 0,
-            timestamp: {
-              $dateFromParts: {
-                year: '$_id.year',
-                month: { $ifNull: ['$_id.month', 1] },
-                day: { $ifNull: ['$_id.day', 1] },
-                hour: { $ifNull: ['$_id.hour', 0] }
-              }
-            },
-            value: 1,
-            count: 1
+        ])
+        : await Telemetry.aggregate([
+          { $match: { deviceId: { $in: deviceIds }, key: { $in: keys }, valueType: { $in: Telemetry.NUMERIC_TYPES }, timestamp: range } },
+          {
+            $group: {
+              _id: { deviceId: '$deviceId', key: '$key', ts: { $dateTrunc: { date: '$timestamp', unit: interval } } },
+              sum: { $sum: Telemetry.NUMERIC_VALUE },
+              min: { $min: Telemetry.NUMERIC_VALUE },
+              max: { $max: Telemetry.NUMERIC_VALUE },
+              count: { $sum: 1 }
+            }
           }
+        ]);
+
+      const bucketValue = {
+        avg: bucket => (bucket.count > 0 ? bucket.sum / bucket.count : null),
+        min: bucket => bucket.min,
+        max: bucket => bucket.max,
+        sum: bucket => bucket.sum,
+        count: bucket => bucket.count
+      }[op];
+
+      // Align every series on the union of bucket timestamps, missing buckets are null
+      const timestamps = [...new Set(buckets.map(bucket => bucket._id.ts.getTime()))].sort((a, b) => a - b);
+      const position = new Map(timestamps.map((ts, index) => [ts, index]));
+
+      const series = new Map();
+      for (const device of devices) {
+        for (const key of keys) {
+          series.set(`${device._id}|${key}`, {
+            deviceId: device._id.toString(),
+            deviceName: device.name,
+            deviceType: device.type,
+            deviceLabel: device.label,
+            key,
+            aggregation: op,
+            count: 0,
+            values: new Array(timestamps.length).fill(null)
+          });
         }
-      ]);
+      }
 
-      return result;
+      for (const bucket of buckets) {
+        const entry = series.get(`${bucket._id.deviceId}|${bucket._id.key}`);
+        entry.values[position.get(bucket._id.ts.getTime())] = bucketValue(bucket);
+        entry.count += bucket.count;
+      }
+
+      return {
+        startTime: range.$gte,
+        endTime: range.$lte,
+        interval,
+        aggregation: op,
+        source: rollupInterval ? `rollup:${rollupInterval}` : 'raw',
+        timestamps: timestamps.map(ts => new Date(ts)),
+        series: [...series.values()]
+      };
     } catch (error) {
-      logger.error(`Error aggregating telemetry data for device ${deviceId}:`, error);
+      logger.error('Error querying telemetry series:', error);
       throw error;
     }
   }
@@ -0,0 +1,240 @@
+const Telemetry = require('../Models/telementary');
+const logger = require('../utils/logger');
+
+/**
+ * In-memory telemetry buffer flushed to Mongo with insertMany.
+ * A flush happens when the buffer reaches the batch size or when the oldest
+ * point has waited maxLatencyMs. Producers are held back once the buffer
+ * reaches maxBufferSize, until flushes bring it back under the limit.
+ */
+class TelemetryBuffer {
+  /**
+   * @param {Object} options
+   * @param {number} options.batchSize - Points per insertMany
+   * @param {number} options.maxLatencyMs - Maximum time a point waits before a flush
+   * @param {number} options.maxBufferSize - Buffered points before producers have to wait
+   * @param {number} options.maxRetries - Attempts for a failing batch before it is dropped
+   * @param {Function} options.onFlushed - Called with (device, telemetry) for every inserted point
+   */
+  constructor({ batchSize, maxLatencyMs, maxBufferSize, maxRetries, onFlushed }) {
+    this.batchSize = batchSize;
+    this.maxLatencyMs = maxLatencyMs;
+    this.maxBufferSize = Math.max(maxBufferSize, batchSize);
+    this.maxRetries = maxRetries;
+    this.onFlushed = onFlushed;
+
+    this.buffer = [];
+    this.timer = null;
+    this.flushing = null;
+    this.waiters = [];
+
+    this.stats = {
+      received: 0,
+      flushed: 0,
+      failed: 0,
+      retried: 0,
+      flushCount: 0,
+      backPressureWaits: 0,
+      lastFlushAt: null,
+      lastFlushSize: 0,
+      lastFlushDurationMs: 0,
+      totalFlushDurationMs: 0,
+      lastError: null
+    };
+  }
+
+  /**
+   * Add points to the buffer, waiting while the buffer is full
+   * @param {Array<Object>} entries - [{ device, doc }]
+   * @returns {Promise<void>}
+   */
+  async add(entries) {
+    while (this.buffer.length >= this.maxBufferSize) {
+      this.stats.backPressureWaits++;
+      await new Promise(resolve => this.waiters.push(resolve));
+    }
+
+    for (const entry of entries) {
+      this.buffer.push({ ...entry, attempts: 0 });
+    }
+    this.stats.received += entries.length;
+
+    if (this.buffer.length >= this.batchSize) {
+      this.scheduleFlush(0);
+    } else {
+      this.scheduleFlush(this.maxLatencyMs);
+    }
+  }
+
+  /**
+   * Schedule a flush, keeping an earlier one if already scheduled
+   * @private
+   * @param {number} delay - Delay in ms
+   */
+  scheduleFlush(delay) {
+    if (this.flushing) return; // the running flush reschedules itself
+
+    if (delay === 0 || !this.timer) {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.flush().catch(err => logger.error('Error flushing telemetry buffer:', err));
+      }, delay);
+    }
+  }
+
+  /**
+   * Flush buffered points, one batch at a time, until the buffer is empty
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.flushing) {
+      return this.flushing;
+    }
+
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    this.flushing = (async () => {
+      while (this.buffer.length > 0) {
+        const batch = this.buffer.splice(0, this.batchSize);
+        const written = await this.writeBatch(batch);
+        this.releaseWaiters();
+
+        // Give Mongo some room before retrying a failed batch
+        if (!written) break;
+      }
+    })();
+
+    try {
+      await this.flushing;
+    } finally {
+      this.flushing = null;
+      if (this.buffer.length > 0) {
+        this.scheduleFlush(this.maxLatencyMs);
+      }
+    }
+  }
+
+  /**
+   * Insert one batch, putting points that failed for a transient reason back at the head of the buffer.
+   * Points rejected by validation are dropped at once, retrying cannot store them.
+   * @private
+   * @param {Array<Object>} batch - Buffered entries
+   * @returns {Promise<boolean>} - Whether the whole batch was written
+   */
+  async writeBatch(batch) {
+    const startedAt = Date.now();
+
+    try {
+      const outcomes = await Telemetry.insertBatch(batch.map(entry => entry.doc));
+      const retry = [];
+      let rejected = 0;
+      let lastError = null;
+
+      outcomes.forEach((outcome, index) => {
+        const entry = batch[index];
+
+        if (outcome.doc) {
+          this.onFlushed(entry.device, outcome.doc);
+          this.stats.flushed++;
+          return;
+        }
+
+        lastError = outcome.error;
+        if (outcome.permanent) {
+          rejected++;
+        } else if (++entry.attempts < this.maxRetries) {
+          retry.push(entry);
+        } else {
+          this.stats.failed++;
+        }
+      });
+
+      if (lastError) {
+        this.stats.failed += rejected;
+        this.stats.lastError = { message: lastError.message, at: new Date() };
+        logger.error(`Telemetry batch of ${batch.length} points: ${rejected} rejected, ${retry.length} to retry:`, lastError);
+      }
+
+      this.requeue(retry);
+      return retry.length === 0;
+    } catch (error) {
+      this.stats.lastError = { message: error.message, at: new Date() };
+      logger.error(`Error inserting telemetry batch of ${batch.length} points:`, error);
+
+      const retry = batch.filter(entry => ++entry.attempts < this.maxRetries);
+      this.stats.failed += batch.length - retry.length;
+      this.requeue(retry);
+      return false;
+    } finally {
+      const duration = Date.now() - startedAt;
+
+      this.stats.flushCount++;
+      this.stats.lastFlushAt = new Date();
+      this.stats.lastFlushSize = batch.length;
+      this.stats.lastFlushDurationMs = duration;
+      this.stats.totalFlushDurationMs += duration;
+    }
+  }
+
+  /**
+   * Put entries back at the head of the buffer for the next flush
+   * @private
+   * @param {Array<Object>} entries - Buffered entries
+   */
+  requeue(entries) {
+    this.stats.retried += entries.length;
+    this.buffer.unshift(...entries);
+  }
+
+  /**
+   * Wake producers waiting on a full buffer
+   * @private
+   */
+  releaseWaiters() {
+    while (this.waiters.length > 0 && this.buffer.length < this.maxBufferSize) {
+      this.waiters.shift()();
+    }
+  }
+
+  /**
+   * Get buffer and flush statistics
+   * @returns {Object} - Statistics
+   */
+  getStats() {
+    const { totalFlushDurationMs, ...stats } = this.stats;
+
+    return {
+      ...stats,
+      buffered: this.buffer.length,
+      waitingProducers: this.waiters.length,
+      flushing: Boolean(this.flushing),
+      avgFlushDurationMs: stats.flushCount > 0 ? Math.round(totalFlushDurationMs / stats.flushCount) : 0,
+      batchSize: this.batchSize,
+      maxLatencyMs: this.maxLatencyMs,
+      maxBufferSize: this.maxBufferSize
+    };
+  }
+
+  /**
+   * Flush everything that is left, used on shutdown
+   * @returns {Promise<void>}
+   */
+  async close() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.flushing) {
+      await this.flushing;
+    }
+
+    while (this.buffer.length > 0) {
+      const batch = this.buffer.splice(0, this.batchSize);
+      await this.writeBatch(batch);
+    }
+    this.releaseWaiters();
+  }
+}
+
+module.exports = TelemetryBuffer;
\ No newline at end of file
@@ -0,0 +1,17 @@
+const RulesEngine = require('./rulesEngine');
+const TelemetryService = require('./telementryServices');
+const alarmService = require('./alarmService');
+const rollupService = require('./rollupService');
+
+// One rules engine and telemetry service shared by every route, transport and poller, so each saved
+// point reaches the services watching telemetry whichever way it came in
+const rulesEngine = new RulesEngine();
+const telemetryService = new TelemetryService(rulesEngine);
+
+alarmService.watchTelemetry(telemetryService);
+rollupService.watchTelemetry(telemetryService);
+
+module.exports = {
+  rulesEngine,
+  telemetryService
+};
\ No newline at end of file
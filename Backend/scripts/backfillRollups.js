@@ -0,0 +1,39 @@
+/**
+ * Build telemetry rollups for raw points stored before rollups were enabled, or rebuild them.
+ * Aggregated queries read rollups, so ranges without them look empty until this has run.
+ *
+ *   node scripts/backfillRollups.js [--device <deviceId>] [--key <key>] [--from <date>] [--to <date>]
+ *
+ * Without options every numeric key of every device is rebuilt, from the oldest point until now.
+ * Running it again is safe: buckets are recomputed from the raw points and overwritten.
+ */
+const mongoose = require('mongoose');
+const config = require('../Config/default');
+const rollupService = require('../Services/rollupService');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+};
+
+const run = async () => {
+  await mongoose.connect(config.database.url);
+
+  try {
+    const stats = await rollupService.backfill({
+      deviceId: option('device'),
+      key: option('key'),
+      startTime: option('from'),
+      endTime: option('to')
+    });
+    console.log(`Rebuilt ${stats.minute} minute, ${stats.hour} hour and ${stats.day} day buckets`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(error => {
+  console.error(`Rollup backfill failed: ${error.message}`);
+  process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,90 @@
+/**
+ * Convert telemetry points stored before typed values existed. Those points keep their value in a
+ * plain `value` field and have no valueType, so every read skips them until they are converted.
+ *
+ *   node scripts/migrateTelemetryValues.js [--batch <size>]
+ *
+ * Each point is rewritten with the value type and typed field of its value, then the old point is
+ * deleted; points whose value cannot be typed (null, NaN) are deleted too. Rollups of the migrated
+ * range are rebuilt at the end. Time series deletes by _id need MongoDB 7.0 or later.
+ * Running it again is safe: only points without a valueType are read. A batch interrupted between
+ * its insert and its delete is converted again, leaving duplicate points for that batch.
+ */
+const mongoose = require('mongoose');
+const config = require('../Config/default');
+const Telemetry = require('../Models/telementary');
+const rollupService = require('../Services/rollupService');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+};
+
+const batchSize = Number(option('batch', 1000));
+
+/**
+ * Convert one batch of legacy points
+ * @param {Array<Object>} docs - Raw legacy points
+ * @returns {Promise<Object>} - { migrated, dropped }
+ */
+const migrateBatch = async (docs) => {
+  const records = [];
+  let dropped = 0;
+
+  for (const doc of docs) {
+    if (Telemetry.detectValueType(doc.value)) {
+      records.push(Telemetry.buildRecord(doc.deviceId, doc.key, doc.value, doc.timestamp, doc.metadata || {}));
+    } else {
+      dropped++;
+    }
+  }
+
+  // Straight to the collection: the points are already validated and rollups are rebuilt at the end
+  if (records.length > 0) {
+    await Telemetry.collection.insertMany(records, { ordered: true });
+  }
+  await Telemetry.collection.deleteMany({ _id: { $in: docs.map(doc => doc._id) } });
+
+  return { migrated: records.length, dropped };
+};
+
+const run = async () => {
+  await mongoose.connect(config.database.url);
+
+  try {
+    const legacy = { valueType: { $exists: false } };
+    const stats = { migrated: 0, dropped: 0 };
+    let startTime = null;
+    let endTime = null;
+
+    // Converted points leave the filter, so each batch reads from the start again
+    for (;;) {
+      const docs = await Telemetry.collection.find(legacy).limit(batchSize).toArray();
+      if (docs.length === 0) break;
+
+      for (const doc of docs) {
+        if (!startTime || doc.timestamp < startTime) startTime = doc.timestamp;
+        if (!endTime || doc.timestamp > endTime) endTime = doc.timestamp;
+      }
+
+      const result = await migrateBatch(docs);
+      stats.migrated += result.migrated;
+      stats.dropped += result.dropped;
+      console.log(`Migrated ${stats.migrated} points, dropped ${stats.dropped}`);
+    }
+
+    if (stats.migrated > 0) {
+      // The end of a backfill is exclusive
+      const buckets = await rollupService.backfill({ startTime, endTime: new Date(endTime.getTime() + 1) });
+      console.log(`Rebuilt ${buckets.minute} minute, ${buckets.hour} hour and ${buckets.day} day buckets`);
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(error => {
+  console.error(`Telemetry value migration failed: ${error.message}`);
+  process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,167 @@
+/**
+ * Local Modbus simulator for exercising the PLC poller without hardware.
+ *
+ *   node scripts/modbusSimulator.js [--port 5020] [--unit 1 | --units 1,2,3] [--registers 100] [--rtu]
+ *
+ * Each unit has its own memory. Holding registers 0-9 move every second (a sine wave, a ramp
+ * and a counter), input registers mirror the holding registers, and coil/discrete 0 toggles
+ * every 5 seconds. All other addresses keep the value last written to them.
+ *
+ * With several units the simulator behaves like an RS-485 gateway: requests for other units get
+ * a "gateway target failed to respond" exception. With --rtu it speaks RTU frames over TCP,
+ * like a transparent serial bridge, and stays silent for unknown units.
+ */
+const net = require('net');
+const ModbusRTU = require('modbus-serial');
+const crc16 = require('modbus-serial/utils/crc16');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+};
+
+const port = Number(option('port', process.env.MODBUS_SIM_PORT || 5020));
+const unitIds = String(option('units', option('unit', 1))).split(',').map(Number);
+const size = Number(option('registers', 100));
+const rtu = args.includes('--rtu');
+
+// Simulated memory of each unit
+const units = new Map(unitIds.map(id => [id, {
+  holding: new Array(size).fill(0),
+  coils: new Array(size).fill(false)
+}]));
+let tick = 0;
+
+// Simulated process values, offset per unit so units can be told apart
+const update = () => {
+  tick++;
+  for (const [id, { holding, coils }] of units) {
+    holding[0] = Math.round(500 + 250 * Math.sin(tick / 30 + id)); // tank level, 0.1 %
+    holding[1] = (tick + id * 100) % 1000; // ramp
+    holding[2] = (holding[2] + 1) & 0xffff; // counter, low word
+    if (holding[2] === 0) holding[3] = (holding[3] + 1) & 0xffff; // counter, high word
+    holding[4] = Math.round(200 + id * 10 + Math.random() * 10); // noisy temperature, 0.1 °C
+    if ((tick + id) % 5 === 0) coils[0] = !coils[0];
+  }
+};
+
+const getUnit = (unitId) => {
+  const unit = units.get(unitId);
+  if (!unit) {
+    // Gateway target device failed to respond exception
+    throw { modbusErrorCode: 0x0B, msg: `No unit ${unitId}` };
+  }
+  return unit;
+};
+
+const checkAddress = (addr) => {
+  if (addr < 0 || addr >= size) {
+    // Illegal data address exception
+    throw { modbusErrorCode: 0x02, msg: `Illegal address ${addr}` };
+  }
+};
+
+const vector = {
+  getHoldingRegister: (addr, unitId) => {
+    const { holding } = getUnit(unitId);
+    checkAddress(addr);
+    return holding[addr];
+  },
+  getInputRegister: (addr, unitId) => {
+    const { holding } = getUnit(unitId);
+    checkAddress(addr);
+    return holding[addr];
+  },
+  getCoil: (addr, unitId) => {
+    const { coils } = getUnit(unitId);
+    checkAddress(addr);
+    return coils[addr];
+  },
+  getDiscreteInput: (addr, unitId) => {
+    const { coils } = getUnit(unitId);
+    checkAddress(addr);
+    return coils[addr];
+  },
+  setRegister: (addr, value, unitId) => {
+    const { holding } = getUnit(unitId);
+    checkAddress(addr);
+    holding[addr] = value;
+  },
+  setCoil: (addr, value, unitId) => {
+    const { coils } = getUnit(unitId);
+    checkAddress(addr);
+    coils[addr] = value;
+  }
+};
+
+// In RTU mode the Modbus TCP server listens on a local port behind the RTU bridge
+const serverPort = rtu ? port + 1 : port;
+// Unit 255 makes the server answer every unit, unknown units are rejected by the vector
+const server = new ModbusRTU.ServerTCP(vector, {
+  host: rtu ? '127.0.0.1' : '0.0.0.0',
+  port: serverPort,
+  unitID: units.size === 1 ? unitIds[0] : 255
+});
+const timer = setInterval(update, 1000);
+
+/**
+ * Serial bridge: unwraps RTU frames (unit, PDU, CRC) received over TCP, forwards them to the
+ * Modbus TCP server with an MBAP header and sends the answers back as RTU frames
+ */
+const startRtuBridge = () => net.createServer(socket => {
+  const upstream = net.connect(serverPort, '127.0.0.1');
+  let transactionId = 0;
+  let pending = Buffer.alloc(0);
+
+  socket.on('data', data => {
+    pending = Buffer.concat([pending, data]);
+    // Requests used by the poller are at most a few hundred bytes; frames are delimited by their CRC
+    for (let end = 4; end <= pending.length; end++) {
+      if (crc16(pending.slice(0, end - 2)) !== pending.readUInt16LE(end - 2)) continue;
+
+      const frame = pending.slice(0, end - 2);
+      pending = pending.slice(end);
+      end = 3;
+
+      const mbap = Buffer.alloc(6);
+      mbap.writeUInt16BE(++transactionId & 0xffff, 0);
+      mbap.writeUInt16BE(frame.length, 4);
+      upstream.write(Buffer.concat([mbap, frame]));
+    }
+  });
+
+  upstream.on('data', data => {
+    for (let offset = 0; offset + 6 < data.length; offset += 6 + data.readUInt16BE(offset + 4)) {
+      const frame = data.slice(offset + 6, offset + 6 + data.readUInt16BE(offset + 4));
+      // A unit missing from the bus never answers
+      if ((frame[1] & 0x80) && frame[2] === 0x0B) continue;
+
+      const crc = Buffer.alloc(2);
+      crc.writeUInt16LE(crc16(frame), 0);
+      socket.write(Buffer.concat([frame, crc]));
+    }
+  });
+
+  socket.on('error', () => upstream.destroy());
+  socket.on('close', () => upstream.destroy());
+  upstream.on('error', () => socket.destroy());
+}).listen(port);
+
+let bridge = null;
+server.on('initialized', () => {
+  if (rtu) bridge = startRtuBridge();
+  const framing = rtu ? 'RTU over TCP' : 'Modbus TCP';
+  console.log(`${framing} simulator listening on port ${port}, units ${unitIds.join(',')}, ${size} registers`);
+});
+server.on('socketError', error => {
+  console.error(`Socket error: ${error.message}`);
+});
+
+const shutdown = () => {
+  clearInterval(timer);
+  if (bridge) bridge.close();
+  server.close(() => process.exit(0));
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
\ No newline at end of file
@@ -0,0 +1,123 @@
+/**
+ * Local OPC UA sample server for exercising the OPC UA connector without a plant.
+ *
+ *   node scripts/opcuaSimulator.js [--port 4840] [--user name:password]
+ *
+ * Exposes a Plant object with process values that move every second, under namespace 1:
+ *   ns=1;s=Plant.TankLevel    Double, %          (sine wave)
+ *   ns=1;s=Plant.Temperature  Double, °C         (noisy)
+ *   ns=1;s=Plant.Counter      UInt32             (increments)
+ *   ns=1;s=Plant.PumpRunning  Boolean            (toggles every 5 seconds)
+ *   ns=1;s=Plant.Setpoint     Double, writable
+ *   ns=1;s=Plant.Mode         String, writable
+ * Endpoints accept no security as well as Sign and SignAndEncrypt with Basic256Sha256.
+ * Without --user, anonymous sessions are allowed.
+ */
+const { OPCUAServer, Variant, DataType, StatusCodes, MessageSecurityMode, SecurityPolicy } = require('node-opcua');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+};
+
+const port = Number(option('port', process.env.OPCUA_SIM_PORT || 4840));
+const user = option('user', null);
+
+// Simulated process values
+const values = {
+  TankLevel: 50,
+  Temperature: 20,
+  Counter: 0,
+  PumpRunning: false,
+  Setpoint: 55,
+  Mode: 'auto'
+};
+let tick = 0;
+
+const update = () => {
+  tick++;
+  values.TankLevel = 50 + 25 * Math.sin(tick / 30);
+  values.Temperature = 20 + Math.random();
+  values.Counter = (values.Counter + 1) >>> 0;
+  if (tick % 5 === 0) values.PumpRunning = !values.PumpRunning;
+};
+
+const VARIABLES = [
+  { name: 'TankLevel', dataType: DataType.Double },
+  { name: 'Temperature', dataType: DataType.Double },
+  { name: 'Counter', dataType: DataType.UInt32 },
+  { name: 'PumpRunning', dataType: DataType.Boolean },
+  { name: 'Setpoint', dataType: DataType.Double, writable: true },
+  { name: 'Mode', dataType: DataType.String, writable: true }
+];
+
+const main = async () => {
+  const userManager = user
+    ? { isValidUser: (userName, password) => `${userName}:${password}` === user }
+    : undefined;
+
+  const server = new OPCUAServer({
+    port,
+    resourcePath: '/UA/Simulator',
+    buildInfo: {
+      productName: 'IoT Platform OPC UA simulator',
+      buildNumber: '1',
+      buildDate: new Date()
+    },
+    securityModes: [MessageSecurityMode.None, MessageSecurityMode.Sign, MessageSecurityMode.SignAndEncrypt],
+    securityPolicies: [SecurityPolicy.None, SecurityPolicy.Basic256Sha256],
+    allowAnonymous: !user,
+    userManager
+  });
+
+  await server.initialize();
+
+  const addressSpace = server.engine.addressSpace;
+  const namespace = addressSpace.getOwnNamespace();
+  const plant = namespace.addObject({
+    organizedBy: addressSpace.rootFolder.objects,
+    browseName: 'Plant'
+  });
+
+  for (const variable of VARIABLES) {
+    const value = {
+      get: () => new Variant({ dataType: variable.dataType, value: values[variable.name] })
+    };
+    if (variable.writable) {
+      value.set = (variant) => {
+        values[variable.name] = variant.value;
+        return StatusCodes.Good;
+      };
+    }
+
+    namespace.addVariable({
+      componentOf: plant,
+      nodeId: `s=Plant.${variable.name}`,
+      browseName: variable.name,
+      dataType: DataType[variable.dataType],
+      accessLevel: variable.writable ? 'CurrentRead | CurrentWrite' : 'CurrentRead',
+      userAccessLevel: variable.writable ? 'CurrentRead | CurrentWrite' : 'CurrentRead',
+      minimumSamplingInterval: 100,
+      value
+    });
+  }
+
+  await server.start();
+  const timer = setInterval(update, 1000);
+
+  console.log(`OPC UA simulator listening on ${server.getEndpointUrl()}${user ? ' (user authentication)' : ''}`);
+
+  const shutdown = async () => {
+    clearInterval(timer);
+    await server.shutdown(1000);
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+};
+
+main().catch(error => {
+  console.error(`OPC UA simulator failed to start: ${error.message}`);
+  process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,39 @@
+const http = require('http');
+const mongoose = require('mongoose');
+const app = require('./app');
+const config = require('./Config/default');
+const { rulesEngine, telemetryService } = require('./Services/telemetryPipeline');
+const MqttBroker = require('./Services/mqttBroker');
+const deviceApiService = require('./Services/deviceApiService');
+const dataExtractionService = require('./Services/dataExtractionService');
+const opcuaService = require('./Services/opcuaService');
+const socketService = require('./Services/socketService');
+const retentionService = require('./Services/retentionService');
+const logger = require('./utils/logger');
+
+const start = async () => {
+  await mongoose.connect(config.database.url);
+
+  const server = http.createServer(app);
+  socketService.init(server, telemetryService);
+
+  // Every transport and poller saves telemetry through the shared telemetry service
+  new MqttBroker().init(telemetryService, rulesEngine);
+  deviceApiService.init(telemetryService, rulesEngine);
+  dataExtractionService.init(telemetryService).catch(error => {
+    logger.error(`PLC polling not started: ${error.message}`);
+  });
+  opcuaService.init(telemetryService).catch(error => {
+    logger.error(`OPC UA connector not started: ${error.message}`);
+  });
+  retentionService.start();
+
+  const port = Number(config.server.port);
+  await new Promise(resolve => server.listen(port, resolve));
+  logger.info(`Server listening on port ${port}`);
+};
+
+start().catch(error => {
+  logger.error(`Server not started: ${error.message}`);
+  process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,70 @@
+/**
+ * Escape a value for a CSV cell, quoting it when it contains a separator, quote or newline
+ * @param {*} value - Cell value, objects are written as JSON
+ * @returns {string} - Escaped cell
+ */
+const escapeCsvValue = value => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  const text = value instanceof Date
+    ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format a CSV row, terminated by a newline
+ * @param {Array} values - Cell values
+ * @returns {string} - CSV line
+ */
+const formatCsvRow = values => `${values.map(escapeCsvValue).join(',')}\n`;
+
+/**
+ * Split one CSV line into cells, honouring quoted cells and doubled quotes.
+ * Quoted cells spanning several lines are not supported.
+ * @param {string} line - CSV line without its newline
+ * @returns {Array<string>} - Cells
+ */
+const parseCsvLine = line => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted cell');
+  }
+
+  cells.push(cell);
+  return cells;
+};
+
+module.exports = {
+  escapeCsvValue,
+  formatCsvRow,
+  parseCsvLine
+};
\ No newline at end of file
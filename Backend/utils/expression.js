@@ -0,0 +1,343 @@
+// Safe evaluation of calculated field expressions.
+// Expressions use a small subset of JavaScript: literals, names, arithmetic, comparison and
+// logical operators, the conditional operator, reading own properties of data objects, and
+// calls to whitelisted functions. Nothing else exists, so there is no path to constructors,
+// prototypes or globals of the host.
+
+// Longest accepted expression, and deepest nesting
+const MAX_LENGTH = 2000;
+const MAX_DEPTH = 64;
+
+// Property names that are never readable, even when a data object owns them
+const FORBIDDEN_PROPERTIES = new Set(['__proto__', 'constructor', 'prototype']);
+
+// Math members available as Math.<name>
+const MATH_MEMBERS = [
+  'abs', 'acos', 'acosh', 'asin', 'asinh', 'atan', 'atan2', 'atanh', 'cbrt', 'ceil', 'cos', 'cosh',
+  'exp', 'expm1', 'floor', 'fround', 'hypot', 'log', 'log10', 'log1p', 'log2', 'max', 'min', 'pow',
+  'round', 'sign', 'sin', 'sinh', 'sqrt', 'tan', 'tanh', 'trunc', 'E', 'LN10', 'LN2', 'LOG10E',
+  'LOG2E', 'PI', 'SQRT1_2', 'SQRT2'
+];
+
+// Names every expression can use
+const GLOBALS = Object.freeze(Object.assign(Object.create(null), {
+  Math: Object.freeze(Object.assign(Object.create(null),
+    Object.fromEntries(MATH_MEMBERS.map(name => [name, Math[name]])))),
+  Number,
+  String,
+  Boolean,
+  isFinite,
+  isNaN,
+  parseFloat,
+  parseInt,
+  NaN,
+  Infinity,
+  undefined
+}));
+
+// Functions that can be called, besides the ones a scope provides
+const GLOBAL_FUNCTIONS = new Set([
+  ...MATH_MEMBERS.map(name => Math[name]).filter(member => typeof member === 'function'),
+  Number, String, Boolean, isFinite, isNaN, parseFloat, parseInt
+]);
+
+const BINARY_OPERATORS = {
+  '||': { precedence: 1, apply: null },
+  '??': { precedence: 1, apply: null },
+  '&&': { precedence: 2, apply: null },
+  '==': { precedence: 3, apply: (a, b) => a == b },
+  '!=': { precedence: 3, apply: (a, b) => a != b },
+  '===': { precedence: 3, apply: (a, b) => a === b },
+  '!==': { precedence: 3, apply: (a, b) => a !== b },
+  '<': { precedence: 4, apply: (a, b) => a < b },
+  '<=': { precedence: 4, apply: (a, b) => a <= b },
+  '>': { precedence: 4, apply: (a, b) => a > b },
+  '>=': { precedence: 4, apply: (a, b) => a >= b },
+  '+': { precedence: 5, apply: (a, b) => a + b },
+  '-': { precedence: 5, apply: (a, b) => a - b },
+  '*': { precedence: 6, apply: (a, b) => a * b },
+  '/': { precedence: 6, apply: (a, b) => a / b },
+  '%': { precedence: 6, apply: (a, b) => a % b }
+};
+
+const UNARY_OPERATORS = {
+  '-': value => -value,
+  '+': value => +value,
+  '!': value => !value
+};
+
+// Punctuators, longest first so === wins over ==
+const PUNCTUATORS = [
+  '===', '!==', '**', '==', '!=', '<=', '>=', '&&', '||', '??',
+  '+', '-', '*', '/', '%', '<', '>', '!', '(', ')', '[', ']', '.', ',', '?', ':'
+];
+
+const LITERALS = { true: true, false: false, null: null };
+
+const STRING_ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+/**
+ * Split an expression into tokens
+ * @param {string} source - Expression
+ * @returns {Array<Object>} - Tokens: { type: number|string|name|punctuator, value, position }
+ */
+const tokenize = (source) => {
+  const tokens = [];
+  let position = 0;
+
+  while (position < source.length) {
+    const rest = source.slice(position);
+    const char = source[position];
+
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+
+    const number = rest.match(/^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/);
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), position });
+      position += number[0].length;
+      continue;
+    }
+
+    const name = rest.match(/^[A-Za-z_$][\w$]*/);
+    if (name) {
+      tokens.push({ type: 'name', value: name[0], position });
+      position += name[0].length;
+      continue;
+    }
+
+    if (char === '\'' || char === '"') {
+      let value = '';
+      let index = position + 1;
+      while (index < source.length && source[index] !== char) {
+        if (source[index] === '\\' && index + 1 < source.length) {
+          const escaped = source[index + 1];
+          value += STRING_ESCAPES[escaped] !== undefined ? STRING_ESCAPES[escaped] : escaped;
+          index += 2;
+        } else {
+          value += source[index++];
+        }
+      }
+      if (index >= source.length) {
+        throw new Error(`Unterminated string at position ${position}`);
+      }
+      tokens.push({ type: 'string', value, position });
+      position = index + 1;
+      continue;
+    }
+
+    const punctuator = PUNCTUATORS.find(candidate => rest.startsWith(candidate));
+    if (!punctuator) {
+      throw new Error(`Unexpected character '${char}' at position ${position}`);
+    }
+    tokens.push({ type: 'punctuator', value: punctuator, position });
+    position += punctuator.length;
+  }
+
+  return tokens;
+};
+
+/**
+ * Read an own property of a data object
+ * @param {*} object - Data object
+ * @param {*} property - Property name or index
+ * @returns {*} - Property value, undefined when the object does not own it
+ */
+const readProperty = (object, property) => {
+  if (object === null || object === undefined) {
+    throw new Error(`Cannot read property '${property}' of ${object}`);
+  }
+  if (typeof object === 'function') {
+    throw new Error('Functions have no readable properties');
+  }
+
+  const name = String(property);
+  if (FORBIDDEN_PROPERTIES.has(name)) {
+    throw new Error(`Property '${name}' is not allowed`);
+  }
+
+  return Object.prototype.hasOwnProperty.call(object, name) ? object[name] : undefined;
+};
+
+/**
+ * Parse tokens into an evaluator, a tree of closures over the scope
+ * @param {Array<Object>} tokens - Tokens
+ * @returns {Function} - (scope, functions) => value
+ */
+const parse = (tokens) => {
+  let index = 0;
+  let depth = 0;
+
+  const peek = () => tokens[index];
+  const isPunctuator = (value) => peek() && peek().type === 'punctuator' && peek().value === value;
+  const describe = (token) => (token ? `'${token.value}' at position ${token.position}` : 'end of expression');
+
+  const expect = (value) => {
+    if (!isPunctuator(value)) {
+      throw new Error(`Expected '${value}' but found ${describe(peek())}`);
+    }
+    index++;
+  };
+
+  const nested = (parser) => {
+    if (++depth > MAX_DEPTH) {
+      throw new Error('Expression is nested too deeply');
+    }
+    const node = parser();
+    depth--;
+    return node;
+  };
+
+  const parseExpression = () => nested(() => {
+    const test = parseBinary(1);
+    if (!isPunctuator('?')) return test;
+
+    index++;
+    const consequent = parseExpression();
+    expect(':');
+    const alternate = parseExpression();
+    return (scope, functions) => (test(scope, functions) ? consequent : alternate)(scope, functions);
+  });
+
+  const parseBinary = (minPrecedence) => {
+    let left = parseUnary();
+
+    for (;;) {
+      const token = peek();
+      const operator = token && token.type === 'punctuator' && BINARY_OPERATORS[token.value];
+      if (!operator || operator.precedence < minPrecedence) return left;
+
+      index++;
+      const right = parseBinary(operator.precedence + 1);
+      const lhs = left;
+
+      if (token.value === '&&') {
+        left = (scope, functions) => lhs(scope, functions) && right(scope, functions);
+      } else if (token.value === '||') {
+        left = (scope, functions) => lhs(scope, functions) || right(scope, functions);
+      } else if (token.value === '??') {
+        left = (scope, functions) => lhs(scope, functions) ?? right(scope, functions);
+      } else {
+        left = (scope, functions) => operator.apply(lhs(scope, functions), right(scope, functions));
+      }
+    }
+  };
+
+  const parseUnary = () => nested(() => {
+    const token = peek();
+    if (token && token.type === 'punctuator' && UNARY_OPERATORS[token.value]) {
+      index++;
+      const operand = parseUnary();
+      const apply = UNARY_OPERATORS[token.value];
+      return (scope, functions) => apply(operand(scope, functions));
+    }
+
+    const base = parsePostfix();
+    if (!isPunctuator('**')) return base;
+
+    // Exponentiation is right-associative
+    index++;
+    const exponent = parseUnary();
+    return (scope, functions) => base(scope, functions) ** exponent(scope, functions);
+  });
+
+  const parsePostfix = () => {
+    let node = parsePrimary();
+
+    for (;;) {
+      const target = node;
+
+      if (isPunctuator('.')) {
+        index++;
+        const token = peek();
+        if (!token || token.type !== 'name') {
+          throw new Error(`Expected a property name but found ${describe(token)}`);
+        }
+        index++;
+        node = (scope, functions) => readProperty(target(scope, functions), token.value);
+      } else if (isPunctuator('[')) {
+        index++;
+        const property = parseExpression();
+        expect(']');
+        node = (scope, functions) => readProperty(target(scope, functions), property(scope, functions));
+      } else if (isPunctuator('(')) {
+        index++;
+        const args = [];
+        while (!isPunctuator(')')) {
+          args.push(parseExpression());
+          if (!isPunctuator(')')) expect(',');
+        }
+        index++;
+        node = (scope, functions) => {
+          const callee = target(scope, functions);
+          if (typeof callee !== 'function' || !(GLOBAL_FUNCTIONS.has(callee) || functions.has(callee))) {
+            throw new Error('Only whitelisted functions can be called');
+          }
+          return callee(...args.map(arg => arg(scope, functions)));
+        };
+      } else {
+        return node;
+      }
+    }
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) {
+      throw new Error('Unexpected end of expression');
+    }
+    index++;
+
+    if (token.type === 'number' || token.type === 'string') {
+      return () => token.value;
+    }
+    if (token.type === 'name') {
+      if (Object.prototype.hasOwnProperty.call(LITERALS, token.value)) {
+        return () => LITERALS[token.value];
+      }
+      return (scope) => {
+        if (Object.prototype.hasOwnProperty.call(scope, token.value)) return scope[token.value];
+        if (token.value in GLOBALS) return GLOBALS[token.value];
+        throw new Error(`${token.value} is not defined`);
+      };
+    }
+    if (token.value === '(') {
+      const node = parseExpression();
+      expect(')');
+      return node;
+    }
+
+    throw new Error(`Unexpected ${describe(token)}`);
+  };
+
+  const evaluator = parseExpression();
+  if (index < tokens.length) {
+    throw new Error(`Unexpected ${describe(peek())}`);
+  }
+  return evaluator;
+};
+
+/**
+ * Compile an expression
+ * @param {string} source - Expression, e.g. `voltage * current` or `delta('energy') / dt('energy')`
+ * @returns {Function} - evaluate(scope, [functions]): scope maps names to values, functions are
+ *   the scope functions the expression may call
+ */
+const compileExpression = (source) => {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new Error('Expression is empty');
+  }
+  if (source.length > MAX_LENGTH) {
+    throw new Error(`Expression is longer than ${MAX_LENGTH} characters`);
+  }
+
+  const evaluator = parse(tokenize(source));
+
+  return (scope, functions = []) => evaluator(scope, new Set(functions));
+};
+
+module.exports = {
+  compileExpression
+};
\ No newline at end of file
@@ -0,0 +1,76 @@
+const { compileExpression } = require('./expression');
+
+const evaluate = (source, scope = {}, functions = []) => compileExpression(source)(scope, functions);
+
+describe('compileExpression', () => {
+  test('evaluates arithmetic with operator precedence', () => {
+    expect(evaluate('voltage * current + 2 ** 3 ** 2 / 512', { voltage: 230, current: 2 })).toBe(461);
+    expect(evaluate('-(1 + 2) % 2')).toBe(-1);
+  });
+
+  test('evaluates comparisons, logic and the conditional operator', () => {
+    expect(evaluate('t > 30 && !alarm ? "hot" : "ok"', { t: 35, alarm: false })).toBe('hot');
+    expect(evaluate('missing ?? 5', { missing: null })).toBe(5);
+    expect(evaluate('a === 1 || b', { a: 2, b: 'fallback' })).toBe('fallback');
+  });
+
+  test('reads own properties of data objects', () => {
+    expect(evaluate('data.values[1] + data["offset"]', { data: { values: [1, 2], offset: 3 } })).toBe(5);
+    expect(evaluate('data.missing', { data: {} })).toBeUndefined();
+  });
+
+  test('calls Math members and whitelisted globals', () => {
+    expect(evaluate('Math.round(Math.max(1.4, 2.6))')).toBe(3);
+    expect(evaluate('parseFloat("2.5") + Number(true)')).toBe(3.5);
+  });
+
+  test('calls the functions of the scope', () => {
+    const delta = key => (key === 'energy' ? 12 : 0);
+    expect(evaluate('delta("energy") / dt', { delta, dt: 4 }, [delta])).toBe(3);
+  });
+
+  test('rejects empty and overlong expressions', () => {
+    expect(() => compileExpression('  ')).toThrow('Expression is empty');
+    expect(() => compileExpression(`1${' + 1'.repeat(600)}`)).toThrow('longer than 2000 characters');
+  });
+
+  test('rejects syntax errors', () => {
+    expect(() => compileExpression('1 +')).toThrow('Unexpected end of expression');
+    expect(() => compileExpression('a = 1')).toThrow("Unexpected character '='");
+    expect(() => compileExpression('"open')).toThrow('Unterminated string');
+    expect(() => compileExpression(`${'('.repeat(100)}1${')'.repeat(100)}`)).toThrow('nested too deeply');
+  });
+});
+
+describe('compileExpression sandbox', () => {
+  test('has no path to the Function constructor', () => {
+    expect(() => evaluate('Math.constructor')).toThrow("Property 'constructor' is not allowed");
+    expect(() => evaluate('data["constructor"]["constructor"]("return process")()', { data: {} }))
+      .toThrow("Property 'constructor' is not allowed");
+    expect(() => evaluate('x.__proto__', { x: {} })).toThrow("Property '__proto__' is not allowed");
+    expect(() => evaluate('Number.prototype')).toThrow('Functions have no readable properties');
+  });
+
+  test('reads no inherited properties', () => {
+    expect(evaluate('data.toString', { data: {} })).toBeUndefined();
+    expect(evaluate('"abc".toUpperCase')).toBeUndefined();
+    expect(evaluate('"abc".length')).toBe(3);
+  });
+
+  test('calls no function outside the whitelist', () => {
+    const secret = () => 'leaked';
+    expect(() => evaluate('data.fn()', { data: { fn: secret } })).toThrow('Only whitelisted functions can be called');
+    expect(() => evaluate('fn()', { fn: secret })).toThrow('Only whitelisted functions can be called');
+  });
+
+  test('sees no host globals', () => {
+    expect(() => evaluate('process')).toThrow('process is not defined');
+    expect(() => evaluate('globalThis')).toThrow('globalThis is not defined');
+    expect(() => evaluate('this')).toThrow('this is not defined');
+    expect(() => evaluate('require("fs")')).toThrow('require is not defined');
+  });
+
+  test('ignores names inherited by the scope', () => {
+    expect(() => evaluate('constructor', {})).toThrow('constructor is not defined');
+  });
+});
\ No newline at end of file
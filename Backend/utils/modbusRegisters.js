@@ -0,0 +1,174 @@
+/**
+ * Lay out register words as bytes in big-endian order, undoing the device's word and byte order
+ * @param {Array<number>} words - 16-bit register values as read
+ * @param {string} [wordOrder='big'] - big: most significant word first
+ * @param {string} [byteOrder='big'] - big: most significant byte first inside a word
+ * @returns {Buffer} - Big-endian bytes
+ */
+const wordsToBuffer = (words, wordOrder = 'big', byteOrder = 'big') => {
+  const ordered = wordOrder === 'little' ? [...words].reverse() : words;
+  const buffer = Buffer.alloc(ordered.length * 2);
+
+  ordered.forEach((word, index) => {
+    if (byteOrder === 'little') {
+      buffer.writeUInt16LE(word & 0xffff, index * 2);
+    } else {
+      buffer.writeUInt16BE(word & 0xffff, index * 2);
+    }
+  });
+
+  return buffer;
+};
+
+/**
+ * Split big-endian bytes into register words in the device's word and byte order
+ * @param {Buffer} buffer - Big-endian bytes, an even number of them
+ * @param {string} [wordOrder='big'] - big: most significant word first
+ * @param {string} [byteOrder='big'] - big: most significant byte first inside a word
+ * @returns {Array<number>} - 16-bit register values to write
+ */
+const bufferToWords = (buffer, wordOrder = 'big', byteOrder = 'big') => {
+  const words = [];
+
+  for (let index = 0; index < buffer.length; index += 2) {
+    words.push(byteOrder === 'little' ? buffer.readUInt16LE(index) : buffer.readUInt16BE(index));
+  }
+
+  return wordOrder === 'little' ? words.reverse() : words;
+};
+
+// Raw value range of the integer data types
+const INTEGER_RANGES = {
+  int16: [-0x8000, 0x7fff],
+  uint16: [0, 0xffff],
+  int32: [-0x80000000, 0x7fffffff],
+  uint32: [0, 0xffffffff]
+};
+
+/**
+ * Encode an engineering value into the register words of a holding register entry,
+ * the inverse of decodeRegister. Bits inside registers need a read-modify-write and are not handled here.
+ * @param {Object} register - Register entry (dataType, count, wordOrder, byteOrder, scale, offset)
+ * @param {number|string} value - Engineering value
+ * @returns {Array<number>} - 16-bit register values to write
+ */
+const encodeRegister = (register, value) => {
+  const { dataType = 'uint16', wordOrder, byteOrder } = register;
+
+  if (dataType === 'string') {
+    const text = String(value);
+    const size = register.count * 2;
+    if (Buffer.byteLength(text, 'latin1') > size) {
+      throw new Error(`Value does not fit in ${register.count} registers`);
+    }
+    // Padded with NULs up to the register count
+    const buffer = Buffer.alloc(size);
+    buffer.write(text, 'latin1');
+    return bufferToWords(buffer, wordOrder, byteOrder);
+  }
+
+  const number = Number(value);
+  if (typeof value === 'boolean' || value === '' || value === null || !Number.isFinite(number)) {
+    throw new Error(`Value must be a number, got ${JSON.stringify(value)}`);
+  }
+
+  const scale = register.scale === undefined || register.scale === null ? 1 : register.scale;
+  const offset = register.offset || 0;
+  let raw = (number - offset) / scale;
+
+  let buffer;
+  if (INTEGER_RANGES[dataType]) {
+    raw = Math.round(raw);
+    const [min, max] = INTEGER_RANGES[dataType];
+    if (raw < min || raw > max) {
+      throw new Error(`Value ${value} is out of range for ${dataType}`);
+    }
+    buffer = Buffer.alloc(dataType.endsWith('16') ? 2 : 4);
+    switch (dataType) {
+      case 'int16':
+        buffer.writeInt16BE(raw);
+        break;
+      case 'uint16':
+        buffer.writeUInt16BE(raw);
+        break;
+      case 'int32':
+        buffer.writeInt32BE(raw);
+        break;
+      default:
+        buffer.writeUInt32BE(raw);
+    }
+  } else if (dataType === 'float32') {
+    buffer = Buffer.alloc(4);
+    buffer.writeFloatBE(raw);
+  } else if (dataType === 'float64') {
+    buffer = Buffer.alloc(8);
+    buffer.writeDoubleBE(raw);
+  } else {
+    throw new Error(`Cannot encode data type: ${dataType}`);
+  }
+
+  return bufferToWords(buffer, wordOrder, byteOrder);
+};
+
+/**
+ * Decode the raw data of a register entry into its engineering value
+ * @param {Object} register - Register entry (functionCode, dataType, bit, wordOrder, byteOrder, scale, offset)
+ * @param {Array<number|boolean>} data - Words (FC3/FC4) or bits (FC1/FC2) as read
+ * @returns {number|boolean|string} - Decoded value
+ */
+const decodeRegister = (register, data) => {
+  const { dataType = 'uint16', wordOrder, byteOrder } = register;
+
+  if (register.functionCode === 1 || register.functionCode === 2) {
+    return Boolean(data[0]);
+  }
+  if (dataType === 'bit') {
+    return Boolean((data[0] >> register.bit) & 1);
+  }
+
+  const buffer = wordsToBuffer(data, wordOrder, byteOrder);
+
+  if (dataType === 'string') {
+    // Strings are padded with NULs or spaces up to the register count
+    return buffer.toString('latin1').replace(/\0+$/, '').trim();
+  }
+
+  let raw;
+  switch (dataType) {
+    case 'int16':
+      raw = buffer.readInt16BE(0);
+      break;
+    case 'uint16':
+      raw = buffer.readUInt16BE(0);
+      break;
+    case 'int32':
+      raw = buffer.readInt32BE(0);
+      break;
+    case 'uint32':
+      raw = buffer.readUInt32BE(0);
+      break;
+    case 'float32':
+      raw = buffer.readFloatBE(0);
+      break;
+    case 'float64':
+      raw = buffer.readDoubleBE(0);
+      break;
+    default:
+      throw new Error(`Unsupported data type: ${dataType}`);
+  }
+
+  const scale = register.scale === undefined || register.scale === null ? 1 : register.scale;
+  const offset = register.offset || 0;
+  if (scale === 1 && offset === 0) {
+    return raw;
+  }
+  // Drop binary floating point noise such as 517 * 0.1 = 51.7000000001
+  return Number((raw * scale + offset).toPrecision(12));
+};
+
+module.exports = {
+  wordsToBuffer,
+  bufferToWords,
+  decodeRegister,
+  encodeRegister
+};
\ No newline at end of file
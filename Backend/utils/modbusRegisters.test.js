@@ -0,0 +1,103 @@
+const { wordsToBuffer, bufferToWords, decodeRegister, encodeRegister } = require('./modbusRegisters');
+
+const ORDERS = [
+  ['big', 'big'],
+  ['big', 'little'],
+  ['little', 'big'],
+  ['little', 'little']
+];
+
+describe('word and byte order', () => {
+  test('lays out 0x12345678 for each word and byte order', () => {
+    const expected = {
+      'big/big': [0x1234, 0x5678],
+      'big/little': [0x3412, 0x7856],
+      'little/big': [0x5678, 0x1234],
+      'little/little': [0x7856, 0x3412]
+    };
+
+    for (const [wordOrder, byteOrder] of ORDERS) {
+      const words = encodeRegister({ dataType: 'uint32', wordOrder, byteOrder }, 0x12345678);
+      expect(words).toEqual(expected[`${wordOrder}/${byteOrder}`]);
+    }
+  });
+
+  test('bufferToWords undoes wordsToBuffer', () => {
+    const words = [0x0102, 0x0304, 0x0506, 0x0708];
+
+    for (const [wordOrder, byteOrder] of ORDERS) {
+      expect(bufferToWords(wordsToBuffer(words, wordOrder, byteOrder), wordOrder, byteOrder)).toEqual(words);
+    }
+  });
+});
+
+describe('encode/decode round-trips', () => {
+  const cases = [
+    ['int16', -1234],
+    ['uint16', 65535],
+    ['int32', -123456789],
+    ['uint32', 4000000000],
+    ['float32', 1.5],
+    ['float64', Math.PI]
+  ];
+
+  test.each(cases)('%s keeps %p in every word and byte order', (dataType, value) => {
+    for (const [wordOrder, byteOrder] of ORDERS) {
+      const register = { dataType, wordOrder, byteOrder, functionCode: 3 };
+      expect(decodeRegister(register, encodeRegister(register, value))).toBe(value);
+    }
+  });
+
+  test('applies scale and offset both ways', () => {
+    const register = { dataType: 'int16', scale: 0.1, offset: -40, functionCode: 3 };
+    const words = encodeRegister(register, 11.7);
+
+    expect(words).toEqual([517]);
+    expect(decodeRegister(register, words)).toBe(11.7);
+  });
+
+  test('pads strings with NULs and trims them on decode', () => {
+    const register = { dataType: 'string', count: 4, functionCode: 3 };
+    const words = encodeRegister(register, 'PLC-1');
+
+    expect(words).toHaveLength(4);
+    expect(decodeRegister(register, words)).toBe('PLC-1');
+  });
+});
+
+describe('encodeRegister', () => {
+  test('rejects values out of range of the data type', () => {
+    expect(() => encodeRegister({ dataType: 'int16' }, 40000)).toThrow('out of range for int16');
+    expect(() => encodeRegister({ dataType: 'uint16' }, -1)).toThrow('out of range for uint16');
+  });
+
+  test('rejects values that are not numbers', () => {
+    expect(() => encodeRegister({ dataType: 'uint16' }, true)).toThrow('Value must be a number');
+    expect(() => encodeRegister({ dataType: 'uint16' }, '')).toThrow('Value must be a number');
+    expect(() => encodeRegister({ dataType: 'float32' }, 'abc')).toThrow('Value must be a number');
+  });
+
+  test('rejects strings longer than the registers', () => {
+    expect(() => encodeRegister({ dataType: 'string', count: 1 }, 'abc')).toThrow('does not fit in 1 registers');
+  });
+
+  test('does not encode bits', () => {
+    expect(() => encodeRegister({ dataType: 'bit', bit: 3 }, 1)).toThrow('Cannot encode data type: bit');
+  });
+});
+
+describe('decodeRegister', () => {
+  test('reads coils and discrete inputs as booleans', () => {
+    expect(decodeRegister({ functionCode: 1 }, [1])).toBe(true);
+    expect(decodeRegister({ functionCode: 2 }, [0])).toBe(false);
+  });
+
+  test('reads a bit inside a register', () => {
+    expect(decodeRegister({ functionCode: 3, dataType: 'bit', bit: 3 }, [0b1000])).toBe(true);
+    expect(decodeRegister({ functionCode: 3, dataType: 'bit', bit: 2 }, [0b1000])).toBe(false);
+  });
+
+  test('rejects unknown data types', () => {
+    expect(() => decodeRegister({ functionCode: 3, dataType: 'int64' }, [0, 0, 0, 0])).toThrow('Unsupported data type: int64');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,96 @@
+// Accepted telemetry payload formats:
+//   { key, value, timestamp?, metadata? }               single point (`type` is an alias of `key`)
+//   { values: [{ key, value, ... }] }                   list of single points
+//   { temperature: 21.5, humidity: 40 }                 flat key/value object
+//   { ts: 1700000000000, values: { temperature: 21.5 } } key/values with a device timestamp
+//   [ ...any of the object formats above ]
+
+/**
+ * Check whether an object is a single { key, value } point
+ * @param {Object} item - Payload item
+ * @returns {boolean}
+ */
+const isPoint = item => Boolean(item.key || item.type) && 'value' in item;
+
+/**
+ * Check whether an object is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Parse a device supplied timestamp
+ * @param {number|string|Date} ts - Epoch milliseconds or date string
+ * @returns {Date|undefined} - Parsed date, undefined when not supplied
+ */
+const parseTimestamp = ts => {
+  if (ts === undefined || ts === null) {
+    return undefined;
+  }
+
+  const date = new Date(typeof ts === 'string' && /^\d+$/.test(ts) ? Number(ts) : ts);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid telemetry timestamp: ${ts}`);
+  }
+  return date;
+};
+
+/**
+ * Expand one payload object into points
+ * @param {Object} item - Payload object
+ * @returns {Array<Object>} - [{ key, value, timestamp, metadata }]
+ */
+const expandItem = item => {
+  if (!isPlainObject(item)) {
+    throw new Error('Telemetry entries must be objects');
+  }
+
+  if (isPoint(item)) {
+    return [{
+      key: item.key || item.type,
+      value: item.value,
+      timestamp: parseTimestamp(item.timestamp !== undefined ? item.timestamp : item.ts),
+      metadata: item.metadata || {}
+    }];
+  }
+
+  if (Array.isArray(item.values)) {
+    return item.values.flatMap(value => {
+      if (!isPlainObject(value) || !isPoint(value)) {
+        throw new Error('Each telemetry item must contain key and value');
+      }
+      return expandItem(value);
+    });
+  }
+
+  if (isPlainObject(item.values)) {
+    const timestamp = parseTimestamp(item.ts);
+    return Object.entries(item.values).map(([key, value]) => ({ key, value, timestamp, metadata: {} }));
+  }
+
+  return Object.entries(item).map(([key, value]) => ({ key, value, timestamp: undefined, metadata: {} }));
+};
+
+/**
+ * Expand a telemetry payload into per-key points
+ * @param {Object|Array} payload - Telemetry payload in any accepted format
+ * @returns {Array<Object>} - [{ key, value, timestamp, metadata }]
+ */
+const parseTelemetryPayload = payload => {
+  if (payload === null || typeof payload !== 'object') {
+    throw new Error('Telemetry data must be a JSON object or array');
+  }
+
+  const points = (Array.isArray(payload) ? payload : [payload]).flatMap(expandItem);
+  if (points.length === 0) {
+    throw new Error('Telemetry payload contains no values');
+  }
+
+  return points;
+};
+
+module.exports = {
+  parseTelemetryPayload,
+  parseTimestamp
+};
\ No newline at end of file
@@ -0,0 +1,73 @@
+const { parseTelemetryPayload, parseTimestamp } = require('./telemetryPayload');
+
+describe('parseTelemetryPayload', () => {
+  test('expands a flat key/value object without timestamps', () => {
+    expect(parseTelemetryPayload({ temperature: 21.5, humidity: 40 })).toEqual([
+      { key: 'temperature', value: 21.5, timestamp: undefined, metadata: {} },
+      { key: 'humidity', value: 40, timestamp: undefined, metadata: {} }
+    ]);
+  });
+
+  test('expands key/values with a device timestamp', () => {
+    const points = parseTelemetryPayload({ ts: 1700000000000, values: { temperature: 21.5, status: 'ok' } });
+
+    expect(points).toHaveLength(2);
+    points.forEach(point => expect(point.timestamp).toEqual(new Date(1700000000000)));
+    expect(points.map(point => [point.key, point.value])).toEqual([['temperature', 21.5], ['status', 'ok']]);
+  });
+
+  test('accepts a single point, with type as an alias of key', () => {
+    expect(parseTelemetryPayload({ type: 'voltage', value: 230, timestamp: '2024-01-01T00:00:00Z', metadata: { unit: 'V' } })).toEqual([
+      { key: 'voltage', value: 230, timestamp: new Date('2024-01-01T00:00:00Z'), metadata: { unit: 'V' } }
+    ]);
+  });
+
+  test('accepts a list of single points', () => {
+    const points = parseTelemetryPayload({ values: [{ key: 'a', value: 1 }, { key: 'b', value: false }] });
+
+    expect(points.map(point => [point.key, point.value])).toEqual([['a', 1], ['b', false]]);
+  });
+
+  test('accepts an array mixing the object formats', () => {
+    const points = parseTelemetryPayload([
+      { ts: 1000, values: { a: 1 } },
+      { b: 2 },
+      { key: 'c', value: 3 }
+    ]);
+
+    expect(points.map(point => point.key)).toEqual(['a', 'b', 'c']);
+    expect(points[0].timestamp).toEqual(new Date(1000));
+  });
+
+  test('rejects payloads that are not objects or arrays', () => {
+    expect(() => parseTelemetryPayload(null)).toThrow('Telemetry data must be a JSON object or array');
+    expect(() => parseTelemetryPayload('21.5')).toThrow('Telemetry data must be a JSON object or array');
+    expect(() => parseTelemetryPayload([1, 2])).toThrow('Telemetry entries must be objects');
+  });
+
+  test('rejects empty payloads and list items without key and value', () => {
+    expect(() => parseTelemetryPayload({})).toThrow('Telemetry payload contains no values');
+    expect(() => parseTelemetryPayload([])).toThrow('Telemetry payload contains no values');
+    expect(() => parseTelemetryPayload({ values: [{ key: 'a' }] })).toThrow('Each telemetry item must contain key and value');
+  });
+
+  test('rejects invalid device timestamps', () => {
+    expect(() => parseTelemetryPayload({ ts: 'yesterday', values: { a: 1 } })).toThrow('Invalid telemetry timestamp: yesterday');
+  });
+});
+
+describe('parseTimestamp', () => {
+  test('reads epoch milliseconds as numbers or digit strings', () => {
+    expect(parseTimestamp(1700000000000)).toEqual(new Date(1700000000000));
+    expect(parseTimestamp('1700000000000')).toEqual(new Date(1700000000000));
+  });
+
+  test('reads date strings', () => {
+    expect(parseTimestamp('2024-03-01T12:00:00Z')).toEqual(new Date('2024-03-01T12:00:00Z'));
+  });
+
+  test('leaves missing timestamps undefined', () => {
+    expect(parseTimestamp(undefined)).toBeUndefined();
+    expect(parseTimestamp(null)).toBeUndefined();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,261 @@
+// Fixed-width bucket sizes in milliseconds
+const INTERVAL_MS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Floor a date to the start of its bucket
+ * @param {Date|string|number} date - Date to floor
+ * @param {string} interval - minute, hour or day
+ * @returns {Date} - Bucket start
+ */
+const floorToInterval = (date, interval) => {
+  const size = INTERVAL_MS[interval];
+  if (!size) {
+    throw new Error(`Unsupported interval: ${interval}`);
+  }
+
+  const ms = new Date(date).getTime();
+  return new Date(ms - (ms % size));
+};
+
+/**
+ * Get the end (exclusive) of the bucket starting at a date
+ * @param {Date} bucketStart - Bucket start
+ * @param {string} interval - minute, hour or day
+ * @returns {Date} - Bucket end
+ */
+const bucketEnd = (bucketStart, interval) => new Date(bucketStart.getTime() + INTERVAL_MS[interval]);
+
+// Calendar units, as accepted by $dateTrunc
+const CALENDAR_UNITS = ['minute', 'hour', 'day', 'week', 'month'];
+
+// Gap filling modes
+const FILL_MODES = ['none', 'null', 'previous', 'linear', 'zero'];
+
+/**
+ * Check whether a string is an IANA timezone name known to the runtime
+ * @param {string} timezone - Timezone, e.g. Europe/Paris
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the wall-clock parts of an instant in a timezone
+ * @param {number} ms - Epoch milliseconds
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - { year, month (1-12), day, hour, minute, weekday (0 = Sunday) }
+ */
+const zonedParts = (ms, timezone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    weekday: 'short'
+  }).formatToParts(new Date(ms)).forEach(({ type, value }) => { parts[type] = value; });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+};
+
+/**
+ * Convert a wall-clock time in a timezone to an instant
+ * @param {Object} local - { year, month (1-12), day, hour, minute }
+ * @param {string} timezone - IANA timezone
+ * @returns {number} - Epoch milliseconds
+ */
+const zonedToUtc = (local, timezone) => {
+  const wall = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute);
+  let ms = wall;
+
+  // Two passes settle the offset, including around DST changes
+  for (let i = 0; i < 2; i++) {
+    const parts = zonedParts(ms, timezone);
+    const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - ms;
+    ms = wall - offset;
+  }
+  return ms;
+};
+
+/**
+ * Floor an instant to the start of its calendar bucket in a timezone.
+ * Weeks start on Sunday, like $dateTrunc.
+ * @param {Date|string|number} date - Date to floor
+ * @param {string} unit - minute, hour, day, week or month
+ * @param {string} [timezone='UTC'] - IANA timezone
+ * @returns {Date} - Bucket start
+ */
+const floorToCalendar = (date, unit, timezone = 'UTC') => {
+  const ms = new Date(date).getTime();
+
+  if (unit === 'minute' || (unit === 'hour' && timezone === 'UTC')) {
+    return floorToInterval(ms, unit);
+  }
+
+  const local = zonedParts(ms, timezone);
+  local.minute = 0;
+  if (unit !== 'hour') local.hour = 0;
+  if (unit === 'week') local.day -= local.weekday;
+  if (unit === 'month') local.day = 1;
+
+  return new Date(zonedToUtc(normalizeLocal(local), timezone));
+};
+
+/**
+ * Normalize overflowing wall-clock parts (e.g. day 0 or day 32)
+ * @param {Object} local - { year, month, day, hour, minute }
+ * @returns {Object} - Normalized parts
+ */
+const normalizeLocal = (local) => {
+  const date = new Date(Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: date.getUTCHours(),
+    minute: date.getUTCMinutes()
+  };
+};
+
+/**
+ * Get the start of the calendar bucket following a bucket start
+ * @param {Date} bucketStart - Bucket start
+ * @param {string} unit - minute, hour, day, week or month
+ * @param {string} [timezone='UTC'] - IANA timezone
+ * @returns {Date} - Next bucket start
+ */
+const nextCalendarBucket = (bucketStart, unit, timezone = 'UTC') => {
+  if (unit === 'minute' || unit === 'hour') {
+    return new Date(bucketStart.getTime() + INTERVAL_MS[unit]);
+  }
+
+  const local = zonedParts(bucketStart.getTime(), timezone);
+  local.hour = 0;
+  local.minute = 0;
+  if (unit === 'day') local.day += 1;
+  if (unit === 'week') local.day += 7;
+  if (unit === 'month') local.month += 1;
+
+  return new Date(zonedToUtc(normalizeLocal(local), timezone));
+};
+
+/**
+ * List every bucket start between two dates
+ * @param {Date|string|number} start - Range start
+ * @param {Date|string|number} end - Range end (inclusive)
+ * @param {string} unit - minute, hour, day, week or month
+ * @param {string} [timezone='UTC'] - IANA timezone
+ * @param {number} [maxBuckets=Infinity] - Fail above this many buckets
+ * @returns {Array<Date>} - Bucket starts
+ */
+const listBuckets = (start, end, unit, timezone = 'UTC', maxBuckets = Infinity) => {
+  const endMs = new Date(end).getTime();
+  const buckets = [];
+
+  for (let bucket = floorToCalendar(start, unit, timezone); bucket.getTime() <= endMs;
+    bucket = nextCalendarBucket(bucket, unit, timezone)) {
+    if (buckets.length >= maxBuckets) {
+      throw new Error(`Too many buckets, the range holds more than ${maxBuckets} ${unit} buckets`);
+    }
+    buckets.push(bucket);
+  }
+
+  return buckets;
+};
+
+/**
+ * Emit a point for every bucket, filling the buckets without data.
+ * Filled points carry `filled: true` and a count of 0.
+ * @param {Array<Object>} points - Points with a `timestamp` bucket start, sorted
+ * @param {Array<Date>} buckets - Every bucket start of the range
+ * @param {string} mode - none, null, previous, linear or zero
+ * @param {Array<string>} fields - Value fields to fill (e.g. ['value'] or ['avg', 'min', 'max'])
+ * @returns {Array<Object>} - Filled points
+ */
+const fillBuckets = (points, buckets, mode, fields) => {
+  if (!mode || mode === 'none') {
+    return points;
+  }
+
+  const byTime = new Map(points.map(point => [new Date(point.timestamp).getTime(), point]));
+  const known = buckets.map(bucket => byTime.get(bucket.getTime()) || null);
+
+  return buckets.map((bucket, index) => {
+    if (known[index]) {
+      return { ...known[index], filled: false };
+    }
+
+    const point = { timestamp: bucket, count: 0, filled: true };
+
+    for (const field of fields) {
+      point[field] = fillValue(known, buckets, index, mode, field);
+    }
+    return point;
+  });
+};
+
+/**
+ * Compute the filled value of one field for a bucket without data
+ * @param {Array<Object|null>} known - Points aligned on buckets, null where missing
+ * @param {Array<Date>} buckets - Bucket starts
+ * @param {number} index - Bucket to fill
+ * @param {string} mode - Fill mode
+ * @param {string} field - Value field
+ * @returns {number|null} - Filled value
+ */
+const fillValue = (known, buckets, index, mode, field) => {
+  if (mode === 'zero') return 0;
+  if (mode === 'null') return null;
+
+  let before = index - 1;
+  while (before >= 0 && !known[before]) before--;
+  if (before < 0) return null;
+
+  if (mode === 'previous') return known[before][field];
+
+  let after = index + 1;
+  while (after < known.length && !known[after]) after++;
+  if (after >= known.length) return null;
+
+  // Linear interpolation on bucket time, so uneven months are weighted correctly
+  const from = buckets[before].getTime();
+  const to = buckets[after].getTime();
+  const ratio = (buckets[index].getTime() - from) / (to - from);
+  const a = known[before][field];
+  const b = known[after][field];
+
+  return a === null || b === null ? null : a + (b - a) * ratio;
+};
+
+module.exports = {
+  INTERVAL_MS,
+  CALENDAR_UNITS,
+  FILL_MODES,
+  floorToInterval,
+  bucketEnd,
+  isValidTimezone,
+  floorToCalendar,
+  nextCalendarBucket,
+  listBuckets,
+  fillBuckets
+};
\ No newline at end of file
@@ -0,0 +1,121 @@
+const { floorToInterval, floorToCalendar, listBuckets, fillBuckets, isValidTimezone } = require('./timeBuckets');
+
+const iso = dates => dates.map(date => date.toISOString());
+
+describe('floorToInterval', () => {
+  test('floors to UTC minutes, hours and days', () => {
+    const date = '2024-03-05T10:20:30.400Z';
+
+    expect(floorToInterval(date, 'minute').toISOString()).toBe('2024-03-05T10:20:00.000Z');
+    expect(floorToInterval(date, 'hour').toISOString()).toBe('2024-03-05T10:00:00.000Z');
+    expect(floorToInterval(date, 'day').toISOString()).toBe('2024-03-05T00:00:00.000Z');
+  });
+
+  test('rejects unknown intervals', () => {
+    expect(() => floorToInterval(Date.now(), 'fortnight')).toThrow('Unsupported interval: fortnight');
+  });
+});
+
+describe('floorToCalendar', () => {
+  test('floors to local midnight in a timezone', () => {
+    expect(floorToCalendar('2024-06-15T21:30:00Z', 'day', 'Europe/Berlin').toISOString()).toBe('2024-06-14T22:00:00.000Z');
+  });
+
+  test('floors hours in a timezone with a half-hour offset', () => {
+    expect(floorToCalendar('2024-01-10T10:45:00Z', 'hour', 'Asia/Kolkata').toISOString()).toBe('2024-01-10T10:30:00.000Z');
+  });
+
+  test('starts weeks on Sunday and months on the first', () => {
+    expect(floorToCalendar('2024-01-10T12:00:00Z', 'week').toISOString()).toBe('2024-01-07T00:00:00.000Z');
+    expect(floorToCalendar('2024-01-10T12:00:00Z', 'month', 'America/New_York').toISOString()).toBe('2024-01-01T05:00:00.000Z');
+  });
+});
+
+describe('listBuckets across daylight saving time', () => {
+  test('spring forward gives a 23 hour day', () => {
+    const buckets = listBuckets('2024-03-30T12:00:00Z', '2024-04-01T12:00:00Z', 'day', 'Europe/Berlin');
+
+    expect(iso(buckets)).toEqual([
+      '2024-03-29T23:00:00.000Z',
+      '2024-03-30T23:00:00.000Z',
+      '2024-03-31T22:00:00.000Z'
+    ]);
+  });
+
+  test('fall back gives a 25 hour day', () => {
+    const buckets = listBuckets('2024-10-26T12:00:00Z', '2024-10-28T12:00:00Z', 'day', 'Europe/Berlin');
+
+    expect(iso(buckets)).toEqual([
+      '2024-10-25T22:00:00.000Z',
+      '2024-10-26T22:00:00.000Z',
+      '2024-10-27T23:00:00.000Z'
+    ]);
+  });
+
+  test('months keep their local start across the change', () => {
+    const buckets = listBuckets('2024-02-15T00:00:00Z', '2024-04-15T00:00:00Z', 'month', 'America/New_York');
+
+    expect(iso(buckets)).toEqual([
+      '2024-02-01T05:00:00.000Z',
+      '2024-03-01T05:00:00.000Z',
+      '2024-04-01T04:00:00.000Z'
+    ]);
+  });
+
+  test('fails above the maximum number of buckets', () => {
+    expect(() => listBuckets('2024-01-01T00:00:00Z', '2024-01-01T01:00:00Z', 'minute', 'UTC', 10))
+      .toThrow('Too many buckets');
+  });
+});
+
+describe('fillBuckets', () => {
+  const buckets = listBuckets('2024-01-01T00:00:00Z', '2024-01-01T04:00:00Z', 'hour');
+  const points = [
+    { timestamp: buckets[1], value: 10, count: 1 },
+    { timestamp: buckets[3], value: 30, count: 1 }
+  ];
+  const fill = mode => fillBuckets(points, buckets, mode, ['value']).map(point => point.value);
+
+  test('leaves the points untouched without a fill mode', () => {
+    expect(fillBuckets(points, buckets, 'none', ['value'])).toBe(points);
+  });
+
+  test('fills with null or zero', () => {
+    expect(fill('null')).toEqual([null, 10, null, 30, null]);
+    expect(fill('zero')).toEqual([0, 10, 0, 30, 0]);
+  });
+
+  test('fills with the previous value, null before the first point', () => {
+    expect(fill('previous')).toEqual([null, 10, 10, 30, 30]);
+  });
+
+  test('interpolates linearly between points only', () => {
+    expect(fill('linear')).toEqual([null, 10, 20, 30, null]);
+  });
+
+  test('marks filled buckets', () => {
+    const filled = fillBuckets(points, buckets, 'zero', ['value']);
+
+    expect(filled.map(point => point.filled)).toEqual([true, false, true, false, true]);
+    expect(filled[0].count).toBe(0);
+  });
+
+  test('weights interpolation by bucket time for uneven months', () => {
+    const months = listBuckets('2024-01-01T00:00:00Z', '2024-03-01T00:00:00Z', 'month');
+    const filled = fillBuckets(
+      [{ timestamp: months[0], value: 0 }, { timestamp: months[2], value: 60 }],
+      months, 'linear', ['value']
+    );
+
+    // January has 31 days, February 29
+    expect(filled[1].value).toBeCloseTo(60 * 31 / 60);
+  });
+});
+
+describe('isValidTimezone', () => {
+  test('accepts IANA timezones only', () => {
+    expect(isValidTimezone('Europe/Berlin')).toBe(true);
+    expect(isValidTimezone('UTC')).toBe(true);
+    expect(isValidTimezone('Mars/Olympus')).toBe(false);
+  });
+});
\ No newline at end of file